@@ -15,6 +15,26 @@ const services = [
     route: "/check-ins",
     target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
   },
+  {
+    route: "/check-outs",
+    target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
+  },
+  {
+    route: "/holds",
+    target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
+  },
+  {
+    route: "/waitlist",
+    target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
+  },
+  {
+    route: "/promo-codes",
+    target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
+  },
+  {
+    route: "/pricing",
+    target: process.env.USER_CAR_SERVICE_URL || "http://localhost:3003",
+  },
   {
     route: "/recently",
     target: process.env.RECENTLY_SERVICE_URL || "http://localhost:3005",
@@ -27,6 +47,18 @@ const services = [
     route: "/sites",
     target: process.env.SLOT_SERVICE_URL || "http://localhost:3006",
   },
+  {
+    route: "/buildings",
+    target: process.env.SLOT_SERVICE_URL || "http://localhost:3006",
+  },
+  {
+    route: "/floors",
+    target: process.env.SLOT_SERVICE_URL || "http://localhost:3006",
+  },
+  {
+    route: "/zones",
+    target: process.env.SLOT_SERVICE_URL || "http://localhost:3006",
+  },
   // เพิ่ม Service อื่นๆ ที่นี่
 ];
 
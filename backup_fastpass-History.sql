@@ -17,6 +17,13 @@ COMMENT ON SCHEMA "public" IS 'standard public schema';
 
 
 
+CREATE EXTENSION IF NOT EXISTS "btree_gist" WITH SCHEMA "extensions";
+
+
+
+
+
+
 CREATE EXTENSION IF NOT EXISTS "pg_graphql" WITH SCHEMA "graphql";
 
 
@@ -56,7 +63,8 @@ CREATE TYPE "public"."reservation_status" AS ENUM (
     'pending',
     'checked_in',
     'checked_out',
-    'cancelled'
+    'cancelled',
+    'no_show'
 );
 
 
@@ -104,6 +112,43 @@ CREATE TYPE "public"."vehicle_type" AS ENUM (
 ALTER TYPE "public"."vehicle_type" OWNER TO "postgres";
 
 
+CREATE OR REPLACE FUNCTION "public"."create_slot_hold"("p_hold_id" "uuid", "p_user_id" "uuid", "p_slot_id" "text", "p_parking_site_id" "text", "p_floor_id" "text", "p_vehicle_type_code" smallint, "p_start_time" timestamp with time zone, "p_end_time" timestamp with time zone, "p_expires_at" timestamp with time zone) RETURNS "void"
+    LANGUAGE "plpgsql"
+    AS $$
+BEGIN
+    -- Lock ต่อ Slot (ใช้ร่วมกับ save_events_with_slot_booking) กัน Hold/Booking ที่มาพร้อมกัน
+    PERFORM pg_advisory_xact_lock(hashtext(p_slot_id));
+
+    -- 1. Hold ที่หมดเวลาแล้วของ Slot นี้ไม่นับ
+    UPDATE public.slot_holds
+    SET status = 'expired', updated_at = NOW()
+    WHERE slot_id = p_slot_id AND status = 'active' AND expires_at <= NOW();
+
+    -- 2. ชนกับการจองที่ยืนยันแล้ว
+    IF EXISTS (
+        SELECT 1 FROM public.slot_bookings
+        WHERE slot_id = p_slot_id
+          AND time_range && tstzrange(p_start_time, p_end_time, '[)')
+    ) THEN
+        RAISE EXCEPTION 'SLOT_CONFLICT: Slot % is already booked for the requested time range', p_slot_id
+              USING ERRCODE = 'P0001';
+    END IF;
+
+    -- 3. ชนกับ Hold อื่น (Exclusion Constraint: slot_holds_no_overlap)
+    BEGIN
+        INSERT INTO public.slot_holds (id, user_id, slot_id, parking_site_id, floor_id, vehicle_type_code, start_time, end_time, expires_at)
+        VALUES (p_hold_id, p_user_id, p_slot_id, p_parking_site_id, p_floor_id, p_vehicle_type_code, p_start_time, p_end_time, p_expires_at);
+    EXCEPTION WHEN exclusion_violation THEN
+        RAISE EXCEPTION 'SLOT_CONFLICT: Slot % is already held for the requested time range', p_slot_id
+              USING ERRCODE = 'P0001';
+    END;
+END;
+$$;
+
+
+ALTER FUNCTION "public"."create_slot_hold"("p_hold_id" "uuid", "p_user_id" "uuid", "p_slot_id" "text", "p_parking_site_id" "text", "p_floor_id" "text", "p_vehicle_type_code" smallint, "p_start_time" timestamp with time zone, "p_end_time" timestamp with time zone, "p_expires_at" timestamp with time zone) OWNER TO "postgres";
+
+
 CREATE OR REPLACE FUNCTION "public"."save_events_and_update_version"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb") RETURNS "void"
     LANGUAGE "plpgsql"
     AS $$
@@ -206,6 +251,72 @@ $$;
 ALTER FUNCTION "public"."save_events_and_update_version"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb") OWNER TO "postgres";
 
 
+CREATE OR REPLACE FUNCTION "public"."save_events_with_slot_booking"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb", "p_slot_booking" "jsonb") RETURNS "void"
+    LANGUAGE "plpgsql"
+    AS $$
+BEGIN
+    -- 1. Save Events (Lock + Version Check) ใน Transaction เดียวกัน
+    PERFORM public.save_events_and_update_version(
+        p_aggregate_id, p_expected_version, p_new_version, p_events, p_latest_event_data
+    );
+
+    -- 2. Slot Booking Guard
+    --    {"release": true}                              -> ปล่อย Slot (ยกเลิก / no_show / check-out)
+    --    {"slot_id": ..., "start_time": ..., "end_time": ...} -> จอง/ย้าย/ขยายเวลา (Exclusion Constraint กันจองซ้อน)
+    --    + "hold_id" (Optional)                         -> แปลง Hold ของผู้จองเป็นการจอง
+    IF p_slot_booking IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF COALESCE((p_slot_booking->>'release')::boolean, false) THEN
+        DELETE FROM public.slot_bookings WHERE reservation_id = p_aggregate_id;
+        RETURN;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(p_slot_booking->>'slot_id'));
+
+    -- Hold ที่ยังไม่หมดเวลาของคนอื่นกัน Slot ไว้
+    IF EXISTS (
+        SELECT 1 FROM public.slot_holds
+        WHERE slot_id = p_slot_booking->>'slot_id'
+          AND status = 'active'
+          AND expires_at > NOW()
+          AND tstzrange(start_time, end_time, '[)') && tstzrange((p_slot_booking->>'start_time')::timestamptz, (p_slot_booking->>'end_time')::timestamptz, '[)')
+          AND id IS DISTINCT FROM (p_slot_booking->>'hold_id')::uuid
+    ) THEN
+        RAISE EXCEPTION 'SLOT_CONFLICT: Slot % is held by another user for the requested time range', p_slot_booking->>'slot_id'
+              USING ERRCODE = 'P0001';
+    END IF;
+
+    BEGIN
+        INSERT INTO public.slot_bookings (reservation_id, slot_id, time_range, updated_at)
+        VALUES (
+            p_aggregate_id,
+            p_slot_booking->>'slot_id',
+            tstzrange((p_slot_booking->>'start_time')::timestamptz, (p_slot_booking->>'end_time')::timestamptz, '[)'),
+            NOW()
+        )
+        ON CONFLICT (reservation_id) DO UPDATE SET
+          slot_id = EXCLUDED.slot_id,
+          time_range = EXCLUDED.time_range,
+          updated_at = NOW();
+    EXCEPTION WHEN exclusion_violation THEN
+        RAISE EXCEPTION 'SLOT_CONFLICT: Slot % is already booked for the requested time range', p_slot_booking->>'slot_id'
+              USING ERRCODE = 'P0001';
+    END;
+
+    IF p_slot_booking->>'hold_id' IS NOT NULL THEN
+        UPDATE public.slot_holds
+        SET status = 'converted', reservation_id = p_aggregate_id, updated_at = NOW()
+        WHERE id = (p_slot_booking->>'hold_id')::uuid AND status = 'active';
+    END IF;
+END;
+$$;
+
+
+ALTER FUNCTION "public"."save_events_with_slot_booking"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb", "p_slot_booking" "jsonb") OWNER TO "postgres";
+
+
 CREATE OR REPLACE FUNCTION "public"."sync_vehicle_type_logic"() RETURNS "trigger"
     LANGUAGE "plpgsql"
     AS $$
@@ -253,13 +364,43 @@ CREATE TABLE IF NOT EXISTS "public"."buildings" (
     "close_time" time without time zone DEFAULT '20:00:00'::time without time zone,
     "price_info" "text" DEFAULT 'ฟรี'::"text",
     "price_value" integer DEFAULT 0,
-    "user_types" "text" DEFAULT 'นศ., บุคลากร'::"text"
+    "user_types" "text" DEFAULT 'นศ., บุคลากร'::"text",
+    "max_active_reservations" integer,
+    "max_booking_duration_minutes" integer,
+    "max_advance_booking_days" integer,
+    "min_lead_time_minutes" integer,
+    "billing_increment_minutes" integer,
+    "free_minutes" integer,
+    "daily_cap" numeric,
+    "overstay_surcharge_per_hour" numeric,
+    "vehicle_type_premiums" "jsonb",
+    "occupancy_multipliers" "jsonb",
+    "archived_at" timestamp with time zone
 );
 
 
 ALTER TABLE "public"."buildings" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."buildings"."max_active_reservations" IS 'Booking rule override for this building (NULL = use parking_sites value). Same for the other booking rule columns.';
+
+
+
+COMMENT ON COLUMN "public"."buildings"."billing_increment_minutes" IS 'Billing tariff together with price_per_hour, free_minutes, daily_cap and overstay_surcharge_per_hour (NULL = service default).';
+
+
+
+COMMENT ON COLUMN "public"."buildings"."vehicle_type_premiums" IS 'Dynamic pricing: extra price per hour by vehicle_type_code, e.g. {"2": 10} for EV.';
+
+
+
+COMMENT ON COLUMN "public"."buildings"."occupancy_multipliers" IS 'Dynamic pricing: [{"min_occupancy": 0.8, "multiplier": 1.5}]; the highest tier reached by the booked share of slots applies.';
+
+
+
+COMMENT ON COLUMN "public"."buildings"."archived_at" IS 'Set when the building is archived through slot-service; the row is kept for existing slots and reservations but hidden from listings.';
+
+
 CREATE TABLE IF NOT EXISTS "public"."cars" (
     "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
     "user_id" "uuid" NOT NULL,
@@ -310,13 +451,33 @@ CREATE TABLE IF NOT EXISTS "public"."floors" (
     "id" "text" NOT NULL,
     "building_id" "text" NOT NULL,
     "name" "text" NOT NULL,
-    "level_order" integer DEFAULT 0
+    "level_order" integer DEFAULT 0,
+    "archived_at" timestamp with time zone
 );
 
 
 ALTER TABLE "public"."floors" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."floors"."archived_at" IS 'Set when the floor is archived through slot-service (only after all of its zones are archived).';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."idempotency_keys" (
+    "scope" "text" NOT NULL,
+    "key" "text" NOT NULL,
+    "request_hash" "text" NOT NULL,
+    "status" "text" DEFAULT 'in_progress'::"text" NOT NULL,
+    "response_status" integer,
+    "response_body" "jsonb",
+    "created_at" timestamp with time zone DEFAULT "now"(),
+    "expires_at" timestamp with time zone NOT NULL
+);
+
+
+ALTER TABLE "public"."idempotency_keys" OWNER TO "postgres";
+
+
 CREATE TABLE IF NOT EXISTS "public"."latest_versions" (
     "aggregate_id" "uuid" NOT NULL,
     "version" integer DEFAULT 0 NOT NULL,
@@ -328,6 +489,16 @@ CREATE TABLE IF NOT EXISTS "public"."latest_versions" (
 ALTER TABLE "public"."latest_versions" OWNER TO "postgres";
 
 
+CREATE TABLE IF NOT EXISTS "public"."parking_gates" (
+    "id" "text" NOT NULL,
+    "parking_site_id" "text" NOT NULL,
+    "name" "text" NOT NULL
+);
+
+
+ALTER TABLE "public"."parking_gates" OWNER TO "postgres";
+
+
 CREATE TABLE IF NOT EXISTS "public"."parking_sites" (
     "id" "text" NOT NULL,
     "name" "text" NOT NULL,
@@ -337,13 +508,99 @@ CREATE TABLE IF NOT EXISTS "public"."parking_sites" (
     "timezone_offset" integer DEFAULT 420,
     "status" "public"."site_status" DEFAULT 'active'::"public"."site_status" NOT NULL,
     "opening_time" time without time zone DEFAULT '08:00:00'::time without time zone,
-    "closing_time" time without time zone DEFAULT '20:00:00'::time without time zone
+    "closing_time" time without time zone DEFAULT '20:00:00'::time without time zone,
+    "cancellation_cutoff_minutes" integer DEFAULT 60,
+    "no_show_grace_minutes" integer DEFAULT 15,
+    "early_check_in_minutes" integer DEFAULT 15,
+    "late_check_in_minutes" integer DEFAULT 30,
+    "max_active_reservations" integer DEFAULT 3,
+    "max_booking_duration_minutes" integer DEFAULT 720,
+    "max_advance_booking_days" integer DEFAULT 30,
+    "min_lead_time_minutes" integer DEFAULT 0,
+    "no_show_fee" numeric DEFAULT 0,
+    "late_cancellation_fee" numeric DEFAULT 0,
+    "archived_at" timestamp with time zone
 );
 
 
 ALTER TABLE "public"."parking_sites" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."parking_sites"."archived_at" IS 'Set when the site is archived through slot-service (status becomes inactive); requires all buildings to be archived first.';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."pricing_schedules" (
+    "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
+    "building_id" "text" NOT NULL,
+    "label" "text",
+    "day_type" "text" DEFAULT 'all'::"text" NOT NULL,
+    "start_time" time without time zone NOT NULL,
+    "end_time" time without time zone NOT NULL,
+    "price_per_hour" numeric NOT NULL,
+    "priority" integer DEFAULT 0 NOT NULL,
+    "active" boolean DEFAULT true NOT NULL,
+    "created_at" timestamp with time zone DEFAULT "now"() NOT NULL,
+    "updated_at" timestamp with time zone DEFAULT "now"() NOT NULL,
+    CONSTRAINT "pricing_schedules_day_type_check" CHECK (("day_type" = ANY (ARRAY['weekday'::"text", 'weekend'::"text", 'all'::"text"]))),
+    CONSTRAINT "pricing_schedules_price_per_hour_check" CHECK (("price_per_hour" >= (0)::numeric))
+);
+
+
+ALTER TABLE "public"."pricing_schedules" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."pricing_schedules" IS 'Time-of-day price per hour for a building (local time); end_time <= start_time spans midnight. Hours without a schedule use buildings.price_per_hour.';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."promo_code_redemptions" (
+    "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
+    "promo_code_id" "uuid" NOT NULL,
+    "code" "text" NOT NULL,
+    "reservation_id" "uuid" NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "redeemed_at" timestamp with time zone DEFAULT "now"() NOT NULL,
+    "released_at" timestamp with time zone
+);
+
+
+ALTER TABLE "public"."promo_code_redemptions" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."promo_code_redemptions" IS 'One row per reservation that used a promo code; released_at is set when the reservation is cancelled so the use no longer counts.';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."promo_codes" (
+    "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
+    "code" "text" NOT NULL,
+    "description" "text",
+    "discount_type" "text" NOT NULL,
+    "discount_value" numeric NOT NULL,
+    "max_discount_amount" numeric,
+    "valid_from" timestamp with time zone,
+    "valid_until" timestamp with time zone,
+    "max_uses" integer,
+    "max_uses_per_user" integer,
+    "parking_site_ids" "text"[],
+    "building_ids" "text"[],
+    "vehicle_type_codes" smallint[],
+    "active" boolean DEFAULT true NOT NULL,
+    "created_by" "text",
+    "created_at" timestamp with time zone DEFAULT "now"(),
+    "updated_at" timestamp with time zone DEFAULT "now"(),
+    CONSTRAINT "promo_codes_discount_type_check" CHECK (("discount_type" = ANY (ARRAY['percentage'::"text", 'fixed_amount'::"text", 'free_hours'::"text"]))),
+    CONSTRAINT "promo_codes_discount_value_check" CHECK (("discount_value" > (0)::numeric))
+);
+
+
+ALTER TABLE "public"."promo_codes" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."promo_codes" IS 'Admin-defined discounts for reservations; null scope arrays and limits mean unrestricted.';
+
+
 CREATE TABLE IF NOT EXISTS "public"."recent_activities" (
     "id" bigint NOT NULL,
     "reservation_id" "uuid" NOT NULL,
@@ -377,6 +634,30 @@ ALTER SEQUENCE "public"."recent_activities_id_seq" OWNED BY "public"."recent_act
 
 
 
+CREATE TABLE IF NOT EXISTS "public"."reservation_charges" (
+    "reservation_id" "uuid" NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "parking_site_id" "text" NOT NULL,
+    "building_id" "text",
+    "currency" "text" DEFAULT 'THB'::"text" NOT NULL,
+    "booked_minutes" integer NOT NULL,
+    "parked_minutes" integer NOT NULL,
+    "early_minutes" integer DEFAULT 0 NOT NULL,
+    "overstay_minutes" integer DEFAULT 0 NOT NULL,
+    "line_items" "jsonb" DEFAULT '[]'::"jsonb" NOT NULL,
+    "total_amount" numeric NOT NULL,
+    "tariff" "jsonb",
+    "calculated_at" timestamp with time zone DEFAULT "now"() NOT NULL
+);
+
+
+ALTER TABLE "public"."reservation_charges" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."reservation_charges" IS 'Itemized parking charge per reservation, calculated at check-out from the building tariff.';
+
+
+
 CREATE TABLE IF NOT EXISTS "public"."reservations" (
     "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
     "user_id" "uuid" NOT NULL,
@@ -393,6 +674,18 @@ CREATE TABLE IF NOT EXISTS "public"."reservations" (
     "vehicle_type" "public"."vehicle_type" DEFAULT 'car'::"public"."vehicle_type" NOT NULL,
     "car_id" "uuid",
     "vehicle_type_code" smallint DEFAULT 1,
+    "checked_in_at" timestamp with time zone,
+    "checked_out_at" timestamp with time zone,
+    "parked_minutes" integer,
+    "overstay_minutes" integer,
+    "series_id" "uuid",
+    "payment_status" "text",
+    "payment_id" "text",
+    "payment_amount" numeric,
+    "penalty_type" "text",
+    "penalty_amount" numeric,
+    "promo_code" "text",
+    "locked_price_per_hour" numeric,
     CONSTRAINT "reservations_vehicle_type_code_check" CHECK (("vehicle_type_code" = ANY (ARRAY[0, 1, 2])))
 );
 
@@ -431,6 +724,44 @@ ALTER SEQUENCE "public"."reservations_history_id_seq" OWNED BY "public"."reserva
 
 
 
+CREATE TABLE IF NOT EXISTS "public"."slot_bookings" (
+    "reservation_id" "uuid" NOT NULL,
+    "slot_id" "text" NOT NULL,
+    "time_range" "tstzrange" NOT NULL,
+    "created_at" timestamp with time zone DEFAULT "now"(),
+    "updated_at" timestamp with time zone DEFAULT "now"(),
+    CONSTRAINT "slot_bookings_no_overlap" EXCLUDE USING "gist" ("slot_id" WITH =, "time_range" WITH &&)
+);
+
+
+ALTER TABLE "public"."slot_bookings" OWNER TO "postgres";
+
+
+CREATE TABLE IF NOT EXISTS "public"."slot_holds" (
+    "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "slot_id" "text" NOT NULL,
+    "parking_site_id" "text" NOT NULL,
+    "floor_id" "text",
+    "vehicle_type_code" smallint DEFAULT 1,
+    "start_time" timestamp with time zone NOT NULL,
+    "end_time" timestamp with time zone NOT NULL,
+    "expires_at" timestamp with time zone NOT NULL,
+    "status" "text" DEFAULT 'active'::"text" NOT NULL,
+    "reservation_id" "uuid",
+    "created_at" timestamp with time zone DEFAULT "now"(),
+    "updated_at" timestamp with time zone DEFAULT "now"(),
+    CONSTRAINT "slot_holds_status_check" CHECK (("status" = ANY (ARRAY['active'::"text", 'converted'::"text", 'released'::"text", 'expired'::"text"]))),
+    CONSTRAINT "slot_holds_no_overlap" EXCLUDE USING "gist" ("slot_id" WITH =, "tstzrange"("start_time", "end_time", '[)'::"text") WITH &&) WHERE (("status" = 'active'::"text"))
+);
+
+
+ALTER TABLE "public"."slot_holds" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."slot_holds" IS 'Short-lived slot holds taken from the slot picker before a reservation is confirmed.';
+
+
 CREATE TABLE IF NOT EXISTS "public"."slots" (
     "id" "text" NOT NULL,
     "zone_id" "text" NOT NULL,
@@ -443,6 +774,8 @@ CREATE TABLE IF NOT EXISTS "public"."slots" (
     "version" integer DEFAULT 1 NOT NULL,
     "vehicle_type" "public"."vehicle_type" DEFAULT 'car'::"public"."vehicle_type" NOT NULL,
     "vehicle_type_code" smallint DEFAULT 1,
+    "entrance_distance" integer,
+    "decommissioned_at" timestamp with time zone,
     CONSTRAINT "slots_vehicle_type_code_check" CHECK (("vehicle_type_code" = ANY (ARRAY[0, 1, 2])))
 );
 
@@ -450,16 +783,25 @@ CREATE TABLE IF NOT EXISTS "public"."slots" (
 ALTER TABLE "public"."slots" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."slots"."decommissioned_at" IS 'Set when the slot is decommissioned; the row is kept for reservation history but excluded from listings and availability.';
+
+
+
 CREATE TABLE IF NOT EXISTS "public"."zones" (
     "id" "text" NOT NULL,
     "floor_id" "text" NOT NULL,
-    "name" "text" NOT NULL
+    "name" "text" NOT NULL,
+    "archived_at" timestamp with time zone
 );
 
 
 ALTER TABLE "public"."zones" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."zones"."archived_at" IS 'Set when the zone is archived through slot-service (only after all of its slots are decommissioned).';
+
+
+
 CREATE OR REPLACE VIEW "public"."site_structure_view" AS
  SELECT "s"."id" AS "site_id",
     "s"."name" AS "site_name",
@@ -476,6 +818,7 @@ CREATE OR REPLACE VIEW "public"."site_structure_view" AS
      JOIN "public"."floors" "f" ON (("b"."id" = "f"."building_id")))
      JOIN "public"."zones" "z" ON (("f"."id" = "z"."floor_id")))
      JOIN "public"."slots" "sl" ON (("z"."id" = "sl"."zone_id")))
+  WHERE (("sl"."decommissioned_at" IS NULL) AND ("s"."archived_at" IS NULL) AND ("b"."archived_at" IS NULL) AND ("f"."archived_at" IS NULL) AND ("z"."archived_at" IS NULL))
   GROUP BY "s"."id", "s"."name", "b"."id", "b"."name", "f"."id", "f"."name", "f"."level_order", "z"."id", "z"."name"
   ORDER BY "s"."id", "f"."level_order", "z"."name";
 
@@ -483,6 +826,50 @@ CREATE OR REPLACE VIEW "public"."site_structure_view" AS
 ALTER VIEW "public"."site_structure_view" OWNER TO "postgres";
 
 
+CREATE OR REPLACE VIEW "public"."slot_occupancy" AS
+ SELECT "r"."id",
+    "r"."slot_id",
+    "r"."parking_site_id",
+    "r"."floor_id",
+    "r"."vehicle_type_code",
+    "r"."start_time",
+    "r"."end_time",
+    ("r"."status")::"text" AS "status"
+   FROM "public"."reservations" "r"
+UNION ALL
+ SELECT "h"."id",
+    "h"."slot_id",
+    "h"."parking_site_id",
+    "h"."floor_id",
+    "h"."vehicle_type_code",
+    "h"."start_time",
+    "h"."end_time",
+    'held'::"text" AS "status"
+   FROM "public"."slot_holds" "h"
+  WHERE (("h"."status" = 'active'::"text") AND ("h"."expires_at" > "now"()));
+
+
+ALTER VIEW "public"."slot_occupancy" OWNER TO "postgres";
+
+
+COMMENT ON VIEW "public"."slot_occupancy" IS 'Read Model: reservations plus active slot holds, used by availability queries.';
+
+
+CREATE OR REPLACE VIEW "public"."pending_reservation_deadlines" AS
+ SELECT "r"."id",
+    "r"."start_time",
+    ("r"."start_time" + "make_interval"("mins" => COALESCE("ps"."no_show_grace_minutes", 15))) AS "no_show_deadline"
+   FROM ("public"."reservations" "r"
+     LEFT JOIN "public"."parking_sites" "ps" ON (("ps"."id" = "r"."parking_site_id")))
+  WHERE ("r"."status" = 'pending'::"public"."reservation_status");
+
+
+ALTER VIEW "public"."pending_reservation_deadlines" OWNER TO "postgres";
+
+
+COMMENT ON VIEW "public"."pending_reservation_deadlines" IS 'Pending reservations with their no-show deadline (start_time + site grace period, default 15 minutes), polled by the no-show scheduler.';
+
+
 CREATE TABLE IF NOT EXISTS "public"."snapshots" (
     "aggregate_id" "uuid" NOT NULL,
     "snapshot_data" "jsonb" NOT NULL,
@@ -510,13 +897,91 @@ CREATE TABLE IF NOT EXISTS "public"."users" (
     "email" character varying NOT NULL,
     "status" "public"."user_status" DEFAULT 'active'::"public"."user_status",
     "version" integer DEFAULT 1 NOT NULL,
-    "updated_at" timestamp with time zone DEFAULT "now"()
+    "updated_at" timestamp with time zone DEFAULT "now"(),
+    "user_type" "text",
+    "strike_count" integer DEFAULT 0 NOT NULL,
+    "suspended_until" timestamp with time zone
 );
 
 
 ALTER TABLE "public"."users" OWNER TO "postgres";
 
 
+COMMENT ON COLUMN "public"."users"."user_type" IS 'Matched against buildings.allowed_user_types when booking (e.g. นศ., บุคลากร).';
+
+
+CREATE TABLE IF NOT EXISTS "public"."waitlist_entries" (
+    "id" "uuid" DEFAULT "gen_random_uuid"() NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "parking_site_id" "text" NOT NULL,
+    "building_id" "text",
+    "zone_id" "text",
+    "vehicle_type_code" smallint DEFAULT 1 NOT NULL,
+    "car_id" "uuid",
+    "start_time" timestamp with time zone NOT NULL,
+    "end_time" timestamp with time zone NOT NULL,
+    "start_date_local" "text" NOT NULL,
+    "start_time_local" "text" NOT NULL,
+    "end_date_local" "text" NOT NULL,
+    "end_time_local" "text" NOT NULL,
+    "time_zone_offset" "text" NOT NULL,
+    "status" "text" DEFAULT 'waiting'::"text" NOT NULL,
+    "offered_slot_id" "text",
+    "hold_id" "uuid",
+    "offer_expires_at" timestamp with time zone,
+    "reservation_id" "uuid",
+    "created_at" timestamp with time zone DEFAULT "now"(),
+    "updated_at" timestamp with time zone DEFAULT "now"(),
+    CONSTRAINT "waitlist_entries_status_check" CHECK (("status" = ANY (ARRAY['waiting'::"text", 'offered'::"text", 'accepted'::"text", 'expired'::"text", 'cancelled'::"text"])))
+);
+
+
+ALTER TABLE "public"."waitlist_entries" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."waitlist_entries" IS 'Users waiting for capacity in a fully booked window; freed capacity is offered first-come first-served.';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."wallet_credit_lots" (
+    "lot_id" "uuid" NOT NULL,
+    "wallet_id" "uuid" NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "amount" numeric(10,2) NOT NULL,
+    "remaining" numeric(10,2) NOT NULL,
+    "expires_at" timestamp with time zone,
+    "source" "text",
+    "created_at" timestamp with time zone DEFAULT "now"()
+);
+
+
+ALTER TABLE "public"."wallet_credit_lots" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."wallet_credit_lots" IS 'Wallet credit per top-up or refund; the balance is the remaining amount of lots that have not expired.';
+
+
+
+CREATE TABLE IF NOT EXISTS "public"."wallet_transactions" (
+    "transaction_id" "uuid" NOT NULL,
+    "wallet_id" "uuid" NOT NULL,
+    "user_id" "uuid" NOT NULL,
+    "type" "text" NOT NULL,
+    "amount" numeric(10,2) NOT NULL,
+    "currency" "text" DEFAULT 'THB'::"text" NOT NULL,
+    "reference" "text",
+    "note" "text",
+    "occurred_at" timestamp with time zone DEFAULT "now"() NOT NULL,
+    CONSTRAINT "wallet_transactions_type_check" CHECK (("type" = ANY (ARRAY['top_up'::"text", 'debit'::"text", 'refund'::"text", 'expiry'::"text"])))
+);
+
+
+ALTER TABLE "public"."wallet_transactions" OWNER TO "postgres";
+
+
+COMMENT ON TABLE "public"."wallet_transactions" IS 'Wallet statement; debits and expiries are negative amounts.';
+
+
 ALTER TABLE ONLY "public"."event_store" ALTER COLUMN "id" SET DEFAULT "nextval"('"public"."event_store_id_seq"'::"regclass");
 
 
@@ -559,16 +1024,51 @@ ALTER TABLE ONLY "public"."floors"
 
 
 
+ALTER TABLE ONLY "public"."idempotency_keys"
+    ADD CONSTRAINT "idempotency_keys_pkey" PRIMARY KEY ("scope", "key");
+
+
+
 ALTER TABLE ONLY "public"."latest_versions"
     ADD CONSTRAINT "latest_versions_pkey" PRIMARY KEY ("aggregate_id");
 
 
 
+ALTER TABLE ONLY "public"."parking_gates"
+    ADD CONSTRAINT "parking_gates_pkey" PRIMARY KEY ("id");
+
+
+
 ALTER TABLE ONLY "public"."parking_sites"
     ADD CONSTRAINT "parking_sites_pkey" PRIMARY KEY ("id");
 
 
 
+ALTER TABLE ONLY "public"."pricing_schedules"
+    ADD CONSTRAINT "pricing_schedules_pkey" PRIMARY KEY ("id");
+
+
+
+ALTER TABLE ONLY "public"."promo_code_redemptions"
+    ADD CONSTRAINT "promo_code_redemptions_pkey" PRIMARY KEY ("id");
+
+
+
+ALTER TABLE ONLY "public"."promo_code_redemptions"
+    ADD CONSTRAINT "promo_code_redemptions_reservation_id_key" UNIQUE ("reservation_id");
+
+
+
+ALTER TABLE ONLY "public"."promo_codes"
+    ADD CONSTRAINT "promo_codes_code_key" UNIQUE ("code");
+
+
+
+ALTER TABLE ONLY "public"."promo_codes"
+    ADD CONSTRAINT "promo_codes_pkey" PRIMARY KEY ("id");
+
+
+
 ALTER TABLE ONLY "public"."recent_activities"
     ADD CONSTRAINT "recent_activities_pkey" PRIMARY KEY ("id");
 
@@ -579,6 +1079,11 @@ ALTER TABLE ONLY "public"."recent_activities"
 
 
 
+ALTER TABLE ONLY "public"."reservation_charges"
+    ADD CONSTRAINT "reservation_charges_pkey" PRIMARY KEY ("reservation_id");
+
+
+
 ALTER TABLE ONLY "public"."reservations_history"
     ADD CONSTRAINT "reservations_history_pkey" PRIMARY KEY ("id");
 
@@ -589,6 +1094,29 @@ ALTER TABLE ONLY "public"."reservations"
 
 
 
+ALTER TABLE ONLY "public"."slot_bookings"
+    ADD CONSTRAINT "slot_bookings_pkey" PRIMARY KEY ("reservation_id");
+
+
+
+-- Backfill: การจองที่มีอยู่ก่อนมี slot_bookings (pending / checked_in) ต้องถูก Guard ด้วย
+-- ถ้าข้อมูลเดิมจองซ้อนกันอยู่แล้ว แถวหลังจะถูกข้าม (ON CONFLICT DO NOTHING) แทนที่จะทำให้ Migration ล้ม
+INSERT INTO "public"."slot_bookings" ("reservation_id", "slot_id", "time_range")
+SELECT "r"."id",
+    "r"."slot_id",
+    "tstzrange"("r"."start_time", "r"."end_time", '[)'::"text")
+   FROM "public"."reservations" "r"
+  WHERE (("r"."status" = ANY (ARRAY['pending'::"public"."reservation_status", 'checked_in'::"public"."reservation_status"])) AND ("r"."slot_id" IS NOT NULL) AND ("r"."start_time" < "r"."end_time"))
+  ORDER BY "r"."reserved_at"
+ON CONFLICT DO NOTHING;
+
+
+
+ALTER TABLE ONLY "public"."slot_holds"
+    ADD CONSTRAINT "slot_holds_pkey" PRIMARY KEY ("id");
+
+
+
 ALTER TABLE ONLY "public"."slots"
     ADD CONSTRAINT "slots_pkey" PRIMARY KEY ("id");
 
@@ -614,6 +1142,21 @@ ALTER TABLE ONLY "public"."users"
 
 
 
+ALTER TABLE ONLY "public"."waitlist_entries"
+    ADD CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("id");
+
+
+
+ALTER TABLE ONLY "public"."wallet_credit_lots"
+    ADD CONSTRAINT "wallet_credit_lots_pkey" PRIMARY KEY ("lot_id");
+
+
+
+ALTER TABLE ONLY "public"."wallet_transactions"
+    ADD CONSTRAINT "wallet_transactions_pkey" PRIMARY KEY ("transaction_id");
+
+
+
 ALTER TABLE ONLY "public"."zones"
     ADD CONSTRAINT "zones_pkey" PRIMARY KEY ("id");
 
@@ -627,6 +1170,18 @@ CREATE INDEX "idx_event_store_aggregate_id" ON "public"."event_store" USING "btr
 
 
 
+CREATE INDEX "idx_pricing_schedules_building_id" ON "public"."pricing_schedules" USING "btree" ("building_id") WHERE ("active" = true);
+
+
+
+CREATE INDEX "idx_promo_code_redemptions_usage" ON "public"."promo_code_redemptions" USING "btree" ("promo_code_id", "user_id") WHERE ("released_at" IS NULL);
+
+
+
+CREATE INDEX "idx_reservation_charges_user" ON "public"."reservation_charges" USING "btree" ("user_id", "calculated_at");
+
+
+
 CREATE INDEX "idx_reservations_floor" ON "public"."reservations" USING "btree" ("floor_id");
 
 
@@ -635,6 +1190,10 @@ CREATE INDEX "idx_reservations_history_reservation_id" ON "public"."reservations
 
 
 
+CREATE INDEX "idx_reservations_series" ON "public"."reservations" USING "btree" ("series_id") WHERE ("series_id" IS NOT NULL);
+
+
+
 CREATE INDEX "idx_reservations_site" ON "public"."reservations" USING "btree" ("parking_site_id");
 
 
@@ -647,10 +1206,26 @@ CREATE INDEX "idx_reservations_time_overlap" ON "public"."reservations" USING "b
 
 
 
+CREATE INDEX "idx_slot_holds_active" ON "public"."slot_holds" USING "btree" ("parking_site_id", "expires_at") WHERE ("status" = 'active'::"text");
+
+
+
 CREATE INDEX "idx_user_bookmarks_user_id" ON "public"."user_bookmarks" USING "btree" ("user_id");
 
 
 
+CREATE INDEX "idx_waitlist_entries_queue" ON "public"."waitlist_entries" USING "btree" ("parking_site_id", "vehicle_type_code", "created_at") WHERE ("status" = 'waiting'::"text");
+
+
+
+CREATE INDEX "idx_wallet_credit_lots_user" ON "public"."wallet_credit_lots" USING "btree" ("user_id", "expires_at") WHERE ("remaining" > (0)::numeric);
+
+
+
+CREATE INDEX "idx_wallet_transactions_user" ON "public"."wallet_transactions" USING "btree" ("user_id", "occurred_at" DESC);
+
+
+
 CREATE OR REPLACE TRIGGER "trg_sync_vehicle_cars" BEFORE INSERT OR UPDATE ON "public"."cars" FOR EACH ROW EXECUTE FUNCTION "public"."sync_vehicle_type_logic"();
 
 
@@ -678,6 +1253,21 @@ ALTER TABLE ONLY "public"."floors"
 
 
 
+ALTER TABLE ONLY "public"."parking_gates"
+    ADD CONSTRAINT "parking_gates_parking_site_id_fkey" FOREIGN KEY ("parking_site_id") REFERENCES "public"."parking_sites"("id") ON DELETE CASCADE;
+
+
+
+ALTER TABLE ONLY "public"."pricing_schedules"
+    ADD CONSTRAINT "pricing_schedules_building_id_fkey" FOREIGN KEY ("building_id") REFERENCES "public"."buildings"("id") ON DELETE CASCADE;
+
+
+
+ALTER TABLE ONLY "public"."promo_code_redemptions"
+    ADD CONSTRAINT "promo_code_redemptions_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "public"."promo_codes"("id") ON DELETE CASCADE;
+
+
+
 ALTER TABLE ONLY "public"."recent_activities"
     ADD CONSTRAINT "recent_activities_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE CASCADE;
 
@@ -897,6 +1487,12 @@ GRANT USAGE ON SCHEMA "public" TO "service_role";
 
 
 
+
+
+
+GRANT ALL ON FUNCTION "public"."create_slot_hold"("p_hold_id" "uuid", "p_user_id" "uuid", "p_slot_id" "text", "p_parking_site_id" "text", "p_floor_id" "text", "p_vehicle_type_code" smallint, "p_start_time" timestamp with time zone, "p_end_time" timestamp with time zone, "p_expires_at" timestamp with time zone) TO "anon";
+GRANT ALL ON FUNCTION "public"."create_slot_hold"("p_hold_id" "uuid", "p_user_id" "uuid", "p_slot_id" "text", "p_parking_site_id" "text", "p_floor_id" "text", "p_vehicle_type_code" smallint, "p_start_time" timestamp with time zone, "p_end_time" timestamp with time zone, "p_expires_at" timestamp with time zone) TO "authenticated";
+GRANT ALL ON FUNCTION "public"."create_slot_hold"("p_hold_id" "uuid", "p_user_id" "uuid", "p_slot_id" "text", "p_parking_site_id" "text", "p_floor_id" "text", "p_vehicle_type_code" smallint, "p_start_time" timestamp with time zone, "p_end_time" timestamp with time zone, "p_expires_at" timestamp with time zone) TO "service_role";
 
 
 
@@ -912,6 +1508,12 @@ GRANT ALL ON FUNCTION "public"."save_events_and_update_version"("p_aggregate_id"
 
 
 
+GRANT ALL ON FUNCTION "public"."save_events_with_slot_booking"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb", "p_slot_booking" "jsonb") TO "anon";
+GRANT ALL ON FUNCTION "public"."save_events_with_slot_booking"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb", "p_slot_booking" "jsonb") TO "authenticated";
+GRANT ALL ON FUNCTION "public"."save_events_with_slot_booking"("p_aggregate_id" "uuid", "p_expected_version" integer, "p_new_version" integer, "p_events" "jsonb", "p_latest_event_data" "jsonb", "p_slot_booking" "jsonb") TO "service_role";
+
+
+
 GRANT ALL ON FUNCTION "public"."sync_vehicle_type_logic"() TO "anon";
 GRANT ALL ON FUNCTION "public"."sync_vehicle_type_logic"() TO "authenticated";
 GRANT ALL ON FUNCTION "public"."sync_vehicle_type_logic"() TO "service_role";
@@ -963,18 +1565,48 @@ GRANT ALL ON TABLE "public"."floors" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."idempotency_keys" TO "anon";
+GRANT ALL ON TABLE "public"."idempotency_keys" TO "authenticated";
+GRANT ALL ON TABLE "public"."idempotency_keys" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."latest_versions" TO "anon";
 GRANT ALL ON TABLE "public"."latest_versions" TO "authenticated";
 GRANT ALL ON TABLE "public"."latest_versions" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."parking_gates" TO "anon";
+GRANT ALL ON TABLE "public"."parking_gates" TO "authenticated";
+GRANT ALL ON TABLE "public"."parking_gates" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."parking_sites" TO "anon";
 GRANT ALL ON TABLE "public"."parking_sites" TO "authenticated";
 GRANT ALL ON TABLE "public"."parking_sites" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."pricing_schedules" TO "anon";
+GRANT ALL ON TABLE "public"."pricing_schedules" TO "authenticated";
+GRANT ALL ON TABLE "public"."pricing_schedules" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."promo_code_redemptions" TO "anon";
+GRANT ALL ON TABLE "public"."promo_code_redemptions" TO "authenticated";
+GRANT ALL ON TABLE "public"."promo_code_redemptions" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."promo_codes" TO "anon";
+GRANT ALL ON TABLE "public"."promo_codes" TO "authenticated";
+GRANT ALL ON TABLE "public"."promo_codes" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."recent_activities" TO "anon";
 GRANT ALL ON TABLE "public"."recent_activities" TO "authenticated";
 GRANT ALL ON TABLE "public"."recent_activities" TO "service_role";
@@ -987,6 +1619,12 @@ GRANT ALL ON SEQUENCE "public"."recent_activities_id_seq" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."reservation_charges" TO "anon";
+GRANT ALL ON TABLE "public"."reservation_charges" TO "authenticated";
+GRANT ALL ON TABLE "public"."reservation_charges" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."reservations" TO "anon";
 GRANT ALL ON TABLE "public"."reservations" TO "authenticated";
 GRANT ALL ON TABLE "public"."reservations" TO "service_role";
@@ -1005,6 +1643,18 @@ GRANT ALL ON SEQUENCE "public"."reservations_history_id_seq" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."slot_bookings" TO "anon";
+GRANT ALL ON TABLE "public"."slot_bookings" TO "authenticated";
+GRANT ALL ON TABLE "public"."slot_bookings" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."slot_holds" TO "anon";
+GRANT ALL ON TABLE "public"."slot_holds" TO "authenticated";
+GRANT ALL ON TABLE "public"."slot_holds" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."slots" TO "anon";
 GRANT ALL ON TABLE "public"."slots" TO "authenticated";
 GRANT ALL ON TABLE "public"."slots" TO "service_role";
@@ -1023,6 +1673,18 @@ GRANT ALL ON TABLE "public"."site_structure_view" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."slot_occupancy" TO "anon";
+GRANT ALL ON TABLE "public"."slot_occupancy" TO "authenticated";
+GRANT ALL ON TABLE "public"."slot_occupancy" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."pending_reservation_deadlines" TO "anon";
+GRANT ALL ON TABLE "public"."pending_reservation_deadlines" TO "authenticated";
+GRANT ALL ON TABLE "public"."pending_reservation_deadlines" TO "service_role";
+
+
+
 GRANT ALL ON TABLE "public"."snapshots" TO "anon";
 GRANT ALL ON TABLE "public"."snapshots" TO "authenticated";
 GRANT ALL ON TABLE "public"."snapshots" TO "service_role";
@@ -1041,6 +1703,24 @@ GRANT ALL ON TABLE "public"."users" TO "service_role";
 
 
 
+GRANT ALL ON TABLE "public"."waitlist_entries" TO "anon";
+GRANT ALL ON TABLE "public"."waitlist_entries" TO "authenticated";
+GRANT ALL ON TABLE "public"."waitlist_entries" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."wallet_credit_lots" TO "anon";
+GRANT ALL ON TABLE "public"."wallet_credit_lots" TO "authenticated";
+GRANT ALL ON TABLE "public"."wallet_credit_lots" TO "service_role";
+
+
+
+GRANT ALL ON TABLE "public"."wallet_transactions" TO "anon";
+GRANT ALL ON TABLE "public"."wallet_transactions" TO "authenticated";
+GRANT ALL ON TABLE "public"."wallet_transactions" TO "service_role";
+
+
+
 
 
 
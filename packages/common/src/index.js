@@ -3,4 +3,5 @@ export * from './infrastructure/persistence/SupabaseEventStore.js';
 export * from './utils/Logger.js';
 export * from './errors/AppError.js';
 export * from './middlewares/errorHandler.js';
+export * from './middlewares/idempotency.js';
 export * from './constants/vehicleTypes.js';
@@ -47,8 +47,13 @@ export class SupabaseEventStore {
    * @param {string} aggregateType
    * @param {Array<object>} events - Array of event objects to save.
    * @param {number} expectedVersion - The version the command handler expects.
+   * @param {object} [options]
+   * @param {object} [options.slotBooking] - Slot booking guard applied in the same transaction
+   *   ({ slotId, startTime, endTime } to hold/move a slot, or { release: true } to free it).
+   *   Pass `holdId` to convert the caller's slot hold; other active holds on the range also conflict.
+   *   Overlapping bookings fail with error.code === "SLOT_CONFLICT".
    */
-  async saveEvents(aggregateId, aggregateType, events, expectedVersion) {
+  async saveEvents(aggregateId, aggregateType, events, expectedVersion, options = {}) {
     if (!events || events.length === 0) {
       console.log(
         `[EventStore][${this.serviceName}] No events to save for aggregate ${aggregateId}.`
@@ -80,20 +85,43 @@ export class SupabaseEventStore {
     // Get the data of the *last* event in the batch
     const latestEventData = eventsToSave[eventsToSave.length - 1].event_data;
 
+    const rpcParams = {
+      p_aggregate_id: aggregateId,
+      p_expected_version: expectedVersion,
+      p_new_version: newVersion,
+      p_events: eventsToSave,
+      p_latest_event_data: latestEventData,
+    };
+    const { slotBooking } = options;
+    if (slotBooking) {
+      rpcParams.p_slot_booking = slotBooking.release
+        ? { release: true }
+        : {
+            slot_id: slotBooking.slotId,
+            start_time: slotBooking.startTime,
+            end_time: slotBooking.endTime,
+            ...(slotBooking.holdId && { hold_id: slotBooking.holdId }),
+          };
+    }
+
     try {
       // Call the stored function
       const { data, error } = await this.supabase.rpc(
-        "save_events_and_update_version",
-        {
-          p_aggregate_id: aggregateId,
-          p_expected_version: expectedVersion,
-          p_new_version: newVersion,
-          p_events: eventsToSave,
-          p_latest_event_data: latestEventData,
-        }
+        slotBooking ? "save_events_with_slot_booking" : "save_events_and_update_version",
+        rpcParams
       );
 
       if (error) {
+        if (error.message.includes("SLOT_CONFLICT")) {
+          console.warn(
+            `[EventStore][${this.serviceName}] Slot booking conflict detected via RPC for ${aggregateId}.`
+          );
+          const slotConflictError = new Error(
+            `Slot Conflict for ${aggregateId}: ${error.message}`
+          );
+          slotConflictError.code = "SLOT_CONFLICT";
+          throw slotConflictError;
+        }
         if (error.message.includes("CONCURRENCY_ERROR")) {
           console.warn(
             `[EventStore][${this.serviceName}] Concurrency error detected via RPC for ${aggregateId}.`
@@ -117,7 +145,7 @@ export class SupabaseEventStore {
         `[EventStore][${this.serviceName}] Events saved successfully via RPC for ${aggregateId}`
       );
     } catch (rpcError) {
-      if (rpcError.code === "CONCURRENCY_ERROR") {
+      if (rpcError.code === "CONCURRENCY_ERROR" || rpcError.code === "SLOT_CONFLICT") {
         throw rpcError;
       }
       console.error(
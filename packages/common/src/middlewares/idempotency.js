@@ -0,0 +1,151 @@
+import { createHash } from 'crypto';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LEASE_SECONDS = 60;
+
+// Responses that ask the client to retry (e.g. 409 "Concurrency Error ... please try again")
+// are not stored, otherwise the retry would replay the same failure until the TTL ends
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429];
+
+/**
+ * Express middleware for command routes: the first response for an `Idempotency-Key`
+ * is stored in the `idempotency_keys` table and replayed for retries within the TTL.
+ * Reusing a key with a different request (method, path or body) returns 409.
+ * A key stuck `in_progress` (e.g. the process crashed mid-request) is taken over
+ * by the next retry once its lease has passed.
+ *
+ * @param {object} supabaseClient
+ * @param {object} [options]
+ * @param {string} options.scope - Service name, keys are unique per scope
+ * @param {number} [options.ttlSeconds] - Default: IDEMPOTENCY_TTL_SECONDS or 24h
+ * @param {number} [options.leaseSeconds] - Default: IDEMPOTENCY_LEASE_SECONDS or 60s
+ */
+export const createIdempotencyMiddleware = (supabaseClient, { scope, ttlSeconds, leaseSeconds } = {}) => {
+  if (!supabaseClient || !scope) {
+    throw new Error('createIdempotencyMiddleware requires a supabase client and a scope.');
+  }
+  const ttl = ttlSeconds || Number(process.env.IDEMPOTENCY_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  const lease =
+    leaseSeconds || Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS;
+  const table = 'idempotency_keys';
+
+  const releaseKey = (key) =>
+    supabaseClient.from(table).delete().eq('scope', scope).eq('key', key);
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key) return next();
+
+    const requestHash = createHash('sha256')
+      .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+      .digest('hex');
+
+    try {
+      const { data: existing, error: lookupError } = await supabaseClient
+        .from(table)
+        .select('request_hash, status, response_status, response_body, created_at, expires_at')
+        .eq('scope', scope)
+        .eq('key', key)
+        .maybeSingle();
+      if (lookupError) throw lookupError;
+
+      const leaseExpired =
+        existing?.status === 'in_progress' &&
+        new Date(existing.created_at).getTime() + lease * 1000 <= Date.now();
+
+      if (existing && new Date(existing.expires_at) > new Date() && !leaseExpired) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(409).json({
+            status: 'fail',
+            error: 'Idempotency-Key has already been used with a different request.',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+          });
+        }
+        if (existing.status !== 'completed') {
+          return res.status(409).json({
+            status: 'fail',
+            error: 'A request with this Idempotency-Key is still being processed.',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      if (existing) {
+        // หมดอายุแล้ว หรือ in_progress ค้างเกิน Lease -> เริ่มใหม่ได้
+        // (ลบเฉพาะแถวเดิม ถ้า Retry อื่นเพิ่งจองใหม่ไป Insert ด้านล่างจะได้ 23505)
+        await releaseKey(key).eq('created_at', existing.created_at);
+      }
+
+      // Reserve the key first so a concurrent retry gets "in progress" instead of running twice
+      const { error: insertError } = await supabaseClient.from(table).insert({
+        scope,
+        key,
+        request_hash: requestHash,
+        status: 'in_progress',
+        expires_at: new Date(Date.now() + ttl * 1000).toISOString(),
+      });
+      if (insertError) {
+        if (insertError.code === '23505') {
+          return res.status(409).json({
+            status: 'fail',
+            error: 'A request with this Idempotency-Key is still being processed.',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          });
+        }
+        throw insertError;
+      }
+    } catch (error) {
+      // Storage problems should not block commands; continue without idempotency
+      console.error(`[Idempotency][${scope}] Key lookup failed, continuing without replay:`, error);
+      return next();
+    }
+
+    let responseBody;
+    let stored = false;
+    let clientGone = false;
+
+    const storeResponse = async () => {
+      if (stored) return;
+      stored = true;
+      try {
+        if (res.statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(res.statusCode)) {
+          // Server errors and retryable responses are not stored so the client can retry with the same key
+          await releaseKey(key);
+          return;
+        }
+        await supabaseClient
+          .from(table)
+          .update({
+            status: 'completed',
+            response_status: res.statusCode,
+            response_body: responseBody ?? null,
+          })
+          .eq('scope', scope)
+          .eq('key', key);
+      } catch (error) {
+        console.error(`[Idempotency][${scope}] Failed to store response for key ${key}:`, error);
+      }
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      const result = originalJson(body);
+      // 'finish' never fires once the client has disconnected; the command still ran, so store its result
+      if (clientGone) storeResponse();
+      return result;
+    };
+
+    // The handler keeps running after a disconnect, so the key stays in_progress until it responds
+    // (a crash before that is covered by the lease)
+    res.on('close', () => {
+      if (!res.writableFinished) clientGone = true;
+    });
+    res.on('finish', storeResponse);
+
+    next();
+  };
+};
@@ -56,4 +56,101 @@ export class ActivityProjection {
       })
       .eq("reservation_id", reservationId);
   }
+
+  /**
+   * เมื่อมีการยกเลิกการจอง ให้ UPDATE สถานะเป็น cancelled
+   */
+  async handleReservationCancelled(event) {
+    const { reservationId, reasonCode } = event;
+    console.log(
+      `[Recently] Projecting ReservationCancelledEvent: ${reservationId} (${reasonCode})`
+    );
+
+    await this.supabase
+      .from("recent_activities")
+      .update({
+        status: event.status || "cancelled",
+        updated_at: new Date(),
+      })
+      .eq("reservation_id", reservationId);
+  }
+
+  /**
+   * เมื่อรถออกจากที่จอด ให้ UPDATE สถานะ
+   */
+  async handleCheckedOut(event) {
+    const { reservationId } = event;
+    console.log(
+      `[Recently] Projecting CheckedOutEvent: ${reservationId}`
+    );
+
+    await this.supabase
+      .from("recent_activities")
+      .update({
+        status: event.status || "checked_out",
+        updated_at: new Date(),
+      })
+      .eq("reservation_id", reservationId);
+  }
+
+  /**
+   * เมื่อการจองถูก Expire (no_show) ให้ UPDATE สถานะ
+   */
+  async handleReservationExpired(event) {
+    const { reservationId } = event;
+    console.log(
+      `[Recently] Projecting ReservationExpiredEvent: ${reservationId}`
+    );
+
+    await this.supabase
+      .from("recent_activities")
+      .update({
+        status: event.status || "no_show",
+        updated_at: new Date(),
+      })
+      .eq("reservation_id", reservationId);
+  }
+
+  /**
+   * เมื่อมีการขยายเวลาการจอง ให้ UPDATE เวลาสิ้นสุด
+   */
+  async handleReservationExtended(event) {
+    const { reservationId, endDateLocal, endTimeLocal, timeZoneOffset } = event;
+    console.log(
+      `[Recently] Projecting ReservationExtendedEvent: ${reservationId}`
+    );
+
+    const endISO = `${endDateLocal}T${endTimeLocal}${timeZoneOffset}`;
+
+    await this.supabase
+      .from("recent_activities")
+      .update({
+        end_time: new Date(endISO).toISOString(),
+        updated_at: new Date(),
+      })
+      .eq("reservation_id", reservationId);
+  }
+
+  /**
+   * เมื่อมีการเลื่อนเวลา/ย้ายช่องจอด ให้อัปเดต slot_id, start_time, end_time
+   */
+  async handleReservationRescheduled(event) {
+    const { reservationId, current, timeZoneOffset } = event;
+    console.log(
+      `[Recently] Projecting ReservationRescheduledEvent: ${reservationId}`
+    );
+
+    const startISO = `${current.startDateLocal}T${current.startTimeLocal}${timeZoneOffset}`;
+    const endISO = `${current.endDateLocal}T${current.endTimeLocal}${timeZoneOffset}`;
+
+    await this.supabase
+      .from("recent_activities")
+      .update({
+        slot_id: current.slotId,
+        start_time: new Date(startISO).toISOString(),
+        end_time: new Date(endISO).toISOString(),
+        updated_at: new Date(),
+      })
+      .eq("reservation_id", reservationId);
+  }
 }
@@ -87,6 +87,21 @@ export class EventConsumer {
       case "ParkingStatusUpdatedEvent":
         await this.activityProjection.handleParkingStatusUpdated(event_data);
         break;
+      case "ReservationCancelledEvent":
+        await this.activityProjection.handleReservationCancelled(event_data);
+        break;
+      case "CheckedOutEvent":
+        await this.activityProjection.handleCheckedOut(event_data);
+        break;
+      case "ReservationExpiredEvent":
+        await this.activityProjection.handleReservationExpired(event_data);
+        break;
+      case "ReservationExtendedEvent":
+        await this.activityProjection.handleReservationExtended(event_data);
+        break;
+      case "ReservationRescheduledEvent":
+        await this.activityProjection.handleReservationRescheduled(event_data);
+        break;
       // เพิ่ม case สำหรับ event อื่นๆ ที่ต้องการติดตาม
     }
   }
@@ -0,0 +1,65 @@
+// /services/slot-service/src/application/handlers/command-handlers/ArchiveLocationCommandHandler.js
+import { LOCATION_KINDS } from "../../../infrastructure/persistence/LocationRepository.js";
+
+/**
+ * เลิกใช้งาน Site / Building / Floor / Zone (ไม่ลบแถว) - ข้อมูลลูกที่ยังใช้งานอยู่ต้อง Archive ก่อน
+ */
+export class ArchiveLocationCommandHandler {
+  /**
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   */
+  constructor(kind, eventStore, messageBroker, locationRepository) {
+    if (!LOCATION_KINDS[kind] || !eventStore || !messageBroker || !locationRepository) {
+      throw new Error(
+        "ArchiveLocationCommandHandler requires a location kind, event store, message broker, and location repository."
+      );
+    }
+    this.kind = kind;
+    this.config = LOCATION_KINDS[kind];
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.locationRepository = locationRepository;
+  }
+
+  /**
+   * @param {object} command - Archive{ParkingSite|Building|Floor|Zone}Command
+   */
+  async handle(command) {
+    const { idField, aggregateType } = this.config;
+    const id = command[idField];
+
+    // --- 1. Load Aggregate State ---
+    const { aggregate: location, expectedVersion } = await this.locationRepository.load(this.kind, id);
+    if (!location.exists()) {
+      throw new Error(`${this.config.title} with ID ${id} not found.`);
+    }
+
+    // --- 2. Execute Command ---
+    const activeChildren = await this.locationRepository.countActiveChildren(this.kind, id);
+    location.archive(command, activeChildren);
+
+    // --- 3. Save & Publish ---
+    const newEvents = location.getUncommittedEvents();
+    try {
+      await this.eventStore.saveEvents(location.id, aggregateType, newEvents, expectedVersion);
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+      location.clearUncommittedEvents();
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        throw new Error(`Concurrency Error: ${this.config.title} modified by others, please try again.`);
+      }
+      throw error;
+    }
+
+    return {
+      [idField]: id,
+      archivedAt: location.archivedAt,
+      message: `${this.config.title} archived successfully.`,
+    };
+  }
+}
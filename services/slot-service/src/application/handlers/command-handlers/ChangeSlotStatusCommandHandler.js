@@ -0,0 +1,70 @@
+// /services/slot-service/src/application/handlers/command-handlers/ChangeSlotStatusCommandHandler.js
+import { SlotAggregate } from "../../../domain/aggregates/SlotAggregate.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class ChangeSlotStatusCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient) {
+    if (!eventStore || !messageBroker || !supabaseClient) {
+      throw new Error(
+        "ChangeSlotStatusCommandHandler requires an event store, message broker, and supabase client."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+  }
+
+  async handle(command) {
+    const aggregateId = command.slotId;
+    const slot = new SlotAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      slot.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      slot.rehydrateFromEvents(history);
+      expectedVersion = slot.version;
+    } else if (!snapshotRecord) {
+      throw new Error(`Slot with ID ${aggregateId} not found.`);
+    }
+
+    // --- 2. Execute Command ---
+    const previousStatus = slot.status;
+    slot.changeStatus(command);
+
+    // --- 3. Save & Publish ---
+    const newEvents = slot.getUncommittedEvents();
+    try {
+      await this.eventStore.saveEvents(aggregateId, "Slot", newEvents, expectedVersion);
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+      slot.clearUncommittedEvents();
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        throw new Error("Concurrency Error: Slot status changed by others, please try again.");
+      }
+      throw error;
+    }
+
+    return {
+      slotId: aggregateId,
+      version: expectedVersion + newEvents.length,
+      previousStatus,
+      status: slot.status,
+      message: "Slot status changed successfully.",
+    };
+  }
+}
@@ -0,0 +1,68 @@
+// /services/slot-service/src/application/handlers/command-handlers/CreateLocationCommandHandler.js
+import { randomUUID } from "crypto";
+import { LOCATION_KINDS } from "../../../infrastructure/persistence/LocationRepository.js";
+
+/**
+ * สร้าง Site / Building / Floor / Zone (ประเภทกำหนดตอนสร้าง Handler)
+ */
+export class CreateLocationCommandHandler {
+  /**
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   */
+  constructor(kind, eventStore, messageBroker, locationRepository) {
+    if (!LOCATION_KINDS[kind] || !eventStore || !messageBroker || !locationRepository) {
+      throw new Error(
+        "CreateLocationCommandHandler requires a location kind, event store, message broker, and location repository."
+      );
+    }
+    this.kind = kind;
+    this.config = LOCATION_KINDS[kind];
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.locationRepository = locationRepository;
+  }
+
+  /**
+   * @param {object} command - Create{ParkingSite|Building|Floor|Zone}Command
+   */
+  async handle(command) {
+    const { idField, parentKind, parentField, aggregateType } = this.config;
+    const parentId = parentField ? command[parentField] : null;
+
+    // --- 1. ตรวจ Parent (ต้องมีอยู่และยังไม่ถูก Archive) ---
+    if (parentKind) {
+      const { aggregate: parent } = await this.locationRepository.load(parentKind, parentId);
+      if (!parent.exists()) {
+        throw new Error(`${LOCATION_KINDS[parentKind].title} with ID ${parentId} not found.`);
+      }
+      parent.assertCanAddChildren();
+    }
+
+    // --- 2. สร้าง ID (ไม่ส่งมา = Site ใช้ UUID, อื่นๆ ขึ้นต้นด้วย id ของ Parent ตาม Convention เดิม เช่น floor_id ขึ้นต้นด้วย building_id) ---
+    const id = command[idField] || (parentId ? `${parentId}-${randomUUID().slice(0, 8)}` : randomUUID());
+
+    // --- 3. Execute Command (id ซ้ำกับแถวเดิมในตาราง -> already exists) ---
+    const { aggregate: location, expectedVersion } = await this.locationRepository.load(this.kind, id);
+    location.create({ ...command, [idField]: id });
+
+    // --- 4. Save & Publish ---
+    const newEvents = location.getUncommittedEvents();
+    try {
+      await this.eventStore.saveEvents(location.id, aggregateType, newEvents, expectedVersion);
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+      location.clearUncommittedEvents();
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        throw new Error(`Concurrency Error: ${this.config.title} modified by others, please try again.`);
+      }
+      throw error;
+    }
+
+    return { [idField]: id, message: `${this.config.title} created successfully.` };
+  }
+}
@@ -3,7 +3,11 @@ import { randomUUID } from "crypto";
 import { SlotAggregate } from "../../../domain/aggregates/SlotAggregate.js";
 
 export class CreateSlotCommandHandler {
-  constructor(eventStore, messageBroker) {
+  /**
+   * @param {LocationRepository} [locationRepository] - ตรวจว่า Floor / Zone มีอยู่และยังไม่ถูก Archive
+   *   (ไม่งั้น SlotProjection จะ insert ไม่ผ่านด้วย Foreign Key 23503 หลังบันทึก Event ไปแล้ว)
+   */
+  constructor(eventStore, messageBroker, locationRepository = null) {
     if (!eventStore || !messageBroker) {
       throw new Error(
         "CreateSlotCommandHandler requires eventStore and messageBroker."
@@ -11,9 +15,16 @@ export class CreateSlotCommandHandler {
     }
     this.eventStore = eventStore;
     this.messageBroker = messageBroker;
+    this.locationRepository = locationRepository;
   }
 
   async handle(command) {
+    // 0. ตรวจ Floor / Zone ที่ Slot จะอยู่
+    if (this.locationRepository) {
+      await this._assertLocation("floor", "Floor", command.floorId);
+      await this._assertLocation("zone", "Zone", command.zoneId);
+    }
+
     // 1. สร้าง ID ใหม่สำหรับ Slot
     const slotId = randomUUID();
 
@@ -57,4 +68,13 @@ export class CreateSlotCommandHandler {
     }
     return { slotId: slotId, message: "Slot created successfully." };
   }
+
+  async _assertLocation(kind, label, id) {
+    if (!id) return;
+    const { aggregate } = await this.locationRepository.load(kind, id);
+    if (!aggregate.exists()) {
+      throw new Error(`${label} with ID ${id} not found.`);
+    }
+    aggregate.assertCanAddChildren();
+  }
 }
@@ -0,0 +1,93 @@
+// /services/slot-service/src/application/handlers/command-handlers/DecommissionSlotCommandHandler.js
+import { SlotAggregate } from "../../../domain/aggregates/SlotAggregate.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class DecommissionSlotCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient) {
+    if (!eventStore || !messageBroker || !supabaseClient) {
+      throw new Error(
+        "DecommissionSlotCommandHandler requires an event store, message broker, and supabase client."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.supabase = supabaseClient; // Needed for reservations (Read Model ของ user-car-service)
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+  }
+
+  async handle(command) {
+    const aggregateId = command.slotId;
+    const slot = new SlotAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      slot.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      slot.rehydrateFromEvents(history);
+      expectedVersion = slot.version;
+    } else if (!snapshotRecord) {
+      throw new Error(`Slot with ID ${aggregateId} not found.`);
+    }
+
+    // --- 2. Execute Command (ตรวจการจองที่ยังไม่จบของ Slot นี้ก่อน) ---
+    const reservations = await this._findOpenReservations(aggregateId);
+    slot.decommission(command, reservations);
+
+    // --- 3. Save & Publish ---
+    const newEvents = slot.getUncommittedEvents();
+    try {
+      await this.eventStore.saveEvents(aggregateId, "Slot", newEvents, expectedVersion);
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+      slot.clearUncommittedEvents();
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        throw new Error("Concurrency Error: Slot modified by others, please try again.");
+      }
+      throw error;
+    }
+
+    return {
+      slotId: aggregateId,
+      version: expectedVersion + newEvents.length,
+      decommissionedAt: slot.decommissionedAt,
+      pendingReservations: command.pendingReservations,
+      affectedReservationIds: reservations.pending,
+      message: "Slot decommissioned successfully.",
+    };
+  }
+
+  /**
+   * การจอง pending ที่ยังไม่หมดเวลา และรถที่ยังจอดอยู่ (checked_in) บน Slot นี้
+   */
+  async _findOpenReservations(slotId) {
+    const { data, error } = await this.supabase
+      .from("reservations")
+      .select("id, status, end_time")
+      .eq("slot_id", slotId)
+      .in("status", ["pending", "checked_in"]);
+    if (error) throw error;
+
+    const now = Date.now();
+    const rows = data || [];
+    return {
+      pending: rows
+        .filter((r) => r.status === "pending" && new Date(r.end_time).getTime() > now)
+        .map((r) => r.id),
+      checkedIn: rows.filter((r) => r.status === "checked_in").map((r) => r.id),
+    };
+  }
+}
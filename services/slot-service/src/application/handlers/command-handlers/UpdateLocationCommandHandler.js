@@ -0,0 +1,65 @@
+// /services/slot-service/src/application/handlers/command-handlers/UpdateLocationCommandHandler.js
+import { LOCATION_KINDS } from "../../../infrastructure/persistence/LocationRepository.js";
+
+/**
+ * แก้ไข Site / Building / Floor / Zone (เฉพาะฟิลด์ที่ประเภทนั้นรับได้)
+ */
+export class UpdateLocationCommandHandler {
+  /**
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   */
+  constructor(kind, eventStore, messageBroker, locationRepository) {
+    if (!LOCATION_KINDS[kind] || !eventStore || !messageBroker || !locationRepository) {
+      throw new Error(
+        "UpdateLocationCommandHandler requires a location kind, event store, message broker, and location repository."
+      );
+    }
+    this.kind = kind;
+    this.config = LOCATION_KINDS[kind];
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.locationRepository = locationRepository;
+  }
+
+  /**
+   * @param {object} command - Update{ParkingSite|Building|Floor|Zone}Command
+   */
+  async handle(command) {
+    const { idField, aggregateType } = this.config;
+    const id = command[idField];
+
+    // --- 1. Load Aggregate State ---
+    const { aggregate: location, expectedVersion } = await this.locationRepository.load(this.kind, id);
+    if (!location.exists()) {
+      throw new Error(`${this.config.title} with ID ${id} not found.`);
+    }
+
+    // --- 2. Execute Command ---
+    location.update(command);
+
+    // --- 3. Save & Publish ---
+    const newEvents = location.getUncommittedEvents();
+    try {
+      await this.eventStore.saveEvents(location.id, aggregateType, newEvents, expectedVersion);
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+      location.clearUncommittedEvents();
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        throw new Error(`Concurrency Error: ${this.config.title} modified by others, please try again.`);
+      }
+      throw error;
+    }
+
+    return {
+      [idField]: id,
+      version: expectedVersion + newEvents.length,
+      changes: newEvents[newEvents.length - 1].changes,
+      message: `${this.config.title} updated successfully.`,
+    };
+  }
+}
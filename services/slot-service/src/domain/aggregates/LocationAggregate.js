@@ -0,0 +1,217 @@
+// /services/slot-service/src/domain/aggregates/LocationAggregate.js
+import { v5 as uuidv5 } from "uuid";
+
+/**
+ * Site / Building / Floor / Zone (Read Model: parking_sites / buildings / floors / zones)
+ * พฤติกรรมเหมือนกันทุกประเภท ต่างกันแค่ฟิลด์, Parent และ Event -> รับเป็น config จาก LOCATION_KINDS
+ * Archive แล้วแก้ไข/เพิ่มข้อมูลลูกไม่ได้อีก แต่แถวยังอยู่เพื่อให้การจองเดิมอ้างอิงได้
+ */
+export class LocationAggregate {
+  /**
+   * @param {string} id - aggregate id (จาก aggregateIdFor)
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   * @param {object} config - LOCATION_KINDS[kind] (label, title, idField, parentField, fields, requiredFields, validate, events)
+   */
+  constructor(id, kind, config) {
+    if (!id) throw new Error("Aggregate ID is required.");
+    this.id = id;
+    this.kind = kind;
+    this.config = config;
+    this.locationId = null;
+    this.parentId = null;
+    this.attributes = {};
+    this.archivedAt = null;
+    this.version = 0;
+    this.uncommittedEvents = [];
+  }
+
+  /**
+   * id ของแถวเป็น text แต่ event_store.aggregate_id เป็น uuid -> uuidv5 ตาม Namespace ของแต่ละประเภท
+   */
+  static aggregateIdFor(config, locationId) {
+    return uuidv5(String(locationId), config.namespace);
+  }
+
+  exists() {
+    return this.locationId !== null;
+  }
+
+  /**
+   * @param {object} command - Create{Kind}Command ที่มี id แล้ว (ตรวจ Parent ว่ายังใช้งานอยู่แล้วที่ Handler)
+   */
+  create(command) {
+    const { idField, parentField, requiredFields } = this.config;
+    if (this.exists()) {
+      throw new Error(`${this.config.title} ${command[idField]} already exists.`);
+    }
+    const attributes = this._pickFields(command.attributes);
+    this._validate(attributes);
+    for (const field of requiredFields) {
+      if (!String(attributes[field] ?? "").trim()) {
+        throw new Error(`Invalid ${this.config.label}: ${field} is required.`);
+      }
+    }
+
+    this._applyAndRecord(
+      this._createdEvent(command[idField], parentField ? command[parentField] : null, attributes, false)
+    );
+  }
+
+  /**
+   * แถวที่สร้างตรงในฐานข้อมูลก่อนมี Event -> บันทึกเป็น Created Event (imported) ก่อนแก้ไข
+   */
+  importExisting(locationId, parentId, attributes) {
+    this._applyAndRecord(this._createdEvent(locationId, parentId, this._pickFields(attributes), true));
+  }
+
+  update(command) {
+    this._assertActive();
+
+    const requested = this._pickFields(command.changes);
+    const changes = Object.fromEntries(
+      Object.entries(requested).filter(
+        ([field, value]) => JSON.stringify(value) !== JSON.stringify(this.attributes[field])
+      )
+    );
+    if (Object.keys(changes).length === 0) {
+      throw new Error(
+        `Invalid update: no changes. Allowed fields: ${this.config.fields.join(", ")}.`
+      );
+    }
+    this._validate(changes);
+    for (const field of this.config.requiredFields) {
+      if (changes[field] !== undefined && !String(changes[field]).trim()) {
+        throw new Error(`Invalid ${this.config.label}: ${field} cannot be empty.`);
+      }
+    }
+
+    this._applyAndRecord(new this.config.events.Updated(this.locationId, changes));
+  }
+
+  /**
+   * @param {object} command - Archive{Kind}Command
+   * @param {number} activeChildren - จำนวนข้อมูลลูกที่ยังใช้งานอยู่ (ต้อง Archive ก่อน)
+   */
+  archive(command, activeChildren) {
+    this._assertActive();
+    if (activeChildren > 0) {
+      throw new Error(
+        `Cannot archive ${this.config.label} ${this.locationId}: it still has ${activeChildren} active ${this.config.childLabel}(s).`
+      );
+    }
+    this._applyAndRecord(new this.config.events.Archived(this.locationId, command.reason));
+  }
+
+  /**
+   * ใช้ตอนสร้างข้อมูลลูก (Handler ตรวจว่ามีอยู่ก่อนแล้ว)
+   */
+  assertCanAddChildren() {
+    if (this.archivedAt) {
+      throw new Error(
+        `Cannot add to ${this.config.label} ${this.locationId}: it was archived at ${this.archivedAt}.`
+      );
+    }
+  }
+
+  _assertActive() {
+    if (this.archivedAt) {
+      throw new Error(
+        `Cannot modify ${this.config.label} ${this.locationId}: it was archived at ${this.archivedAt}.`
+      );
+    }
+  }
+
+  _pickFields(source = {}) {
+    return Object.fromEntries(
+      this.config.fields.filter((f) => source[f] !== undefined).map((f) => [f, source[f]])
+    );
+  }
+
+  _validate(attributes) {
+    if (this.config.validate) this.config.validate(attributes);
+  }
+
+  // Site ไม่มี Parent -> ParkingSiteCreatedEvent(siteId, attributes, imported)
+  _createdEvent(locationId, parentId, attributes, imported) {
+    const { Created } = this.config.events;
+    return this.config.parentField
+      ? new Created(locationId, parentId, attributes, imported)
+      : new Created(locationId, attributes, imported);
+  }
+
+  _applyAndRecord(event) {
+    this._apply(event);
+    this.uncommittedEvents.push(event);
+  }
+
+  _apply(event) {
+    const { events, idField, parentField } = this.config;
+    let eventType;
+    if (event instanceof events.Created) eventType = "Created";
+    else if (event instanceof events.Updated) eventType = "Updated";
+    else if (event instanceof events.Archived) eventType = "Archived";
+    else if (typeof event === "object" && event !== null) {
+      // Event จาก Event Store: siteArchivedAt, floorUpdatedAt, zoneCreatedAt, ...
+      if (event[`${this.kind}ArchivedAt`]) eventType = "Archived";
+      else if (event[`${this.kind}UpdatedAt`]) eventType = "Updated";
+      else if (event[`${this.kind}CreatedAt`]) eventType = "Created";
+      else eventType = "UnknownEvent";
+    } else {
+      return;
+    }
+    const data = event;
+
+    switch (eventType) {
+      case "Created":
+        this.locationId = data[idField];
+        this.parentId = parentField ? data[parentField] : null;
+        this.attributes = { ...data.attributes };
+        break;
+
+      case "Updated":
+        this.attributes = { ...this.attributes, ...data.changes };
+        break;
+
+      case "Archived":
+        this.archivedAt = data[`${this.kind}ArchivedAt`];
+        break;
+    }
+  }
+
+  getState() {
+    const { idField, parentField } = this.config;
+    const state = {
+      [idField]: this.locationId,
+      attributes: this.attributes,
+      archivedAt: this.archivedAt,
+    };
+    if (parentField) state[parentField] = this.parentId;
+    return state;
+  }
+
+  rehydrateFromSnapshot(snapshotRecord) {
+    const data = snapshotRecord.snapshot_data;
+    if (!data) return;
+    const { idField, parentField } = this.config;
+    this.locationId = data[idField];
+    this.parentId = parentField ? data[parentField] : null;
+    this.attributes = data.attributes || {};
+    this.archivedAt = data.archivedAt || null;
+    this.version = snapshotRecord.version;
+  }
+
+  rehydrateFromEvents(events) {
+    if (!events || events.length === 0) return;
+    events.forEach((eventData) => {
+      this._apply(eventData);
+      this.version++;
+    });
+  }
+
+  getUncommittedEvents() {
+    return this.uncommittedEvents;
+  }
+  clearUncommittedEvents() {
+    this.uncommittedEvents = [];
+  }
+}
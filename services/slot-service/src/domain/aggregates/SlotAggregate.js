@@ -1,7 +1,15 @@
 // /services/slot-service/src/domain/aggregates/SlotAggregate.js
 
+import { VEHICLE_TYPE } from "@parking-reservation/common";
 import { SlotCreatedEvent } from "../events/SlotCreatedEvent.js";
-// (ในอนาคตจะมี SlotStatusUpdatedEvent ฯลฯ)
+import { SlotUpdatedEvent } from "../events/SlotUpdatedEvent.js";
+import { SlotStatusChangedEvent } from "../events/SlotStatusChangedEvent.js";
+import { SlotDecommissionedEvent } from "../events/SlotDecommissionedEvent.js";
+import { SLOT_STATUS, isValidSlotStatus } from "../constants/slotStatus.js";
+import { PENDING_RESERVATION_RESOLUTION } from "../constants/decommissionPolicy.js";
+
+// ฟิลด์ที่แก้ไขได้ผ่าน updateSlot (Site / Floor ของ Slot ย้ายไม่ได้)
+const UPDATABLE_FIELDS = ["name", "details", "slotNumber", "vehicleType", "zoneId"];
 
 export class SlotAggregate {
   constructor(id) {
@@ -16,6 +24,7 @@ export class SlotAggregate {
     this.vehicleType = null; // 👈 New State
     this.zoneId = null;      // 👈 New State
     this.status = null;
+    this.decommissionedAt = null; // ปลดแล้ว = แก้ไข/จองไม่ได้อีก (แถวยังอยู่เพื่อเก็บประวัติ)
     this.version = 0;
     this.uncommittedEvents = [];
   }
@@ -43,7 +52,117 @@ export class SlotAggregate {
     this._applyAndRecord(event);
   }
 
-  // ... (updateStatus would go here)
+  /**
+   * แก้ไขข้อมูล Slot (เฉพาะฟิลด์ที่ส่งมาและค่าต่างจากเดิม)
+   */
+  updateSlot(command) {
+    this._assertActive();
+
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      const value = command.changes[field];
+      if (value !== undefined && value !== this[field]) changes[field] = value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error(
+        `Invalid update: no changes. Allowed fields: ${UPDATABLE_FIELDS.join(", ")}.`
+      );
+    }
+    if (changes.name !== undefined && !String(changes.name).trim()) {
+      throw new Error("Invalid update: slot name cannot be empty.");
+    }
+    if (
+      changes.vehicleType !== undefined &&
+      VEHICLE_TYPE[String(changes.vehicleType).toUpperCase()] === undefined
+    ) {
+      throw new Error(
+        `Invalid vehicle type "${changes.vehicleType}". Allowed: ${Object.keys(VEHICLE_TYPE).map((t) => t.toLowerCase()).join(", ")}.`
+      );
+    }
+
+    this._applyAndRecord(new SlotUpdatedEvent(this.id, changes, this._nextVersion()));
+  }
+
+  /**
+   * เปลี่ยนสถานะ Slot (available / reserved / occupied / maintenance)
+   */
+  changeStatus(command) {
+    this._assertActive();
+
+    if (!isValidSlotStatus(command.status)) {
+      throw new Error(
+        `Invalid slot status "${command.status}". Allowed: ${Object.values(SLOT_STATUS).join(", ")}.`
+      );
+    }
+    if (command.status === this.status) {
+      throw new Error(`Invalid status change: slot ${this.id} is already "${this.status}".`);
+    }
+
+    this._applyAndRecord(
+      new SlotStatusChangedEvent(
+        this.id,
+        this.status,
+        command.status,
+        command.reason,
+        this._nextVersion()
+      )
+    );
+  }
+
+  /**
+   * ปลด Slot ออกจากการใช้งาน
+   * @param {object} command - DecommissionSlotCommand
+   * @param {{pending: string[], checkedIn: string[]}} reservations - การจองของ Slot ที่ยังไม่จบ (จาก Read Model)
+   */
+  decommission(command, reservations) {
+    this._assertActive();
+
+    if (reservations.checkedIn.length > 0) {
+      throw new Error(
+        `Cannot decommission slot ${this.id}: a vehicle is parked on it (reservation ${reservations.checkedIn.join(", ")}).`
+      );
+    }
+    if (
+      reservations.pending.length > 0 &&
+      command.pendingReservations === PENDING_RESERVATION_RESOLUTION.REFUSE
+    ) {
+      throw new Error(
+        `Cannot decommission slot ${this.id}: ${reservations.pending.length} upcoming pending reservation(s). ` +
+          `Use pendingReservations "cancel" or "relocate".`
+      );
+    }
+
+    this._applyAndRecord(
+      new SlotDecommissionedEvent(
+        this.id,
+        command.reason,
+        command.pendingReservations,
+        reservations.pending,
+        this._nextVersion()
+      )
+    );
+  }
+
+  _assertActive() {
+    this._assertExists();
+    if (this.decommissionedAt) {
+      throw new Error(
+        `Cannot modify slot ${this.id}: it was decommissioned at ${this.decommissionedAt}.`
+      );
+    }
+  }
+
+  _assertExists() {
+    if (this.version === 0 && this.uncommittedEvents.length === 0) {
+      throw new Error(`Slot with ID ${this.id} not found.`);
+    }
+  }
+
+  // Version ของ Event ถัดไป (ใส่ไว้ใน Event ให้ Projection ตรวจลำดับ)
+  _nextVersion() {
+    return this.version + this.uncommittedEvents.length + 1;
+  }
 
   _applyAndRecord(event) {
     this._apply(event);
@@ -54,11 +173,19 @@ export class SlotAggregate {
     let eventType;
     let data;
 
-    if (event instanceof SlotCreatedEvent) {
+    if (
+      event instanceof SlotCreatedEvent ||
+      event instanceof SlotUpdatedEvent ||
+      event instanceof SlotStatusChangedEvent ||
+      event instanceof SlotDecommissionedEvent
+    ) {
       eventType = event.constructor.name;
       data = event;
     } else if (typeof event === "object" && event !== null) {
-      if (event.slotId && event.name) eventType = "SlotCreatedEvent";
+      if (event.decommissionedAt) eventType = "SlotDecommissionedEvent";
+      else if (event.statusChangedAt) eventType = "SlotStatusChangedEvent";
+      else if (event.slotUpdatedAt) eventType = "SlotUpdatedEvent";
+      else if (event.slotId && event.name) eventType = "SlotCreatedEvent";
       else eventType = "UnknownEvent";
       data = event;
     } else {
@@ -77,6 +204,21 @@ export class SlotAggregate {
         this.zoneId = data.zoneId;         // 👈 Update State
         this.status = data.status || "available";
         break;
+
+      case "SlotUpdatedEvent":
+        for (const field of UPDATABLE_FIELDS) {
+          if (data.changes[field] !== undefined) this[field] = data.changes[field];
+        }
+        break;
+
+      case "SlotStatusChangedEvent":
+        this.status = data.newStatus;
+        break;
+
+      case "SlotDecommissionedEvent":
+        this.status = SLOT_STATUS.MAINTENANCE;
+        this.decommissionedAt = data.decommissionedAt;
+        break;
     }
   }
 
@@ -91,6 +233,7 @@ export class SlotAggregate {
       vehicleType: this.vehicleType, // 👈 Snapshot
       zoneId: this.zoneId,         // 👈 Snapshot
       status: this.status,
+      decommissionedAt: this.decommissionedAt,
     };
   }
 
@@ -106,6 +249,7 @@ export class SlotAggregate {
     this.vehicleType = data.vehicleType; // 👈 Restore
     this.zoneId = data.zoneId;         // 👈 Restore
     this.status = data.status;
+    this.decommissionedAt = data.decommissionedAt || null;
     this.version = snapshotRecord.version;
     console.log(
       `[Aggregate ${this.id}] Rehydrated from snapshot version ${this.version}`
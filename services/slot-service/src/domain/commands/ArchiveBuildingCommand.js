@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/ArchiveBuildingCommand.js
+
+export class ArchiveBuildingCommand {
+  /**
+   * @param {string} buildingId
+   * @param {string} reason - (Optional)
+   */
+  constructor(buildingId, reason) {
+    if (!buildingId) {
+      throw new Error("Invalid building: id is required.");
+    }
+    this.buildingId = buildingId;
+    this.reason = reason || null;
+  }
+}
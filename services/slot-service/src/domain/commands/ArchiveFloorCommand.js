@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/ArchiveFloorCommand.js
+
+export class ArchiveFloorCommand {
+  /**
+   * @param {string} floorId
+   * @param {string} reason - (Optional)
+   */
+  constructor(floorId, reason) {
+    if (!floorId) {
+      throw new Error("Invalid floor: id is required.");
+    }
+    this.floorId = floorId;
+    this.reason = reason || null;
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/ArchiveParkingSiteCommand.js
+
+export class ArchiveParkingSiteCommand {
+  /**
+   * @param {string} siteId
+   * @param {string} reason - (Optional)
+   */
+  constructor(siteId, reason) {
+    if (!siteId) {
+      throw new Error("Invalid parking site: id is required.");
+    }
+    this.siteId = siteId;
+    this.reason = reason || null;
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/ArchiveZoneCommand.js
+
+export class ArchiveZoneCommand {
+  /**
+   * @param {string} zoneId
+   * @param {string} reason - (Optional)
+   */
+  constructor(zoneId, reason) {
+    if (!zoneId) {
+      throw new Error("Invalid zone: id is required.");
+    }
+    this.zoneId = zoneId;
+    this.reason = reason || null;
+  }
+}
@@ -0,0 +1,20 @@
+// /services/slot-service/src/domain/commands/ChangeSlotStatusCommand.js
+
+export class ChangeSlotStatusCommand {
+  /**
+   * @param {string} slotId
+   * @param {string} status - available / reserved / occupied / maintenance
+   * @param {string} reason - (Optional) เหตุผลที่เปลี่ยนสถานะ
+   */
+  constructor(slotId, status, reason) {
+    if (!slotId) {
+      throw new Error("Slot ID is required.");
+    }
+    if (!status) {
+      throw new Error("Slot status is required.");
+    }
+    this.slotId = slotId;
+    this.status = status;
+    this.reason = reason || null;
+  }
+}
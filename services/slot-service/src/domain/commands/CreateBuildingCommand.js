@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/commands/CreateBuildingCommand.js
+
+export class CreateBuildingCommand {
+  /**
+   * @param {string} buildingId - (Optional) ไม่ส่งมา = สร้างให้โดยขึ้นต้นด้วย parkingSiteId
+   * @param {string} parkingSiteId
+   * @param {object} attributes
+   */
+  constructor(buildingId, parkingSiteId, attributes) {
+    if (!parkingSiteId) {
+      throw new Error("Invalid building: parkingSiteId is required.");
+    }
+    this.buildingId = buildingId || null;
+    this.parkingSiteId = parkingSiteId;
+    this.attributes = attributes || {};
+  }
+}
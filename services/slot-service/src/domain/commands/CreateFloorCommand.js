@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/commands/CreateFloorCommand.js
+
+export class CreateFloorCommand {
+  /**
+   * @param {string} floorId - (Optional) ไม่ส่งมา = สร้างให้โดยขึ้นต้นด้วย buildingId
+   * @param {string} buildingId
+   * @param {object} attributes
+   */
+  constructor(floorId, buildingId, attributes) {
+    if (!buildingId) {
+      throw new Error("Invalid floor: buildingId is required.");
+    }
+    this.floorId = floorId || null;
+    this.buildingId = buildingId;
+    this.attributes = attributes || {};
+  }
+}
@@ -0,0 +1,12 @@
+// /services/slot-service/src/domain/commands/CreateParkingSiteCommand.js
+
+export class CreateParkingSiteCommand {
+  /**
+   * @param {string} siteId - (Optional) ไม่ส่งมา = สร้าง UUID ให้
+   * @param {object} attributes
+   */
+  constructor(siteId, attributes) {
+    this.siteId = siteId || null;
+    this.attributes = attributes || {};
+  }
+}
@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/commands/CreateZoneCommand.js
+
+export class CreateZoneCommand {
+  /**
+   * @param {string} zoneId - (Optional) ไม่ส่งมา = สร้างให้โดยขึ้นต้นด้วย floorId
+   * @param {string} floorId
+   * @param {object} attributes
+   */
+  constructor(zoneId, floorId, attributes) {
+    if (!floorId) {
+      throw new Error("Invalid zone: floorId is required.");
+    }
+    this.zoneId = zoneId || null;
+    this.floorId = floorId;
+    this.attributes = attributes || {};
+  }
+}
@@ -0,0 +1,27 @@
+// /services/slot-service/src/domain/commands/DecommissionSlotCommand.js
+import {
+  PENDING_RESERVATION_RESOLUTION,
+  isValidResolution,
+} from "../constants/decommissionPolicy.js";
+
+export class DecommissionSlotCommand {
+  /**
+   * @param {string} slotId
+   * @param {string} reason - (Optional) เหตุผลที่ปลด Slot
+   * @param {string} pendingReservations - refuse (Default) / cancel / relocate
+   */
+  constructor(slotId, reason, pendingReservations) {
+    if (!slotId) {
+      throw new Error("Slot ID is required.");
+    }
+    const resolution = pendingReservations || PENDING_RESERVATION_RESOLUTION.REFUSE;
+    if (!isValidResolution(resolution)) {
+      throw new Error(
+        `Invalid pendingReservations "${resolution}". Allowed: ${Object.values(PENDING_RESERVATION_RESOLUTION).join(", ")}.`
+      );
+    }
+    this.slotId = slotId;
+    this.reason = reason || null;
+    this.pendingReservations = resolution;
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/UpdateBuildingCommand.js
+
+export class UpdateBuildingCommand {
+  /**
+   * @param {string} buildingId
+   * @param {object} changes - ฟิลด์ที่ต้องการแก้ไข
+   */
+  constructor(buildingId, changes) {
+    if (!buildingId) {
+      throw new Error("Invalid building: id is required.");
+    }
+    this.buildingId = buildingId;
+    this.changes = changes || {};
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/UpdateFloorCommand.js
+
+export class UpdateFloorCommand {
+  /**
+   * @param {string} floorId
+   * @param {object} changes - ฟิลด์ที่ต้องการแก้ไข
+   */
+  constructor(floorId, changes) {
+    if (!floorId) {
+      throw new Error("Invalid floor: id is required.");
+    }
+    this.floorId = floorId;
+    this.changes = changes || {};
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/UpdateParkingSiteCommand.js
+
+export class UpdateParkingSiteCommand {
+  /**
+   * @param {string} siteId
+   * @param {object} changes - ฟิลด์ที่ต้องการแก้ไข
+   */
+  constructor(siteId, changes) {
+    if (!siteId) {
+      throw new Error("Invalid parking site: id is required.");
+    }
+    this.siteId = siteId;
+    this.changes = changes || {};
+  }
+}
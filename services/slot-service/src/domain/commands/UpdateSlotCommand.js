@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/UpdateSlotCommand.js
+
+export class UpdateSlotCommand {
+  /**
+   * @param {string} slotId
+   * @param {object} changes - (Optional ทุกฟิลด์) name, details, slotNumber, vehicleType, zoneId
+   */
+  constructor(slotId, changes) {
+    if (!slotId) {
+      throw new Error("Slot ID is required.");
+    }
+    this.slotId = slotId;
+    this.changes = changes || {};
+  }
+}
@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/commands/UpdateZoneCommand.js
+
+export class UpdateZoneCommand {
+  /**
+   * @param {string} zoneId
+   * @param {object} changes - ฟิลด์ที่ต้องการแก้ไข
+   */
+  constructor(zoneId, changes) {
+    if (!zoneId) {
+      throw new Error("Invalid zone: id is required.");
+    }
+    this.zoneId = zoneId;
+    this.changes = changes || {};
+  }
+}
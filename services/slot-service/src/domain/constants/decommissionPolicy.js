@@ -0,0 +1,11 @@
+// /services/slot-service/src/domain/constants/decommissionPolicy.js
+
+// เมื่อปลด Slot ที่ยังมีการจอง pending ในอนาคต
+export const PENDING_RESERVATION_RESOLUTION = {
+  REFUSE: "refuse",     // ไม่ให้ปลด (Default)
+  CANCEL: "cancel",     // user-car-service ยกเลิกการจอง (SLOT_UNAVAILABLE ไม่มีค่าปรับ)
+  RELOCATE: "relocate", // user-car-service ย้ายไป Slot อื่นที่ว่าง หาไม่ได้ -> ยกเลิก
+};
+
+export const isValidResolution = (resolution) =>
+  Object.values(PENDING_RESERVATION_RESOLUTION).includes(resolution);
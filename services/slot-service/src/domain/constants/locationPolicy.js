@@ -0,0 +1,65 @@
+// /services/slot-service/src/domain/constants/locationPolicy.js
+
+// id ของ Site / Building / Floor / Zone เป็น text แต่ event_store.aggregate_id เป็น uuid
+// -> aggregate id = uuidv5(id, NAMESPACE ของแต่ละประเภท) (id เดียวกันต่างประเภทไม่ชนกัน)
+export const LOCATION_ID_NAMESPACE = {
+  SITE: "f2c27d46-d89f-4543-826b-63f8217d1845",
+  BUILDING: "15d62a2d-f488-414e-bfb6-f10504d5d634",
+  FLOOR: "b6f69f5e-6e63-4961-b598-00c333e45e52",
+  ZONE: "751a38f6-8a7e-4359-9425-79cb2ce3c044",
+};
+
+// ตรงกับ enum public.site_status
+export const SITE_STATUS = {
+  ACTIVE: "active",
+  INACTIVE: "inactive",
+  MAINTENANCE: "maintenance",
+};
+
+export const isValidSiteStatus = (status) => Object.values(SITE_STATUS).includes(status);
+
+// ฟิลด์ที่แต่ละประเภทของ Location รับได้ (camelCase ตามคอลัมน์ของตาราง)
+// parking_sites: เวลาเปิด-ปิด, Timezone, นโยบายการจอง/ยกเลิก/ค่าปรับ
+export const PARKING_SITE_FIELDS = [
+  "name", "code", "description", "timezone", "timezoneOffset", "status", "openingTime",
+  "closingTime", "cancellationCutoffMinutes", "noShowGraceMinutes", "earlyCheckInMinutes",
+  "lateCheckInMinutes", "maxActiveReservations", "maxBookingDurationMinutes",
+  "maxAdvanceBookingDays", "minLeadTimeMinutes", "noShowFee", "lateCancellationFee",
+];
+
+// buildings: แผนที่, เวลาเปิด-ปิด, Booking Rules, Tariff, Dynamic Pricing
+export const BUILDING_FIELDS = [
+  "name", "lat", "lng", "mapX", "mapY", "images", "allowedUserTypes", "pricePerHour",
+  "scheduleConfig", "openTime", "closeTime", "priceInfo", "priceValue", "userTypes",
+  "maxActiveReservations", "maxBookingDurationMinutes", "maxAdvanceBookingDays",
+  "minLeadTimeMinutes", "billingIncrementMinutes", "freeMinutes", "dailyCap",
+  "overstaySurchargePerHour", "vehicleTypePremiums", "occupancyMultipliers",
+];
+
+// floors: levelOrder = ลำดับชั้น ใช้เรียงและเลือก Slot ชั้นล่างก่อน
+export const FLOOR_FIELDS = ["name", "levelOrder"];
+
+export const ZONE_FIELDS = ["name"];
+
+export const validateSiteAttributes = (attributes) => {
+  if (attributes.status !== undefined && !isValidSiteStatus(attributes.status)) {
+    throw new Error(
+      `Invalid parking site status "${attributes.status}". Allowed: ${Object.values(SITE_STATUS).join(", ")}.`
+    );
+  }
+};
+
+export const validateBuildingAttributes = (attributes) => {
+  for (const field of ["pricePerHour", "dailyCap", "overstaySurchargePerHour"]) {
+    const value = attributes[field];
+    if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+      throw new Error(`Invalid building: ${field} must be a non-negative number.`);
+    }
+  }
+};
+
+export const validateFloorAttributes = (attributes) => {
+  if (attributes.levelOrder !== undefined && !Number.isInteger(attributes.levelOrder)) {
+    throw new Error("Invalid floor: levelOrder must be an integer.");
+  }
+};
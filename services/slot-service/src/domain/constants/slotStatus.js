@@ -0,0 +1,11 @@
+// /services/slot-service/src/domain/constants/slotStatus.js
+
+// ตรงกับ enum public.slot_status
+export const SLOT_STATUS = {
+  AVAILABLE: "available",
+  RESERVED: "reserved",
+  OCCUPIED: "occupied",
+  MAINTENANCE: "maintenance",
+};
+
+export const isValidSlotStatus = (status) => Object.values(SLOT_STATUS).includes(status);
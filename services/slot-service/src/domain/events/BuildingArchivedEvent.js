@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/BuildingArchivedEvent.js
+
+export class BuildingArchivedEvent {
+  /**
+   * @param {string} buildingId
+   * @param {string|null} reason
+   */
+  constructor(buildingId, reason) {
+    this.buildingId = buildingId;
+    this.reason = reason || null;
+    this.buildingArchivedAt = new Date().toISOString();
+  }
+}
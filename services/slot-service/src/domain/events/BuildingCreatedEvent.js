@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/events/BuildingCreatedEvent.js
+
+export class BuildingCreatedEvent {
+  /**
+   * @param {string} buildingId
+   * @param {string} parkingSiteId
+   * @param {object} attributes - ข้อมูลของอาคาร (camelCase ตามคอลัมน์ของตาราง)
+   * @param {boolean} [imported] - true = นำเข้าแถวที่มีอยู่แล้วในฐานข้อมูล (สร้างก่อนมี Event)
+   */
+  constructor(buildingId, parkingSiteId, attributes, imported = false) {
+    this.buildingId = buildingId;
+    this.parkingSiteId = parkingSiteId;
+    this.attributes = attributes;
+    this.imported = imported;
+    this.buildingCreatedAt = new Date().toISOString();
+  }
+}
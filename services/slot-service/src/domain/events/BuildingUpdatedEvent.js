@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/BuildingUpdatedEvent.js
+
+export class BuildingUpdatedEvent {
+  /**
+   * @param {string} buildingId
+   * @param {object} changes - เฉพาะฟิลด์ที่เปลี่ยน
+   */
+  constructor(buildingId, changes) {
+    this.buildingId = buildingId;
+    this.changes = changes;
+    this.buildingUpdatedAt = new Date().toISOString();
+  }
+}
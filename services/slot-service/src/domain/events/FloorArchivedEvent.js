@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/FloorArchivedEvent.js
+
+export class FloorArchivedEvent {
+  /**
+   * @param {string} floorId
+   * @param {string|null} reason
+   */
+  constructor(floorId, reason) {
+    this.floorId = floorId;
+    this.reason = reason || null;
+    this.floorArchivedAt = new Date().toISOString();
+  }
+}
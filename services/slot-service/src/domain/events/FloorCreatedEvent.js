@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/events/FloorCreatedEvent.js
+
+export class FloorCreatedEvent {
+  /**
+   * @param {string} floorId
+   * @param {string} buildingId
+   * @param {object} attributes - ข้อมูลของชั้น (camelCase ตามคอลัมน์ของตาราง)
+   * @param {boolean} [imported] - true = นำเข้าแถวที่มีอยู่แล้วในฐานข้อมูล (สร้างก่อนมี Event)
+   */
+  constructor(floorId, buildingId, attributes, imported = false) {
+    this.floorId = floorId;
+    this.buildingId = buildingId;
+    this.attributes = attributes;
+    this.imported = imported;
+    this.floorCreatedAt = new Date().toISOString();
+  }
+}
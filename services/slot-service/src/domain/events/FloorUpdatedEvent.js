@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/FloorUpdatedEvent.js
+
+export class FloorUpdatedEvent {
+  /**
+   * @param {string} floorId
+   * @param {object} changes - เฉพาะฟิลด์ที่เปลี่ยน
+   */
+  constructor(floorId, changes) {
+    this.floorId = floorId;
+    this.changes = changes;
+    this.floorUpdatedAt = new Date().toISOString();
+  }
+}
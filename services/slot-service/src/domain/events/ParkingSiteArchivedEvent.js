@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/ParkingSiteArchivedEvent.js
+
+export class ParkingSiteArchivedEvent {
+  /**
+   * @param {string} siteId
+   * @param {string|null} reason
+   */
+  constructor(siteId, reason) {
+    this.siteId = siteId;
+    this.reason = reason || null;
+    this.siteArchivedAt = new Date().toISOString();
+  }
+}
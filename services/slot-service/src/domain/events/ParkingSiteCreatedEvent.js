@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/events/ParkingSiteCreatedEvent.js
+
+export class ParkingSiteCreatedEvent {
+  /**
+   * @param {string} siteId
+   * @param {object} attributes - ข้อมูลของสถานที่จอดรถ (Site) (camelCase ตามคอลัมน์ของตาราง)
+   * @param {boolean} [imported] - true = นำเข้าแถวที่มีอยู่แล้วในฐานข้อมูล (สร้างก่อนมี Event)
+   */
+  constructor(siteId, attributes, imported = false) {
+    this.siteId = siteId;
+    this.attributes = attributes;
+    this.imported = imported;
+    this.siteCreatedAt = new Date().toISOString();
+  }
+}
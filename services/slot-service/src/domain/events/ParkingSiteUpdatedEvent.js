@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/ParkingSiteUpdatedEvent.js
+
+export class ParkingSiteUpdatedEvent {
+  /**
+   * @param {string} siteId
+   * @param {object} changes - เฉพาะฟิลด์ที่เปลี่ยน
+   */
+  constructor(siteId, changes) {
+    this.siteId = siteId;
+    this.changes = changes;
+    this.siteUpdatedAt = new Date().toISOString();
+  }
+}
@@ -0,0 +1,19 @@
+// /services/slot-service/src/domain/events/SlotDecommissionedEvent.js
+
+export class SlotDecommissionedEvent {
+  /**
+   * @param {string} slotId
+   * @param {string|null} reason
+   * @param {string} resolution - refuse / cancel / relocate (การจอง pending ที่ค้างอยู่)
+   * @param {string[]} affectedReservationIds - การจอง pending ตอนสั่งปลด
+   * @param {number} version - Version ของ Slot หลัง Event นี้ (Projection ใช้ตรวจลำดับ)
+   */
+  constructor(slotId, reason, resolution, affectedReservationIds, version) {
+    this.slotId = slotId;
+    this.reason = reason || null;
+    this.resolution = resolution;
+    this.affectedReservationIds = affectedReservationIds;
+    this.version = version;
+    this.decommissionedAt = new Date().toISOString();
+  }
+}
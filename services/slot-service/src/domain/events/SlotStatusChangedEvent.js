@@ -0,0 +1,19 @@
+// /services/slot-service/src/domain/events/SlotStatusChangedEvent.js
+
+export class SlotStatusChangedEvent {
+  /**
+   * @param {string} slotId
+   * @param {string} previousStatus
+   * @param {string} newStatus - available / reserved / occupied / maintenance
+   * @param {string|null} reason - (Optional) เช่น "ไฟเสีย ปิดซ่อม"
+   * @param {number} version - Version ของ Slot หลัง Event นี้ (Projection ใช้ตรวจลำดับ)
+   */
+  constructor(slotId, previousStatus, newStatus, reason, version) {
+    this.slotId = slotId;
+    this.previousStatus = previousStatus;
+    this.newStatus = newStatus;
+    this.reason = reason || null;
+    this.version = version;
+    this.statusChangedAt = new Date().toISOString();
+  }
+}
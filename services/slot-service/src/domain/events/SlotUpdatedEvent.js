@@ -0,0 +1,15 @@
+// /services/slot-service/src/domain/events/SlotUpdatedEvent.js
+
+export class SlotUpdatedEvent {
+  /**
+   * @param {string} slotId
+   * @param {object} changes - เฉพาะฟิลด์ที่เปลี่ยน เช่น { name, details, slotNumber, vehicleType, zoneId }
+   * @param {number} version - Version ของ Slot หลัง Event นี้ (Projection ใช้ตรวจลำดับ)
+   */
+  constructor(slotId, changes, version) {
+    this.slotId = slotId;
+    this.changes = changes;
+    this.version = version;
+    this.slotUpdatedAt = new Date().toISOString();
+  }
+}
@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/ZoneArchivedEvent.js
+
+export class ZoneArchivedEvent {
+  /**
+   * @param {string} zoneId
+   * @param {string|null} reason
+   */
+  constructor(zoneId, reason) {
+    this.zoneId = zoneId;
+    this.reason = reason || null;
+    this.zoneArchivedAt = new Date().toISOString();
+  }
+}
@@ -0,0 +1,17 @@
+// /services/slot-service/src/domain/events/ZoneCreatedEvent.js
+
+export class ZoneCreatedEvent {
+  /**
+   * @param {string} zoneId
+   * @param {string} floorId
+   * @param {object} attributes - ข้อมูลของโซน (camelCase ตามคอลัมน์ของตาราง)
+   * @param {boolean} [imported] - true = นำเข้าแถวที่มีอยู่แล้วในฐานข้อมูล (สร้างก่อนมี Event)
+   */
+  constructor(zoneId, floorId, attributes, imported = false) {
+    this.zoneId = zoneId;
+    this.floorId = floorId;
+    this.attributes = attributes;
+    this.imported = imported;
+    this.zoneCreatedAt = new Date().toISOString();
+  }
+}
@@ -0,0 +1,13 @@
+// /services/slot-service/src/domain/events/ZoneUpdatedEvent.js
+
+export class ZoneUpdatedEvent {
+  /**
+   * @param {string} zoneId
+   * @param {object} changes - เฉพาะฟิลด์ที่เปลี่ยน
+   */
+  constructor(zoneId, changes) {
+    this.zoneId = zoneId;
+    this.changes = changes;
+    this.zoneUpdatedAt = new Date().toISOString();
+  }
+}
@@ -5,7 +5,7 @@ import cors from "cors"; // Import cors
 import { createClient } from "@supabase/supabase-js";
 
 // Infrastructure
-import { SupabaseEventStore, RabbitMQAdapter, createLogger, AppError, errorHandler, VEHICLE_TYPE } from "@parking-reservation/common";
+import { SupabaseEventStore, RabbitMQAdapter, createLogger, AppError, errorHandler, VEHICLE_TYPE, createIdempotencyMiddleware } from "@parking-reservation/common";
 // (SnapshotStore ถูกคัดลอกมาด้วย แต่เรายังไม่ได้ใช้ใน CreateSlot)
 
 // Projections
@@ -14,6 +14,28 @@ import { EventConsumer } from "./infrastructure/projections/EventConsumer.js";
 // Domain/Application
 import { CreateSlotCommand } from "./domain/commands/CreateSlotCommand.js";
 import { CreateSlotCommandHandler } from "./application/handlers/command-handlers/CreateSlotCommandHandler.js";
+import { UpdateSlotCommand } from "./domain/commands/UpdateSlotCommand.js";
+import { UpdateSlotCommandHandler } from "./application/handlers/command-handlers/UpdateSlotCommandHandler.js";
+import { ChangeSlotStatusCommand } from "./domain/commands/ChangeSlotStatusCommand.js";
+import { ChangeSlotStatusCommandHandler } from "./application/handlers/command-handlers/ChangeSlotStatusCommandHandler.js";
+import { DecommissionSlotCommand } from "./domain/commands/DecommissionSlotCommand.js";
+import { DecommissionSlotCommandHandler } from "./application/handlers/command-handlers/DecommissionSlotCommandHandler.js";
+import { CreateParkingSiteCommand } from "./domain/commands/CreateParkingSiteCommand.js";
+import { UpdateParkingSiteCommand } from "./domain/commands/UpdateParkingSiteCommand.js";
+import { ArchiveParkingSiteCommand } from "./domain/commands/ArchiveParkingSiteCommand.js";
+import { CreateBuildingCommand } from "./domain/commands/CreateBuildingCommand.js";
+import { UpdateBuildingCommand } from "./domain/commands/UpdateBuildingCommand.js";
+import { ArchiveBuildingCommand } from "./domain/commands/ArchiveBuildingCommand.js";
+import { CreateFloorCommand } from "./domain/commands/CreateFloorCommand.js";
+import { UpdateFloorCommand } from "./domain/commands/UpdateFloorCommand.js";
+import { ArchiveFloorCommand } from "./domain/commands/ArchiveFloorCommand.js";
+import { CreateZoneCommand } from "./domain/commands/CreateZoneCommand.js";
+import { UpdateZoneCommand } from "./domain/commands/UpdateZoneCommand.js";
+import { ArchiveZoneCommand } from "./domain/commands/ArchiveZoneCommand.js";
+import { CreateLocationCommandHandler } from "./application/handlers/command-handlers/CreateLocationCommandHandler.js";
+import { UpdateLocationCommandHandler } from "./application/handlers/command-handlers/UpdateLocationCommandHandler.js";
+import { ArchiveLocationCommandHandler } from "./application/handlers/command-handlers/ArchiveLocationCommandHandler.js";
+import { LocationRepository } from "./infrastructure/persistence/LocationRepository.js";
 
 const logger = createLogger('slot-service');
 
@@ -36,10 +58,51 @@ const supabase = createClient(
 );
 const eventStore = new SupabaseEventStore(supabase);
 const messageBroker = new RabbitMQAdapter();
+const locationRepository = new LocationRepository(eventStore, supabase);
 const createSlotHandler = new CreateSlotCommandHandler(
   eventStore,
-  messageBroker
+  messageBroker,
+  locationRepository
 );
+const updateSlotHandler = new UpdateSlotCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const changeSlotStatusHandler = new ChangeSlotStatusCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const decommissionSlotHandler = new DecommissionSlotCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const createParkingSiteHandler = new CreateLocationCommandHandler("site", eventStore, messageBroker, locationRepository);
+const updateParkingSiteHandler = new UpdateLocationCommandHandler("site", eventStore, messageBroker, locationRepository);
+const archiveParkingSiteHandler = new ArchiveLocationCommandHandler("site", eventStore, messageBroker, locationRepository);
+const createBuildingHandler = new CreateLocationCommandHandler("building", eventStore, messageBroker, locationRepository);
+const updateBuildingHandler = new UpdateLocationCommandHandler("building", eventStore, messageBroker, locationRepository);
+const archiveBuildingHandler = new ArchiveLocationCommandHandler("building", eventStore, messageBroker, locationRepository);
+const createFloorHandler = new CreateLocationCommandHandler("floor", eventStore, messageBroker, locationRepository);
+const updateFloorHandler = new UpdateLocationCommandHandler("floor", eventStore, messageBroker, locationRepository);
+const archiveFloorHandler = new ArchiveLocationCommandHandler("floor", eventStore, messageBroker, locationRepository);
+const createZoneHandler = new CreateLocationCommandHandler("zone", eventStore, messageBroker, locationRepository);
+const updateZoneHandler = new UpdateLocationCommandHandler("zone", eventStore, messageBroker, locationRepository);
+const archiveZoneHandler = new ArchiveLocationCommandHandler("zone", eventStore, messageBroker, locationRepository);
+const idempotency = createIdempotencyMiddleware(supabase, { scope: "slot-service" });
+
+// Error จาก Command Handler (Error ธรรมดา) -> AppError ตามข้อความ
+const toHttpError = (error) => {
+  if (error.statusCode) return error;
+  if (error.message.includes("not found")) return new AppError(error.message, 404);
+  if (error.message.includes("Concurrency Error")) return new AppError(error.message, 409);
+  if (error.message.includes("already exists")) return new AppError(error.message, 409);
+  if (error.message.startsWith("Cannot ")) return new AppError(error.message, 409);
+  if (error.message.startsWith("Invalid")) return new AppError(error.message, 400);
+  return error;
+};
 
 // ===================================
 // === API Endpoints
@@ -48,16 +111,17 @@ const createSlotHandler = new CreateSlotCommandHandler(
 /**
  * GET /slots
  * ดึงข้อมูลช่องจอดทั้งหมด (รองรับการกรองด้วย parkingSiteId และ floorId)
+ * Slot ที่ถูกปลดแล้วจะไม่แสดง ยกเว้นส่ง includeDecommissioned=true (Admin)
  */
 app.get("/slots", async (req, res) => {
-  const { parkingSiteId, floorId, status } = req.query;
+  const { parkingSiteId, floorId, status, includeDecommissioned } = req.query;
   console.log(`[SlotSvc] GET /slots query:`, req.query);
 
   try {
     // 🔽 แก้ไข: เพิ่ม zone_id และ join zones 🔽
     let query = supabase
       .from("slots")
-      .select("id, name, floor_id, details, status, parking_site_id, zone_id, zones(name)");
+      .select("id, name, floor_id, details, status, parking_site_id, zone_id, decommissioned_at, zones(name)");
 
     // กรองตามสาขา
     if (parkingSiteId) {
@@ -96,6 +160,11 @@ app.get("/slots", async (req, res) => {
       query = query.eq("status", status);
     }
 
+    // ไม่รวม Slot ที่ถูกปลดแล้ว
+    if (includeDecommissioned !== "true") {
+      query = query.is("decommissioned_at", null);
+    }
+
     const { data, error } = await query;
 
     if (error) throw error;
@@ -109,7 +178,7 @@ app.get("/slots", async (req, res) => {
  * POST /slots
  * (Admin) สร้างช่องจอดใหม่
  */
-app.post("/slots", async (req, res, next) => {
+app.post("/slots", idempotency, async (req, res, next) => {
   logger.info("[SlotSvc] Received POST /slots request");
   try {
     // รับ parkingSiteId เพิ่มเติม
@@ -124,7 +193,272 @@ app.post("/slots", async (req, res, next) => {
     res.status(201).json(result);
   } catch (error) {
     logger.error(`[SlotSvc] Error in POST /slots: ${error.message}`);
-    next(error);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * PATCH /slots/:id
+ * (Admin) แก้ไขข้อมูลช่องจอด (name, details, slotNumber, vehicleType, zoneId)
+ */
+app.patch("/slots/:id", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] PATCH /slots/${id}`);
+  try {
+    const { name, details, slotNumber, vehicleType, zoneId } = req.body;
+    const command = new UpdateSlotCommand(id, { name, details, slotNumber, vehicleType, zoneId });
+    const result = await updateSlotHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in PATCH /slots/${id}: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /slots/:id/status
+ * (Admin) เปลี่ยนสถานะช่องจอด { status: available | reserved | occupied | maintenance, reason? }
+ */
+app.post("/slots/:id/status", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /slots/${id}/status -> ${req.body.status}`);
+  try {
+    if (!req.body.status) {
+      return next(new AppError("status is required.", 400));
+    }
+    const command = new ChangeSlotStatusCommand(id, req.body.status, req.body.reason);
+    const result = await changeSlotStatusHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /slots/${id}/status: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /slots/:id/decommission
+ * (Admin) ปลดช่องจอดออกจากการใช้งาน (ไม่ลบแถว เก็บประวัติการจองไว้)
+ * { reason?, pendingReservations?: refuse (Default) | cancel | relocate }
+ */
+app.post("/slots/:id/decommission", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /slots/${id}/decommission`);
+  try {
+    const { reason, pendingReservations } = req.body;
+    const command = new DecommissionSlotCommand(id, reason, pendingReservations);
+    const result = await decommissionSlotHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /slots/${id}/decommission: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+// ===================================
+// === Site / Building / Floor / Zone (Admin)
+// ===================================
+
+/**
+ * POST /sites
+ * (Admin) สร้างสถานที่จอดรถ (Site) { id?, name, code, timezone, เวลาเปิด-ปิด, นโยบายการจอง/ยกเลิก/ค่าปรับ }
+ */
+app.post("/sites", idempotency, async (req, res, next) => {
+  logger.info("[SlotSvc] POST /sites");
+  try {
+    const { id, ...attributes } = req.body;
+    const command = new CreateParkingSiteCommand(id, attributes);
+    const result = await createParkingSiteHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /sites: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * PATCH /sites/:id
+ * (Admin) แก้ไขข้อมูลสถานที่จอดรถ (Site) (เฉพาะฟิลด์ที่ส่งมา)
+ */
+app.patch("/sites/:id", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] PATCH /sites/${id}`);
+  try {
+    const command = new UpdateParkingSiteCommand(id, req.body);
+    const result = await updateParkingSiteHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in PATCH /sites/${id}: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /sites/:id/archive
+ * (Admin) เลิกใช้งานสถานที่จอดรถ (Site) (ไม่ลบแถว) { reason? } - ต้องไม่มีอาคารที่ยังใช้งานอยู่
+ */
+app.post("/sites/:id/archive", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /sites/${id}/archive`);
+  try {
+    const command = new ArchiveParkingSiteCommand(id, req.body.reason);
+    const result = await archiveParkingSiteHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /sites/${id}/archive: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /buildings
+ * (Admin) สร้างอาคาร { parkingSiteId, id?, name, lat/lng, mapX/mapY, เวลาเปิด-ปิด, Booking Rules, Tariff, Dynamic Pricing }
+ */
+app.post("/buildings", idempotency, async (req, res, next) => {
+  logger.info("[SlotSvc] POST /buildings");
+  try {
+    const { id, parkingSiteId, ...attributes } = req.body;
+    const command = new CreateBuildingCommand(id, parkingSiteId, attributes);
+    const result = await createBuildingHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /buildings: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * PATCH /buildings/:id
+ * (Admin) แก้ไขข้อมูลอาคาร (เฉพาะฟิลด์ที่ส่งมา)
+ */
+app.patch("/buildings/:id", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] PATCH /buildings/${id}`);
+  try {
+    const command = new UpdateBuildingCommand(id, req.body);
+    const result = await updateBuildingHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in PATCH /buildings/${id}: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /buildings/:id/archive
+ * (Admin) เลิกใช้งานอาคาร (ไม่ลบแถว) { reason? } - ต้องไม่มีชั้นที่ยังใช้งานอยู่
+ */
+app.post("/buildings/:id/archive", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /buildings/${id}/archive`);
+  try {
+    const command = new ArchiveBuildingCommand(id, req.body.reason);
+    const result = await archiveBuildingHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /buildings/${id}/archive: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /floors
+ * (Admin) สร้างชั้น { buildingId, id?, name, levelOrder }
+ */
+app.post("/floors", idempotency, async (req, res, next) => {
+  logger.info("[SlotSvc] POST /floors");
+  try {
+    const { id, buildingId, ...attributes } = req.body;
+    const command = new CreateFloorCommand(id, buildingId, attributes);
+    const result = await createFloorHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /floors: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * PATCH /floors/:id
+ * (Admin) แก้ไขข้อมูลชั้น (เฉพาะฟิลด์ที่ส่งมา)
+ */
+app.patch("/floors/:id", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] PATCH /floors/${id}`);
+  try {
+    const command = new UpdateFloorCommand(id, req.body);
+    const result = await updateFloorHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in PATCH /floors/${id}: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /floors/:id/archive
+ * (Admin) เลิกใช้งานชั้น (ไม่ลบแถว) { reason? } - ต้องไม่มีโซนที่ยังใช้งานอยู่
+ */
+app.post("/floors/:id/archive", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /floors/${id}/archive`);
+  try {
+    const command = new ArchiveFloorCommand(id, req.body.reason);
+    const result = await archiveFloorHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /floors/${id}/archive: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /zones
+ * (Admin) สร้างโซน { floorId, id?, name }
+ */
+app.post("/zones", idempotency, async (req, res, next) => {
+  logger.info("[SlotSvc] POST /zones");
+  try {
+    const { id, floorId, ...attributes } = req.body;
+    const command = new CreateZoneCommand(id, floorId, attributes);
+    const result = await createZoneHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /zones: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * PATCH /zones/:id
+ * (Admin) แก้ไขข้อมูลโซน (เฉพาะฟิลด์ที่ส่งมา)
+ */
+app.patch("/zones/:id", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] PATCH /zones/${id}`);
+  try {
+    const command = new UpdateZoneCommand(id, req.body);
+    const result = await updateZoneHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in PATCH /zones/${id}: ${error.message}`);
+    next(toHttpError(error));
+  }
+});
+
+/**
+ * POST /zones/:id/archive
+ * (Admin) เลิกใช้งานโซน (ไม่ลบแถว) { reason? } - ต้องไม่มีSlotที่ยังใช้งานอยู่
+ */
+app.post("/zones/:id/archive", idempotency, async (req, res, next) => {
+  const { id } = req.params;
+  logger.info(`[SlotSvc] POST /zones/${id}/archive`);
+  try {
+    const command = new ArchiveZoneCommand(id, req.body.reason);
+    const result = await archiveZoneHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error(`[SlotSvc] Error in POST /zones/${id}/archive: ${error.message}`);
+    next(toHttpError(error));
   }
 });
 
@@ -212,10 +546,12 @@ app.get('/sites/:siteId/buildings', async (req, res, next) => {
       .from('buildings')
       .select(`
         *,
-        floors (id, name),
+        floors (id, name, archived_at),
         user_bookmarks (user_id)
       `)
-      .eq('parking_site_id', siteId);
+      .eq('parking_site_id', siteId)
+      .is('archived_at', null) // ไม่รวมอาคาร/ชั้นที่ถูก Archive แล้ว
+      .is('floors.archived_at', null);
 
     if (error) throw error;
 
@@ -228,7 +564,8 @@ app.get('/sites/:siteId/buildings', async (req, res, next) => {
       const { data: slots, error: slotError } = await supabase
         .from('slots')
         .select('vehicle_type_code, status')
-        .like('floor_id', `${b.id}%`); // Convention: floor_id starts with building_id
+        .like('floor_id', `${b.id}%`) // Convention: floor_id starts with building_id
+        .is('decommissioned_at', null);
 
       if (slotError) {
           logger.error(`[SlotSvc] Error fetching slots for building ${b.id}:`, slotError);
@@ -363,7 +700,7 @@ const startServer = async () => {
     logger.info("✅ [SlotSvc] Message Broker connected.");
 
     // 2. เริ่มต้น Event Consumer
-    const consumer = new EventConsumer(supabase, messageBroker);
+    const consumer = new EventConsumer(supabase, messageBroker, eventStore);
     await consumer.start();
     logger.info("🎧 [SlotSvc] Event Consumer is running.");
 
@@ -0,0 +1,164 @@
+// /services/slot-service/src/infrastructure/persistence/LocationRepository.js
+import { LocationAggregate } from "../../domain/aggregates/LocationAggregate.js";
+import {
+  LOCATION_ID_NAMESPACE,
+  PARKING_SITE_FIELDS,
+  BUILDING_FIELDS,
+  FLOOR_FIELDS,
+  ZONE_FIELDS,
+  validateSiteAttributes,
+  validateBuildingAttributes,
+  validateFloorAttributes,
+} from "../../domain/constants/locationPolicy.js";
+import { ParkingSiteCreatedEvent } from "../../domain/events/ParkingSiteCreatedEvent.js";
+import { ParkingSiteUpdatedEvent } from "../../domain/events/ParkingSiteUpdatedEvent.js";
+import { ParkingSiteArchivedEvent } from "../../domain/events/ParkingSiteArchivedEvent.js";
+import { BuildingCreatedEvent } from "../../domain/events/BuildingCreatedEvent.js";
+import { BuildingUpdatedEvent } from "../../domain/events/BuildingUpdatedEvent.js";
+import { BuildingArchivedEvent } from "../../domain/events/BuildingArchivedEvent.js";
+import { FloorCreatedEvent } from "../../domain/events/FloorCreatedEvent.js";
+import { FloorUpdatedEvent } from "../../domain/events/FloorUpdatedEvent.js";
+import { FloorArchivedEvent } from "../../domain/events/FloorArchivedEvent.js";
+import { ZoneCreatedEvent } from "../../domain/events/ZoneCreatedEvent.js";
+import { ZoneUpdatedEvent } from "../../domain/events/ZoneUpdatedEvent.js";
+import { ZoneArchivedEvent } from "../../domain/events/ZoneArchivedEvent.js";
+import { SupabaseSnapshotStore } from "./SupabaseSnapshotStore.js";
+import { toAttributes } from "./locationColumns.js";
+
+// ประเภทของ Location: config ของ LocationAggregate (ฟิลด์, Parent, Event) และ Handler (ชื่อ, aggregate type)
+// + ตาราง Read Model, คอลัมน์ที่ชี้ไปหา Parent และข้อมูลลูก (ใช้ตรวจก่อน Archive)
+export const LOCATION_KINDS = {
+  site: {
+    label: "parking site",
+    title: "Parking site",
+    aggregateType: "ParkingSite",
+    namespace: LOCATION_ID_NAMESPACE.SITE,
+    events: { Created: ParkingSiteCreatedEvent, Updated: ParkingSiteUpdatedEvent, Archived: ParkingSiteArchivedEvent },
+    fields: PARKING_SITE_FIELDS,
+    requiredFields: ["name", "code"],
+    validate: validateSiteAttributes,
+    table: "parking_sites",
+    idField: "siteId",
+    parentKind: null,
+    parentField: null,
+    parentColumn: null,
+    childLabel: "building",
+    children: { table: "buildings", column: "parking_site_id", activeColumn: "archived_at" },
+  },
+  building: {
+    label: "building",
+    title: "Building",
+    aggregateType: "Building",
+    namespace: LOCATION_ID_NAMESPACE.BUILDING,
+    events: { Created: BuildingCreatedEvent, Updated: BuildingUpdatedEvent, Archived: BuildingArchivedEvent },
+    fields: BUILDING_FIELDS,
+    requiredFields: ["name"],
+    validate: validateBuildingAttributes,
+    table: "buildings",
+    idField: "buildingId",
+    parentKind: "site",
+    parentField: "parkingSiteId",
+    parentColumn: "parking_site_id",
+    childLabel: "floor",
+    children: { table: "floors", column: "building_id", activeColumn: "archived_at" },
+  },
+  floor: {
+    label: "floor",
+    title: "Floor",
+    aggregateType: "Floor",
+    namespace: LOCATION_ID_NAMESPACE.FLOOR,
+    events: { Created: FloorCreatedEvent, Updated: FloorUpdatedEvent, Archived: FloorArchivedEvent },
+    fields: FLOOR_FIELDS,
+    requiredFields: ["name"],
+    validate: validateFloorAttributes,
+    table: "floors",
+    idField: "floorId",
+    parentKind: "building",
+    parentField: "buildingId",
+    parentColumn: "building_id",
+    childLabel: "zone",
+    children: { table: "zones", column: "floor_id", activeColumn: "archived_at" },
+  },
+  zone: {
+    label: "zone",
+    title: "Zone",
+    aggregateType: "Zone",
+    namespace: LOCATION_ID_NAMESPACE.ZONE,
+    events: { Created: ZoneCreatedEvent, Updated: ZoneUpdatedEvent, Archived: ZoneArchivedEvent },
+    fields: ZONE_FIELDS,
+    requiredFields: ["name"],
+    validate: null,
+    table: "zones",
+    idField: "zoneId",
+    parentKind: "floor",
+    parentField: "floorId",
+    parentColumn: "floor_id",
+    childLabel: "slot",
+    children: { table: "slots", column: "zone_id", activeColumn: "decommissioned_at" },
+  },
+};
+
+/**
+ * โหลด Site / Building / Floor / Zone จาก Event Store
+ * แถวที่สร้างตรงในฐานข้อมูลก่อนมี Event (ยังไม่มี Event) -> นำเข้าเป็น Created Event (imported)
+ * ซึ่งจะถูกบันทึกไปพร้อมกับ Event ของ Command แรก
+ */
+export class LocationRepository {
+  constructor(eventStore, supabaseClient) {
+    if (!eventStore || !supabaseClient) {
+      throw new Error("LocationRepository requires an event store and supabase client.");
+    }
+    this.eventStore = eventStore;
+    this.supabase = supabaseClient;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+  }
+
+  /**
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   * @param {string} id - id ของแถวในตาราง (text)
+   * @returns {Promise<{aggregate: object, expectedVersion: number}>} aggregate.exists() = false ถ้าไม่พบ
+   */
+  async load(kind, id) {
+    const config = LOCATION_KINDS[kind];
+    const { fields, table, parentColumn } = config;
+    const aggregate = new LocationAggregate(LocationAggregate.aggregateIdFor(config, id), kind, config);
+    let expectedVersion = 0;
+
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregate.id);
+    if (snapshotRecord) {
+      aggregate.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(aggregate.id, expectedVersion);
+    if (history.length > 0) {
+      aggregate.rehydrateFromEvents(history);
+      expectedVersion = aggregate.version;
+    }
+    if (aggregate.exists()) {
+      return { aggregate, expectedVersion };
+    }
+
+    // --- ยังไม่มี Event -> ดูแถวเดิมใน Read Model ---
+    const { data: row, error } = await this.supabase.from(table).select("*").eq("id", id).maybeSingle();
+    if (error) throw error;
+    if (row) {
+      aggregate.importExisting(id, parentColumn ? row[parentColumn] : null, toAttributes(row, fields));
+    }
+    return { aggregate, expectedVersion };
+  }
+
+  /**
+   * จำนวนข้อมูลลูกที่ยังใช้งานอยู่ (Building ของ Site, Floor ของ Building, Zone ของ Floor, Slot ของ Zone)
+   */
+  async countActiveChildren(kind, id) {
+    const { table, column, activeColumn } = LOCATION_KINDS[kind].children;
+    const { count, error } = await this.supabase
+      .from(table)
+      .select("id", { count: "exact", head: true })
+      .eq(column, id)
+      .is(activeColumn, null);
+    if (error) throw error;
+    return count || 0;
+  }
+}
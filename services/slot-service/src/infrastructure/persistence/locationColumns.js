@@ -0,0 +1,20 @@
+// /services/slot-service/src/infrastructure/persistence/locationColumns.js
+
+// "maxActiveReservations" -> "max_active_reservations"
+const toSnakeCase = (field) => field.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+/**
+ * attributes ของ Location Aggregate (camelCase) -> คอลัมน์ของตาราง Read Model
+ */
+export const toColumns = (attributes = {}) =>
+  Object.fromEntries(Object.entries(attributes).map(([field, value]) => [toSnakeCase(field), value]));
+
+/**
+ * แถวของตาราง Read Model -> attributes (เฉพาะฟิลด์ที่ Aggregate รู้จัก, ข้ามค่า null)
+ */
+export const toAttributes = (row, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => row[toSnakeCase(field)] !== null && row[toSnakeCase(field)] !== undefined)
+      .map((field) => [field, row[toSnakeCase(field)]])
+  );
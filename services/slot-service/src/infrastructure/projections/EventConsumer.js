@@ -1,25 +1,28 @@
 // /services/slot-service/src/projections/EventConsumer.js
 
 import { SlotProjection } from "./SlotProjection.js";
+import { LocationProjection } from "./LocationProjection.js";
 // (ไม่จำเป็นต้องใช้ UserProjection)
 
 export class EventConsumer {
   /**
    * @param {object} supabaseClient - Instance ของ Supabase client
    * @param {object} messageBroker - Instance ของ RabbitMQAdapter
+   * @param {object} eventStore - ส่งต่อให้ SlotProjection ใช้สร้างแถวใหม่เมื่อ version ขาดช่วง
    */
-  constructor(supabaseClient, messageBroker) {
-    if (!supabaseClient || !messageBroker) {
+  constructor(supabaseClient, messageBroker, eventStore) {
+    if (!supabaseClient || !messageBroker || !eventStore) {
       throw new Error(
-        "EventConsumer requires supabaseClient and messageBroker."
+        "EventConsumer requires supabaseClient, messageBroker and eventStore."
       );
     }
     this.supabase = supabaseClient;
     this.messageBroker = messageBroker;
     this.exchangeName = "events_exchange"; // 👈 ชื่อ Exchange มาตรฐานที่เราใช้
 
-    // สร้าง instance ของ SlotProjection
-    this.slotProjection = new SlotProjection(this.supabase);
+    // สร้าง instance ของ Projection (Slot และ Site / Building / Floor / Zone)
+    this.slotProjection = new SlotProjection(this.supabase, eventStore);
+    this.locationProjection = new LocationProjection(this.supabase);
 
     this.handleEvent = this.handleEvent.bind(this);
   }
@@ -72,8 +75,8 @@ export class EventConsumer {
               "[EventConsumer][SlotSvc] Error processing message:",
               error
             );
-            // แจ้ง Broker ว่าประมวลผลไม่สำเร็จ (false, false = ทิ้งข้อความไป ไม่ต้องส่งใหม่)
-            channel.nack(msg, false, false);
+            // ครั้งแรกส่งกลับเข้าคิวให้ลองใหม่ (เช่น DB ล่มชั่วคราว) ถ้าเป็นข้อความที่ส่งซ้ำแล้วยังพังจึงทิ้ง
+            channel.nack(msg, false, !msg.fields.redelivered);
           }
         }
       },
@@ -92,10 +95,53 @@ export class EventConsumer {
         case "SlotCreatedEvent":
           await this.slotProjection.handleSlotCreated(event_data);
           break;
-        // (ในอนาคตจะมี case 'SlotStatusUpdatedEvent':)
-        // case 'SlotStatusUpdatedEvent':
-        //   await this.slotProjection.handleSlotStatusUpdated(event_data);
-        //   break;
+        case "SlotUpdatedEvent":
+          await this.slotProjection.handleSlotUpdated(event_data);
+          break;
+        case "SlotStatusChangedEvent":
+          await this.slotProjection.handleSlotStatusChanged(event_data);
+          break;
+        case "SlotDecommissionedEvent":
+          await this.slotProjection.handleSlotDecommissioned(event_data);
+          break;
+
+        // --- Site / Building / Floor / Zone ---
+        case "ParkingSiteCreatedEvent":
+          await this.locationProjection.handleCreated("site", event_data);
+          break;
+        case "ParkingSiteUpdatedEvent":
+          await this.locationProjection.handleUpdated("site", event_data);
+          break;
+        case "ParkingSiteArchivedEvent":
+          await this.locationProjection.handleArchived("site", event_data);
+          break;
+        case "BuildingCreatedEvent":
+          await this.locationProjection.handleCreated("building", event_data);
+          break;
+        case "BuildingUpdatedEvent":
+          await this.locationProjection.handleUpdated("building", event_data);
+          break;
+        case "BuildingArchivedEvent":
+          await this.locationProjection.handleArchived("building", event_data);
+          break;
+        case "FloorCreatedEvent":
+          await this.locationProjection.handleCreated("floor", event_data);
+          break;
+        case "FloorUpdatedEvent":
+          await this.locationProjection.handleUpdated("floor", event_data);
+          break;
+        case "FloorArchivedEvent":
+          await this.locationProjection.handleArchived("floor", event_data);
+          break;
+        case "ZoneCreatedEvent":
+          await this.locationProjection.handleCreated("zone", event_data);
+          break;
+        case "ZoneUpdatedEvent":
+          await this.locationProjection.handleUpdated("zone", event_data);
+          break;
+        case "ZoneArchivedEvent":
+          await this.locationProjection.handleArchived("zone", event_data);
+          break;
         default:
           console.warn(`[SlotSvc] No handler for event type: ${event_type}`);
       }
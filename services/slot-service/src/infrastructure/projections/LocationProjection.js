@@ -0,0 +1,76 @@
+// /services/slot-service/src/infrastructure/projections/LocationProjection.js
+import { LOCATION_KINDS } from "../persistence/LocationRepository.js";
+import { toColumns } from "../persistence/locationColumns.js";
+
+/**
+ * Read Model ของ Site / Building / Floor / Zone (parking_sites, buildings, floors, zones)
+ * ตารางเหล่านี้ไม่มีคอลัมน์ version -> แต่ละ Event เขียนค่าทับตรงๆ (ส่งซ้ำได้ผลเหมือนเดิม)
+ */
+export class LocationProjection {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("LocationProjection requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * @param {"site"|"building"|"floor"|"zone"} kind
+   * @param {object} eventData - ข้อมูลจาก {ParkingSite|Building|Floor|Zone}CreatedEvent
+   */
+  async handleCreated(kind, eventData) {
+    const { table, idField, parentField, parentColumn } = LOCATION_KINDS[kind];
+    const id = eventData[idField];
+
+    // แถวเดิมที่ถูกนำเข้าเป็น Event มีอยู่ในตารางแล้ว
+    if (eventData.imported) {
+      console.log(`[LocationProjection] Skipped imported ${table} row: ${id}`);
+      return;
+    }
+
+    const row = { id, ...toColumns(eventData.attributes) };
+    if (parentColumn) row[parentColumn] = eventData[parentField];
+
+    const { error } = await this.supabase.from(table).upsert(row, { onConflict: "id" });
+    if (error) {
+      console.error(`[LocationProjection] Error projecting new ${table} row ${id}:`, error);
+      throw error;
+    }
+    console.log(`[LocationProjection] Projected new ${table} row: ${id}`);
+  }
+
+  /**
+   * @param {object} eventData - ข้อมูลจาก {ParkingSite|Building|Floor|Zone}UpdatedEvent
+   */
+  async handleUpdated(kind, eventData) {
+    const { table, idField } = LOCATION_KINDS[kind];
+    await this._update(table, eventData[idField], toColumns(eventData.changes));
+  }
+
+  /**
+   * ไม่ลบแถว (การจองและ Slot เดิมยังอ้างอิงอยู่) -> archived_at, Site ที่ Archive แล้วเป็น inactive
+   * @param {object} eventData - ข้อมูลจาก {ParkingSite|Building|Floor|Zone}ArchivedEvent
+   */
+  async handleArchived(kind, eventData) {
+    const { table, idField } = LOCATION_KINDS[kind];
+    const values = { archived_at: eventData[`${kind}ArchivedAt`] }; // siteArchivedAt, buildingArchivedAt, ...
+    if (kind === "site") values.status = "inactive";
+    await this._update(table, eventData[idField], values);
+  }
+
+  async _update(table, id, values) {
+    const { data: updated, error } = await this.supabase
+      .from(table)
+      .update(values)
+      .eq("id", id)
+      .select("id");
+    if (error) {
+      console.error(`[LocationProjection] Error updating ${table} row ${id}:`, error);
+      throw error;
+    }
+    if (updated.length === 0) {
+      throw new Error(`${table} row ${id} does not exist in the read model.`);
+    }
+    console.log(`[LocationProjection] Updated ${table} row ${id}: ${Object.keys(values).join(", ")}`);
+  }
+}
@@ -1,11 +1,27 @@
 // /services/slot-service/src/projections/SlotProjection.js
+import { VEHICLE_TYPE } from "@parking-reservation/common";
+import { SlotAggregate } from "../../domain/aggregates/SlotAggregate.js";
+
+// ชื่อฟิลด์ใน Event -> คอลัมน์ของตาราง slots
+const COLUMN_BY_FIELD = {
+  name: "name",
+  details: "details",
+  slotNumber: "slot_number",
+  vehicleType: "vehicle_type",
+  zoneId: "zone_id",
+};
 
 export class SlotProjection {
-  constructor(supabaseClient) {
-    if (!supabaseClient) {
-      throw new Error("SlotProjection requires a Supabase client.");
+  /**
+   * @param {object} supabaseClient - Instance ของ Supabase client
+   * @param {object} eventStore - ใช้สร้างแถวใหม่จากประวัติ Event เมื่อพบ version ขาดช่วง
+   */
+  constructor(supabaseClient, eventStore) {
+    if (!supabaseClient || !eventStore) {
+      throw new Error("SlotProjection requires a Supabase client and eventStore.");
     }
     this.supabase = supabaseClient;
+    this.eventStore = eventStore;
     this.tableName = "slots"; // ชื่อตาราง Read Model
   }
 
@@ -63,15 +79,122 @@ export class SlotProjection {
     }
   }
 
-  // (ในอนาคต) จัดการเมื่อสถานะ Slot เปลี่ยน
-  /*
-  async handleSlotStatusUpdated(eventData) {
+  /**
+   * จัดการ Event การแก้ไขข้อมูล Slot
+   * @param {object} eventData - ข้อมูลจาก SlotUpdatedEvent
+   */
+  async handleSlotUpdated(eventData) {
+    const { slotId, changes, version } = eventData;
+
+    const values = {};
+    for (const [field, column] of Object.entries(COLUMN_BY_FIELD)) {
+      if (changes[field] !== undefined) values[column] = changes[field];
+    }
+    if (changes.vehicleType !== undefined) {
+      values.vehicle_type_code = VEHICLE_TYPE[String(changes.vehicleType).toUpperCase()] ?? 1;
+    }
+
+    await this._updateVersioned(slotId, version, values, "SlotUpdatedEvent");
+  }
+
+  /**
+   * จัดการ Event การเปลี่ยนสถานะ Slot
+   * @param {object} eventData - ข้อมูลจาก SlotStatusChangedEvent
+   */
+  async handleSlotStatusChanged(eventData) {
     const { slotId, newStatus, version } = eventData;
+    await this._updateVersioned(slotId, version, { status: newStatus }, "SlotStatusChangedEvent");
+  }
+
+  /**
+   * จัดการ Event การปลด Slot (ไม่ลบแถว เพื่อให้การจองเดิมยังอ้างอิงได้)
+   * @param {object} eventData - ข้อมูลจาก SlotDecommissionedEvent
+   */
+  async handleSlotDecommissioned(eventData) {
+    const { slotId, decommissionedAt, version } = eventData;
+    await this._updateVersioned(
+      slotId,
+      version,
+      { status: "maintenance", decommissioned_at: decommissionedAt },
+      "SlotDecommissionedEvent"
+    );
+  }
+
+  /**
+   * อัปเดตแถวเฉพาะเมื่อ version ในตาราง = version ของ Event - 1
+   * - version ในตาราง >= Event -> เคย Project แล้ว (ข้อความซ้ำ) ข้ามไป
+   * - version ในตารางต่ำกว่านั้น -> มี Event ก่อนหน้าหายไป สร้างแถวใหม่จาก Event Store แทนการรอ
+   */
+  async _updateVersioned(slotId, version, values, eventType) {
+    try {
+      const { data: updated, error } = await this.supabase
+        .from(this.tableName)
+        .update({ ...values, version })
+        .eq("id", slotId)
+        .eq("version", version - 1)
+        .select("id");
+      if (error) throw error;
+
+      if (updated.length > 0) {
+        console.log(`[SlotProjection] Projected ${eventType}: ${slotId} -> version ${version}`);
+        return;
+      }
+
+      const { data: current, error: readError } = await this.supabase
+        .from(this.tableName)
+        .select("version")
+        .eq("id", slotId)
+        .maybeSingle();
+      if (readError) throw readError;
+
+      if (!current) {
+        throw new Error(`Slot ${slotId} does not exist in the read model.`);
+      }
+      if (current.version >= version) {
+        console.warn(
+          `[SlotProjection] Skipped ${eventType} for ${slotId}: version ${version} already projected (current ${current.version}).`
+        );
+        return;
+      }
+      console.warn(
+        `[SlotProjection] Gap before ${eventType} for ${slotId}: expected version ${current.version + 1}, got ${version}. Rebuilding from event store.`
+      );
+      await this._rebuildFromEventStore(slotId, current.version);
+    } catch (error) {
+      console.error(`[SlotProjection] Error handling ${eventType}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replay Event ทั้งหมดของ Slot แล้วเขียนทับแถวด้วยสถานะล่าสุด
+   * (Event ที่ตามมาทีหลังจะถูกข้ามเพราะ version ในตารางไปถึงแล้ว)
+   */
+  async _rebuildFromEventStore(slotId, currentVersion) {
+    const history = await this.eventStore.getEventsAfterVersion(slotId, 0);
+    const slot = new SlotAggregate(slotId);
+    slot.rehydrateFromEvents(history);
+    const state = slot.getState();
+
     const { error } = await this.supabase
       .from(this.tableName)
-      .update({ status: newStatus, version: version })
-      .eq('id', slotId);
-    if (error) console.error(...)
+      .update({
+        name: state.name,
+        details: state.details,
+        status: state.status,
+        parking_site_id: state.parkingSiteId,
+        floor_id: state.floorId,
+        zone_id: state.zoneId,
+        slot_number: state.slotNumber,
+        vehicle_type: state.vehicleType,
+        vehicle_type_code: VEHICLE_TYPE[String(state.vehicleType).toUpperCase()] ?? 1,
+        decommissioned_at: state.decommissionedAt,
+        version: slot.version,
+      })
+      .eq("id", slotId)
+      .eq("version", currentVersion);
+    if (error) throw error;
+
+    console.log(`[SlotProjection] Rebuilt ${slotId} from event store -> version ${slot.version}`);
   }
-  */
 }
\ No newline at end of file
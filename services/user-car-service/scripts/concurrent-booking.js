@@ -0,0 +1,76 @@
+// /services/user-car-service/scripts/concurrent-booking.js
+
+/**
+ * ทดสอบ Slot Booking Guard (slot_bookings + save_events_with_slot_booking):
+ * ยิง POST /reservations พร้อมกันหลาย Request ไปที่ Slot และช่วงเวลาเดียวกัน
+ * ผ่านเมื่อสำเร็จ (201) แค่ 1 รายการ ที่เหลือถูกปฏิเสธด้วย 4xx และไม่มี 5xx
+ *
+ * ใช้กับ Service ที่รันอยู่ + ฐานข้อมูลทดสอบ (Slot ต้องว่างในช่วงเวลานั้น):
+ *   USER_IDS=<uuid>,<uuid> SLOT_ID=<slot id> BOOKING_DATE=2030-01-01 npm run test:concurrency
+ *
+ * Env:
+ *   BASE_URL         Default: http://localhost:3003
+ *   USER_IDS         ผู้ใช้ที่ใช้จอง (คั่นด้วย ,) ใช้วนกันไป
+ *   SLOT_ID          Slot ที่ทุก Request แย่งกันจอง
+ *   BOOKING_DATE     วันที่จอง (YYYY-MM-DD)
+ *   START_TIME       Default: 10:00:00
+ *   END_TIME         Default: 12:00:00
+ *   TIME_ZONE_OFFSET Default: +07:00
+ *   CONCURRENCY      จำนวน Request พร้อมกัน (Default: 10)
+ */
+import { randomUUID } from "crypto";
+
+const {
+  BASE_URL = "http://localhost:3003",
+  USER_IDS,
+  SLOT_ID,
+  BOOKING_DATE,
+  START_TIME = "10:00:00",
+  END_TIME = "12:00:00",
+  TIME_ZONE_OFFSET = "+07:00",
+  CONCURRENCY = "10",
+} = process.env;
+
+if (!USER_IDS || !SLOT_ID || !BOOKING_DATE) {
+  console.error("USER_IDS, SLOT_ID and BOOKING_DATE are required.");
+  process.exit(2);
+}
+
+const userIds = USER_IDS.split(",").map((id) => id.trim()).filter(Boolean);
+const total = Number(CONCURRENCY);
+
+const book = async (index) => {
+  const response = await fetch(`${BASE_URL}/reservations`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Idempotency-Key": randomUUID() },
+    body: JSON.stringify({
+      userId: userIds[index % userIds.length],
+      slotId: SLOT_ID,
+      startDateLocal: BOOKING_DATE,
+      startTimeLocal: START_TIME,
+      endDateLocal: BOOKING_DATE,
+      endTimeLocal: END_TIME,
+      timeZoneOffset: TIME_ZONE_OFFSET,
+      vehicle_type: "car",
+    }),
+  });
+  const body = await response.json().catch(() => null);
+  return { index, status: response.status, body };
+};
+
+const results = await Promise.all(Array.from({ length: total }, (_, i) => book(i)));
+
+for (const { index, status, body } of results) {
+  console.log(`#${index} -> ${status} ${body?.code || body?.reservationId || body?.error || ""}`);
+}
+
+const created = results.filter((r) => r.status >= 200 && r.status < 300);
+const serverErrors = results.filter((r) => r.status >= 500);
+
+if (created.length !== 1 || serverErrors.length > 0) {
+  console.error(
+    `❌ Expected exactly 1 booking and no 5xx, got ${created.length} booking(s) and ${serverErrors.length} server error(s).`
+  );
+  process.exit(1);
+}
+console.log(`✅ 1 of ${total} concurrent requests booked slot ${SLOT_ID}; the rest were rejected.`);
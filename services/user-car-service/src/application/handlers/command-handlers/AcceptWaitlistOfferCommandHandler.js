@@ -0,0 +1,61 @@
+// /services/user-car-service/src/application/handlers/command-handlers/AcceptWaitlistOfferCommandHandler.js
+import { VEHICLE_TYPE_REVERSE } from "@parking-reservation/common";
+import { CreateReservationCommand } from "../../../domain/commands/CreateReservationCommand.js";
+
+/**
+ * ตอบรับข้อเสนอจากคิวรอ: สร้างการจองจาก Slot ที่ถูก Hold ไว้ให้ (Hold ถูกแปลงเป็นการจองใน Transaction เดียว)
+ */
+export class AcceptWaitlistOfferCommandHandler {
+  constructor(waitlistService, slotLookupService, createReservationHandler) {
+    if (!waitlistService || !slotLookupService || !createReservationHandler) {
+      throw new Error(
+        "AcceptWaitlistOfferCommandHandler requires a waitlist service, slot lookup service and create reservation handler."
+      );
+    }
+    this.waitlistService = waitlistService;
+    this.slotLookupService = slotLookupService;
+    this.createReservationHandler = createReservationHandler;
+  }
+
+  async handle(command) {
+    // 1. ข้อเสนอต้องยังไม่หมดเวลาและเป็นของผู้ใช้
+    const entry = await this.waitlistService.getActiveOffer(command.entryId, command.userId);
+    if (!entry) {
+      throw new Error(`Waitlist entry with ID ${command.entryId} not found.`);
+    }
+
+    const slot = await this.slotLookupService.findSlot(entry.offered_slot_id);
+    if (!slot) {
+      throw new Error(`Slot ${entry.offered_slot_id} not found.`);
+    }
+
+    // 2. สร้างการจอง (แปลง Hold ของข้อเสนอ)
+    const result = await this.createReservationHandler.handle(
+      new CreateReservationCommand({
+        userId: entry.user_id,
+        slotId: slot.slotId,
+        parkingSiteId: slot.parkingSiteId,
+        floorId: slot.floorId,
+        startDateLocal: entry.start_date_local,
+        startTimeLocal: entry.start_time_local,
+        endDateLocal: entry.end_date_local,
+        endTimeLocal: entry.end_time_local,
+        timeZoneOffset: entry.time_zone_offset,
+        vehicleType: VEHICLE_TYPE_REVERSE[entry.vehicle_type_code] || "car",
+        vehicleTypeCode: entry.vehicle_type_code,
+        carId: entry.car_id,
+        holdId: entry.hold_id,
+      })
+    );
+
+    // 3. ปิดคิว
+    await this.waitlistService.markAccepted(entry.id, result.reservationId);
+
+    return {
+      ...result,
+      waitlistEntryId: entry.id,
+      assignedSlotId: slot.slotId,
+      assignedSlotName: slot.name,
+    };
+  }
+}
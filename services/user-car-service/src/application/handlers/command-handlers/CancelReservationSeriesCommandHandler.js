@@ -0,0 +1,68 @@
+// /services/user-car-service/src/application/handlers/command-handlers/CancelReservationSeriesCommandHandler.js
+import { CancelReservationCommand } from "../../../domain/commands/CancelReservationCommand.js";
+import { RESERVATION_STATUS } from "../../../domain/constants/reservationStatus.js";
+
+/**
+ * ยกเลิกการจองแบบเกิดซ้ำทั้ง Series: ส่ง CancelReservationCommand ให้ทุกครั้งที่ยังเป็น pending
+ * (ครั้งที่เช็คอิน/ยกเลิก/หมดอายุไปแล้วจะไม่ถูกแตะ)
+ */
+export class CancelReservationSeriesCommandHandler {
+  constructor(supabaseClient, cancelReservationHandler) {
+    if (!supabaseClient || !cancelReservationHandler) {
+      throw new Error(
+        "CancelReservationSeriesCommandHandler requires a supabase client and cancel reservation handler."
+      );
+    }
+    this.supabase = supabaseClient; // Read Model: reservations.series_id
+    this.cancelReservationHandler = cancelReservationHandler;
+  }
+
+  async handle(command) {
+    // --- 1. Load Series Members from Read Model ---
+    const { data: reservations, error } = await this.supabase
+      .from("reservations")
+      .select("id, status, start_time")
+      .eq("series_id", command.seriesId)
+      .order("start_time", { ascending: true });
+
+    if (error) throw error;
+    if (!reservations || reservations.length === 0) {
+      throw new Error(`Reservation series with ID ${command.seriesId} not found.`);
+    }
+
+    // --- 2. Cancel each pending occurrence (one aggregate at a time) ---
+    const cancelled = [];
+    const failed = [];
+    for (const r of reservations.filter((r) => r.status === RESERVATION_STATUS.PENDING)) {
+      try {
+        await this.cancelReservationHandler.handle(
+          new CancelReservationCommand(
+            r.id,
+            command.cancelledBy,
+            command.reasonCode,
+            command.reasonNote,
+            command.cancelledByRole
+          )
+        );
+        cancelled.push(r.id);
+      } catch (err) {
+        console.error(
+          `[CommandHandler][CancelSeries] Failed to cancel ${r.id} in series ${command.seriesId}:`,
+          err
+        );
+        failed.push({ reservationId: r.id, error: err.message, ...(err.code && { code: err.code }) });
+      }
+    }
+
+    return {
+      message:
+        failed.length > 0
+          ? "Reservation series partially cancelled."
+          : "Reservation series cancelled successfully.",
+      seriesId: command.seriesId,
+      cancelled,
+      failed,
+      skipped: reservations.length - cancelled.length - failed.length,
+    };
+  }
+}
@@ -1,5 +1,10 @@
 // /services/user-car-service/src/application/handlers/command-handlers/CheckInByLicensePlateCommandHandler.js
 import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { CheckInRejectedError } from "../../../domain/errors/CheckInRejectedError.js";
+import {
+  DEFAULT_EARLY_CHECK_IN_MINUTES,
+  DEFAULT_LATE_CHECK_IN_MINUTES,
+} from "../../../domain/constants/checkInPolicy.js";
 import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
 
 export class CheckInByLicensePlateCommandHandler {
@@ -19,28 +24,8 @@ export class CheckInByLicensePlateCommandHandler {
   async handle(command) {
     const { licensePlate } = command;
 
-    // --- Steps 1 & 2: Query Read Models ---
-    const { data: car, error: carError } = await this.supabase
-      .from("cars")
-      .select("user_id")
-      .eq("license_plate", licensePlate)
-      .single();
-    if (carError || !car)
-      throw new Error(`License plate "${licensePlate}" not found.`);
-    const { user_id } = car;
-
-    const { data: reservationData, error: reservationError } =
-      await this.supabase
-        .from("reservations")
-        .select("id")
-        .eq("user_id", user_id)
-        .eq("status", "pending")
-        .single();
-    if (reservationError || !reservationData)
-      throw new Error(
-        `No active reservation found for license plate "${licensePlate}".`
-      );
-    const aggregateId = reservationData.id;
+    // --- Steps 1 & 2: Query Read Models (pick the matching pending Reservation) ---
+    const aggregateId = await this._findReservationIdForCheckIn(command);
 
     // --- Step 3: Load Aggregate State ---
     const reservation = new ReservationAggregate(aggregateId);
@@ -76,8 +61,10 @@ export class CheckInByLicensePlateCommandHandler {
     }
     // `expectedVersion` now holds the latest known version before the new command
 
-    // --- Step 4: Execute Command ---
-    reservation.updateStatus({ newStatus: "checked_in" }); // Apply check-in
+    // --- Step 4: Execute Command (within the Site's check-in window) ---
+    const checkInWindow = await this._getCheckInWindow(reservation.parkingSiteId);
+    // ถ้านอกช่วงเวลา จะได้ CheckInRejectedEvent (บันทึกก่อน แล้วค่อยแจ้ง Error)
+    const rejection = reservation.checkIn(command, checkInWindow);
 
     // --- Step 5: Save New Events, Handle Concurrency, Save Snapshot ---
     const newEvents = reservation.getUncommittedEvents();
@@ -160,10 +147,108 @@ export class CheckInByLicensePlateCommandHandler {
       );
     }
 
+    if (rejection) {
+      throw new CheckInRejectedError(
+        rejection.rejectionCode,
+        rejection.windowStart,
+        rejection.windowEnd
+      );
+    }
+
     return {
       message: "Check-in successful",
       reservationId: aggregateId,
       licensePlate: licensePlate,
     };
   }
+
+  /**
+   * เลือก Reservation ที่จะเช็คอิน เมื่อผู้ใช้อาจมีหลายการจองที่ยัง pending:
+   * - จำกัดเฉพาะ Site ที่รถเข้ามา (parkingSiteId หรือหาได้จาก gateId)
+   * - ตัดการจองที่ผูกกับรถคันอื่นทิ้ง (car_id ไม่ตรง)
+   * - เลือกการจองที่เวลาเริ่มใกล้กับเวลาที่รถเข้ามากที่สุด (ถ้าเท่ากัน ให้การจองที่ผูกกับรถคันนี้มาก่อน)
+   *   (ถ้าอยู่นอกช่วงเช็คอิน Aggregate จะบันทึก CheckInRejectedEvent ให้เอง)
+   */
+  async _findReservationIdForCheckIn(command) {
+    const { licensePlate } = command;
+
+    const { data: car, error: carError } = await this.supabase
+      .from("cars")
+      .select("id, user_id")
+      .eq("license_plate", licensePlate)
+      .single();
+    if (carError || !car)
+      throw new Error(`License plate "${licensePlate}" not found.`);
+
+    const parkingSiteId = await this._resolveParkingSiteId(command);
+
+    let reservationQuery = this.supabase
+      .from("reservations")
+      .select("id, car_id, start_time")
+      .eq("user_id", car.user_id)
+      .eq("status", "pending");
+    if (parkingSiteId) {
+      reservationQuery = reservationQuery.eq("parking_site_id", parkingSiteId);
+    }
+
+    const { data: reservations, error: reservationError } = await reservationQuery;
+    const candidates = (reservations || []).filter(
+      (r) => !r.car_id || r.car_id === car.id
+    );
+    if (reservationError || candidates.length === 0)
+      throw new Error(
+        `No active reservation found for license plate "${licensePlate}".`
+      );
+
+    const arrivedAt = new Date(command.checkInTimestamp).getTime();
+    const distance = (r) => Math.abs(new Date(r.start_time).getTime() - arrivedAt);
+    candidates.sort((a, b) => {
+      const aCarMatch = a.car_id === car.id ? 0 : 1;
+      const bCarMatch = b.car_id === car.id ? 0 : 1;
+      return distance(a) - distance(b) || aCarMatch - bCarMatch;
+    });
+
+    if (candidates.length > 1) {
+      console.log(
+        `[CommandHandler][CheckIn] ${candidates.length} pending reservations for "${licensePlate}", picked ${candidates[0].id}`
+      );
+    }
+    return candidates[0].id;
+  }
+
+  /**
+   * หา Site ที่รถเข้ามา: ใช้ parkingSiteId ตรงๆ หรือหาจาก parking_gates ด้วย gateId
+   */
+  async _resolveParkingSiteId(command) {
+    if (command.parkingSiteId) return command.parkingSiteId;
+    if (!command.gateId) return null;
+
+    const { data: gate, error } = await this.supabase
+      .from("parking_gates")
+      .select("parking_site_id")
+      .eq("id", command.gateId)
+      .single();
+    if (error || !gate) throw new Error(`Gate "${command.gateId}" not found.`);
+    return gate.parking_site_id;
+  }
+
+  /**
+   * อ่านช่วงเวลาที่อนุญาตให้เช็คอิน (นาที ก่อน/หลัง เวลาเริ่ม) ของ Site จาก Read Model (parking_sites)
+   */
+  async _getCheckInWindow(parkingSiteId) {
+    const { data: site, error } = await this.supabase
+      .from("parking_sites")
+      .select("early_check_in_minutes, late_check_in_minutes")
+      .eq("id", parkingSiteId)
+      .single();
+
+    return {
+      earlyMinutes: error || site?.early_check_in_minutes == null
+        ? DEFAULT_EARLY_CHECK_IN_MINUTES
+        : site.early_check_in_minutes,
+      lateMinutes: error || site?.late_check_in_minutes == null
+        ? DEFAULT_LATE_CHECK_IN_MINUTES
+        : site.late_check_in_minutes,
+    };
+  }
 }
@@ -0,0 +1,215 @@
+// /services/user-car-service/src/application/handlers/command-handlers/CheckOutByLicensePlateCommandHandler.js
+
+import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class CheckOutByLicensePlateCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient, chargeCalculator, paymentService) {
+    if (!eventStore || !messageBroker || !supabaseClient || !chargeCalculator || !paymentService) {
+      throw new Error(
+        "CheckOutByLicensePlateCommandHandler requires an event store, message broker, supabase client, charge calculator, and payment service."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.supabase = supabaseClient; // Needed for Read Model query (cars, reservations)
+    this.chargeCalculator = chargeCalculator;
+    this.paymentService = paymentService;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+    this.snapshotFrequency = 2; // Snapshot every 2 events for testing
+  }
+
+  async handle(command) {
+    const { licensePlate } = command;
+
+    // --- 1. Find the checked-in Reservation by License Plate (Read Model) ---
+    const aggregateId = await this._findCheckedInReservationId(licensePlate);
+    const reservation = new ReservationAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 2. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      reservation.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+      console.log(
+        `[CommandHandler][CheckOut] Aggregate ${aggregateId} rehydrated from snapshot version ${expectedVersion}`
+      );
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      reservation.rehydrateFromEvents(history);
+      expectedVersion = reservation.version;
+      console.log(
+        `[CommandHandler][CheckOut] Applied ${history.length} events for ${aggregateId}. Final loaded version: ${expectedVersion}`
+      );
+    } else if (!snapshotRecord) {
+      throw new Error(
+        `Reservation with ID ${aggregateId} not found (no snapshot or events).`
+      );
+    }
+
+    // --- 3. Execute Command (computes parked duration vs. booked window) ---
+    reservation.checkOut(command);
+
+    // --- 3.1 Billing: คิดค่าจอดจาก Tariff ของอาคาร (บันทึกพร้อม CheckedOutEvent) ---
+    const [checkedOutEvent] = reservation.getUncommittedEvents();
+    const { buildingId, charge } = await this.chargeCalculator.priceCheckOut(
+      checkedOutEvent,
+      reservation.floorId,
+      reservation.discount,
+      reservation.getTariffOverrides()
+    );
+    reservation.recordCharge(charge, buildingId);
+
+    // --- 4. Save New Events (สถานะก่อนเรียก Payment Provider), Handle Concurrency ---
+    const savedVersion = await this._saveEvents(reservation, expectedVersion, {
+      slotBooking: reservation.getSlotBooking(),
+    });
+
+    // --- 5. Payment: capture ตามค่าจอดจริงหลังบันทึกการออกแล้ว (ไม่สำเร็จ = PaymentFailedEvent, ไม่ Block การออก) ---
+    await this.paymentService.settleCheckOut(reservation, charge);
+    await this._recordPaymentResult(reservation, savedVersion);
+
+    return {
+      message: "Check-out successful",
+      reservationId: aggregateId,
+      licensePlate: licensePlate,
+      checkedInAt: checkedOutEvent.checkedInAt,
+      checkedOutAt: checkedOutEvent.checkedOutAt,
+      parkedMinutes: checkedOutEvent.parkedMinutes,
+      bookedMinutes: checkedOutEvent.bookedMinutes,
+      overstayMinutes: checkedOutEvent.overstayMinutes,
+      unusedBookedMinutes: checkedOutEvent.unusedBookedMinutes,
+      charge: {
+        currency: charge.currency,
+        totalAmount: charge.totalAmount,
+        lineItems: charge.lineItems,
+        paymentStatus: reservation.paymentStatus,
+      },
+    };
+  }
+
+  /**
+   * Save + Snapshot + Publish Event ที่ยังไม่ได้บันทึก
+   * @returns {Promise<number>} Version หลังบันทึก
+   */
+  async _saveEvents(reservation, baseVersionForSave, { slotBooking, snapshot = true } = {}) {
+    const aggregateId = reservation.id;
+    const newEvents = reservation.getUncommittedEvents();
+
+    try {
+      await this.eventStore.saveEvents(
+        aggregateId,
+        "Reservation",
+        newEvents,
+        baseVersionForSave,
+        { slotBooking }
+      );
+
+      const newVersion = baseVersionForSave + newEvents.length;
+      if (snapshot && newVersion > 0 && newVersion % this.snapshotFrequency === 0) {
+        try {
+          await this.snapshotStore.saveSnapshot(
+            aggregateId,
+            reservation.getState(),
+            newVersion
+          );
+        } catch (snapshotError) {
+          console.error(
+            `[CommandHandler][CheckOut] FAILED TO SAVE SNAPSHOT for ${aggregateId} at version ${newVersion}:`,
+            snapshotError
+          );
+        }
+      }
+
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+
+      reservation.clearUncommittedEvents();
+      return newVersion;
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        console.warn(
+          `[CommandHandler][CheckOut] Concurrency error caught for aggregate ${aggregateId}. Expected version ${baseVersionForSave}.`
+        );
+        throw new Error(
+          "Concurrency Error: Reservation modified by others, please try again."
+        );
+      }
+      console.error(
+        `[CommandHandler][CheckOut] Error during save/publish for ${aggregateId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * บันทึกผล Payment ต่อจากสถานะที่ Save แล้ว: เงินเคลื่อนไหวไปแล้วจึงไม่ Throw
+   * (Version ชน -> ต่อท้าย Event ล่าสุดอีกครั้ง, ยังไม่สำเร็จ -> Log ไว้ให้ตามกระทบยอด)
+   */
+  async _recordPaymentResult(reservation, savedVersion) {
+    if (reservation.getUncommittedEvents().length === 0) return;
+    try {
+      await this._saveEvents(reservation, savedVersion);
+    } catch (error) {
+      let lastError = error;
+      if (error.message.includes("Concurrency Error")) {
+        try {
+          const newerEvents = await this.eventStore.getEventsAfterVersion(
+            reservation.id,
+            savedVersion
+          );
+          await this._saveEvents(reservation, savedVersion + newerEvents.length, {
+            snapshot: false,
+          });
+          return;
+        } catch (retryError) {
+          lastError = retryError;
+        }
+      }
+      console.error(
+        `[CommandHandler][CheckOut] Payment result of ${reservation.id} NOT saved, reconcile manually:`,
+        reservation.getUncommittedEvents().map((event) => event.constructor.name),
+        lastError
+      );
+    }
+  }
+
+  /**
+   * หา Reservation ที่ checked_in อยู่ของเจ้าของทะเบียนรถ
+   * (ถ้ามีหลายรายการ เลือกรายการที่ผูกกับรถคันนี้ก่อน)
+   */
+  async _findCheckedInReservationId(licensePlate) {
+    const { data: car, error: carError } = await this.supabase
+      .from("cars")
+      .select("id, user_id")
+      .eq("license_plate", licensePlate)
+      .single();
+    if (carError || !car)
+      throw new Error(`License plate "${licensePlate}" not found.`);
+
+    const { data: reservations, error: reservationError } = await this.supabase
+      .from("reservations")
+      .select("id, car_id")
+      .eq("user_id", car.user_id)
+      .eq("status", "checked_in")
+      .order("start_time", { ascending: true });
+    if (reservationError || !reservations || reservations.length === 0)
+      throw new Error(
+        `No checked-in reservation found for license plate "${licensePlate}".`
+      );
+
+    const match = reservations.find((r) => r.car_id === car.id) || reservations[0];
+    return match.id;
+  }
+}
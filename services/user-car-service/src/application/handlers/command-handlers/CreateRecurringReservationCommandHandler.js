@@ -0,0 +1,109 @@
+// /services/user-car-service/src/application/handlers/command-handlers/CreateRecurringReservationCommandHandler.js
+import { randomUUID } from "crypto";
+import { CreateReservationCommand } from "../../../domain/commands/CreateReservationCommand.js";
+import { DomainError } from "../../../domain/errors/DomainError.js";
+import { SlotUnavailableError } from "../../../domain/errors/SlotUnavailableError.js";
+import { expandOccurrences } from "../../services/RecurrenceExpander.js";
+
+/**
+ * สร้างการจองแบบเกิดซ้ำ: หนึ่ง ReservationAggregate ต่อหนึ่งครั้ง (ผ่าน CreateReservationCommandHandler)
+ * ครั้งที่ Slot ไม่ว่างจะถูกข้ามและรายงานกลับใน `conflicts` แทนการล้มทั้ง Series
+ * ครั้งที่ล้มด้วยเหตุอื่น (Booking Rules / Payment / Promo / ระบบขัดข้อง) รายงานใน `failed`
+ * เพื่อให้ Client ได้ seriesId และรายการที่จองสำเร็จไปแล้วเสมอ
+ */
+export class CreateRecurringReservationCommandHandler {
+  constructor(createReservationHandler, slotConflictChecker) {
+    if (!createReservationHandler || !slotConflictChecker) {
+      throw new Error(
+        "CreateRecurringReservationCommandHandler requires a create reservation handler and slot conflict checker."
+      );
+    }
+    this.createReservationHandler = createReservationHandler;
+    this.slotConflictChecker = slotConflictChecker;
+  }
+
+  async handle(command) {
+    // 1. แตกกฎออกเป็นรายครั้ง
+    const occurrences = expandOccurrences(command);
+    const seriesId = randomUUID();
+    const created = [];
+    const conflicts = [];
+    const failed = [];
+
+    for (const occurrence of occurrences) {
+      const startISO = new Date(
+        `${occurrence.startDateLocal}T${occurrence.startTimeLocal}${command.timeZoneOffset}`
+      ).toISOString();
+      const endISO = new Date(
+        `${occurrence.endDateLocal}T${occurrence.endTimeLocal}${command.timeZoneOffset}`
+      ).toISOString();
+
+      try {
+        // 2. เช็ค Read Model ก่อน (เหมือน POST /reservations)
+        const conflictingReservationIds = await this.slotConflictChecker.findConflicts({
+          slotId: command.slotId,
+          startISO,
+          endISO,
+        });
+        if (conflictingReservationIds.length > 0) {
+          throw new SlotUnavailableError(command.slotId, conflictingReservationIds);
+        }
+
+        // 3. สร้างการจองของครั้งนี้ (slot_bookings กันจองซ้อนอีกชั้นตอนบันทึก Event)
+        const result = await this.createReservationHandler.handle(
+          new CreateReservationCommand({
+            userId: command.userId,
+            slotId: command.slotId,
+            parkingSiteId: command.parkingSiteId,
+            floorId: command.floorId,
+            ...occurrence,
+            timeZoneOffset: command.timeZoneOffset,
+            vehicleType: command.vehicleType,
+            carId: command.carId,
+            vehicleTypeCode: command.vehicleTypeCode,
+            seriesId,
+          })
+        );
+        created.push({ reservationId: result.reservationId, ...occurrence });
+      } catch (error) {
+        if (error instanceof SlotUnavailableError) {
+          conflicts.push({
+            ...occurrence,
+            conflictingReservationIds: error.conflictingReservationIds || [],
+          });
+          continue;
+        }
+        // ห้าม Throw ต่อ: ครั้งก่อนหน้าถูกสร้าง (และกันวงเงิน) ไปแล้ว
+        if (!(error instanceof DomainError)) {
+          console.error(
+            `[CommandHandler][CreateRecurring] Series ${seriesId}: occurrence ${occurrence.startDateLocal} failed:`,
+            error
+          );
+        }
+        failed.push({
+          ...occurrence,
+          code: error instanceof DomainError ? error.code : "OCCURRENCE_FAILED",
+          error: error.message,
+          ...(error.violations && { violations: error.violations }),
+        });
+      }
+    }
+
+    console.log(
+      `[CommandHandler][CreateRecurring] Series ${seriesId}: ${created.length} created, ${conflicts.length} conflicted, ${failed.length} failed.`
+    );
+
+    return {
+      message:
+        conflicts.length > 0 || failed.length > 0
+          ? "Recurring reservation created with conflicts or failures."
+          : "Recurring reservation created successfully.",
+      seriesId,
+      slotId: command.slotId,
+      recurrence: command.recurrence,
+      created,
+      conflicts,
+      failed,
+    };
+  }
+}
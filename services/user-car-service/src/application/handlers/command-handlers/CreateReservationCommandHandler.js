@@ -1,16 +1,24 @@
 // /services/user-car-service/src/application/handlers/command-handlers/CreateReservationCommandHandler.js
 import { randomUUID } from "crypto";
 import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { SlotUnavailableError } from "../../../domain/errors/SlotUnavailableError.js";
 
 export class CreateReservationCommandHandler {
-  constructor(eventStore, messageBroker) {
-    if (!eventStore || !messageBroker) {
+  /**
+   * @param {BookingRulesEngine} bookingRulesEngine - ตรวจกฎการจองทุกช่องทาง (จองปกติ / Recurring / Waitlist)
+   * @param {PromoCodeService} [promoCodeService] - ตัดสิทธิ์ Promo Code (command.promo)
+   */
+  constructor(eventStore, messageBroker, bookingRulesEngine, paymentService, promoCodeService = null) {
+    if (!eventStore || !messageBroker || !bookingRulesEngine || !paymentService) {
       throw new Error(
-        "CreateReservationCommandHandler requires eventStore and messageBroker."
+        "CreateReservationCommandHandler requires eventStore, messageBroker, bookingRulesEngine and paymentService."
       );
     }
     this.eventStore = eventStore; // 👈 นี่คือ EventStore ที่เรียก RPC
     this.messageBroker = messageBroker;
+    this.bookingRulesEngine = bookingRulesEngine;
+    this.paymentService = paymentService;
+    this.promoCodeService = promoCodeService;
   }
 
   async handle(command) {
@@ -24,6 +32,35 @@ export class CreateReservationCommandHandler {
     // (command ที่รับเข้ามาจาก index.js จะมี userId, slotId, startTime, endTime)
     reservation.createReservation(command);
 
+    // 3.0 Booking Rules (โควตา/ระยะเวลา/ล่วงหน้า/Lead Time/ประเภทผู้ใช้/การระงับ) -> 422 พร้อม violations ทุกข้อ
+    await this.bookingRulesEngine.assertAllowed({
+      userId: command.userId,
+      parkingSiteId: command.parkingSiteId,
+      floorId: command.floorId,
+      startISO: reservation.getStartDate().toISOString(),
+      endISO: reservation.getEndDate().toISOString(),
+    });
+
+    // 3.0.1 Dynamic Pricing: ล็อกราคาต่อชั่วโมง ณ ตอนจอง (อาคารที่ใช้ราคาคงที่ไม่ต้องล็อก)
+    if (command.pricing?.isDynamic) reservation.lockPrice(command.pricing);
+
+    // 3.1 Promo Code (ตรวจเงื่อนไขแล้วที่ Route) -> ส่วนลดมีผลกับยอดที่กันวงเงินด้วย
+    const promo = command.promo && this.promoCodeService ? command.promo : null;
+    if (promo) reservation.applyPromoCode(promo);
+
+    // 3.2 กันวงเงินค่าจอด (ไม่ผ่าน -> PaymentDeclinedError, ยังไม่มีอะไรถูกบันทึก)
+    const authorization = await this.paymentService.authorizeBooking(reservation);
+
+    // 3.3 ตัดสิทธิ์ Promo Code (สิทธิ์เต็มเพราะจองพร้อมกัน -> PromoCodeError)
+    if (promo) {
+      try {
+        await this.promoCodeService.redeem(promo, { reservationId, userId: command.userId });
+      } catch (error) {
+        await this.paymentService.voidAuthorization(authorization);
+        throw error;
+      }
+    }
+
     // 4. บันทึกและส่ง Event
     const events = reservation.getUncommittedEvents();
     if (events.length > 0) {
@@ -36,19 +73,25 @@ export class CreateReservationCommandHandler {
           reservationId,
           "Reservation",
           events,
-          expectedVersion
+          expectedVersion,
+          // ถือ Slot ในช่วงเวลาที่จองใน Transaction เดียวกับการบันทึก Event (กันจองซ้อน + แปลง Hold)
+          {
+            slotBooking: {
+              ...reservation.getSlotBooking(),
+              ...(command.holdId && { holdId: command.holdId }),
+            },
+          }
         );
-
-        // 4.2 ส่ง Event ไปที่ Broker (ทำหลังจาก Save สำเร็จ)
-        for (const event of events) {
-          console.log(`[CreateReservationCommandHandler] Publishing event: ${event.constructor.name}`, JSON.stringify(event));
-          await this.messageBroker.publishEvent(event);
-        }
-
-        // 4.3 ล้าง Event ที่ยังไม่บันทึกออกจาก Aggregate
-        reservation.clearUncommittedEvents();
       } catch (error) {
-        // 4.4 ดักจับ Concurrency Error (จาก Stored Function)
+        // บันทึกไม่สำเร็จ -> คืนวงเงินที่กันไว้และสิทธิ์ Promo Code
+        // (อยู่นอก Publish: Publish ล้มหลัง Save = การจองมีอยู่แล้ว ห้ามคืน)
+        await this.paymentService.voidAuthorization(authorization);
+        if (promo) await this.promoCodeService.releaseRedemption(reservationId, { remove: true });
+        // 4.4 Slot ถูกจองซ้อนโดย Request อื่นพร้อมกัน (Exclusion Constraint ใน slot_bookings)
+        if (error.code === "SLOT_CONFLICT") {
+          throw new SlotUnavailableError(command.slotId);
+        }
+        // 4.5 ดักจับ Concurrency Error (จาก Stored Function)
         if (
           error.code === "CONCURRENCY_ERROR" ||
           error.message.includes("Concurrency Error")
@@ -69,11 +112,22 @@ export class CreateReservationCommandHandler {
         );
         throw error;
       }
+
+      // 4.2 ส่ง Event ไปที่ Broker (ทำหลังจาก Save สำเร็จ)
+      for (const event of events) {
+        console.log(`[CreateReservationCommandHandler] Publishing event: ${event.constructor.name}`, JSON.stringify(event));
+        await this.messageBroker.publishEvent(event);
+      }
+
+      // 4.3 ล้าง Event ที่ยังไม่บันทึกออกจาก Aggregate
+      reservation.clearUncommittedEvents();
     }
 
     return {
       reservationId: reservationId,
       slotId: command.slotId, // 👈 ส่ง "Time Slot ID" ที่จองได้กลับไปด้วย
+      paymentStatus: reservation.paymentStatus, // null = ไม่มีค่าใช้จ่าย
+      promoCode: reservation.discount?.code ?? null,
       message: "Reservation created successfully.",
     };
   }
@@ -0,0 +1,187 @@
+// /services/user-car-service/src/application/handlers/command-handlers/ExpireReservationCommandHandler.js
+
+import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { DEFAULT_NO_SHOW_GRACE_MINUTES } from "../../../domain/constants/noShowPolicy.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class ExpireReservationCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient, penaltyService) {
+    if (!eventStore || !messageBroker || !supabaseClient || !penaltyService) {
+      throw new Error(
+        "ExpireReservationCommandHandler requires an event store, message broker, supabase client, and penalty service."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.supabase = supabaseClient; // Needed for parking_sites (no-show grace period)
+    this.penaltyService = penaltyService;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+    this.snapshotFrequency = 2; // Snapshot every 2 events for testing
+  }
+
+  async handle(command) {
+    const aggregateId = command.reservationId;
+    const reservation = new ReservationAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      reservation.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+      console.log(
+        `[CommandHandler][Expire] Aggregate ${aggregateId} rehydrated from snapshot version ${expectedVersion}`
+      );
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      reservation.rehydrateFromEvents(history);
+      expectedVersion = reservation.version;
+      console.log(
+        `[CommandHandler][Expire] Applied ${history.length} events for ${aggregateId}. Final loaded version: ${expectedVersion}`
+      );
+    } else if (!snapshotRecord) {
+      throw new Error(
+        `Reservation with ID ${aggregateId} not found (no snapshot or events).`
+      );
+    }
+
+    // --- 2. Resolve No-Show Policy of the Site ---
+    const graceMinutes = await this._getGraceMinutes(reservation.parkingSiteId);
+
+    // --- 3. Execute Command ---
+    reservation.expireReservation(command, graceMinutes);
+
+    // --- 3.1 No-Show -> ค่าปรับ + Strike (ค่าปรับ 0 = คืนวงเงินที่กันไว้, เก็บเงินหลัง Save) ---
+    const [expiredEvent] = reservation.getUncommittedEvents();
+    const settlement = await this.penaltyService.applyNoShow(reservation);
+
+    // --- 4. Save New Events (สถานะก่อนเรียก Payment Provider), Handle Concurrency ---
+    const savedVersion = await this._saveEvents(reservation, expectedVersion, {
+      slotBooking: reservation.getSlotBooking(),
+    });
+
+    // --- 5. Payment: เก็บค่าปรับ / คืนวงเงิน แล้วบันทึกผลต่อท้าย ---
+    await this.penaltyService.settle(reservation, settlement);
+    await this._recordPaymentResult(reservation, savedVersion);
+
+    return {
+      message: "Reservation expired as no-show.",
+      reservationId: aggregateId,
+      graceMinutes: expiredEvent.graceMinutes,
+      minutesOverdue: expiredEvent.minutesOverdue,
+      penaltyAmount: reservation.penaltyAmount,
+    };
+  }
+
+  /**
+   * Save + Snapshot + Publish Event ที่ยังไม่ได้บันทึก
+   * @returns {Promise<number>} Version หลังบันทึก
+   */
+  async _saveEvents(reservation, baseVersionForSave, { slotBooking, snapshot = true } = {}) {
+    const aggregateId = reservation.id;
+    const newEvents = reservation.getUncommittedEvents();
+
+    try {
+      await this.eventStore.saveEvents(
+        aggregateId,
+        "Reservation",
+        newEvents,
+        baseVersionForSave,
+        { slotBooking }
+      );
+
+      const newVersion = baseVersionForSave + newEvents.length;
+      if (snapshot && newVersion > 0 && newVersion % this.snapshotFrequency === 0) {
+        try {
+          await this.snapshotStore.saveSnapshot(
+            aggregateId,
+            reservation.getState(),
+            newVersion
+          );
+        } catch (snapshotError) {
+          console.error(
+            `[CommandHandler][Expire] FAILED TO SAVE SNAPSHOT for ${aggregateId} at version ${newVersion}:`,
+            snapshotError
+          );
+        }
+      }
+
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+
+      reservation.clearUncommittedEvents();
+      return newVersion;
+    } catch (error) {
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        console.warn(
+          `[CommandHandler][Expire] Concurrency error caught for aggregate ${aggregateId}. Expected version ${baseVersionForSave}.`
+        );
+        throw new Error(
+          "Concurrency Error: Reservation modified by others, please try again."
+        );
+      }
+      console.error(
+        `[CommandHandler][Expire] Error during save/publish for ${aggregateId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * บันทึกผล Payment ต่อจากสถานะที่ Save แล้ว: เงินเคลื่อนไหวไปแล้วจึงไม่ Throw
+   * (Version ชน -> ต่อท้าย Event ล่าสุดอีกครั้ง, ยังไม่สำเร็จ -> Log ไว้ให้ตามกระทบยอด)
+   */
+  async _recordPaymentResult(reservation, savedVersion) {
+    if (reservation.getUncommittedEvents().length === 0) return;
+    try {
+      await this._saveEvents(reservation, savedVersion);
+    } catch (error) {
+      let lastError = error;
+      if (error.message.includes("Concurrency Error")) {
+        try {
+          const newerEvents = await this.eventStore.getEventsAfterVersion(
+            reservation.id,
+            savedVersion
+          );
+          await this._saveEvents(reservation, savedVersion + newerEvents.length, {
+            snapshot: false,
+          });
+          return;
+        } catch (retryError) {
+          lastError = retryError;
+        }
+      }
+      console.error(
+        `[CommandHandler][Expire] Payment result of ${reservation.id} NOT saved, reconcile manually:`,
+        reservation.getUncommittedEvents().map((event) => event.constructor.name),
+        lastError
+      );
+    }
+  }
+
+  /**
+   * อ่านค่า Grace Period (นาที) ของ Site จาก Read Model (parking_sites)
+   */
+  async _getGraceMinutes(parkingSiteId) {
+    const { data: site, error } = await this.supabase
+      .from("parking_sites")
+      .select("no_show_grace_minutes")
+      .eq("id", parkingSiteId)
+      .single();
+
+    if (error || !site || site.no_show_grace_minutes == null) {
+      return DEFAULT_NO_SHOW_GRACE_MINUTES;
+    }
+    return site.no_show_grace_minutes;
+  }
+}
@@ -0,0 +1,172 @@
+// /services/user-car-service/src/application/handlers/command-handlers/ExtendReservationCommandHandler.js
+
+import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { SlotUnavailableError } from "../../../domain/errors/SlotUnavailableError.js";
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class ExtendReservationCommandHandler {
+  constructor(
+    eventStore,
+    messageBroker,
+    supabaseClient,
+    slotConflictChecker,
+    bookingRulesEngine,
+    pricingService
+  ) {
+    if (
+      !eventStore ||
+      !messageBroker ||
+      !supabaseClient ||
+      !slotConflictChecker ||
+      !bookingRulesEngine ||
+      !pricingService
+    ) {
+      throw new Error(
+        "ExtendReservationCommandHandler requires an event store, message broker, supabase client, slot conflict checker, booking rules engine, and pricing service."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.slotConflictChecker = slotConflictChecker;
+    this.bookingRulesEngine = bookingRulesEngine;
+    this.pricingService = pricingService;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+    this.snapshotFrequency = 2; // Snapshot every 2 events for testing
+  }
+
+  async handle(command) {
+    const aggregateId = command.reservationId;
+    const reservation = new ReservationAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      reservation.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+      console.log(
+        `[CommandHandler][Extend] Aggregate ${aggregateId} rehydrated from snapshot version ${expectedVersion}`
+      );
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      reservation.rehydrateFromEvents(history);
+      expectedVersion = reservation.version;
+      console.log(
+        `[CommandHandler][Extend] Applied ${history.length} events for ${aggregateId}. Final loaded version: ${expectedVersion}`
+      );
+    } else if (!snapshotRecord) {
+      throw new Error(
+        `Reservation with ID ${aggregateId} not found (no snapshot or events).`
+      );
+    }
+
+    // --- 2. Execute Command (validates status and new end time) ---
+    const previousEndDate = reservation.getEndDate();
+    reservation.extendReservation(command);
+
+    // --- 2.1 Booking Rules ของช่วงเวลาใหม่ทั้งหมด (เช่น ระยะเวลาสูงสุด), เวลาเริ่มไม่เปลี่ยน -> ไม่ตรวจกฎของเวลาเริ่ม ---
+    await this.bookingRulesEngine.assertAllowed({
+      userId: reservation.userId,
+      parkingSiteId: reservation.parkingSiteId,
+      floorId: reservation.floorId,
+      startISO: reservation.getStartDate().toISOString(),
+      endISO: reservation.getEndDate().toISOString(),
+      excludeReservationId: aggregateId,
+      skipRules: [BOOKING_RULE.MIN_LEAD_TIME, BOOKING_RULE.MAX_ADVANCE, BOOKING_RULE.USER_SUSPENDED],
+    });
+
+    // --- 3. Slot Conflict Check for the additional time (same check as POST /reservations) ---
+    const conflicts = await this.slotConflictChecker.findConflicts({
+      slotId: reservation.slotId,
+      startISO: previousEndDate.toISOString(),
+      endISO: reservation.getEndDate().toISOString(),
+      excludeReservationId: aggregateId,
+    });
+    if (conflicts.length > 0) {
+      throw new SlotUnavailableError(reservation.slotId, conflicts);
+    }
+
+    // --- 3.1 Dynamic Pricing: คิดราคาของช่วงเวลา/อาคารใหม่ แล้วล็อกแทนราคาเดิม ---
+    reservation.relockPrice(
+      await this.pricingService.resolvePricing({
+        floorId: reservation.floorId,
+        vehicleTypeCode: reservation.vehicleTypeCode,
+        startISO: reservation.getStartDate().toISOString(),
+        endISO: reservation.getEndDate().toISOString(),
+        timeZoneOffset: reservation.timeZoneOffset,
+      })
+    );
+
+    // --- 4. Save New Events, Handle Concurrency, Save Snapshot ---
+    const newEvents = reservation.getUncommittedEvents();
+    const baseVersionForSave = expectedVersion;
+
+    try {
+      await this.eventStore.saveEvents(
+        aggregateId,
+        "Reservation",
+        newEvents,
+        baseVersionForSave,
+        { slotBooking: reservation.getSlotBooking() }
+      );
+
+      const newVersion = baseVersionForSave + newEvents.length;
+      if (newVersion > 0 && newVersion % this.snapshotFrequency === 0) {
+        try {
+          await this.snapshotStore.saveSnapshot(
+            aggregateId,
+            reservation.getState(),
+            newVersion
+          );
+        } catch (snapshotError) {
+          console.error(
+            `[CommandHandler][Extend] FAILED TO SAVE SNAPSHOT for ${aggregateId} at version ${newVersion}:`,
+            snapshotError
+          );
+        }
+      }
+
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+
+      reservation.clearUncommittedEvents();
+    } catch (error) {
+      if (error.code === "SLOT_CONFLICT") {
+        // มีการจองอื่นถือ Slot ช่วงนี้ไปแล้ว (Read Model อาจยังตามไม่ทัน)
+        throw new SlotUnavailableError(reservation.slotId);
+      }
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        console.warn(
+          `[CommandHandler][Extend] Concurrency error caught for aggregate ${aggregateId}. Expected version ${baseVersionForSave}.`
+        );
+        throw new Error(
+          "Concurrency Error: Reservation modified by others, please try again."
+        );
+      }
+      console.error(
+        `[CommandHandler][Extend] Error during save/publish for ${aggregateId}:`,
+        error
+      );
+      throw error;
+    }
+
+    return {
+      message: "Reservation extended successfully.",
+      reservationId: aggregateId,
+      endTimeStamp: reservation.endTimeStamp,
+      endDateLocal: reservation.endDateLocal,
+      endTimeLocal: reservation.endTimeLocal,
+      timeZoneOffset: reservation.timeZoneOffset,
+    };
+  }
+}
@@ -0,0 +1,186 @@
+// /services/user-car-service/src/application/handlers/command-handlers/RescheduleReservationCommandHandler.js
+
+import { ReservationAggregate } from "../../../domain/aggregates/ReservationAggregate.js";
+import { SlotUnavailableError } from "../../../domain/errors/SlotUnavailableError.js";
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class RescheduleReservationCommandHandler {
+  constructor(
+    eventStore,
+    messageBroker,
+    supabaseClient,
+    slotConflictChecker,
+    slotLookupService,
+    bookingRulesEngine,
+    pricingService
+  ) {
+    if (
+      !eventStore ||
+      !messageBroker ||
+      !supabaseClient ||
+      !slotConflictChecker ||
+      !slotLookupService ||
+      !bookingRulesEngine ||
+      !pricingService
+    ) {
+      throw new Error(
+        "RescheduleReservationCommandHandler requires an event store, message broker, supabase client, slot conflict checker, slot lookup service, booking rules engine, and pricing service."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.slotConflictChecker = slotConflictChecker;
+    this.slotLookupService = slotLookupService;
+    this.bookingRulesEngine = bookingRulesEngine;
+    this.pricingService = pricingService;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+    this.snapshotFrequency = 2; // Snapshot every 2 events for testing
+  }
+
+  async handle(command) {
+    const aggregateId = command.reservationId;
+    const reservation = new ReservationAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      reservation.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+      console.log(
+        `[CommandHandler][Reschedule] Aggregate ${aggregateId} rehydrated from snapshot version ${expectedVersion}`
+      );
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      reservation.rehydrateFromEvents(history);
+      expectedVersion = reservation.version;
+      console.log(
+        `[CommandHandler][Reschedule] Applied ${history.length} events for ${aggregateId}. Final loaded version: ${expectedVersion}`
+      );
+    } else if (!snapshotRecord) {
+      throw new Error(
+        `Reservation with ID ${aggregateId} not found (no snapshot or events).`
+      );
+    }
+
+    // --- 2. Validate the new Slot (same lookup as POST /reservations) ---
+    let newSlot = null;
+    if (command.slotId && command.slotId !== reservation.slotId) {
+      newSlot = await this.slotLookupService.findSlot(command.slotId);
+      if (!newSlot) throw new Error(`Slot ${command.slotId} not found`);
+    }
+
+    // --- 3. Execute Command, then re-check overlap for the whole new window ---
+    const previousStartMs = reservation.getStartDate().getTime();
+    reservation.rescheduleReservation(command, newSlot);
+    const [rescheduledEvent] = reservation.getUncommittedEvents();
+
+    // --- 3.1 Booking Rules ของ Slot/อาคาร/ช่วงเวลาใหม่ (เวลาเริ่มไม่เปลี่ยน เช่นย้าย Slot -> ไม่ตรวจกฎของเวลาเริ่ม) ---
+    const startUnchanged = reservation.getStartDate().getTime() === previousStartMs;
+    await this.bookingRulesEngine.assertAllowed({
+      userId: reservation.userId,
+      parkingSiteId: reservation.parkingSiteId,
+      floorId: reservation.floorId,
+      startISO: reservation.getStartDate().toISOString(),
+      endISO: reservation.getEndDate().toISOString(),
+      excludeReservationId: aggregateId,
+      skipRules: [
+        BOOKING_RULE.USER_SUSPENDED,
+        ...(startUnchanged ? [BOOKING_RULE.MIN_LEAD_TIME, BOOKING_RULE.MAX_ADVANCE] : []),
+      ],
+    });
+
+    const conflicts = await this.slotConflictChecker.findConflicts({
+      slotId: reservation.slotId,
+      startISO: reservation.getStartDate().toISOString(),
+      endISO: reservation.getEndDate().toISOString(),
+      excludeReservationId: aggregateId,
+    });
+    if (conflicts.length > 0) {
+      throw new SlotUnavailableError(reservation.slotId, conflicts);
+    }
+
+    // --- 3.2 Dynamic Pricing: คิดราคาของช่วงเวลา/อาคารใหม่ แล้วล็อกแทนราคาเดิม ---
+    reservation.relockPrice(
+      await this.pricingService.resolvePricing({
+        floorId: reservation.floorId,
+        vehicleTypeCode: reservation.vehicleTypeCode,
+        startISO: reservation.getStartDate().toISOString(),
+        endISO: reservation.getEndDate().toISOString(),
+        timeZoneOffset: reservation.timeZoneOffset,
+      })
+    );
+
+    // --- 4. Save New Events, Handle Concurrency, Save Snapshot ---
+    const newEvents = reservation.getUncommittedEvents();
+    const baseVersionForSave = expectedVersion;
+
+    try {
+      await this.eventStore.saveEvents(
+        aggregateId,
+        "Reservation",
+        newEvents,
+        baseVersionForSave,
+        { slotBooking: reservation.getSlotBooking() }
+      );
+
+      const newVersion = baseVersionForSave + newEvents.length;
+      if (newVersion > 0 && newVersion % this.snapshotFrequency === 0) {
+        try {
+          await this.snapshotStore.saveSnapshot(
+            aggregateId,
+            reservation.getState(),
+            newVersion
+          );
+        } catch (snapshotError) {
+          console.error(
+            `[CommandHandler][Reschedule] FAILED TO SAVE SNAPSHOT for ${aggregateId} at version ${newVersion}:`,
+            snapshotError
+          );
+        }
+      }
+
+      for (const event of newEvents) {
+        await this.messageBroker.publishEvent(event);
+      }
+
+      reservation.clearUncommittedEvents();
+    } catch (error) {
+      if (error.code === "SLOT_CONFLICT") {
+        // มีการจองอื่นถือ Slot ช่วงนี้ไปแล้ว (Read Model อาจยังตามไม่ทัน)
+        throw new SlotUnavailableError(reservation.slotId);
+      }
+      if (
+        error.code === "CONCURRENCY_ERROR" ||
+        error.message.includes("Concurrency Error")
+      ) {
+        console.warn(
+          `[CommandHandler][Reschedule] Concurrency error caught for aggregate ${aggregateId}. Expected version ${baseVersionForSave}.`
+        );
+        throw new Error(
+          "Concurrency Error: Reservation modified by others, please try again."
+        );
+      }
+      console.error(
+        `[CommandHandler][Reschedule] Error during save/publish for ${aggregateId}:`,
+        error
+      );
+      throw error;
+    }
+
+    return {
+      message: "Reservation rescheduled successfully.",
+      reservationId: aggregateId,
+      changedFields: rescheduledEvent.changedFields,
+      previous: rescheduledEvent.previous,
+      current: rescheduledEvent.current,
+      timeZoneOffset: reservation.timeZoneOffset,
+    };
+  }
+}
@@ -71,7 +71,8 @@ export class UpdateParkingStatusCommandHandler {
           aggregateId,
           "Reservation",
           newEvents,
-          baseVersionForSave // Pass the correct expected version to the RPC function
+          baseVersionForSave, // Pass the correct expected version to the RPC function
+          { slotBooking: reservation.getSlotBooking() } // ปล่อย Slot ถ้าสถานะไม่ Active แล้ว
         );
 
         // --- Snapshot logic (runs ONLY if saveEvents was successful) ---
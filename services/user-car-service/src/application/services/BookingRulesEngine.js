@@ -0,0 +1,105 @@
+// /services/user-car-service/src/application/services/BookingRulesEngine.js
+import { MaxActiveReservationsRule } from "./booking-rules/MaxActiveReservationsRule.js";
+import { MaxDurationRule } from "./booking-rules/MaxDurationRule.js";
+import { MaxAdvanceBookingRule } from "./booking-rules/MaxAdvanceBookingRule.js";
+import { MinLeadTimeRule } from "./booking-rules/MinLeadTimeRule.js";
+import { AllowedUserTypeRule } from "./booking-rules/AllowedUserTypeRule.js";
+import { UserSuspensionRule } from "./booking-rules/UserSuspensionRule.js";
+import { DEFAULT_BOOKING_LIMITS } from "../../domain/constants/bookingRules.js";
+import { BookingRuleViolationError } from "../../domain/errors/BookingRuleViolationError.js";
+
+const LIMIT_COLUMNS = Object.keys(DEFAULT_BOOKING_LIMITS);
+
+/**
+ * ตรวจกฎการจอง (โควตา/ระยะเวลา/ล่วงหน้า/Lead Time/ประเภทผู้ใช้ของอาคาร/การระงับการจอง)
+ * ก่อนสร้างการจอง และก่อน Reschedule/Extend (ตรวจ Slot/ช่วงเวลาใหม่)
+ * ค่า Limit: buildings (override) -> parking_sites -> DEFAULT_BOOKING_LIMITS
+ * กฎเป็นแบบ Pluggable: object ที่มี `name` และ `evaluate(context)` คืนค่า violation หรือ null
+ */
+export class BookingRulesEngine {
+  /**
+   * @param {object} supabaseClient
+   * @param {object[]} [rules] - Default: กฎทั้งหมดใน booking-rules/
+   */
+  constructor(supabaseClient, rules) {
+    if (!supabaseClient) {
+      throw new Error("BookingRulesEngine requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+    this.rules = rules || [
+      new MaxActiveReservationsRule(supabaseClient),
+      new MaxDurationRule(),
+      new MaxAdvanceBookingRule(),
+      new MinLeadTimeRule(),
+      new AllowedUserTypeRule(supabaseClient),
+      new UserSuspensionRule(supabaseClient),
+    ];
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.userId
+   * @param {string} params.parkingSiteId
+   * @param {string} params.floorId - ใช้หา Building ของ Slot
+   * @param {string} params.startISO
+   * @param {string} params.endISO
+   * @param {string} [params.excludeReservationId] - การจองเดิมที่กำลังเปลี่ยน (Reschedule/Extend) ไม่นับเป็นโควตา
+   * @param {string[]} [params.skipRules] - BOOKING_RULE ที่ไม่เกี่ยวกับการเปลี่ยนแปลงนี้
+   * @returns {Promise<{rule: string, message: string, limit: *, actual: *}[]>} ว่าง = ผ่านทุกกฎ
+   */
+  async evaluate({ userId, parkingSiteId, floorId, startISO, endISO, excludeReservationId, skipRules = [] }) {
+    const { site, building } = await this._loadLimitSources(parkingSiteId, floorId);
+
+    const context = {
+      userId,
+      parkingSiteId,
+      excludeReservationId: excludeReservationId || null,
+      buildingId: building?.id || null,
+      site,
+      building,
+      startMs: new Date(startISO).getTime(),
+      endMs: new Date(endISO).getTime(),
+      nowMs: Date.now(),
+      getLimit: (column) =>
+        building?.[column] ?? site?.[column] ?? DEFAULT_BOOKING_LIMITS[column],
+    };
+
+    const rules = this.rules.filter((rule) => !skipRules.includes(rule.name));
+    const results = await Promise.all(rules.map((rule) => rule.evaluate(context)));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * เหมือน evaluate แต่ throw BookingRuleViolationError (422) พร้อมรายการกฎที่ไม่ผ่านทั้งหมด
+   */
+  async assertAllowed(params) {
+    const violations = await this.evaluate(params);
+    if (violations.length > 0) {
+      throw new BookingRuleViolationError(violations);
+    }
+  }
+
+  async _loadLimitSources(parkingSiteId, floorId) {
+    const { data: site, error: siteError } = await this.supabase
+      .from("parking_sites")
+      .select(["id", ...LIMIT_COLUMNS].join(", "))
+      .eq("id", parkingSiteId)
+      .maybeSingle();
+    if (siteError) throw siteError;
+
+    let building = null;
+    if (floorId) {
+      const { data: floor, error: floorError } = await this.supabase
+        .from("floors")
+        .select(
+          `building_id, buildings ( ${["id", "allowed_user_types", ...LIMIT_COLUMNS].join(", ")} )`
+        )
+        .eq("id", floorId)
+        .maybeSingle();
+      if (floorError) throw floorError;
+      building = floor?.buildings || null;
+    }
+
+    return { site, building };
+  }
+}
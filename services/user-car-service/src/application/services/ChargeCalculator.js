@@ -0,0 +1,207 @@
+// /services/user-car-service/src/application/services/ChargeCalculator.js
+import {
+  BILLING_CURRENCY,
+  CHARGE_LINE_TYPE,
+  DEFAULT_TARIFF,
+} from "../../domain/constants/billingPolicy.js";
+import { DISCOUNT_TYPE } from "../../domain/constants/promoPolicy.js";
+
+const TARIFF_COLUMNS = Object.keys(DEFAULT_TARIFF);
+const MINUTES_PER_DAY = 24 * 60;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * คิดค่าจอดตอนเช็คเอาท์จาก Tariff ของอาคาร (buildings) ที่ Slot อยู่
+ * - เวลาที่จองไว้คิดเต็ม (ใช้ไม่หมดก็คิด) + เวลาที่เข้าก่อนเวลาจอง คิดราคาปกติ
+ * - หักนาทีฟรีช่วงแรก -> ปัดขึ้นตาม billing_increment_minutes -> จำกัดด้วย daily_cap ต่อ 24 ชม.
+ * - ส่วนลด Promo Code หักจากค่าจอดตามเวลาที่จอง (หลัง daily_cap) ไม่รวมค่าจอดเกินเวลา
+ * - เวลาที่จอดเกินการจอง (overstay) คิดแยก: ราคาปกติ + overstay_surcharge_per_hour และไม่อยู่ใน daily_cap
+ */
+export class ChargeCalculator {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("ChargeCalculator requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * @param {object} checkedOut - CheckedOutEvent (checkedInAt, bookedStart, bookedMinutes, parkedMinutes, overstayMinutes)
+   * @param {string} floorId - ใช้หา Building ของ Slot
+   * @param {object|null} [discount] - ReservationAggregate.discount
+   * @param {object|null} [tariffOverrides] - เช่น { price_per_hour } ที่ล็อกไว้ตอนจอง (Dynamic Pricing)
+   * @returns {Promise<{buildingId: string|null, charge: object}>}
+   */
+  async priceCheckOut(checkedOut, floorId, discount = null, tariffOverrides = null) {
+    const { buildingId, tariff } = await this._loadTariff(floorId);
+    return {
+      buildingId,
+      charge: this.calculate(checkedOut, { ...tariff, ...tariffOverrides }, discount),
+    };
+  }
+
+  /**
+   * ประมาณค่าจอดตามช่วงเวลาที่จอง (ใช้ authorize ตอนจอง) = เข้า-ออกตรงเวลาพอดี
+   * @returns {Promise<{buildingId: string|null, charge: object}>}
+   */
+  async estimateBooking(floorId, startISO, endISO, discount = null, tariffOverrides = null) {
+    const bookedMinutes = Math.ceil((new Date(endISO) - new Date(startISO)) / 60000);
+    return this.priceCheckOut(
+      {
+        checkedInAt: startISO,
+        bookedStart: startISO,
+        bookedMinutes,
+        parkedMinutes: bookedMinutes,
+        overstayMinutes: 0,
+      },
+      floorId,
+      discount,
+      tariffOverrides
+    );
+  }
+
+  /**
+   * คำนวณแบบ Pure (ไม่แตะ DB)
+   * @returns {{currency: string, bookedMinutes: number, parkedMinutes: number, earlyMinutes: number,
+   *   overstayMinutes: number, lineItems: object[], totalAmount: number, tariff: object}}
+   */
+  calculate(checkedOut, tariff = DEFAULT_TARIFF, discount = null) {
+    const rate = Number(tariff.price_per_hour) || 0;
+    const increment = Math.max(1, Number(tariff.billing_increment_minutes) || 1);
+    const roundUp = (minutes) => Math.ceil(Math.max(0, minutes) / increment) * increment;
+    const priceOf = (minutes, perHour) => roundMoney((minutes / 60) * perHour);
+
+    const bookedMinutes = checkedOut.bookedMinutes;
+    const overstayMinutes = checkedOut.overstayMinutes;
+    const earlyMinutes = Math.max(
+      0,
+      Math.ceil((new Date(checkedOut.bookedStart) - new Date(checkedOut.checkedInAt)) / 60000)
+    );
+    const lineItems = [];
+
+    // 1. เวลาที่จอง (+ เข้าก่อนเวลา)
+    const baseMinutes = bookedMinutes + earlyMinutes;
+    const grossBillable = roundUp(baseMinutes);
+    let baseAmount = priceOf(grossBillable, rate);
+    lineItems.push({
+      type: CHARGE_LINE_TYPE.PARKING,
+      description:
+        earlyMinutes > 0
+          ? `Booked time ${bookedMinutes} min + early arrival ${earlyMinutes} min`
+          : `Booked time ${bookedMinutes} min`,
+      minutes: baseMinutes,
+      billableMinutes: grossBillable,
+      unitPrice: rate,
+      amount: baseAmount,
+    });
+
+    // 2. นาทีฟรีช่วงแรก
+    const freeMinutes = Math.min(Number(tariff.free_minutes) || 0, baseMinutes);
+    if (freeMinutes > 0) {
+      const netBillable = roundUp(baseMinutes - freeMinutes);
+      const discount = roundMoney(priceOf(netBillable, rate) - baseAmount);
+      if (discount !== 0) {
+        lineItems.push({
+          type: CHARGE_LINE_TYPE.FREE_MINUTES,
+          description: `First ${freeMinutes} min free`,
+          minutes: freeMinutes,
+          billableMinutes: netBillable - grossBillable,
+          unitPrice: rate,
+          amount: discount,
+        });
+        baseAmount = roundMoney(baseAmount + discount);
+      }
+    }
+
+    // 3. เพดานต่อวัน (นับทุก 24 ชม. ที่เริ่มแล้ว)
+    if (tariff.daily_cap != null) {
+      const days = Math.max(1, Math.ceil(baseMinutes / MINUTES_PER_DAY));
+      const cap = roundMoney(Number(tariff.daily_cap) * days);
+      if (baseAmount > cap) {
+        lineItems.push({
+          type: CHARGE_LINE_TYPE.DAILY_CAP,
+          description: `Daily cap ${tariff.daily_cap} x ${days} day(s)`,
+          minutes: 0,
+          billableMinutes: 0,
+          unitPrice: Number(tariff.daily_cap),
+          amount: roundMoney(cap - baseAmount),
+        });
+        baseAmount = cap;
+      }
+    }
+
+    // 3.1 ส่วนลด Promo Code (ไม่เกินค่าจอดที่เหลือ)
+    if (discount && baseAmount > 0) {
+      const value = Number(discount.discountValue) || 0;
+      let discountAmount =
+        {
+          [DISCOUNT_TYPE.PERCENTAGE]: (baseAmount * value) / 100,
+          [DISCOUNT_TYPE.FIXED_AMOUNT]: value,
+          [DISCOUNT_TYPE.FREE_HOURS]: priceOf(value * 60, rate),
+        }[discount.discountType] ?? 0;
+      if (discount.maxDiscountAmount != null) {
+        discountAmount = Math.min(discountAmount, Number(discount.maxDiscountAmount));
+      }
+      discountAmount = roundMoney(Math.min(discountAmount, baseAmount));
+      if (discountAmount > 0) {
+        const isFreeHours = discount.discountType === DISCOUNT_TYPE.FREE_HOURS;
+        lineItems.push({
+          type: CHARGE_LINE_TYPE.PROMO_DISCOUNT,
+          description: `Promo code ${discount.code}`,
+          minutes: isFreeHours ? value * 60 : 0,
+          billableMinutes: isFreeHours ? -value * 60 : 0,
+          unitPrice: isFreeHours ? rate : value,
+          amount: -discountAmount,
+        });
+        baseAmount = roundMoney(baseAmount - discountAmount);
+      }
+    }
+
+    // 4. จอดเกินเวลา
+    if (overstayMinutes > 0) {
+      const overstayRate = rate + (Number(tariff.overstay_surcharge_per_hour) || 0);
+      const billable = roundUp(overstayMinutes);
+      lineItems.push({
+        type: CHARGE_LINE_TYPE.OVERSTAY,
+        description: `Overstay ${overstayMinutes} min`,
+        minutes: overstayMinutes,
+        billableMinutes: billable,
+        unitPrice: overstayRate,
+        amount: priceOf(billable, overstayRate),
+      });
+    }
+
+    return {
+      currency: BILLING_CURRENCY,
+      bookedMinutes,
+      parkedMinutes: checkedOut.parkedMinutes,
+      earlyMinutes,
+      overstayMinutes,
+      lineItems,
+      totalAmount: roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0)),
+      tariff,
+    };
+  }
+
+  /**
+   * Tariff: buildings -> DEFAULT_TARIFF (ทีละคอลัมน์)
+   */
+  async _loadTariff(floorId) {
+    let building = null;
+    if (floorId) {
+      const { data: floor, error } = await this.supabase
+        .from("floors")
+        .select(`building_id, buildings ( ${["id", ...TARIFF_COLUMNS].join(", ")} )`)
+        .eq("id", floorId)
+        .maybeSingle();
+      if (error) throw error;
+      building = floor?.buildings || null;
+    }
+
+    const tariff = Object.fromEntries(
+      TARIFF_COLUMNS.map((column) => [column, building?.[column] ?? DEFAULT_TARIFF[column]])
+    );
+    return { buildingId: building?.id || null, tariff };
+  }
+}
@@ -0,0 +1,43 @@
+// /services/user-car-service/src/application/services/IPaymentProvider.js
+
+/**
+ * Port สำหรับ Payment Provider (Adapter อยู่ใน infrastructure/payments/)
+ *
+ * ทุกเมธอด resolve เป็น PaymentResult:
+ *   { succeeded: boolean, paymentId: string|null, amount: number, failureCode?: string, failureMessage?: string }
+ * การปฏิเสธจาก Provider (บัตรไม่ผ่าน ฯลฯ) ให้ return succeeded=false
+ * ส่วน Error ของระบบ (Network/Timeout) ให้ throw
+ */
+export class IPaymentProvider {
+  /** ชื่อ Provider (บันทึกลงใน Payment Event) */
+  get name() {
+    throw new Error("IPaymentProvider.name is not implemented.");
+  }
+
+  /**
+   * กันวงเงินไว้ก่อน (ยังไม่ตัดเงิน)
+   * @param {{reference: string, userId: string, amount: number, currency: string}} request
+   */
+  async authorize(request) {
+    throw new Error("IPaymentProvider.authorize is not implemented.");
+  }
+
+  /**
+   * ตัดเงินจากรายการที่ authorize ไว้ (amount ไม่เกินยอด authorize, เกิน = succeeded=false
+   * PaymentService จะ authorize ยอดใหม่ก่อน capture เมื่อค่าจอดเกินวงเงินที่กันไว้)
+   * @param {string} paymentId
+   * @param {number} amount
+   */
+  async capture(paymentId, amount) {
+    throw new Error("IPaymentProvider.capture is not implemented.");
+  }
+
+  /**
+   * คืนเงิน ถ้ายังไม่ capture = ยกเลิกวงเงินที่กันไว้ (void)
+   * @param {string} paymentId
+   * @param {number} amount
+   */
+  async refund(paymentId, amount) {
+    throw new Error("IPaymentProvider.refund is not implemented.");
+  }
+}
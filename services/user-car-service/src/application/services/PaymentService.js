@@ -0,0 +1,247 @@
+// /services/user-car-service/src/application/services/PaymentService.js
+import { BILLING_CURRENCY } from "../../domain/constants/billingPolicy.js";
+import {
+  PAYMENT_OPERATION,
+  PAYMENT_STATUS,
+  WALLET_PAYMENT_PROVIDER,
+} from "../../domain/constants/paymentPolicy.js";
+import { PaymentDeclinedError } from "../../domain/errors/PaymentDeclinedError.js";
+
+/**
+ * เชื่อม Flow การจองกับ IPaymentProvider และบันทึกผลเป็น Event บน Reservation Aggregate
+ * (Handler เป็นคน Save/Publish Event ตามปกติ)
+ * - จอง: authorize ยอดประมาณการ -> ไม่ผ่าน = ไม่สร้างการจอง (PaymentDeclinedError)
+ * - เช็คเอาท์: ตัดจาก Wallet ก่อน (Wallet ปฏิเสธ เช่นยอดไม่พอ -> capture จากบัตร, ไม่รู้ผล -> ไม่เก็บซ้ำ) -> ไม่ผ่านบันทึก PaymentFailedEvent (รถออกไปแล้ว ไม่ Block)
+ * - ยกเลิก / No-Show: เก็บค่าปรับ (ถ้ามี, ผ่าน PenaltyService) หรือคืนวงเงินที่กันไว้
+ */
+export class PaymentService {
+  /**
+   * @param {import("./IPaymentProvider.js").IPaymentProvider} paymentProvider
+   * @param {import("./ChargeCalculator.js").ChargeCalculator} chargeCalculator
+   * @param {import("../../infrastructure/payments/UserWalletClient.js").UserWalletClient} [walletClient]
+   *   - ไม่ส่งมา = เก็บจากบัตรอย่างเดียว
+   */
+  constructor(paymentProvider, chargeCalculator, walletClient = null) {
+    if (!paymentProvider || !chargeCalculator) {
+      throw new Error("PaymentService requires a payment provider and a charge calculator.");
+    }
+    this.provider = paymentProvider;
+    this.chargeCalculator = chargeCalculator;
+    this.walletClient = walletClient;
+  }
+
+  /**
+   * Authorize ตอนจอง (อาคารที่จอดฟรีไม่ต้อง authorize)
+   * @returns {Promise<object|null>} PaymentResult หรือ null ถ้าไม่มีค่าใช้จ่าย
+   */
+  async authorizeBooking(reservation) {
+    const { charge } = await this.chargeCalculator.estimateBooking(
+      reservation.floorId,
+      reservation.getStartDate().toISOString(),
+      reservation.getEndDate().toISOString(),
+      reservation.discount,
+      reservation.getTariffOverrides()
+    );
+    if (charge.totalAmount <= 0) return null;
+
+    const result = await this.provider.authorize({
+      reference: reservation.id,
+      userId: reservation.userId,
+      amount: charge.totalAmount,
+      currency: charge.currency,
+    });
+    if (!result.succeeded) {
+      throw new PaymentDeclinedError(charge.totalAmount, result.failureCode, result.failureMessage);
+    }
+
+    reservation.recordPaymentAuthorized({
+      provider: this.provider.name,
+      paymentId: result.paymentId,
+      amount: result.amount,
+      currency: charge.currency,
+    });
+    return result;
+  }
+
+  /**
+   * คืนวงเงินที่ไม่ได้ผูกกับการจองแล้ว (บันทึกการจองไม่สำเร็จ / ถูก authorize ใหม่แทน) -> Best-effort
+   */
+  async voidAuthorization(result) {
+    if (!result?.paymentId) return;
+    try {
+      const voided = await this.provider.refund(result.paymentId, result.amount);
+      if (!voided.succeeded) {
+        console.error(
+          `[PaymentService] Failed to void authorization ${result.paymentId}: ${voided.failureCode} ${voided.failureMessage}`
+        );
+      }
+    } catch (error) {
+      console.error(`[PaymentService] Failed to void authorization ${result.paymentId}:`, error);
+    }
+  }
+
+  /**
+   * Capture ค่าจอดจริงตอนเช็คเอาท์ (ค่าจอด 0 -> คืนวงเงินที่กันไว้)
+   * @param {object} charge - ผลจาก ChargeCalculator.calculate()
+   */
+  async settleCheckOut(reservation, charge) {
+    return this.collect(reservation, charge.totalAmount, "no_charge");
+  }
+
+  /**
+   * เก็บเงินจำนวน amount จากการจอง (ค่าจอด / ค่าปรับ)
+   * @param {number} amount - 0 = ไม่เก็บ -> คืนวงเงินที่กันไว้ด้วย releaseReason
+   * @param {string} releaseReason
+   */
+  async collect(reservation, amount, releaseReason) {
+    if (amount <= 0) {
+      return this.releaseAuthorization(reservation, releaseReason);
+    }
+
+    if (await this._collectFromWallet(reservation, amount)) return;
+
+    // การจองที่ไม่ได้ authorize ไว้ (อาคารฟรีตอนจอง / ค่าจอดเกินเวลา) -> authorize ตอนนี้
+    if (reservation.paymentStatus !== PAYMENT_STATUS.AUTHORIZED) {
+      const authorized = await this._call(reservation, PAYMENT_OPERATION.AUTHORIZE, null, amount, () =>
+        this.provider.authorize({
+          reference: reservation.id,
+          userId: reservation.userId,
+          amount,
+          currency: BILLING_CURRENCY,
+        })
+      );
+      if (!authorized) return;
+      reservation.recordPaymentAuthorized({
+        provider: this.provider.name,
+        paymentId: authorized.paymentId,
+        amount: authorized.amount,
+        currency: BILLING_CURRENCY,
+      });
+    } else if (amount > reservation.paymentAmount) {
+      // ยอดเกินวงเงินที่กันไว้ (เช่นค่าจอดเกินเวลา) -> authorize ยอดเต็มใหม่ แล้วคืนวงเงินเดิม
+      if (!(await this._reauthorize(reservation, amount))) return;
+    }
+
+    const paymentId = reservation.paymentId;
+    const captured = await this._call(reservation, PAYMENT_OPERATION.CAPTURE, paymentId, amount, () =>
+      this.provider.capture(paymentId, amount)
+    );
+    if (!captured) return;
+    reservation.recordPaymentCaptured({
+      provider: this.provider.name,
+      paymentId,
+      amount: captured.amount,
+      currency: BILLING_CURRENCY,
+    });
+  }
+
+  /**
+   * Authorize ยอดใหม่ (มากกว่าเดิม) แทนรายการที่กันไว้ แล้ว void รายการเดิม (Best-effort)
+   * @returns {Promise<boolean>} false = authorize ไม่ผ่าน (บันทึก PaymentFailedEvent แล้ว, วงเงินเดิมยังอยู่)
+   */
+  async _reauthorize(reservation, amount) {
+    const previous = { paymentId: reservation.paymentId, amount: reservation.paymentAmount };
+    const authorized = await this._call(reservation, PAYMENT_OPERATION.AUTHORIZE, null, amount, () =>
+      this.provider.authorize({
+        reference: reservation.id,
+        userId: reservation.userId,
+        amount,
+        currency: BILLING_CURRENCY,
+      })
+    );
+    if (!authorized) return false;
+
+    reservation.recordPaymentAuthorized({
+      provider: this.provider.name,
+      paymentId: authorized.paymentId,
+      amount: authorized.amount,
+      currency: BILLING_CURRENCY,
+    });
+    await this.voidAuthorization(previous);
+    return true;
+  }
+
+  /**
+   * ตัดเงินเต็มจำนวนจาก Wallet (reference = reservationId กันตัดซ้ำ) แล้วคืนวงเงินบัตรที่กันไว้
+   * @returns {Promise<boolean>} false = ไม่มี Wallet Client / Wallet ปฏิเสธ (4xx เช่นยอดไม่พอ) -> เก็บจากบัตรตามปกติ
+   *   true = จบที่ Wallet (ตัดสำเร็จ หรือไม่รู้ผลและบันทึก PaymentFailedEvent แล้ว)
+   */
+  async _collectFromWallet(reservation, amount) {
+    if (!this.walletClient) return false;
+
+    const debited = await this.walletClient.debit({
+      userId: reservation.userId,
+      amount,
+      reference: reservation.id,
+    });
+    if (!debited.succeeded) {
+      if (!debited.outcomeUnknown) return false;
+
+      // ไม่รู้ว่า Wallet ถูกตัดไปแล้วหรือยัง -> ห้ามเก็บจากบัตรซ้ำ ให้ตามกระทบยอดจาก PaymentFailedEvent
+      reservation.recordPaymentFailed({
+        provider: WALLET_PAYMENT_PROVIDER,
+        operation: PAYMENT_OPERATION.CAPTURE,
+        paymentId: null,
+        amount,
+        currency: BILLING_CURRENCY,
+        failureCode: debited.failureCode,
+        failureMessage: debited.failureMessage,
+      });
+      return true;
+    }
+
+    await this.releaseAuthorization(reservation, "wallet");
+    reservation.recordWalletPayment({
+      transactionId: debited.transactionId,
+      amount: debited.amount,
+      currency: BILLING_CURRENCY,
+    });
+    return true;
+  }
+
+  /**
+   * คืนวงเงินที่ authorize ไว้ (ไม่มีรายการที่ authorize อยู่ = ไม่ทำอะไร)
+   * @param {string} reason - เช่น "cancelled", "no_show", "no_charge"
+   */
+  async releaseAuthorization(reservation, reason) {
+    if (reservation.paymentStatus !== PAYMENT_STATUS.AUTHORIZED) return;
+
+    const { paymentId, paymentAmount } = reservation;
+    const refunded = await this._call(reservation, PAYMENT_OPERATION.REFUND, paymentId, paymentAmount, () =>
+      this.provider.refund(paymentId, paymentAmount)
+    );
+    if (!refunded) return;
+    reservation.recordPaymentRefunded({
+      provider: this.provider.name,
+      paymentId,
+      amount: refunded.amount,
+      currency: BILLING_CURRENCY,
+      reason,
+    });
+  }
+
+  /**
+   * เรียก Provider หลังการจองมีอยู่แล้ว: ไม่สำเร็จ (ปฏิเสธ หรือ Error) -> บันทึก PaymentFailedEvent แล้ว return null
+   */
+  async _call(reservation, operation, paymentId, amount, request) {
+    let result;
+    try {
+      result = await request();
+    } catch (error) {
+      console.error(`[PaymentService] ${operation} failed for reservation ${reservation.id}:`, error);
+      result = { succeeded: false, failureCode: "PROVIDER_ERROR", failureMessage: error.message };
+    }
+    if (result.succeeded) return result;
+
+    reservation.recordPaymentFailed({
+      provider: this.provider.name,
+      operation,
+      paymentId: result.paymentId || paymentId,
+      amount,
+      currency: BILLING_CURRENCY,
+      failureCode: result.failureCode,
+      failureMessage: result.failureMessage,
+    });
+    return null;
+  }
+}
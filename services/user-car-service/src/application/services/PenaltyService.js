@@ -0,0 +1,67 @@
+// /services/user-car-service/src/application/services/PenaltyService.js
+import { BILLING_CURRENCY } from "../../domain/constants/billingPolicy.js";
+import { CANCELLED_BY_ROLE } from "../../domain/constants/cancellationReasons.js";
+import { DEFAULT_PENALTY_FEES, PENALTY_TYPE } from "../../domain/constants/penaltyPolicy.js";
+
+/**
+ * ค่าปรับ No-Show / Late Cancellation ตามค่าของ Site (parking_sites)
+ * บันทึก PenaltyAssessedEvent บน Aggregate (apply*) แล้วเก็บเงินผ่าน PaymentService (settle)
+ * Handler ต้อง Save สถานะ Expired/Cancelled ก่อนเรียก settle() เพื่อไม่ให้เงินเคลื่อนไหวโดยไม่มีสถานะรองรับ
+ * (Strike / Suspension ของผู้ใช้อยู่ใน user-service ซึ่งฟัง PenaltyAssessedEvent)
+ */
+export class PenaltyService {
+  constructor(supabaseClient, paymentService) {
+    if (!supabaseClient || !paymentService) {
+      throw new Error("PenaltyService requires a Supabase client and a payment service.");
+    }
+    this.supabase = supabaseClient;
+    this.paymentService = paymentService;
+  }
+
+  /**
+   * เรียกหลัง reservation.expireReservation()
+   * @returns {Promise<{amount: number, reason: string}>} Settlement สำหรับ settle()
+   */
+  async applyNoShow(reservation) {
+    const fee = await this._getFee(reservation.parkingSiteId, "no_show_fee");
+    reservation.assessPenalty(PENALTY_TYPE.NO_SHOW, fee, BILLING_CURRENCY);
+    return { amount: fee, reason: PENALTY_TYPE.NO_SHOW };
+  }
+
+  /**
+   * เรียกหลัง reservation.cancelReservation(): ปรับเฉพาะผู้ใช้ยกเลิกเองภายในช่วง cutoff
+   * @param {object} cancelledEvent - ReservationCancelledEvent
+   * @returns {Promise<{amount: number, reason: string}>} Settlement สำหรับ settle()
+   */
+  async applyCancellation(reservation, cancelledEvent) {
+    const isLate =
+      cancelledEvent.withinCutoffWindow &&
+      cancelledEvent.cancelledByRole === CANCELLED_BY_ROLE.USER;
+    if (!isLate) return { amount: 0, reason: "cancelled" };
+
+    const fee = await this._getFee(reservation.parkingSiteId, "late_cancellation_fee");
+    reservation.assessPenalty(PENALTY_TYPE.LATE_CANCELLATION, fee, BILLING_CURRENCY);
+    return { amount: fee, reason: PENALTY_TYPE.LATE_CANCELLATION };
+  }
+
+  /**
+   * เก็บค่าปรับ (ค่าปรับ 0 = คืนวงเงินที่กันไว้) -> Payment Event บน Aggregate ให้ Handler Save ต่อ
+   * @param {{amount: number, reason: string}} settlement - ผลจาก applyNoShow() / applyCancellation()
+   */
+  async settle(reservation, { amount, reason }) {
+    await this.paymentService.collect(reservation, amount, reason);
+  }
+
+  async _getFee(parkingSiteId, column) {
+    const { data: site, error } = await this.supabase
+      .from("parking_sites")
+      .select(column)
+      .eq("id", parkingSiteId)
+      .maybeSingle();
+
+    if (error || !site || site[column] == null) {
+      return DEFAULT_PENALTY_FEES[column];
+    }
+    return Number(site[column]);
+  }
+}
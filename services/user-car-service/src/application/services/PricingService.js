@@ -0,0 +1,231 @@
+// /services/user-car-service/src/application/services/PricingService.js
+import { DAY_TYPE, WEEKEND_DAYS } from "../../domain/constants/pricingPolicy.js";
+import { OCCUPYING_STATUSES } from "../../domain/constants/holdPolicy.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// "+07:00" -> 420
+const parseOffsetMinutes = (offset = "+00:00") => {
+  const sign = offset.startsWith("-") ? -1 : 1;
+  const [hours, minutes] = offset.replace(/^[+-]/, "").split(":").map(Number);
+  return sign * ((hours || 0) * 60 + (minutes || 0));
+};
+
+// "08:30:00" -> 510
+const toMinuteOfDay = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Dynamic Pricing: ราคาต่อชั่วโมงของการจองตามช่วงเวลา/ประเภทรถ/ความหนาแน่น
+ * 1. pricing_schedules ของอาคาร (weekday / weekend / all + ช่วงชั่วโมงตามเวลาท้องถิ่น) -> ไม่ตรงช่วงไหนใช้ buildings.price_per_hour
+ * 2. + buildings.vehicle_type_premiums[vehicle_type_code] ต่อชั่วโมง (เช่น EV)
+ * 3. x buildings.occupancy_multipliers ตามสัดส่วน Slot ที่ถูกจองในช่วงเวลานั้น (ข้อมูลเดียวกับ /availability/summary)
+ * ราคาที่ได้เป็นค่าเฉลี่ยถ่วงน้ำหนักตามนาทีของแต่ละช่วง แล้วคิดเงินต่อด้วย ChargeCalculator ตามปกติ
+ */
+export class PricingService {
+  /**
+   * @param {object} supabaseClient
+   * @param {import("./ChargeCalculator.js").ChargeCalculator} chargeCalculator
+   */
+  constructor(supabaseClient, chargeCalculator) {
+    if (!supabaseClient || !chargeCalculator) {
+      throw new Error("PricingService requires a Supabase client and a charge calculator.");
+    }
+    this.supabase = supabaseClient;
+    this.chargeCalculator = chargeCalculator;
+  }
+
+  /**
+   * ราคาของการจองที่ยังไม่ได้จอง (POST /pricing/quote)
+   * @param {{floorId: string, vehicleTypeCode: number, startISO: string, endISO: string,
+   *   timeZoneOffset: string, discount?: object}} request
+   * @returns {Promise<object>} pricing + charge (ผลจาก ChargeCalculator)
+   */
+  async quote({ floorId, vehicleTypeCode, startISO, endISO, timeZoneOffset, discount = null }) {
+    const pricing = await this.resolvePricing({ floorId, vehicleTypeCode, startISO, endISO, timeZoneOffset });
+    const { charge } = await this.chargeCalculator.estimateBooking(floorId, startISO, endISO, discount, {
+      price_per_hour: pricing.pricePerHour,
+    });
+    return { ...pricing, charge };
+  }
+
+  /**
+   * @returns {Promise<{buildingId: string|null, isDynamic: boolean, pricePerHour: number,
+   *   basePricePerHour: number, vehiclePremiumPerHour: number, occupancyRate: number|null,
+   *   occupancyMultiplier: number, bands: object[]}>}
+   *   isDynamic = false -> อาคารไม่ได้ตั้งค่า Dynamic Pricing (ราคาเท่ากับ price_per_hour เดิม)
+   */
+  async resolvePricing({ floorId, vehicleTypeCode, startISO, endISO, timeZoneOffset }) {
+    const building = await this._loadBuilding(floorId);
+    const flatRate = Number(building?.price_per_hour) || 0;
+    const schedules = building ? await this._loadSchedules(building.id) : [];
+
+    // 1. ช่วงราคาตามเวลา
+    const bands = this._splitIntoBands(schedules, flatRate, startISO, endISO, timeZoneOffset);
+    const totalMinutes = bands.reduce((sum, band) => sum + band.minutes, 0);
+    const basePricePerHour =
+      totalMinutes > 0
+        ? roundMoney(bands.reduce((sum, band) => sum + band.minutes * band.pricePerHour, 0) / totalMinutes)
+        : flatRate;
+
+    // 2. ส่วนเพิ่มตามประเภทรถ
+    const vehiclePremiumPerHour =
+      Number(building?.vehicle_type_premiums?.[String(vehicleTypeCode)]) || 0;
+
+    // 3. ตัวคูณตามความหนาแน่น (ใช้ขั้นสูงสุดที่ถึง min_occupancy)
+    const tiers = Array.isArray(building?.occupancy_multipliers) ? building.occupancy_multipliers : [];
+    let occupancyRate = null;
+    let occupancyMultiplier = 1;
+    if (tiers.length > 0) {
+      occupancyRate = await this._getOccupancyRate(building, vehicleTypeCode, startISO, endISO);
+      const tier = tiers
+        .filter((t) => occupancyRate >= Number(t.min_occupancy))
+        .sort((a, b) => Number(b.min_occupancy) - Number(a.min_occupancy))[0];
+      occupancyMultiplier = tier ? Number(tier.multiplier) || 1 : 1;
+    }
+
+    return {
+      buildingId: building?.id || null,
+      isDynamic: schedules.length > 0 || vehiclePremiumPerHour !== 0 || tiers.length > 0,
+      pricePerHour: roundMoney((basePricePerHour + vehiclePremiumPerHour) * occupancyMultiplier),
+      basePricePerHour,
+      vehiclePremiumPerHour,
+      occupancyRate,
+      occupancyMultiplier,
+      bands,
+    };
+  }
+
+  /**
+   * แบ่งช่วงการจองตามขอบของ Schedule และเที่ยงคืน (เวลาท้องถิ่น) แล้วรวมช่วงติดกันที่ราคาเท่ากัน
+   */
+  _splitIntoBands(schedules, flatRate, startISO, endISO, timeZoneOffset) {
+    const offsetMs = parseOffsetMinutes(timeZoneOffset) * 60000;
+    const endMs = new Date(endISO).getTime();
+    const boundaries = [
+      ...new Set(schedules.flatMap((s) => [toMinuteOfDay(s.start_time), toMinuteOfDay(s.end_time)])),
+    ];
+    const bands = [];
+
+    let cursor = new Date(startISO).getTime();
+    while (cursor < endMs) {
+      const local = new Date(cursor + offsetMs);
+      const minuteOfDay = local.getUTCHours() * 60 + local.getUTCMinutes();
+      const schedule = this._matchSchedule(schedules, local.getUTCDay(), minuteOfDay);
+
+      const nextBoundary = Math.min(
+        MINUTES_PER_DAY,
+        ...boundaries.filter((minute) => minute > minuteOfDay)
+      );
+      const localDayStartMs = Math.floor((cursor + offsetMs) / 86400000) * 86400000;
+      const next = Math.min(endMs, localDayStartMs + nextBoundary * 60000 - offsetMs);
+      const pricePerHour = schedule ? Number(schedule.price_per_hour) : flatRate;
+      const minutes = (next - cursor) / 60000;
+
+      const previous = bands[bands.length - 1];
+      if (previous && previous.pricePerHour === pricePerHour && previous.scheduleId === (schedule?.id ?? null)) {
+        previous.to = new Date(next).toISOString();
+        previous.minutes += minutes;
+      } else {
+        bands.push({
+          from: new Date(cursor).toISOString(),
+          to: new Date(next).toISOString(),
+          minutes,
+          pricePerHour,
+          scheduleId: schedule?.id ?? null,
+          label: schedule?.label ?? null,
+        });
+      }
+      cursor = next;
+    }
+    return bands;
+  }
+
+  /**
+   * Schedule ที่ตรงวันและเวลา: priority สูงก่อน, day_type เฉพาะ (weekday/weekend) ชนะ all
+   * ช่วงที่ end_time <= start_time = ข้ามเที่ยงคืน (เช่น 22:00 - 06:00)
+   */
+  _matchSchedule(schedules, dayOfWeek, minuteOfDay) {
+    const dayType = WEEKEND_DAYS.includes(dayOfWeek) ? DAY_TYPE.WEEKEND : DAY_TYPE.WEEKDAY;
+    const candidates = schedules.filter((s) => {
+      if (s.day_type !== DAY_TYPE.ALL && s.day_type !== dayType) return false;
+      const start = toMinuteOfDay(s.start_time);
+      const end = toMinuteOfDay(s.end_time);
+      return end > start
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+    });
+    return (
+      candidates.sort(
+        (a, b) =>
+          (b.priority || 0) - (a.priority || 0) ||
+          Number(a.day_type === DAY_TYPE.ALL) - Number(b.day_type === DAY_TYPE.ALL)
+      )[0] || null
+    );
+  }
+
+  /**
+   * สัดส่วน Slot (ไม่นับ maintenance) ของอาคารที่ถูกจอง/Hold ทับช่วงเวลานี้ (0..1)
+   */
+  async _getOccupancyRate(building, vehicleTypeCode, startISO, endISO) {
+    const { data: floors, error: floorError } = await this.supabase
+      .from("floors")
+      .select("id")
+      .eq("building_id", building.id);
+    if (floorError) throw floorError;
+    const floorIds = (floors || []).map((f) => f.id);
+    if (floorIds.length === 0) return 0;
+
+    let slotsQuery = this.supabase
+      .from("slots")
+      .select("id")
+      .in("floor_id", floorIds)
+      .neq("status", "maintenance")
+      .is("decommissioned_at", null);
+    let occupancyQuery = this.supabase
+      .from("slot_occupancy")
+      .select("slot_id")
+      .in("floor_id", floorIds)
+      .in("status", OCCUPYING_STATUSES)
+      .lt("start_time", endISO)
+      .gt("end_time", startISO);
+    if (vehicleTypeCode !== undefined && vehicleTypeCode !== null) {
+      slotsQuery = slotsQuery.eq("vehicle_type_code", vehicleTypeCode);
+      occupancyQuery = occupancyQuery.eq("vehicle_type_code", vehicleTypeCode);
+    }
+
+    const [{ data: slots, error: slotError }, { data: occupied, error: occupancyError }] =
+      await Promise.all([slotsQuery, occupancyQuery]);
+    if (slotError) throw slotError;
+    if (occupancyError) throw occupancyError;
+    if (!slots?.length) return 0;
+
+    const slotIds = new Set(slots.map((s) => s.id));
+    const bookedSlotIds = new Set((occupied || []).map((o) => o.slot_id).filter((id) => slotIds.has(id)));
+    return Math.round((bookedSlotIds.size / slotIds.size) * 1000) / 1000;
+  }
+
+  async _loadBuilding(floorId) {
+    if (!floorId) return null;
+    const { data: floor, error } = await this.supabase
+      .from("floors")
+      .select("building_id, buildings ( id, price_per_hour, vehicle_type_premiums, occupancy_multipliers )")
+      .eq("id", floorId)
+      .maybeSingle();
+    if (error) throw error;
+    return floor?.buildings || null;
+  }
+
+  async _loadSchedules(buildingId) {
+    const { data, error } = await this.supabase
+      .from("pricing_schedules")
+      .select("id, label, day_type, start_time, end_time, price_per_hour, priority")
+      .eq("building_id", buildingId)
+      .eq("active", true);
+    if (error) throw error;
+    return data || [];
+  }
+}
@@ -0,0 +1,279 @@
+// /services/user-car-service/src/application/services/PromoCodeService.js
+import { isValidDiscountType, DISCOUNT_TYPE } from "../../domain/constants/promoPolicy.js";
+import { PromoCodeError } from "../../domain/errors/PromoCodeError.js";
+
+// คอลัมน์ที่แก้ไขได้หลังสร้าง (code และประเภทส่วนลดแก้ไม่ได้ เพราะการจองเดิมอ้างอิงอยู่)
+const UPDATABLE_COLUMNS = {
+  active: "active",
+  validFrom: "valid_from",
+  validUntil: "valid_until",
+  maxUses: "max_uses",
+  maxUsesPerUser: "max_uses_per_user",
+  maxDiscountAmount: "max_discount_amount",
+  description: "description",
+};
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Promo Code สำหรับการจอง (Read/Write: promo_codes, promo_code_redemptions)
+ * - validate: ตรวจช่วงเวลาใช้งาน, ขอบเขต Site/Building/ประเภทรถ และจำนวนสิทธิ์คงเหลือ
+ * - redeem: ตัดสิทธิ์ตอนสร้างการจอง (นับซ้ำหลัง insert กันใช้เกินเมื่อจองพร้อมกัน)
+ * - releaseRedemption: การจองถูกยกเลิก -> คืนสิทธิ์
+ */
+export class PromoCodeService {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("PromoCodeService requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * (Admin) สร้าง Promo Code
+   * @returns {Promise<object>} แถวของ promo_codes
+   */
+  async createPromoCode(input) {
+    const code = normalizeCode(input.code);
+    const discountValue = Number(input.discountValue);
+    if (!code) {
+      throw new PromoCodeError(null, "code is required.", "PROMO_CODE_INVALID");
+    }
+    if (!isValidDiscountType(input.discountType)) {
+      throw new PromoCodeError(
+        code,
+        `discountType must be one of: ${Object.values(DISCOUNT_TYPE).join(", ")}.`,
+        "PROMO_CODE_INVALID"
+      );
+    }
+    if (!(discountValue > 0) || (input.discountType === DISCOUNT_TYPE.PERCENTAGE && discountValue > 100)) {
+      throw new PromoCodeError(code, "discountValue is out of range.", "PROMO_CODE_INVALID");
+    }
+    if (input.validFrom && input.validUntil && new Date(input.validFrom) >= new Date(input.validUntil)) {
+      throw new PromoCodeError(code, "validUntil must be after validFrom.", "PROMO_CODE_INVALID");
+    }
+
+    const { data, error } = await this.supabase
+      .from("promo_codes")
+      .insert({
+        code,
+        description: input.description ?? null,
+        discount_type: input.discountType,
+        discount_value: discountValue,
+        max_discount_amount: input.maxDiscountAmount ?? null,
+        valid_from: input.validFrom ?? null,
+        valid_until: input.validUntil ?? null,
+        max_uses: input.maxUses ?? null,
+        max_uses_per_user: input.maxUsesPerUser ?? null,
+        parking_site_ids: input.parkingSiteIds ?? null,
+        building_ids: input.buildingIds ?? null,
+        vehicle_type_codes: input.vehicleTypeCodes ?? null,
+        active: input.active ?? true,
+        created_by: input.createdBy ?? null,
+      })
+      .select()
+      .single();
+    if (error) {
+      if (error.code === "23505") {
+        throw new PromoCodeError(code, `Promo code ${code} already exists.`, "PROMO_CODE_EXISTS");
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * (Admin) แก้ไขช่วงเวลา / จำนวนสิทธิ์ / เปิด-ปิดการใช้งาน
+   */
+  async updatePromoCode(code, changes) {
+    const normalized = normalizeCode(code);
+    const values = Object.fromEntries(
+      Object.entries(UPDATABLE_COLUMNS)
+        .filter(([field]) => changes[field] !== undefined)
+        .map(([field, column]) => [column, changes[field]])
+    );
+    if (Object.keys(values).length === 0) {
+      throw new PromoCodeError(
+        normalized,
+        `Nothing to update. Allowed fields: ${Object.keys(UPDATABLE_COLUMNS).join(", ")}.`,
+        "PROMO_CODE_INVALID"
+      );
+    }
+
+    const { data, error } = await this.supabase
+      .from("promo_codes")
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq("code", normalized)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      throw new PromoCodeError(normalized, `Promo code ${normalized} not found.`, "PROMO_CODE_NOT_FOUND");
+    }
+    return data;
+  }
+
+  async listPromoCodes({ activeOnly = false } = {}) {
+    let query = this.supabase.from("promo_codes").select("*").order("created_at", { ascending: false });
+    if (activeOnly) query = query.eq("active", true);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * ตรวจว่าใช้ Promo Code กับการจองนี้ได้หรือไม่
+   * @param {{code: string, userId: string, parkingSiteId: string, floorId: string, vehicleTypeCode: number}} context
+   * @returns {Promise<object>} discount สำหรับ ReservationAggregate.applyPromoCode()
+   */
+  async validate({ code, userId, parkingSiteId, floorId, vehicleTypeCode }) {
+    const normalized = normalizeCode(code);
+    const { data: promo, error } = await this.supabase
+      .from("promo_codes")
+      .select("*")
+      .eq("code", normalized)
+      .maybeSingle();
+    if (error) throw error;
+    if (!promo) {
+      throw new PromoCodeError(normalized, `Promo code ${normalized} not found.`, "PROMO_CODE_NOT_FOUND");
+    }
+    if (!promo.active) {
+      throw new PromoCodeError(normalized, `Promo code ${normalized} is no longer active.`, "PROMO_CODE_INACTIVE");
+    }
+
+    const now = new Date();
+    if (promo.valid_from && now < new Date(promo.valid_from)) {
+      throw new PromoCodeError(
+        normalized,
+        `Promo code ${normalized} is valid from ${promo.valid_from}.`,
+        "PROMO_CODE_NOT_YET_VALID"
+      );
+    }
+    if (promo.valid_until && now >= new Date(promo.valid_until)) {
+      throw new PromoCodeError(normalized, `Promo code ${normalized} has expired.`, "PROMO_CODE_EXPIRED");
+    }
+
+    // ขอบเขต (null / ว่าง = ใช้ได้ทุกที่)
+    const outOfScope = (allowed, value) => allowed?.length > 0 && !allowed.map(String).includes(String(value));
+    const buildingId = promo.building_ids?.length > 0 ? await this._getBuildingId(floorId) : null;
+    if (
+      outOfScope(promo.parking_site_ids, parkingSiteId) ||
+      outOfScope(promo.building_ids, buildingId) ||
+      outOfScope(promo.vehicle_type_codes, vehicleTypeCode)
+    ) {
+      throw new PromoCodeError(
+        normalized,
+        `Promo code ${normalized} cannot be used for this site, building or vehicle type.`,
+        "PROMO_CODE_NOT_APPLICABLE"
+      );
+    }
+
+    await this._assertUsageAvailable(promo, userId);
+
+    return {
+      promoCodeId: promo.id,
+      code: promo.code,
+      discountType: promo.discount_type,
+      discountValue: Number(promo.discount_value),
+      maxDiscountAmount: promo.max_discount_amount == null ? null : Number(promo.max_discount_amount),
+    };
+  }
+
+  /**
+   * ตัดสิทธิ์การใช้ (เรียกหลังผ่าน validate ก่อนบันทึกการจอง)
+   * ใช้เกินจำนวนเพราะจองพร้อมกัน -> ลบรายการของตัวเองแล้ว throw
+   */
+  async redeem(discount, { reservationId, userId }) {
+    const { error } = await this.supabase.from("promo_code_redemptions").insert({
+      promo_code_id: discount.promoCodeId,
+      code: discount.code,
+      reservation_id: reservationId,
+      user_id: userId,
+    });
+    if (error) throw error;
+
+    const { data: promo, error: promoError } = await this.supabase
+      .from("promo_codes")
+      .select("id, code, max_uses, max_uses_per_user")
+      .eq("id", discount.promoCodeId)
+      .single();
+    if (promoError) throw promoError;
+
+    try {
+      await this._assertUsageAvailable(promo, userId, { includingOwn: true });
+    } catch (limitError) {
+      await this.releaseRedemption(reservationId, { remove: true });
+      throw limitError;
+    }
+  }
+
+  /**
+   * คืนสิทธิ์ (การจองถูกยกเลิก / บันทึกการจองไม่สำเร็จ)
+   * @param {object} [options]
+   * @param {boolean} [options.remove] - ลบรายการทิ้ง (การจองไม่เคยถูกบันทึก)
+   */
+  async releaseRedemption(reservationId, { remove = false } = {}) {
+    const query = remove
+      ? this.supabase.from("promo_code_redemptions").delete()
+      : this.supabase
+          .from("promo_code_redemptions")
+          .update({ released_at: new Date().toISOString() })
+          .is("released_at", null);
+    const { error } = await query.eq("reservation_id", reservationId);
+    if (error) {
+      console.error(`[PromoCodeService] Failed to release redemption of reservation ${reservationId}:`, error);
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.includingOwn] - นับรายการที่เพิ่ง insert แล้ว (ใช้ได้ถึง = limit)
+   */
+  async _assertUsageAvailable(promo, userId, { includingOwn = false } = {}) {
+    const exceeds = (used, limit) => limit != null && (includingOwn ? used > limit : used >= limit);
+
+    if (promo.max_uses != null) {
+      const used = await this._countRedemptions(promo.id);
+      if (exceeds(used, promo.max_uses)) {
+        throw new PromoCodeError(
+          promo.code,
+          `Promo code ${promo.code} has reached its usage limit.`,
+          "PROMO_CODE_USAGE_LIMIT_REACHED"
+        );
+      }
+    }
+    if (promo.max_uses_per_user != null) {
+      const used = await this._countRedemptions(promo.id, userId);
+      if (exceeds(used, promo.max_uses_per_user)) {
+        throw new PromoCodeError(
+          promo.code,
+          `Promo code ${promo.code} has already been used ${used} time(s) by this user.`,
+          "PROMO_CODE_USER_LIMIT_REACHED"
+        );
+      }
+    }
+  }
+
+  async _countRedemptions(promoCodeId, userId = null) {
+    let query = this.supabase
+      .from("promo_code_redemptions")
+      .select("id", { count: "exact", head: true })
+      .eq("promo_code_id", promoCodeId)
+      .is("released_at", null);
+    if (userId) query = query.eq("user_id", userId);
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async _getBuildingId(floorId) {
+    if (!floorId) return null;
+    const { data, error } = await this.supabase
+      .from("floors")
+      .select("building_id")
+      .eq("id", floorId)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.building_id ?? null;
+  }
+}
@@ -0,0 +1,49 @@
+// /services/user-car-service/src/application/services/RecurrenceExpander.js
+import { DomainError } from "../../domain/errors/DomainError.js";
+import {
+  MAX_RECURRING_OCCURRENCES,
+  RECURRENCE_FREQUENCY,
+} from "../../domain/constants/recurrencePolicy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// คำนวณด้วยวันที่แบบ UTC เพื่อไม่ให้ Timezone ของ Server ทำให้วันเลื่อน
+const toDayNumber = (dateLocal) => Date.parse(`${dateLocal}T00:00:00Z`) / DAY_MS;
+const toDateLocal = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * แตกกฎการเกิดซ้ำของ CreateRecurringReservationCommand ออกเป็นช่วงเวลาของแต่ละครั้ง
+ * (เวลาเริ่ม/สิ้นสุดเหมือนครั้งแรก รวมถึงการจองข้ามคืน)
+ * @param {import("../../domain/commands/CreateRecurringReservationCommand.js").CreateRecurringReservationCommand} command
+ * @returns {{ startDateLocal: string, startTimeLocal: string, endDateLocal: string, endTimeLocal: string }[]}
+ */
+export function expandOccurrences(command) {
+  const { frequency, daysOfWeek, until, count } = command.recurrence;
+  const firstDay = toDayNumber(command.startDateLocal);
+  const spanDays = toDayNumber(command.endDateLocal) - firstDay;
+  const lastDay = until ? toDayNumber(until) : Infinity;
+  const weekdays =
+    frequency === RECURRENCE_FREQUENCY.WEEKLY
+      ? daysOfWeek || [new Date(firstDay * DAY_MS).getUTCDay()]
+      : null;
+
+  const occurrences = [];
+  for (let day = firstDay; day <= lastDay; day++) {
+    if (count != null && occurrences.length >= count) break;
+    if (weekdays && !weekdays.includes(new Date(day * DAY_MS).getUTCDay())) continue;
+
+    if (occurrences.length >= MAX_RECURRING_OCCURRENCES) {
+      throw new DomainError(
+        `Recurrence produces more than ${MAX_RECURRING_OCCURRENCES} occurrences.`,
+        "TOO_MANY_OCCURRENCES"
+      );
+    }
+    occurrences.push({
+      startDateLocal: toDateLocal(day),
+      startTimeLocal: command.startTimeLocal,
+      endDateLocal: toDateLocal(day + spanDays),
+      endTimeLocal: command.endTimeLocal,
+    });
+  }
+  return occurrences;
+}
@@ -0,0 +1,172 @@
+// /services/user-car-service/src/application/services/SlotAssignmentService.js
+import { LowestFloorFirstStrategy } from "./slot-assignment-strategies/LowestFloorFirstStrategy.js";
+import { FewestGapsStrategy } from "./slot-assignment-strategies/FewestGapsStrategy.js";
+import { ClosestToEntranceStrategy } from "./slot-assignment-strategies/ClosestToEntranceStrategy.js";
+import { OCCUPYING_STATUSES } from "../../domain/constants/holdPolicy.js";
+
+export const DEFAULT_ASSIGNMENT_STRATEGY = "lowest_floor_first";
+
+// มองหาการจองข้างเคียงก่อน/หลังช่วงเวลาที่ขอ (ใช้กับ FewestGapsStrategy)
+const LOOKAROUND_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * เลือก Slot ว่างให้อัตโนมัติ (Auto-Assign) เมื่อผู้จองระบุแค่ Site (+ ตัวกรอง) แทน slotId
+ * Strategy เป็นแบบ Pluggable: object ที่มี `name` และ `rank(candidates, context)`
+ */
+export class SlotAssignmentService {
+  /**
+   * @param {object} supabaseClient
+   * @param {object[]} [strategies] - Default: lowest_floor_first, fewest_gaps, closest_to_entrance
+   */
+  constructor(supabaseClient, strategies) {
+    if (!supabaseClient) {
+      throw new Error("SlotAssignmentService requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+    this.strategies = new Map(
+      (
+        strategies || [
+          new LowestFloorFirstStrategy(),
+          new FewestGapsStrategy(),
+          new ClosestToEntranceStrategy(),
+        ]
+      ).map((s) => [s.name, s])
+    );
+  }
+
+  getStrategyNames() {
+    return [...this.strategies.keys()];
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.parkingSiteId
+   * @param {string|string[]} [params.buildingId]
+   * @param {string|string[]} [params.floorId]
+   * @param {string|string[]} [params.zoneId]
+   * @param {number} params.vehicleTypeCode
+   * @param {string} params.startISO - เวลาเริ่ม (UTC ISO)
+   * @param {string} params.endISO - เวลาสิ้นสุด (UTC ISO)
+   * @param {string} [params.strategy] - ชื่อ Strategy (Default: lowest_floor_first)
+   * @returns {Promise<{slotId: string, parkingSiteId: string, floorId: string, name: string, strategy: string}|null>}
+   *   null ถ้าไม่มี Slot ว่าง
+   */
+  async assignSlot({
+    parkingSiteId,
+    buildingId,
+    floorId,
+    zoneId,
+    vehicleTypeCode,
+    startISO,
+    endISO,
+    strategy = DEFAULT_ASSIGNMENT_STRATEGY,
+  }) {
+    const selectedStrategy = this.strategies.get(strategy);
+    if (!selectedStrategy) {
+      throw new Error(
+        `Unknown assignment strategy "${strategy}". Allowed: ${this.getStrategyNames().join(", ")}.`
+      );
+    }
+
+    const slots = await this._findCandidateSlots({
+      parkingSiteId,
+      buildingId,
+      floorId,
+      zoneId,
+      vehicleTypeCode,
+    });
+    if (slots.length === 0) return null;
+
+    const startMs = new Date(startISO).getTime();
+    const endMs = new Date(endISO).getTime();
+    const reservationsBySlot = await this._findReservationsBySlot(
+      slots.map((s) => s.id),
+      new Date(startMs - LOOKAROUND_MS).toISOString(),
+      new Date(endMs + LOOKAROUND_MS).toISOString()
+    );
+
+    // ตัด Slot ที่มีการจองทับช่วงเวลาที่ขอออก
+    const candidates = slots
+      .map((s) => ({
+        id: s.id,
+        name: s.name,
+        floorId: s.floor_id,
+        zoneId: s.zone_id,
+        slotNumber: s.slot_number,
+        entranceDistance: s.entrance_distance,
+        levelOrder: s.floors?.level_order ?? 0,
+        reservations: reservationsBySlot.get(s.id) || [],
+      }))
+      .filter((s) =>
+        s.reservations.every((r) => r.endMs <= startMs || r.startMs >= endMs)
+      );
+    if (candidates.length === 0) return null;
+
+    const [best] = selectedStrategy.rank(candidates, {
+      startMs,
+      endMs,
+      lookaroundMs: LOOKAROUND_MS,
+    });
+
+    return {
+      slotId: best.id,
+      parkingSiteId,
+      floorId: best.floorId,
+      name: best.name,
+      strategy: selectedStrategy.name,
+    };
+  }
+
+  async _findCandidateSlots({ parkingSiteId, buildingId, floorId, zoneId, vehicleTypeCode }) {
+    let query = this.supabase
+      .from("slots")
+      .select("id, name, floor_id, zone_id, slot_number, entrance_distance, floors(level_order)")
+      .eq("parking_site_id", parkingSiteId)
+      .eq("vehicle_type_code", vehicleTypeCode)
+      .neq("status", "maintenance")
+      .is("decommissioned_at", null);
+
+    if (buildingId) {
+      const { data: floors, error: floorError } = await this.supabase
+        .from("floors")
+        .select("id")
+        .in("building_id", toArray(buildingId));
+      if (floorError) throw floorError;
+      query = query.in("floor_id", (floors || []).map((f) => f.id));
+    }
+    if (floorId) query = query.in("floor_id", toArray(floorId));
+    if (zoneId) query = query.in("zone_id", toArray(zoneId));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @returns {Promise<Map<string, {startMs: number, endMs: number}[]>>}
+   */
+  async _findReservationsBySlot(slotIds, fromISO, toISO) {
+    const { data, error } = await this.supabase
+      .from("slot_occupancy")
+      .select("slot_id, start_time, end_time")
+      .in("slot_id", slotIds)
+      .in("status", OCCUPYING_STATUSES)
+      .lt("start_time", toISO)
+      .gt("end_time", fromISO);
+    if (error) throw error;
+
+    const bySlot = new Map();
+    for (const r of data || []) {
+      if (!bySlot.has(r.slot_id)) bySlot.set(r.slot_id, []);
+      bySlot.get(r.slot_id).push({
+        startMs: new Date(r.start_time).getTime(),
+        endMs: new Date(r.end_time).getTime(),
+      });
+    }
+    return bySlot;
+  }
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
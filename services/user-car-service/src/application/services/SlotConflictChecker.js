@@ -0,0 +1,46 @@
+// /services/user-car-service/src/application/services/SlotConflictChecker.js
+import { OCCUPYING_STATUSES } from "../../domain/constants/holdPolicy.js";
+
+/**
+ * ตรวจสอบว่า Slot ถูกจองทับช่วงเวลาที่ต้องการหรือไม่ (อ่านจาก Read Model: slot_occupancy = reservations + Hold ที่ยังไม่หมดเวลา)
+ * ใช้ร่วมกันระหว่าง POST /reservations, POST /holds และคำสั่งที่เปลี่ยนช่วงเวลาของการจอง
+ */
+export class SlotConflictChecker {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("SlotConflictChecker requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.slotId
+   * @param {string} params.startISO - เวลาเริ่ม (UTC ISO)
+   * @param {string} params.endISO - เวลาสิ้นสุด (UTC ISO)
+   * @param {string} [params.excludeReservationId] - ไม่นับการจองนี้ (ใช้ตอนแก้ไขการจองเดิม)
+   * @param {string} [params.excludeHoldId] - ไม่นับ Hold นี้ (Hold ของผู้จองที่กำลังยืนยัน)
+   * @returns {Promise<string[]>} ID ของการจอง/Hold ที่ทับกัน (ว่าง = จองได้)
+   */
+  async findConflicts({ slotId, startISO, endISO, excludeReservationId, excludeHoldId }) {
+    let query = this.supabase
+      .from("slot_occupancy")
+      .select("id")
+      .eq("slot_id", slotId)
+      .in("status", OCCUPYING_STATUSES)
+      .lt("start_time", endISO)
+      .gt("end_time", startISO);
+
+    if (excludeReservationId) {
+      query = query.neq("id", excludeReservationId);
+    }
+    if (excludeHoldId) {
+      query = query.neq("id", excludeHoldId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map((r) => r.id);
+  }
+}
@@ -0,0 +1,114 @@
+// /services/user-car-service/src/application/services/SlotDecommissionService.js
+import { CancelReservationCommand } from "../../domain/commands/CancelReservationCommand.js";
+import { RescheduleReservationCommand } from "../../domain/commands/RescheduleReservationCommand.js";
+import {
+  CANCELLATION_REASON,
+  CANCELLED_BY_ROLE,
+} from "../../domain/constants/cancellationReasons.js";
+
+// ตรงกับ PENDING_RESERVATION_RESOLUTION ของ slot-service
+const RESOLUTION_CANCEL = "cancel";
+
+/**
+ * จัดการการจอง pending ของ Slot ที่ถูกปลด (SlotDecommissionedEvent จาก slot-service)
+ * - cancel: ยกเลิกโดย system (SLOT_UNAVAILABLE -> ไม่มีค่าปรับ, คืนวงเงิน)
+ * - relocate / refuse: ย้ายไป Slot ว่างชั้นเดิมก่อน แล้วค่อยทั้ง Site หาไม่ได้ -> ยกเลิก
+ *   (refuse จะเจอเฉพาะการจองที่เข้ามาหลังตรวจตอนสั่งปลด)
+ * อ่านการจองจาก Read Model ใหม่ตอนรับ Event เพื่อรวมการจองที่เข้ามาระหว่างนั้นด้วย
+ */
+export class SlotDecommissionService {
+  /**
+   * @param {object} supabaseClient
+   * @param {SlotAssignmentService} slotAssignmentService
+   * @param {RescheduleReservationCommandHandler} rescheduleReservationHandler
+   * @param {CancelReservationCommandHandler} cancelReservationHandler
+   */
+  constructor(supabaseClient, slotAssignmentService, rescheduleReservationHandler, cancelReservationHandler) {
+    if (!supabaseClient || !slotAssignmentService || !rescheduleReservationHandler || !cancelReservationHandler) {
+      throw new Error(
+        "SlotDecommissionService requires a supabase client, slot assignment service, reschedule handler and cancel handler."
+      );
+    }
+    this.supabase = supabaseClient;
+    this.slotAssignmentService = slotAssignmentService;
+    this.rescheduleReservationHandler = rescheduleReservationHandler;
+    this.cancelReservationHandler = cancelReservationHandler;
+  }
+
+  /**
+   * @param {{slotId: string, resolution: string, reason: string|null}} event - SlotDecommissionedEvent
+   * @returns {Promise<{relocated: object[], cancelled: string[], failed: string[]}>}
+   */
+  async handleSlotDecommissioned({ slotId, resolution, reason }) {
+    const { data: reservations, error } = await this.supabase
+      .from("reservations")
+      .select("id, parking_site_id, floor_id, vehicle_type_code, start_time, end_time")
+      .eq("slot_id", slotId)
+      .eq("status", "pending")
+      .gt("end_time", new Date().toISOString());
+    if (error) throw error;
+
+    const result = { relocated: [], cancelled: [], failed: [] };
+    for (const reservation of reservations || []) {
+      try {
+        const newSlotId =
+          resolution === RESOLUTION_CANCEL ? null : await this._relocate(reservation);
+        if (newSlotId) {
+          result.relocated.push({ reservationId: reservation.id, slotId: newSlotId });
+          continue;
+        }
+        await this.cancelReservationHandler.handle(
+          new CancelReservationCommand(
+            reservation.id,
+            "system",
+            CANCELLATION_REASON.SLOT_UNAVAILABLE,
+            `Slot ${slotId} decommissioned${reason ? `: ${reason}` : ""}`,
+            CANCELLED_BY_ROLE.SYSTEM
+          )
+        );
+        result.cancelled.push(reservation.id);
+      } catch (handleError) {
+        console.error(
+          `[SlotDecommissionService] Failed to resolve reservation ${reservation.id} on slot ${slotId}:`,
+          handleError
+        );
+        result.failed.push(reservation.id);
+      }
+    }
+
+    console.log(
+      `[SlotDecommissionService] Slot ${slotId}: relocated ${result.relocated.length}, cancelled ${result.cancelled.length}, failed ${result.failed.length}`
+    );
+    return result;
+  }
+
+  /**
+   * @returns {Promise<string|null>} slotId ใหม่ หรือ null ถ้าไม่มี Slot ว่าง / ย้ายไม่สำเร็จ
+   */
+  async _relocate(reservation) {
+    const request = {
+      parkingSiteId: reservation.parking_site_id,
+      vehicleTypeCode: reservation.vehicle_type_code,
+      startISO: reservation.start_time,
+      endISO: reservation.end_time,
+    };
+    // Slot เดิมยังมีการจองนี้อยู่ จึงไม่ถูกเลือกซ้ำ
+    const slot =
+      (await this.slotAssignmentService.assignSlot({ ...request, floorId: reservation.floor_id })) ||
+      (await this.slotAssignmentService.assignSlot(request));
+    if (!slot) return null;
+
+    try {
+      await this.rescheduleReservationHandler.handle(
+        new RescheduleReservationCommand(reservation.id, { slotId: slot.slotId })
+      );
+      return slot.slotId;
+    } catch (error) {
+      // Slot ถูกจองไปก่อน (Read Model ตามไม่ทัน) -> ยกเลิกแทน
+      console.warn(
+        `[SlotDecommissionService] Relocating ${reservation.id} to ${slot.slotId} failed: ${error.message}`
+      );
+      return null;
+    }
+  }
+}
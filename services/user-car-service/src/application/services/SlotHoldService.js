@@ -0,0 +1,129 @@
+// /services/user-car-service/src/application/services/SlotHoldService.js
+import { randomUUID } from "crypto";
+import { HOLD_STATUS } from "../../domain/constants/holdPolicy.js";
+import { SlotHoldError } from "../../domain/errors/SlotHoldError.js";
+import { SlotUnavailableError } from "../../domain/errors/SlotUnavailableError.js";
+
+/**
+ * Hold ชั่วคราว: กัน Slot ไว้ให้ผู้ใช้ระหว่างเลือกจาก Slot Picker จนกว่าจะยืนยันการจอง
+ * - สร้างผ่าน RPC create_slot_hold (กันซ้อนกับ slot_bookings และ Hold อื่นใน Transaction เดียว)
+ * - แปลงเป็นการจองใน save_events_with_slot_booking เมื่อส่ง holdId มากับ POST /reservations
+ * - หมดเวลาเองเมื่อเลย expires_at (View slot_occupancy ไม่นับ), HoldExpiryScheduler ปิดสถานะให้
+ */
+export class SlotHoldService {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("SlotHoldService requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.userId
+   * @param {{slotId: string, parkingSiteId: string, floorId: string, vehicleTypeCode: number}} params.slot - จาก SlotLookupService
+   * @param {string} params.startISO
+   * @param {string} params.endISO
+   * @param {number} params.holdMinutes
+   */
+  async createHold({ userId, slot, startISO, endISO, holdMinutes }) {
+    const holdId = randomUUID();
+    const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000).toISOString();
+
+    const { error } = await this.supabase.rpc("create_slot_hold", {
+      p_hold_id: holdId,
+      p_user_id: userId,
+      p_slot_id: slot.slotId,
+      p_parking_site_id: slot.parkingSiteId,
+      p_floor_id: slot.floorId,
+      p_vehicle_type_code: slot.vehicleTypeCode,
+      p_start_time: startISO,
+      p_end_time: endISO,
+      p_expires_at: expiresAt,
+    });
+
+    if (error) {
+      if (error.message.includes("SLOT_CONFLICT")) {
+        throw new SlotUnavailableError(slot.slotId);
+      }
+      throw error;
+    }
+
+    return {
+      holdId,
+      userId,
+      slotId: slot.slotId,
+      parkingSiteId: slot.parkingSiteId,
+      floorId: slot.floorId,
+      startTime: startISO,
+      endTime: endISO,
+      expiresAt,
+      status: HOLD_STATUS.ACTIVE,
+    };
+  }
+
+  /**
+   * ตรวจว่า Hold ใช้ยืนยันการจองนี้ได้: ยัง active, เป็นของผู้จอง, Slot เดียวกัน และครอบคลุมช่วงเวลาที่จอง
+   * @returns {Promise<object>} แถวของ slot_holds
+   */
+  async getUsableHold(holdId, { userId, slotId, startISO, endISO }) {
+    const { data: hold, error } = await this.supabase
+      .from("slot_holds")
+      .select("id, user_id, slot_id, start_time, end_time, expires_at, status")
+      .eq("id", holdId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (
+      !hold ||
+      hold.status !== HOLD_STATUS.ACTIVE ||
+      new Date(hold.expires_at) <= new Date()
+    ) {
+      throw new SlotHoldError(holdId, "Hold is no longer active.", "HOLD_NOT_ACTIVE");
+    }
+    if (
+      hold.user_id !== userId ||
+      (slotId && hold.slot_id !== slotId) ||
+      new Date(startISO) < new Date(hold.start_time) ||
+      new Date(endISO) > new Date(hold.end_time)
+    ) {
+      throw new SlotHoldError(
+        holdId,
+        "Hold does not match the user, slot or time range of this reservation.",
+        "HOLD_MISMATCH"
+      );
+    }
+    return hold;
+  }
+
+  /**
+   * ปล่อย Hold ก่อนหมดเวลา (เฉพาะเจ้าของ)
+   * @returns {Promise<boolean>} false ถ้าไม่พบ Hold ที่ active ของผู้ใช้นี้
+   */
+  async releaseHold(holdId, userId) {
+    const { data, error } = await this.supabase
+      .from("slot_holds")
+      .update({ status: HOLD_STATUS.RELEASED, updated_at: new Date() })
+      .eq("id", holdId)
+      .eq("user_id", userId)
+      .eq("status", HOLD_STATUS.ACTIVE)
+      .select("id");
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * ปิดสถานะ Hold ที่เลย expires_at แล้ว
+   * @returns {Promise<number>} จำนวน Hold ที่หมดเวลา
+   */
+  async expireStaleHolds(now = new Date()) {
+    const { data, error } = await this.supabase
+      .from("slot_holds")
+      .update({ status: HOLD_STATUS.EXPIRED, updated_at: now })
+      .eq("status", HOLD_STATUS.ACTIVE)
+      .lte("expires_at", now.toISOString())
+      .select("id");
+    if (error) throw error;
+    return (data || []).length;
+  }
+}
@@ -0,0 +1,45 @@
+// /services/user-car-service/src/application/services/SlotLookupService.js
+
+/**
+ * ค้นหารายละเอียดของ Slot (Parking Site & Floor) จาก Read Model: slots
+ * ใช้ร่วมกันระหว่าง POST /reservations และคำสั่งที่ย้าย Slot ของการจอง
+ */
+export class SlotLookupService {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("SlotLookupService requires a Supabase client.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * @param {string} slotId
+   * @returns {Promise<{slotId: string, parkingSiteId: string, floorId: string, name: string, vehicleTypeCode: number}|null>}
+   *   null ถ้าไม่พบ Slot หรือ Slot ถูกปลดแล้ว
+   */
+  async findSlot(slotId) {
+    const { data: slotData, error: slotError } = await this.supabase
+      .from("slots")
+      .select("parking_site_id, floor_id, name, vehicle_type_code, decommissioned_at")
+      .eq("id", slotId)
+      .single();
+
+    if (slotError || !slotData) {
+      console.error(`[SlotLookupService] Slot lookup failed for ${slotId}:`, slotError);
+      return null;
+    }
+    // Slot ที่ถูกปลดแล้ว (slot-service) จองไม่ได้อีก
+    if (slotData.decommissioned_at) {
+      console.warn(`[SlotLookupService] Slot ${slotId} was decommissioned at ${slotData.decommissioned_at}.`);
+      return null;
+    }
+
+    return {
+      slotId,
+      parkingSiteId: slotData.parking_site_id,
+      floorId: slotData.floor_id,
+      name: slotData.name,
+      vehicleTypeCode: slotData.vehicle_type_code ?? 1,
+    };
+  }
+}
@@ -0,0 +1,280 @@
+// /services/user-car-service/src/application/services/WaitlistService.js
+import {
+  DEFAULT_WAITLIST_OFFER_MINUTES,
+  WAITLIST_STATUS,
+} from "../../domain/constants/waitlistPolicy.js";
+import { SlotUnavailableError } from "../../domain/errors/SlotUnavailableError.js";
+import { WaitlistError } from "../../domain/errors/WaitlistError.js";
+
+// จำนวนคิวที่ลองเสนอต่อการคืนที่ว่างหนึ่งครั้ง (เรียงตามเวลาเข้าคิว)
+const OFFER_CANDIDATE_LIMIT = 20;
+
+/**
+ * คิวรอสำหรับช่วงเวลาที่เต็ม (Read/Write: waitlist_entries)
+ * เมื่อมีการจองถูกยกเลิก/หมดอายุ -> เสนอที่ว่างให้คิวแรกที่ตรงเงื่อนไข โดย Hold Slot ไว้จนถึงเวลาตอบรับ
+ */
+export class WaitlistService {
+  /**
+   * @param {object} supabaseClient
+   * @param {SlotAssignmentService} slotAssignmentService - หา Slot ว่างตามตัวกรองของคิว
+   * @param {SlotHoldService} slotHoldService - กัน Slot ไว้ให้ผู้ได้รับข้อเสนอ
+   * @param {object} [options]
+   * @param {number} [options.offerMinutes] - Default: DEFAULT_WAITLIST_OFFER_MINUTES
+   */
+  constructor(supabaseClient, slotAssignmentService, slotHoldService, options = {}) {
+    if (!supabaseClient || !slotAssignmentService || !slotHoldService) {
+      throw new Error(
+        "WaitlistService requires a supabase client, slot assignment service and slot hold service."
+      );
+    }
+    this.supabase = supabaseClient;
+    this.slotAssignmentService = slotAssignmentService;
+    this.slotHoldService = slotHoldService;
+    this.offerMinutes = options.offerMinutes || DEFAULT_WAITLIST_OFFER_MINUTES;
+  }
+
+  /**
+   * @param {JoinWaitlistCommand} command
+   * @returns {Promise<object>} แถวของ waitlist_entries
+   */
+  async join(command) {
+    // ยังมีที่ว่าง -> จองได้เลย ไม่ต้องเข้าคิว
+    const available = await this.slotAssignmentService.assignSlot({
+      parkingSiteId: command.parkingSiteId,
+      buildingId: command.buildingId,
+      zoneId: command.zoneId,
+      vehicleTypeCode: command.vehicleTypeCode,
+      startISO: command.startISO,
+      endISO: command.endISO,
+    });
+    if (available) {
+      throw new WaitlistError(
+        null,
+        "There is still capacity for this window, please book directly.",
+        "CAPACITY_AVAILABLE"
+      );
+    }
+
+    const { data, error } = await this.supabase
+      .from("waitlist_entries")
+      .insert({
+        user_id: command.userId,
+        parking_site_id: command.parkingSiteId,
+        building_id: command.buildingId,
+        zone_id: command.zoneId,
+        vehicle_type_code: command.vehicleTypeCode,
+        car_id: command.carId,
+        start_time: command.startISO,
+        end_time: command.endISO,
+        start_date_local: command.startDateLocal,
+        start_time_local: command.startTimeLocal,
+        end_date_local: command.endDateLocal,
+        end_time_local: command.endTimeLocal,
+        time_zone_offset: command.timeZoneOffset,
+        status: WAITLIST_STATUS.WAITING,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async getEntry(entryId) {
+    const { data, error } = await this.supabase
+      .from("waitlist_entries")
+      .select("*")
+      .eq("id", entryId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async listForUser(userId) {
+    const { data, error } = await this.supabase
+      .from("waitlist_entries")
+      .select("*")
+      .eq("user_id", userId)
+      .in("status", [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED])
+      .order("start_time", { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * การจองถูกยกเลิก/หมดอายุ -> อ่านช่วงเวลาจาก Read Model แล้วเสนอที่ว่างให้คิวถัดไป
+   */
+  async offerFreedReservation(reservationId) {
+    const { data: reservation, error } = await this.supabase
+      .from("reservations")
+      .select("parking_site_id, vehicle_type_code, start_time, end_time")
+      .eq("id", reservationId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!reservation) return null;
+
+    return this.offerFreedCapacity({
+      parkingSiteId: reservation.parking_site_id,
+      vehicleTypeCode: reservation.vehicle_type_code,
+      startISO: reservation.start_time,
+      endISO: reservation.end_time,
+    });
+  }
+
+  /**
+   * เสนอที่ว่างให้คิวแรก (FIFO) ที่ช่วงเวลาทับกับช่วงที่ว่างและยังหา Slot ให้ได้
+   * @returns {Promise<object|null>} คิวที่ได้รับข้อเสนอ หรือ null
+   */
+  async offerFreedCapacity({ parkingSiteId, vehicleTypeCode, startISO, endISO }) {
+    const { data: entries, error } = await this.supabase
+      .from("waitlist_entries")
+      .select("*")
+      .eq("parking_site_id", parkingSiteId)
+      .eq("vehicle_type_code", vehicleTypeCode)
+      .eq("status", WAITLIST_STATUS.WAITING)
+      .lt("start_time", endISO)
+      .gt("end_time", startISO)
+      .gt("start_time", new Date().toISOString())
+      .order("created_at", { ascending: true })
+      .limit(OFFER_CANDIDATE_LIMIT);
+    if (error) throw error;
+
+    for (const entry of entries || []) {
+      const offered = await this._tryOffer(entry);
+      if (offered) return offered;
+    }
+    return null;
+  }
+
+  async _tryOffer(entry) {
+    const slot = await this.slotAssignmentService.assignSlot({
+      parkingSiteId: entry.parking_site_id,
+      buildingId: entry.building_id || undefined,
+      zoneId: entry.zone_id || undefined,
+      vehicleTypeCode: entry.vehicle_type_code,
+      startISO: entry.start_time,
+      endISO: entry.end_time,
+    });
+    if (!slot) return null;
+
+    let hold;
+    try {
+      hold = await this.slotHoldService.createHold({
+        userId: entry.user_id,
+        slot: { ...slot, vehicleTypeCode: entry.vehicle_type_code },
+        startISO: entry.start_time,
+        endISO: entry.end_time,
+        holdMinutes: this.offerMinutes,
+      });
+    } catch (error) {
+      // Slot ถูกจอง/Hold ไปก่อน (Read Model ยังตามไม่ทัน) -> ลองคิวถัดไป
+      if (error instanceof SlotUnavailableError) return null;
+      throw error;
+    }
+
+    const { data, error } = await this.supabase
+      .from("waitlist_entries")
+      .update({
+        status: WAITLIST_STATUS.OFFERED,
+        offered_slot_id: slot.slotId,
+        hold_id: hold.holdId,
+        offer_expires_at: hold.expiresAt,
+        updated_at: new Date(),
+      })
+      .eq("id", entry.id)
+      .eq("status", WAITLIST_STATUS.WAITING)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      // คิวถูกยกเลิกระหว่างนั้น -> คืน Hold
+      await this.slotHoldService.releaseHold(hold.holdId, entry.user_id);
+      return null;
+    }
+    console.log(
+      `[Waitlist] Offered slot ${slot.slotId} to entry ${entry.id} until ${hold.expiresAt}.`
+    );
+    return data;
+  }
+
+  /**
+   * ตรวจว่าคิวนี้มีข้อเสนอที่ยังตอบรับได้และเป็นของผู้ใช้
+   */
+  async getActiveOffer(entryId, userId) {
+    const entry = await this.getEntry(entryId);
+    if (!entry) return null;
+    if (entry.user_id !== userId) {
+      throw new WaitlistError(entryId, "Waitlist entry belongs to another user.", "WAITLIST_ENTRY_MISMATCH");
+    }
+    if (
+      entry.status !== WAITLIST_STATUS.OFFERED ||
+      new Date(entry.offer_expires_at) <= new Date()
+    ) {
+      throw new WaitlistError(entryId, "There is no active offer for this waitlist entry.", "OFFER_NOT_ACTIVE");
+    }
+    return entry;
+  }
+
+  async markAccepted(entryId, reservationId) {
+    const { error } = await this.supabase
+      .from("waitlist_entries")
+      .update({
+        status: WAITLIST_STATUS.ACCEPTED,
+        reservation_id: reservationId,
+        updated_at: new Date(),
+      })
+      .eq("id", entryId);
+    if (error) throw error;
+  }
+
+  /**
+   * ออกจากคิว (ถ้ามีข้อเสนออยู่จะคืน Slot ให้คิวถัดไป)
+   * @returns {Promise<boolean>} false ถ้าไม่พบคิวที่ยังรออยู่ของผู้ใช้นี้
+   */
+  async leave(entryId, userId) {
+    const { data: entry, error } = await this.supabase
+      .from("waitlist_entries")
+      .update({ status: WAITLIST_STATUS.CANCELLED, updated_at: new Date() })
+      .eq("id", entryId)
+      .eq("user_id", userId)
+      .in("status", [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED])
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!entry) return false;
+
+    if (entry.hold_id) {
+      await this._releaseOffer(entry);
+    }
+    return true;
+  }
+
+  /**
+   * ข้อเสนอที่เลยเวลาตอบรับ -> expired และเสนอต่อให้คิวถัดไป
+   * @returns {Promise<number>} จำนวนข้อเสนอที่หมดอายุ
+   */
+  async expireOffers(now = new Date()) {
+    const { data: entries, error } = await this.supabase
+      .from("waitlist_entries")
+      .update({ status: WAITLIST_STATUS.EXPIRED, updated_at: now })
+      .eq("status", WAITLIST_STATUS.OFFERED)
+      .lte("offer_expires_at", now.toISOString())
+      .select();
+    if (error) throw error;
+
+    for (const entry of entries || []) {
+      await this._releaseOffer(entry);
+    }
+    return (entries || []).length;
+  }
+
+  async _releaseOffer(entry) {
+    await this.slotHoldService.releaseHold(entry.hold_id, entry.user_id);
+    await this.offerFreedCapacity({
+      parkingSiteId: entry.parking_site_id,
+      vehicleTypeCode: entry.vehicle_type_code,
+      startISO: entry.start_time,
+      endISO: entry.end_time,
+    });
+  }
+}
@@ -0,0 +1,38 @@
+// /services/user-car-service/src/application/services/booking-rules/AllowedUserTypeRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+/**
+ * ประเภทผู้ใช้ (users.user_type) ต้องอยู่ใน buildings.allowed_user_types ของอาคารที่จอง
+ * อาคารที่ไม่กำหนด allowed_user_types (null/ว่าง) = ไม่จำกัด
+ * ผู้ใช้เดิมที่ยังไม่มี user_type (สร้างก่อนมีฟิลด์นี้) จองอาคารที่จำกัดประเภทไม่ได้ จนกว่าจะถูกตั้งประเภทผ่าน
+ * PATCH /users/:id/user-type (ผู้ใช้ใหม่ต้องระบุ userType ตั้งแต่ POST /users)
+ */
+export class AllowedUserTypeRule {
+  constructor(supabaseClient) {
+    this.name = BOOKING_RULE.ALLOWED_USER_TYPE;
+    this.supabase = supabaseClient;
+  }
+
+  async evaluate(context) {
+    const allowedTypes = context.building?.allowed_user_types;
+    if (!Array.isArray(allowedTypes) || allowedTypes.length === 0) return null;
+
+    const { data: user, error } = await this.supabase
+      .from("users")
+      .select("user_type")
+      .eq("id", context.userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    const userType = user?.user_type ?? null;
+    if (userType && allowedTypes.includes(userType)) return null;
+    return {
+      rule: this.name,
+      message: userType
+        ? `This building is reserved for ${allowedTypes.join(", ")} (your user type: ${userType}).`
+        : `This building is reserved for ${allowedTypes.join(", ")}. Your user type is not set yet; please have it set before booking.`,
+      limit: allowedTypes,
+      actual: userType,
+    };
+  }
+}
@@ -0,0 +1,34 @@
+// /services/user-car-service/src/application/services/booking-rules/MaxActiveReservationsRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+/**
+ * จำนวนการจองที่ยัง active (pending/checked_in) ของผู้ใช้ใน Site เดียวกันต้องไม่เกินโควตา
+ * (ไม่นับ context.excludeReservationId: การจองที่กำลัง Reschedule/Extend)
+ */
+export class MaxActiveReservationsRule {
+  constructor(supabaseClient) {
+    this.name = BOOKING_RULE.MAX_ACTIVE_RESERVATIONS;
+    this.supabase = supabaseClient;
+  }
+
+  async evaluate(context) {
+    const limit = context.getLimit("max_active_reservations");
+    let query = this.supabase
+      .from("reservations")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", context.userId)
+      .eq("parking_site_id", context.parkingSiteId)
+      .in("status", ["pending", "checked_in"]);
+    if (context.excludeReservationId) query = query.neq("id", context.excludeReservationId);
+    const { count, error } = await query;
+    if (error) throw error;
+
+    if ((count || 0) < limit) return null;
+    return {
+      rule: this.name,
+      message: `You already have ${count} active reservation(s) at this site (maximum ${limit}).`,
+      limit,
+      actual: count,
+    };
+  }
+}
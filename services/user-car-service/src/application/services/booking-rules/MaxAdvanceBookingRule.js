@@ -0,0 +1,26 @@
+// /services/user-car-service/src/application/services/booking-rules/MaxAdvanceBookingRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * จองล่วงหน้าได้ไม่เกิน max_advance_booking_days นับจากตอนนี้ถึงเวลาเริ่ม
+ */
+export class MaxAdvanceBookingRule {
+  constructor() {
+    this.name = BOOKING_RULE.MAX_ADVANCE;
+  }
+
+  evaluate(context) {
+    const limit = context.getLimit("max_advance_booking_days");
+    const advanceDays = (context.startMs - context.nowMs) / DAY_MS;
+
+    if (advanceDays <= limit) return null;
+    return {
+      rule: this.name,
+      message: `Bookings can be made at most ${limit} day(s) in advance.`,
+      limit,
+      actual: Math.ceil(advanceDays),
+    };
+  }
+}
@@ -0,0 +1,24 @@
+// /services/user-car-service/src/application/services/booking-rules/MaxDurationRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+/**
+ * ระยะเวลาการจองหนึ่งครั้งต้องไม่เกิน max_booking_duration_minutes
+ */
+export class MaxDurationRule {
+  constructor() {
+    this.name = BOOKING_RULE.MAX_DURATION;
+  }
+
+  evaluate(context) {
+    const limit = context.getLimit("max_booking_duration_minutes");
+    const durationMinutes = Math.ceil((context.endMs - context.startMs) / 60000);
+
+    if (durationMinutes <= limit) return null;
+    return {
+      rule: this.name,
+      message: `Booking duration of ${durationMinutes} minutes exceeds the maximum of ${limit} minutes.`,
+      limit,
+      actual: durationMinutes,
+    };
+  }
+}
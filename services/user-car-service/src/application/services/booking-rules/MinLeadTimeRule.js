@@ -0,0 +1,27 @@
+// /services/user-car-service/src/application/services/booking-rules/MinLeadTimeRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+/**
+ * เวลาเริ่มต้องห่างจากตอนนี้อย่างน้อย min_lead_time_minutes (0 = ห้ามจองย้อนหลัง)
+ */
+export class MinLeadTimeRule {
+  constructor() {
+    this.name = BOOKING_RULE.MIN_LEAD_TIME;
+  }
+
+  evaluate(context) {
+    const limit = context.getLimit("min_lead_time_minutes");
+    const leadMinutes = Math.floor((context.startMs - context.nowMs) / 60000);
+
+    if (leadMinutes >= limit) return null;
+    return {
+      rule: this.name,
+      message:
+        leadMinutes < 0
+          ? "Start time is in the past."
+          : `Bookings must be made at least ${limit} minute(s) before the start time.`,
+      limit,
+      actual: leadMinutes,
+    };
+  }
+}
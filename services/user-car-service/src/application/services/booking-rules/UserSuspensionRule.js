@@ -0,0 +1,30 @@
+// /services/user-car-service/src/application/services/booking-rules/UserSuspensionRule.js
+import { BOOKING_RULE } from "../../../domain/constants/bookingRules.js";
+
+/**
+ * ผู้ใช้ที่ถูกระงับการจอง (Strike ครบจาก No-Show / Late Cancellation) จองไม่ได้จนถึง users.suspended_until
+ */
+export class UserSuspensionRule {
+  constructor(supabaseClient) {
+    this.name = BOOKING_RULE.USER_SUSPENDED;
+    this.supabase = supabaseClient;
+  }
+
+  async evaluate(context) {
+    const { data: user, error } = await this.supabase
+      .from("users")
+      .select("suspended_until, strike_count")
+      .eq("id", context.userId)
+      .maybeSingle();
+    if (error) throw error;
+
+    const suspendedUntil = user?.suspended_until;
+    if (!suspendedUntil || new Date(suspendedUntil).getTime() <= context.nowMs) return null;
+    return {
+      rule: this.name,
+      message: `Booking is suspended until ${new Date(suspendedUntil).toISOString()} after ${user.strike_count} no-show/late-cancellation strike(s).`,
+      limit: null,
+      actual: suspendedUntil,
+    };
+  }
+}
@@ -0,0 +1,22 @@
+// /services/user-car-service/src/application/services/slot-assignment-strategies/ClosestToEntranceStrategy.js
+import { compareSlotNumber } from "./LowestFloorFirstStrategy.js";
+
+/**
+ * เลือก Slot ที่ใกล้ทางเข้าอาคารที่สุด (slots.entrance_distance)
+ * Slot ที่ยังไม่ได้กำหนดระยะจะถูกจัดไว้ท้ายสุด เรียงตามชั้นและหมายเลข Slot
+ */
+export class ClosestToEntranceStrategy {
+  constructor() {
+    this.name = "closest_to_entrance";
+  }
+
+  rank(candidates) {
+    const distance = (slot) => slot.entranceDistance ?? Number.MAX_SAFE_INTEGER;
+    return [...candidates].sort(
+      (a, b) =>
+        distance(a) - distance(b) ||
+        a.levelOrder - b.levelOrder ||
+        compareSlotNumber(a, b)
+    );
+  }
+}
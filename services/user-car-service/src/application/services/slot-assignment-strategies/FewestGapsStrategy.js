@@ -0,0 +1,31 @@
+// /services/user-car-service/src/application/services/slot-assignment-strategies/FewestGapsStrategy.js
+import { compareSlotNumber } from "./LowestFloorFirstStrategy.js";
+
+/**
+ * Best-Fit: เลือก Slot ที่การจองใหม่ "อุด" ช่องว่างระหว่างการจองเดิมได้พอดีที่สุด
+ * เพื่อไม่ให้เกิดช่วงเวลาว่างสั้นๆ ที่ไม่มีใครจองได้ (Fragmentation)
+ * คะแนน = ช่องว่างก่อน + ช่องว่างหลังการจองใหม่ (นาที) ยิ่งน้อยยิ่งดี
+ * ถ้าไม่มีการจองข้างเคียงภายใน lookaroundMs จะนับช่องว่างเป็น lookaroundMs
+ */
+export class FewestGapsStrategy {
+  constructor() {
+    this.name = "fewest_gaps";
+  }
+
+  rank(candidates, { startMs, endMs, lookaroundMs }) {
+    const score = (slot) => {
+      const before = slot.reservations
+        .filter((r) => r.endMs <= startMs)
+        .reduce((gap, r) => Math.min(gap, startMs - r.endMs), lookaroundMs);
+      const after = slot.reservations
+        .filter((r) => r.startMs >= endMs)
+        .reduce((gap, r) => Math.min(gap, r.startMs - endMs), lookaroundMs);
+      return before + after;
+    };
+
+    return candidates
+      .map((slot) => ({ slot, gap: score(slot) }))
+      .sort((a, b) => a.gap - b.gap || compareSlotNumber(a.slot, b.slot))
+      .map(({ slot }) => slot);
+  }
+}
@@ -0,0 +1,28 @@
+// /services/user-car-service/src/application/services/slot-assignment-strategies/LowestFloorFirstStrategy.js
+
+/**
+ * เลือก Slot ที่อยู่ชั้นต่ำที่สุดก่อน (level_order น้อยสุด) แล้วเรียงตามหมายเลข Slot
+ */
+export class LowestFloorFirstStrategy {
+  constructor() {
+    this.name = "lowest_floor_first";
+  }
+
+  /**
+   * @param {object[]} candidates - Slot ที่ว่างในช่วงเวลาที่ขอ (ดู SlotAssignmentService)
+   * @returns {object[]} candidates เรียงจากเหมาะสมที่สุด
+   */
+  rank(candidates) {
+    return [...candidates].sort(
+      (a, b) => a.levelOrder - b.levelOrder || compareSlotNumber(a, b)
+    );
+  }
+}
+
+export function compareSlotNumber(a, b) {
+  return (
+    (a.slotNumber ?? Number.MAX_SAFE_INTEGER) -
+      (b.slotNumber ?? Number.MAX_SAFE_INTEGER) ||
+    String(a.name).localeCompare(String(b.name))
+  );
+}
@@ -2,6 +2,37 @@
 
 import { ParkingStatusUpdatedEvent } from "../events/ParkingStatusUpdatedEvent.js";
 import { ReservationCreatedEvent } from "../events/ReservationCreatedEvent.js";
+import { ReservationCancelledEvent } from "../events/ReservationCancelledEvent.js";
+import { ReservationExtendedEvent } from "../events/ReservationExtendedEvent.js";
+import { ReservationRescheduledEvent } from "../events/ReservationRescheduledEvent.js";
+import { ReservationExpiredEvent } from "../events/ReservationExpiredEvent.js";
+import { CheckedOutEvent } from "../events/CheckedOutEvent.js";
+import { CheckInRejectedEvent } from "../events/CheckInRejectedEvent.js";
+import { ChargeCalculatedEvent } from "../events/ChargeCalculatedEvent.js";
+import { PaymentAuthorizedEvent } from "../events/PaymentAuthorizedEvent.js";
+import { PaymentCapturedEvent } from "../events/PaymentCapturedEvent.js";
+import { PaymentRefundedEvent } from "../events/PaymentRefundedEvent.js";
+import { PaymentFailedEvent } from "../events/PaymentFailedEvent.js";
+import { PenaltyAssessedEvent } from "../events/PenaltyAssessedEvent.js";
+import { PromoCodeAppliedEvent } from "../events/PromoCodeAppliedEvent.js";
+import { PriceLockedEvent } from "../events/PriceLockedEvent.js";
+import { PENALTY_TYPE } from "../constants/penaltyPolicy.js";
+import {
+  PAYMENT_OPERATION,
+  PAYMENT_STATUS,
+  WALLET_PAYMENT_PROVIDER,
+} from "../constants/paymentPolicy.js";
+import {
+  ALLOWED_STATUS_TRANSITIONS,
+  RESERVATION_STATUS,
+  RESERVATION_STATUS_CODE,
+  STATUS_SET_BY_DEDICATED_COMMAND,
+} from "../constants/reservationStatus.js";
+import { InvalidStatusTransitionError } from "../errors/InvalidStatusTransitionError.js";
+import { UnknownReservationStatusError } from "../errors/UnknownReservationStatusError.js";
+import { ReservationStateError } from "../errors/ReservationStateError.js";
+import { DomainError } from "../errors/DomainError.js";
+import { CHECK_IN_REJECTION_CODE } from "../constants/checkInPolicy.js";
 
 /**
  * Represents a parking reservation aggregate.
@@ -18,6 +49,7 @@ export class ReservationAggregate {
     this.vehicleType = null; // 👈 New State
     this.carId = null;       // 👈 New State
     this.vehicleTypeCode = null; // 👈 New State
+    this.seriesId = null;        // Recurring series
 
     // Time Components
     this.startTimeStamp = null;
@@ -32,6 +64,21 @@ export class ReservationAggregate {
     this.parkingSiteId = null;
     this.floorId = null;
 
+    // Actual Parking Times
+    this.checkedInAt = null;
+    this.checkedOutAt = null;
+
+    // Billing
+    this.chargeTotal = null;
+    this.chargedAt = null;
+    this.paymentId = null;
+    this.paymentStatus = null; // PAYMENT_STATUS
+    this.paymentAmount = null;
+    this.penaltyType = null; // PENALTY_TYPE
+    this.penaltyAmount = null;
+    this.discount = null; // Promo Code ที่ใช้ { promoCodeId, code, discountType, discountValue, maxDiscountAmount }
+    this.lockedPricePerHour = null; // Dynamic Pricing: ราคาต่อชั่วโมงตอนจอง (null = ใช้ Tariff ของอาคาร)
+
     this.version = 0;
     this.uncommittedEvents = [];
   }
@@ -82,15 +129,28 @@ export class ReservationAggregate {
       dateLocal, // reservedAtDateLocal
       timeLocal, // reservedAtTimeLocal
       timeStamp,  // reservedAtTimeStamp
-      command.vehicleTypeCode // 👈 Pass vehicleTypeCode
+      command.vehicleTypeCode, // 👈 Pass vehicleTypeCode
+      command.seriesId
     );
 
     this._applyAndRecord(event);
   }
 
+  /**
+   * เปลี่ยนสถานะตรงๆ (POST /reservations/:id/status) เฉพาะสถานะที่ไม่มี Command เฉพาะ
+   * (ดู STATUS_SET_BY_DEDICATED_COMMAND)
+   */
   updateStatus(command) {
     if (this.version === 0) throw new Error("Reservation does not exist yet.");
-    
+
+    this._assertCanTransitionTo(command.newStatus);
+    const dedicatedCommand = STATUS_SET_BY_DEDICATED_COMMAND[command.newStatus];
+    if (dedicatedCommand) {
+      throw new ReservationStateError(
+        `Status "${command.newStatus}" cannot be set directly, use ${dedicatedCommand}.`,
+        "STATUS_REQUIRES_DEDICATED_COMMAND"
+      );
+    }
     const newStatusCode = getStatusCode(command.newStatus);
 
     const event = new ParkingStatusUpdatedEvent(
@@ -104,6 +164,505 @@ export class ReservationAggregate {
     this._applyAndRecord(event);
   }
 
+  /**
+   * เช็คอิน (รถเข้าจอด) ได้เฉพาะในช่วงเวลาที่ Site อนุญาตรอบๆ เวลาเริ่มการจอง
+   * ถ้าอยู่นอกช่วง จะบันทึก CheckInRejectedEvent แทน และคืนค่า Event นั้นให้ Handler
+   * @param {object} command - CheckInByLicensePlateCommand
+   * @param {{earlyMinutes: number, lateMinutes: number}} checkInWindow
+   * @returns {CheckInRejectedEvent|null}
+   */
+  checkIn(command, checkInWindow) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    this._assertCanTransitionTo("checked_in");
+
+    const attemptedAt = new Date(command.checkInTimestamp);
+    const startDate = this.getStartDate();
+    const windowStart = new Date(startDate.getTime() - checkInWindow.earlyMinutes * 60 * 1000);
+    const windowEnd = new Date(startDate.getTime() + checkInWindow.lateMinutes * 60 * 1000);
+
+    let rejectionCode = null;
+    if (attemptedAt < windowStart) rejectionCode = CHECK_IN_REJECTION_CODE.TOO_EARLY;
+    else if (attemptedAt > windowEnd) rejectionCode = CHECK_IN_REJECTION_CODE.TOO_LATE;
+
+    if (rejectionCode) {
+      const rejectedEvent = new CheckInRejectedEvent(
+        this.id,
+        this.userId,
+        command.licensePlate,
+        rejectionCode,
+        attemptedAt,
+        windowStart,
+        windowEnd,
+        new Date()
+      );
+      this._applyAndRecord(rejectedEvent);
+      return rejectedEvent;
+    }
+
+    const event = new ParkingStatusUpdatedEvent(
+      this.id,
+      "checked_in",
+      getStatusCode("checked_in"),
+      attemptedAt,
+      this.userId
+    );
+    this._applyAndRecord(event);
+    return null;
+  }
+
+  /**
+   * เช็คเอาท์ (รถออกจากที่จอด) พร้อมคำนวณระยะเวลาจอดจริงเทียบกับช่วงเวลาที่จองไว้
+   * @param {object} command - CheckOutByLicensePlateCommand
+   */
+  checkOut(command) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    this._assertCanTransitionTo("checked_out");
+
+    const checkedOutAt = new Date(command.checkOutTimestamp);
+    const bookedStart = this.getStartDate();
+    const bookedEnd = this.getEndDate();
+    // Snapshot เก่าอาจไม่มี checkedInAt -> ใช้เวลาเริ่มการจองแทน
+    const checkedInAt = this.checkedInAt ? new Date(this.checkedInAt) : bookedStart;
+
+    if (checkedOutAt < checkedInAt) {
+      throw new DomainError(
+        "Check-out time cannot be earlier than check-in time.",
+        "INVALID_CHECK_OUT_TIME"
+      );
+    }
+
+    const toMinutes = (ms) => Math.ceil(ms / (60 * 1000));
+    const parkedMinutes = toMinutes(checkedOutAt - checkedInAt);
+    const bookedMinutes = toMinutes(bookedEnd - bookedStart);
+
+    const event = new CheckedOutEvent(
+      this.id,
+      this.userId,
+      this.slotId,
+      this.parkingSiteId,
+      checkedInAt,
+      checkedOutAt,
+      bookedStart,
+      bookedEnd,
+      {
+        parkedMinutes,
+        bookedMinutes,
+        overstayMinutes: Math.max(0, toMinutes(checkedOutAt - bookedEnd)),
+        unusedBookedMinutes: Math.max(0, bookedMinutes - parkedMinutes),
+      }
+    );
+
+    this._applyAndRecord(event);
+  }
+
+  /**
+   * บันทึกค่าจอดที่คำนวณแล้ว (หลังเช็คเอาท์ คิดได้ครั้งเดียว)
+   * @param {object} charge - ผลจาก ChargeCalculator.calculate()
+   * @param {string|null} buildingId
+   */
+  recordCharge(charge, buildingId) {
+    if (this.status !== RESERVATION_STATUS.CHECKED_OUT) {
+      throw new ReservationStateError(
+        `Charges can only be calculated after check-out (current status "${this.status}").`,
+        "RESERVATION_NOT_CHECKED_OUT"
+      );
+    }
+    if (this.chargedAt) {
+      throw new ReservationStateError(
+        "Charges for this reservation were already calculated.",
+        "CHARGE_ALREADY_CALCULATED"
+      );
+    }
+
+    const event = new ChargeCalculatedEvent(
+      this.id,
+      this.userId,
+      this.parkingSiteId,
+      buildingId,
+      charge
+    );
+    this._applyAndRecord(event);
+  }
+
+  /**
+   * บันทึกค่าปรับหลัง No-Show / Late Cancellation (ครั้งเดียวต่อการจอง)
+   * @param {string} penaltyType - PENALTY_TYPE
+   * @param {number} amount
+   * @param {string} currency
+   */
+  assessPenalty(penaltyType, amount, currency) {
+    const requiredStatus = {
+      [PENALTY_TYPE.NO_SHOW]: RESERVATION_STATUS.NO_SHOW,
+      [PENALTY_TYPE.LATE_CANCELLATION]: RESERVATION_STATUS.CANCELLED,
+    }[penaltyType];
+    if (!requiredStatus) {
+      throw new DomainError(`Unknown penalty type "${penaltyType}".`, "UNKNOWN_PENALTY_TYPE");
+    }
+    if (this.status !== requiredStatus || this.penaltyType) {
+      throw new ReservationStateError(
+        `Penalty "${penaltyType}" cannot be assessed (status "${this.status}", penalty ${this.penaltyType || "none"}).`,
+        "PENALTY_NOT_APPLICABLE"
+      );
+    }
+    this._applyAndRecord(
+      new PenaltyAssessedEvent(this.id, this.userId, this.parkingSiteId, penaltyType, amount, currency)
+    );
+  }
+
+  /**
+   * ใช้ Promo Code (ตรวจเงื่อนไขแล้วโดย PromoCodeService) ได้ครั้งเดียว ก่อนเริ่มจอด
+   * @param {object} discount - { promoCodeId, code, discountType, discountValue, maxDiscountAmount }
+   */
+  applyPromoCode(discount) {
+    if (this.discount || this.status !== RESERVATION_STATUS.PENDING) {
+      throw new ReservationStateError(
+        `Promo code cannot be applied (status "${this.status}", promo ${this.discount?.code || "none"}).`,
+        "PROMO_CODE_NOT_ALLOWED"
+      );
+    }
+    this._applyAndRecord(new PromoCodeAppliedEvent(this.id, this.userId, discount));
+  }
+
+  /**
+   * ล็อกราคาต่อชั่วโมงจาก PricingService ตอนจอง (ครั้งเดียว ก่อนเริ่มจอด)
+   * @param {object} pricing - ผลจาก PricingService.resolvePricing()
+   */
+  lockPrice(pricing) {
+    if (this.lockedPricePerHour != null || this.status !== RESERVATION_STATUS.PENDING) {
+      throw new ReservationStateError(
+        `Price cannot be locked (status "${this.status}", locked ${this.lockedPricePerHour ?? "none"}).`,
+        "PRICE_LOCK_NOT_ALLOWED"
+      );
+    }
+    this._applyAndRecord(new PriceLockedEvent(this.id, this.userId, pricing));
+  }
+
+  /**
+   * ล็อกราคาใหม่หลัง Reschedule/Extend (ช่วงเวลา/อาคารเปลี่ยน ราคาที่ล็อกไว้ตอนจองใช้ไม่ได้แล้ว)
+   * อาคารที่ไม่ใช้ Dynamic Pricing: ยังไม่เคยล็อก = ใช้ Tariff ของอาคารตามเดิม, เคยล็อก = ล็อกเป็น Tariff ปัจจุบัน
+   * @param {object} pricing - ผลจาก PricingService.resolvePricing() ของช่วงเวลาใหม่
+   */
+  relockPrice(pricing) {
+    if (![RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CHECKED_IN].includes(this.status)) {
+      throw new ReservationStateError(
+        `Price cannot be locked (status "${this.status}").`,
+        "PRICE_LOCK_NOT_ALLOWED"
+      );
+    }
+    if (!pricing.isDynamic && this.lockedPricePerHour == null) return;
+    if (pricing.pricePerHour === this.lockedPricePerHour) return;
+    this._applyAndRecord(new PriceLockedEvent(this.id, this.userId, pricing));
+  }
+
+  /**
+   * ค่าที่ใช้แทน Tariff ของอาคารตอนคิดค่าจอด (ChargeCalculator)
+   */
+  getTariffOverrides() {
+    return this.lockedPricePerHour != null ? { price_per_hour: this.lockedPricePerHour } : null;
+  }
+
+  // --- Payment (ผลจาก IPaymentProvider ผ่าน PaymentService) ---
+
+  /**
+   * authorize ซ้ำได้เมื่อรายการก่อนหน้าล้มเหลว หรือเป็นวงเงินใหม่ที่มากกว่าเดิม (แทนรายการที่ authorize อยู่)
+   * @param {{provider: string, paymentId: string, amount: number, currency: string}} payment
+   */
+  recordPaymentAuthorized({ provider, paymentId, amount, currency }) {
+    const replacesAuthorization =
+      this.paymentStatus === PAYMENT_STATUS.AUTHORIZED && amount > this.paymentAmount;
+    if (this.paymentId && this.paymentStatus !== PAYMENT_STATUS.FAILED && !replacesAuthorization) {
+      throw new ReservationStateError(
+        `Payment already ${this.paymentStatus} for this reservation.`,
+        "PAYMENT_ALREADY_AUTHORIZED"
+      );
+    }
+    this._applyAndRecord(
+      new PaymentAuthorizedEvent(this.id, this.userId, provider, paymentId, amount, currency)
+    );
+  }
+
+  /**
+   * @param {{provider: string, paymentId: string, amount: number, currency: string}} payment
+   */
+  recordPaymentCaptured({ provider, paymentId, amount, currency }) {
+    this._assertPaymentStatus([PAYMENT_STATUS.AUTHORIZED], paymentId);
+    this._applyAndRecord(
+      new PaymentCapturedEvent(this.id, this.userId, provider, paymentId, amount, currency)
+    );
+  }
+
+  /**
+   * ตัดเงินจาก Wallet สำเร็จ (paymentId = transactionId ของ Wallet)
+   * วงเงินบัตรที่ authorize ไว้ควรคืนก่อน: ถ้าคืนไม่สำเร็จยังบันทึกได้ (เงินถูกตัดไปแล้ว, มี PaymentFailedEvent ให้ตามต่อ)
+   * @param {{transactionId: string, amount: number, currency: string}} payment
+   */
+  recordWalletPayment({ transactionId, amount, currency }) {
+    if (this.paymentStatus === PAYMENT_STATUS.CAPTURED) {
+      throw new ReservationStateError(
+        `Payment already ${this.paymentStatus} for this reservation.`,
+        "INVALID_PAYMENT_STATE"
+      );
+    }
+    this._applyAndRecord(
+      new PaymentCapturedEvent(
+        this.id, this.userId, WALLET_PAYMENT_PROVIDER, transactionId, amount, currency
+      )
+    );
+  }
+
+  /**
+   * @param {{provider: string, paymentId: string, amount: number, currency: string, reason: string}} payment
+   */
+  recordPaymentRefunded({ provider, paymentId, amount, currency, reason }) {
+    this._assertPaymentStatus([PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.CAPTURED], paymentId);
+    this._applyAndRecord(
+      new PaymentRefundedEvent(this.id, this.userId, provider, paymentId, amount, currency, reason)
+    );
+  }
+
+  /**
+   * @param {{provider: string, operation: string, paymentId: string|null, amount: number,
+   *   currency: string, failureCode: string, failureMessage: string}} failure
+   */
+  recordPaymentFailed({ provider, operation, paymentId, amount, currency, failureCode, failureMessage }) {
+    this._applyAndRecord(
+      new PaymentFailedEvent(
+        this.id, this.userId, provider,
+        operation, paymentId, amount, currency,
+        failureCode, failureMessage
+      )
+    );
+  }
+
+  _assertPaymentStatus(allowedStatuses, paymentId) {
+    if (!allowedStatuses.includes(this.paymentStatus) || paymentId !== this.paymentId) {
+      throw new ReservationStateError(
+        `Payment ${paymentId} cannot be changed (current payment status "${this.paymentStatus}").`,
+        "INVALID_PAYMENT_STATE"
+      );
+    }
+  }
+
+  /**
+   * ยกเลิกการจอง พร้อมบันทึกว่ายกเลิกภายในช่วง cutoff ของ Site หรือไม่
+   * @param {object} command - CancelReservationCommand
+   * @param {number} cutoffMinutes - จำนวนนาทีก่อนเวลาเริ่มที่ถือว่าเป็น Late Cancellation
+   */
+  cancelReservation(command, cutoffMinutes) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    this._assertCanTransitionTo("cancelled");
+
+    const now = new Date();
+    const startDate = this.getStartDate();
+    const minutesBeforeStart = Math.floor(
+      (startDate.getTime() - now.getTime()) / (60 * 1000)
+    );
+
+    const event = new ReservationCancelledEvent(
+      this.id,
+      this.userId,
+      command.cancelledBy,
+      command.cancelledByRole,
+      command.reasonCode,
+      command.reasonNote,
+      now,
+      minutesBeforeStart < cutoffMinutes,
+      cutoffMinutes,
+      minutesBeforeStart
+    );
+
+    this._applyAndRecord(event);
+  }
+
+  /**
+   * ปิดการจองที่ไม่มาเช็คอิน (No-Show) เมื่อเลยเวลาเริ่ม + Grace Period แล้ว
+   */
+  expireReservation(command, graceMinutes) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    if (this.status !== "pending") {
+      throw new ReservationStateError(
+        `Only pending reservations can expire (current status: "${this.status}").`,
+        "RESERVATION_NOT_PENDING"
+      );
+    }
+    this._assertCanTransitionTo("no_show");
+
+    const now = new Date();
+    const minutesOverdue = Math.floor(
+      (now.getTime() - this.getStartDate().getTime()) / (60 * 1000)
+    );
+    if (minutesOverdue < graceMinutes) {
+      throw new DomainError(
+        `Reservation is still within its ${graceMinutes}-minute grace period.`,
+        "GRACE_PERIOD_NOT_PASSED"
+      );
+    }
+
+    const event = new ReservationExpiredEvent(
+      this.id,
+      this.userId,
+      this.slotId,
+      command.expiredBy,
+      now,
+      graceMinutes,
+      minutesOverdue
+    );
+
+    this._applyAndRecord(event);
+  }
+
+  /**
+   * ขยายเวลาสิ้นสุดของการจองที่ยัง Active อยู่ (pending / checked_in)
+   * (การตรวจสอบ Slot ว่างต้องทำใน Command Handler ก่อนเรียกเมธอดนี้)
+   */
+  extendReservation(command) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    if (!["pending", "checked_in"].includes(this.status)) {
+      throw new ReservationStateError(
+        `Reservation with status "${this.status}" cannot be extended.`,
+        "RESERVATION_NOT_ACTIVE"
+      );
+    }
+
+    const newEndDate = new Date(
+      `${command.endDateLocal}T${command.endTimeLocal}${this.timeZoneOffset}`
+    );
+    if (isNaN(newEndDate.getTime())) {
+      throw new DomainError("Invalid new end date/time.", "INVALID_END_TIME");
+    }
+    if (newEndDate <= this.getEndDate()) {
+      throw new DomainError(
+        "New end time must be after the current end time.",
+        "INVALID_END_TIME"
+      );
+    }
+
+    const event = new ReservationExtendedEvent(
+      this.id,
+      this.userId,
+      this.slotId,
+      this.endTimeStamp,
+      this.endDateLocal,
+      this.endTimeLocal,
+      Math.floor(newEndDate.getTime() / 1000).toString(),
+      command.endDateLocal,
+      command.endTimeLocal,
+      this.timeZoneOffset,
+      new Date()
+    );
+
+    this._applyAndRecord(event);
+  }
+
+  /**
+   * เปลี่ยนเวลาและ/หรือ Slot ของการจองที่ยังเป็น pending ในคำสั่งเดียว
+   * (การตรวจสอบ Slot ว่างต้องทำใน Command Handler หลังเรียกเมธอดนี้)
+   * @param {object} command - RescheduleReservationCommand
+   * @param {object|null} newSlot - ผลจาก SlotLookupService.findSlot (null = ไม่เปลี่ยน Slot)
+   */
+  rescheduleReservation(command, newSlot) {
+    if (this.version === 0) throw new Error("Reservation does not exist yet.");
+    if (this.status !== "pending") {
+      throw new ReservationStateError(
+        `Only pending reservations can be rescheduled (current status: "${this.status}").`,
+        "RESERVATION_NOT_PENDING"
+      );
+    }
+
+    const previous = this._getScheduleSnapshot();
+    const current = {
+      slotId: newSlot ? newSlot.slotId : this.slotId,
+      parkingSiteId: newSlot ? newSlot.parkingSiteId : this.parkingSiteId,
+      floorId: newSlot ? newSlot.floorId : this.floorId,
+      startDateLocal: command.startDateLocal || this.startDateLocal,
+      startTimeLocal: command.startTimeLocal || this.startTimeLocal,
+      endDateLocal: command.endDateLocal || this.endDateLocal,
+      endTimeLocal: command.endTimeLocal || this.endTimeLocal,
+    };
+
+    const newStart = new Date(`${current.startDateLocal}T${current.startTimeLocal}${this.timeZoneOffset}`);
+    const newEnd = new Date(`${current.endDateLocal}T${current.endTimeLocal}${this.timeZoneOffset}`);
+    if (isNaN(newStart.getTime()) || isNaN(newEnd.getTime())) {
+      throw new DomainError("Invalid new start/end date/time.", "INVALID_TIME_RANGE");
+    }
+    if (newStart >= newEnd) {
+      throw new DomainError("End time must be after start time.", "INVALID_TIME_RANGE");
+    }
+    current.startTimeStamp = Math.floor(newStart.getTime() / 1000).toString();
+    current.endTimeStamp = Math.floor(newEnd.getTime() / 1000).toString();
+
+    const changedFields = [
+      "slotId", "startDateLocal", "startTimeLocal", "endDateLocal", "endTimeLocal",
+    ].filter((field) => previous[field] !== current[field]);
+    if (changedFields.length === 0) {
+      throw new DomainError("Reschedule request does not change anything.", "NO_CHANGES");
+    }
+
+    const event = new ReservationRescheduledEvent(
+      this.id,
+      this.userId,
+      previous,
+      current,
+      changedFields,
+      this.timeZoneOffset,
+      new Date()
+    );
+
+    this._applyAndRecord(event);
+  }
+
+  _getScheduleSnapshot() {
+    return {
+      slotId: this.slotId,
+      parkingSiteId: this.parkingSiteId,
+      floorId: this.floorId,
+      startTimeStamp: this.startTimeStamp,
+      startDateLocal: this.startDateLocal,
+      startTimeLocal: this.startTimeLocal,
+      endTimeStamp: this.endTimeStamp,
+      endDateLocal: this.endDateLocal,
+      endTimeLocal: this.endTimeLocal,
+    };
+  }
+
+  /**
+   * ช่วงเวลาที่การจองนี้ถือ Slot อยู่ สำหรับ Slot Booking Guard ใน Event Store
+   * (การจองที่ไม่ Active แล้วจะคืนค่า { release: true } เพื่อปล่อย Slot)
+   */
+  getSlotBooking() {
+    if (!["pending", "checked_in"].includes(this.status)) return { release: true };
+    return {
+      slotId: this.slotId,
+      startTime: this.getStartDate().toISOString(),
+      endTime: this.getEndDate().toISOString(),
+    };
+  }
+
+  /** เวลาเริ่มของการจอง (Date) คำนวณจาก Local Date/Time + Offset */
+  getStartDate() {
+    return new Date(`${this.startDateLocal}T${this.startTimeLocal}${this.timeZoneOffset}`);
+  }
+
+  /** เวลาสิ้นสุดของการจอง (Date) คำนวณจาก Local Date/Time + Offset */
+  getEndDate() {
+    return new Date(`${this.endDateLocal}T${this.endTimeLocal}${this.timeZoneOffset}`);
+  }
+
+  /**
+   * ตรวจสอบ State Machine ของการจอง (ดู ALLOWED_STATUS_TRANSITIONS)
+   * @throws {UnknownReservationStatusError} สถานะไม่มีในระบบ (400)
+   * @throws {InvalidStatusTransitionError} เปลี่ยนจากสถานะปัจจุบันไม่ได้ (409)
+   */
+  _assertCanTransitionTo(newStatus) {
+    const allowed = ALLOWED_STATUS_TRANSITIONS[this.status] || [];
+    if (!Object.values(RESERVATION_STATUS).includes(newStatus)) {
+      throw new UnknownReservationStatusError(newStatus, Object.values(RESERVATION_STATUS));
+    }
+    if (!allowed.includes(newStatus)) {
+      throw new InvalidStatusTransitionError(this.status, newStatus, allowed);
+    }
+  }
+
   _applyAndRecord(event) {
     this._apply(event);
     this.uncommittedEvents.push(event);
@@ -113,12 +672,43 @@ export class ReservationAggregate {
     let eventType;
     let data;
 
-    if (event instanceof ReservationCreatedEvent || event instanceof ParkingStatusUpdatedEvent) {
+    if (
+      event instanceof ReservationCreatedEvent ||
+      event instanceof ParkingStatusUpdatedEvent ||
+      event instanceof ReservationCancelledEvent ||
+      event instanceof ReservationExtendedEvent ||
+      event instanceof ReservationRescheduledEvent ||
+      event instanceof ReservationExpiredEvent ||
+      event instanceof CheckedOutEvent ||
+      event instanceof CheckInRejectedEvent ||
+      event instanceof ChargeCalculatedEvent ||
+      event instanceof PaymentAuthorizedEvent ||
+      event instanceof PaymentCapturedEvent ||
+      event instanceof PaymentRefundedEvent ||
+      event instanceof PaymentFailedEvent ||
+      event instanceof PenaltyAssessedEvent ||
+      event instanceof PromoCodeAppliedEvent ||
+      event instanceof PriceLockedEvent
+    ) {
       eventType = event.constructor.name;
       data = event;
     } else if (typeof event === "object" && event !== null) {
       if (event.slotId && event.startDateLocal) eventType = "ReservationCreatedEvent";
       else if (event.newStatus) eventType = "ParkingStatusUpdatedEvent";
+      else if (event.cancelledAt) eventType = "ReservationCancelledEvent";
+      else if (event.extendedAt) eventType = "ReservationExtendedEvent";
+      else if (event.rescheduledAt) eventType = "ReservationRescheduledEvent";
+      else if (event.expiredAt) eventType = "ReservationExpiredEvent";
+      else if (event.calculatedAt && event.lineItems) eventType = "ChargeCalculatedEvent";
+      else if (event.checkedOutAt) eventType = "CheckedOutEvent";
+      else if (event.rejectedAt) eventType = "CheckInRejectedEvent";
+      else if (event.authorizedAt) eventType = "PaymentAuthorizedEvent";
+      else if (event.capturedAt) eventType = "PaymentCapturedEvent";
+      else if (event.refundedAt) eventType = "PaymentRefundedEvent";
+      else if (event.paymentFailedAt) eventType = "PaymentFailedEvent";
+      else if (event.assessedAt) eventType = "PenaltyAssessedEvent";
+      else if (event.promoAppliedAt) eventType = "PromoCodeAppliedEvent";
+      else if (event.priceLockedAt) eventType = "PriceLockedEvent";
       else eventType = "UnknownEvent";
       data = event;
     } else {
@@ -138,6 +728,7 @@ export class ReservationAggregate {
         this.vehicleType = data.vehicleType || 'car'; // 👈 Update State
         this.carId = data.carId || null;              // 👈 Update State
         this.vehicleTypeCode = data.vehicleTypeCode || 1; // 👈 Update State
+        this.seriesId = data.seriesId || null;
         
         this.startTimeStamp = data.startTimeStamp;
         this.startDateLocal = data.startDateLocal;
@@ -151,6 +742,87 @@ export class ReservationAggregate {
       case "ParkingStatusUpdatedEvent":
         this.status = data.newStatus;
         this.statusCode = data.statusCode;
+        if (data.newStatus === "checked_in") this.checkedInAt = data.updatedAt;
+        break;
+
+      case "CheckedOutEvent":
+        this.status = data.status;
+        this.statusCode = data.statusCode;
+        this.checkedInAt = data.checkedInAt;
+        this.checkedOutAt = data.checkedOutAt;
+        break;
+
+      case "CheckInRejectedEvent":
+        // บันทึกไว้เพื่อ Audit เท่านั้น สถานะการจองไม่เปลี่ยน
+        break;
+
+      case "ChargeCalculatedEvent":
+        this.chargeTotal = data.totalAmount;
+        this.chargedAt = data.calculatedAt;
+        break;
+
+      case "PenaltyAssessedEvent":
+        this.penaltyType = data.penaltyType;
+        this.penaltyAmount = data.amount;
+        break;
+
+      case "PromoCodeAppliedEvent":
+        this.discount = {
+          promoCodeId: data.promoCodeId,
+          code: data.code,
+          discountType: data.discountType,
+          discountValue: data.discountValue,
+          maxDiscountAmount: data.maxDiscountAmount ?? null,
+        };
+        break;
+
+      case "PriceLockedEvent":
+        this.lockedPricePerHour = data.pricePerHour;
+        break;
+
+      case "PaymentAuthorizedEvent":
+        this.paymentId = data.paymentId;
+        this.paymentStatus = PAYMENT_STATUS.AUTHORIZED;
+        this.paymentAmount = data.amount;
+        break;
+
+      case "PaymentCapturedEvent":
+        this.paymentId = data.paymentId; // Wallet -> transactionId แทนรายการบัตร
+        this.paymentStatus = PAYMENT_STATUS.CAPTURED;
+        this.paymentAmount = data.amount;
+        break;
+
+      case "PaymentRefundedEvent":
+        this.paymentStatus = PAYMENT_STATUS.REFUNDED;
+        break;
+
+      case "PaymentFailedEvent":
+        // Refund ไม่สำเร็จ -> สถานะเดิมยังคงอยู่ (เงินยังไม่ถูกคืน)
+        if (data.operation !== PAYMENT_OPERATION.REFUND) this.paymentStatus = PAYMENT_STATUS.FAILED;
+        break;
+
+      case "ReservationCancelledEvent":
+      case "ReservationExpiredEvent":
+        this.status = data.status;
+        this.statusCode = data.statusCode;
+        break;
+
+      case "ReservationExtendedEvent":
+        this.endTimeStamp = data.endTimeStamp;
+        this.endDateLocal = data.endDateLocal;
+        this.endTimeLocal = data.endTimeLocal;
+        break;
+
+      case "ReservationRescheduledEvent":
+        this.slotId = data.current.slotId;
+        this.parkingSiteId = data.current.parkingSiteId;
+        this.floorId = data.current.floorId;
+        this.startTimeStamp = data.current.startTimeStamp;
+        this.startDateLocal = data.current.startDateLocal;
+        this.startTimeLocal = data.current.startTimeLocal;
+        this.endTimeStamp = data.current.endTimeStamp;
+        this.endDateLocal = data.current.endDateLocal;
+        this.endTimeLocal = data.current.endTimeLocal;
         break;
     }
   }
@@ -168,6 +840,7 @@ export class ReservationAggregate {
       vehicleType: this.vehicleType, // 👈 Snapshot
       carId: this.carId,             // 👈 Snapshot
       vehicleTypeCode: this.vehicleTypeCode, // 👈 Snapshot
+      seriesId: this.seriesId,
       
       startTimeStamp: this.startTimeStamp,
       startDateLocal: this.startDateLocal,
@@ -176,6 +849,19 @@ export class ReservationAggregate {
       endDateLocal: this.endDateLocal,
       endTimeLocal: this.endTimeLocal,
       timeZoneOffset: this.timeZoneOffset,
+
+      checkedInAt: this.checkedInAt,
+      checkedOutAt: this.checkedOutAt,
+
+      chargeTotal: this.chargeTotal,
+      chargedAt: this.chargedAt,
+      paymentId: this.paymentId,
+      paymentStatus: this.paymentStatus,
+      paymentAmount: this.paymentAmount,
+      penaltyType: this.penaltyType,
+      penaltyAmount: this.penaltyAmount,
+      discount: this.discount,
+      lockedPricePerHour: this.lockedPricePerHour,
     };
   }
 
@@ -194,6 +880,7 @@ export class ReservationAggregate {
     this.vehicleType = d.vehicleType; // 👈 Restore
     this.carId = d.carId;             // 👈 Restore
     this.vehicleTypeCode = d.vehicleTypeCode; // 👈 Restore
+    this.seriesId = d.seriesId || null;
     
     this.startTimeStamp = d.startTimeStamp;
     this.startDateLocal = d.startDateLocal;
@@ -203,6 +890,19 @@ export class ReservationAggregate {
     this.endTimeLocal = d.endTimeLocal;
     this.timeZoneOffset = d.timeZoneOffset;
 
+    this.checkedInAt = d.checkedInAt || null;
+    this.checkedOutAt = d.checkedOutAt || null;
+
+    this.chargeTotal = d.chargeTotal ?? null;
+    this.chargedAt = d.chargedAt || null;
+    this.paymentId = d.paymentId || null;
+    this.paymentStatus = d.paymentStatus || null;
+    this.paymentAmount = d.paymentAmount ?? null;
+    this.penaltyType = d.penaltyType || null;
+    this.penaltyAmount = d.penaltyAmount ?? null;
+    this.discount = d.discount || null;
+    this.lockedPricePerHour = d.lockedPricePerHour ?? null;
+
     this.version = snapshotRecord.version;
   }
 
@@ -217,13 +917,7 @@ export class ReservationAggregate {
 
 // --- Helper Function ---
 function getStatusCode(statusText) {
-  const map = {
-    'pending': '1',
-    'checked_in': '2',
-    'checked_out': '3',
-    'cancelled': '0'
-  };
-  return map[statusText] || '99';
+  return RESERVATION_STATUS_CODE[statusText];
 }
 
 function getLocalPartsFromDate(dateObj, offsetStr) {
@@ -0,0 +1,16 @@
+// src/domain/commands/AcceptWaitlistOfferCommand.js
+
+export class AcceptWaitlistOfferCommand {
+  /**
+   * ตอบรับข้อเสนอจากคิวรอ -> สร้างการจองให้อัตโนมัติจาก Slot ที่ Hold ไว้
+   * @param {string} entryId
+   * @param {string} userId - ต้องเป็นเจ้าของคิว
+   */
+  constructor(entryId, userId) {
+    if (!entryId || !userId) {
+      throw new Error("Waitlist entry ID and userId are required.");
+    }
+    this.entryId = entryId;
+    this.userId = userId;
+  }
+}
@@ -0,0 +1,39 @@
+// src/domain/commands/CancelReservationCommand.js
+import {
+  CANCELLATION_REASON,
+  CANCELLED_BY_ROLE,
+} from "../constants/cancellationReasons.js";
+
+export class CancelReservationCommand {
+  /**
+   * @param {string} reservationId
+   * @param {string} cancelledBy - ID ของผู้ที่สั่งยกเลิก (user/admin) หรือ "system"
+   * @param {string} reasonCode - หนึ่งในค่าของ CANCELLATION_REASON
+   * @param {string} [reasonNote] - ข้อความอธิบายเพิ่มเติม (Optional)
+   * @param {string} [cancelledByRole] - "user" | "admin" | "system"
+   */
+  constructor(reservationId, cancelledBy, reasonCode, reasonNote, cancelledByRole) {
+    if (!reservationId || !cancelledBy || !reasonCode) {
+      throw new Error(
+        "Reservation ID, cancelledBy and reasonCode are required."
+      );
+    }
+    if (!Object.values(CANCELLATION_REASON).includes(reasonCode)) {
+      throw new Error(
+        `Invalid reasonCode "${reasonCode}". Allowed: ${Object.values(
+          CANCELLATION_REASON
+        ).join(", ")}.`
+      );
+    }
+    const role = cancelledByRole || CANCELLED_BY_ROLE.USER;
+    if (!Object.values(CANCELLED_BY_ROLE).includes(role)) {
+      throw new Error(`Invalid cancelledByRole "${role}".`);
+    }
+
+    this.reservationId = reservationId;
+    this.cancelledBy = cancelledBy;
+    this.cancelledByRole = role;
+    this.reasonCode = reasonCode;
+    this.reasonNote = reasonNote || null;
+  }
+}
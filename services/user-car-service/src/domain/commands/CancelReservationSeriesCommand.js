@@ -0,0 +1,32 @@
+// src/domain/commands/CancelReservationSeriesCommand.js
+import { CancelReservationCommand } from "./CancelReservationCommand.js";
+
+export class CancelReservationSeriesCommand {
+  /**
+   * ยกเลิกทุกครั้งที่ยังเป็น pending ของการจองแบบเกิดซ้ำ (ครั้งเดียวใช้ POST /reservations/:id/cancel)
+   * @param {string} seriesId
+   * @param {string} cancelledBy
+   * @param {string} reasonCode - หนึ่งในค่าของ CANCELLATION_REASON
+   * @param {string} [reasonNote]
+   * @param {string} [cancelledByRole]
+   */
+  constructor(seriesId, cancelledBy, reasonCode, reasonNote, cancelledByRole) {
+    if (!seriesId) {
+      throw new Error("Series ID is required.");
+    }
+    // ใช้ Validation เดียวกับการยกเลิกรายครั้ง
+    const template = new CancelReservationCommand(
+      seriesId,
+      cancelledBy,
+      reasonCode,
+      reasonNote,
+      cancelledByRole
+    );
+
+    this.seriesId = seriesId;
+    this.cancelledBy = template.cancelledBy;
+    this.cancelledByRole = template.cancelledByRole;
+    this.reasonCode = template.reasonCode;
+    this.reasonNote = template.reasonNote;
+  }
+}
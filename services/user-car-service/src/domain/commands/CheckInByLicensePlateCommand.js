@@ -1,10 +1,19 @@
 // src/domain/commands/CheckInByLicensePlateCommand.js
 export class CheckInByLicensePlateCommand {
-  constructor(licensePlate, checkInTimestamp) {
+  /**
+   * @param {string} licensePlate
+   * @param {Date} [checkInTimestamp] - เวลาที่รถเข้า (Default: ตอนนี้)
+   * @param {object} [location] - จุดที่รถเข้า ใช้เลือกการจองที่ถูกต้องเมื่อผู้ใช้มีหลายการจอง
+   * @param {string} [location.parkingSiteId]
+   * @param {string} [location.gateId] - ID ของประตูทางเข้า (parking_gates) ใช้แทน parkingSiteId ได้
+   */
+  constructor(licensePlate, checkInTimestamp, { parkingSiteId, gateId } = {}) {
     if (!licensePlate) {
       throw new Error("License plate is required.");
     }
     this.licensePlate = licensePlate;
     this.checkInTimestamp = checkInTimestamp || new Date();
+    this.parkingSiteId = parkingSiteId || null;
+    this.gateId = gateId || null;
   }
 }
@@ -0,0 +1,18 @@
+// src/domain/commands/CheckOutByLicensePlateCommand.js
+export class CheckOutByLicensePlateCommand {
+  /**
+   * @param {string} licensePlate
+   * @param {Date} [checkOutTimestamp] - เวลาที่รถออก (Default: ตอนนี้, Route สาธารณะไม่ส่งค่านี้มา)
+   */
+  constructor(licensePlate, checkOutTimestamp) {
+    if (!licensePlate) {
+      throw new Error("License plate is required.");
+    }
+    const checkOutAt = checkOutTimestamp ? new Date(checkOutTimestamp) : new Date();
+    if (isNaN(checkOutAt.getTime())) {
+      throw new Error("Invalid check-out timestamp.");
+    }
+    this.licensePlate = licensePlate;
+    this.checkOutTimestamp = checkOutAt;
+  }
+}
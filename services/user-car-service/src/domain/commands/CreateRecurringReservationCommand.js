@@ -0,0 +1,99 @@
+// /services/user-car-service/src/domain/commands/CreateRecurringReservationCommand.js
+import {
+  DAYS_OF_WEEK,
+  MAX_RECURRING_OCCURRENCES,
+  RECURRENCE_FREQUENCY,
+} from "../constants/recurrencePolicy.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class CreateRecurringReservationCommand {
+  /**
+   * จองแบบเกิดซ้ำ: ช่วงเวลาแรก (start/end) + กฎการเกิดซ้ำ
+   * ทุกครั้งที่เกิดจะเป็น ReservationAggregate ของตัวเองและใช้ seriesId เดียวกัน
+   * @param {object} data - ข้อมูลเดียวกับ CreateReservationCommand (ยกเว้น seriesId)
+   * @param {object} recurrence
+   * @param {string} recurrence.frequency - "daily" | "weekly"
+   * @param {Array<number|string>} [recurrence.daysOfWeek] - weekly เท่านั้น (0-6 หรือ "MON"...); Default: วันของ startDateLocal
+   * @param {string} [recurrence.until] - วันสุดท้าย (YYYY-MM-DD, รวมวันนั้น)
+   * @param {number} [recurrence.count] - จำนวนครั้งทั้งหมด
+   */
+  constructor(data, recurrence) {
+    const {
+      userId, slotId, parkingSiteId, floorId,
+      startDateLocal, startTimeLocal, endDateLocal, endTimeLocal,
+      timeZoneOffset,
+      vehicleType,
+      carId,
+      vehicleTypeCode,
+    } = data;
+
+    // 1. Validation (Booking)
+    if (!userId || !slotId || !parkingSiteId || !floorId) {
+      throw new Error("Missing required IDs (User, Slot, Site, Floor).");
+    }
+    if (!startDateLocal || !startTimeLocal || !endDateLocal || !endTimeLocal || !timeZoneOffset) {
+      throw new Error("Missing required date/time components.");
+    }
+
+    // 2. Validation (Recurrence Rule)
+    if (!recurrence || typeof recurrence !== "object") {
+      throw new Error("recurrence is required.");
+    }
+    const { frequency, daysOfWeek, until, count } = recurrence;
+    if (!Object.values(RECURRENCE_FREQUENCY).includes(frequency)) {
+      throw new Error(
+        `Invalid recurrence.frequency "${frequency}". Allowed: ${Object.values(RECURRENCE_FREQUENCY).join(", ")}.`
+      );
+    }
+    if (!until && count == null) {
+      throw new Error("recurrence.until or recurrence.count is required.");
+    }
+    if (until && !DATE_PATTERN.test(until)) {
+      throw new Error("recurrence.until must be a date (YYYY-MM-DD).");
+    }
+    if (until && until < startDateLocal) {
+      throw new Error("recurrence.until must not be before startDateLocal.");
+    }
+    if (count != null && (!Number.isInteger(count) || count < 1 || count > MAX_RECURRING_OCCURRENCES)) {
+      throw new Error(`recurrence.count must be an integer between 1 and ${MAX_RECURRING_OCCURRENCES}.`);
+    }
+
+    let days = null;
+    if (frequency === RECURRENCE_FREQUENCY.WEEKLY && daysOfWeek != null) {
+      if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0) {
+        throw new Error("recurrence.daysOfWeek must be a non-empty array.");
+      }
+      days = daysOfWeek.map((d) => {
+        const index = typeof d === "string" ? DAYS_OF_WEEK.indexOf(d.toUpperCase()) : d;
+        if (!Number.isInteger(index) || index < 0 || index > 6) {
+          throw new Error(`Invalid day of week "${d}". Use 0-6 or ${DAYS_OF_WEEK.join(", ")}.`);
+        }
+        return index;
+      });
+    }
+
+    // 3. Assign
+    this.userId = userId;
+    this.slotId = slotId;
+    this.parkingSiteId = parkingSiteId;
+    this.floorId = floorId;
+
+    this.startDateLocal = startDateLocal;
+    this.startTimeLocal = startTimeLocal;
+    this.endDateLocal = endDateLocal;
+    this.endTimeLocal = endTimeLocal;
+    this.timeZoneOffset = timeZoneOffset;
+
+    this.vehicleType = vehicleType || 'car';
+    this.carId = carId || null;
+    this.vehicleTypeCode = vehicleTypeCode || 1;
+
+    this.recurrence = {
+      frequency,
+      daysOfWeek: days ? [...new Set(days)].sort() : null,
+      until: until || null,
+      count: count ?? null,
+    };
+  }
+}
@@ -39,5 +39,9 @@ export class CreateReservationCommand {
     this.vehicleType = vehicleType || 'car';
     this.carId = carId || null;
     this.vehicleTypeCode = data.vehicleTypeCode || 1;
+    this.seriesId = data.seriesId || null; // การจองแบบเกิดซ้ำ (Recurring) ใช้ Series เดียวกัน
+    this.holdId = data.holdId || null;     // Hold จาก POST /holds ที่จะถูกแปลงเป็นการจองนี้
+    this.promo = data.promo || null;       // ส่วนลดจาก PromoCodeService.validate()
+    this.pricing = data.pricing || null;   // ราคาจาก PricingService.resolvePricing() (Dynamic Pricing)
   }
 }
\ No newline at end of file
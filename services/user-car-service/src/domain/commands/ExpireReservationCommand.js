@@ -0,0 +1,17 @@
+// src/domain/commands/ExpireReservationCommand.js
+import { SYSTEM_ACTOR_ID } from "../constants/noShowPolicy.js";
+
+export class ExpireReservationCommand {
+  /**
+   * คำสั่งจากระบบ (No-Show Scheduler) ให้ปิดการจองที่ไม่มาเช็คอินภายในเวลาที่กำหนด
+   * @param {string} reservationId
+   * @param {string} [expiredBy] - ผู้สั่ง (Default: "system")
+   */
+  constructor(reservationId, expiredBy = SYSTEM_ACTOR_ID) {
+    if (!reservationId) {
+      throw new Error("Reservation ID is required.");
+    }
+    this.reservationId = reservationId;
+    this.expiredBy = expiredBy;
+  }
+}
@@ -0,0 +1,19 @@
+// src/domain/commands/ExtendReservationCommand.js
+
+export class ExtendReservationCommand {
+  /**
+   * @param {string} reservationId
+   * @param {string} endDateLocal - วันที่สิ้นสุดใหม่ (YYYY-MM-DD, เวลาท้องถิ่นของการจอง)
+   * @param {string} endTimeLocal - เวลาสิ้นสุดใหม่ (HH:mm:ss)
+   */
+  constructor(reservationId, endDateLocal, endTimeLocal) {
+    if (!reservationId || !endDateLocal || !endTimeLocal) {
+      throw new Error(
+        "Reservation ID, endDateLocal and endTimeLocal are required."
+      );
+    }
+    this.reservationId = reservationId;
+    this.endDateLocal = endDateLocal;
+    this.endTimeLocal = endTimeLocal;
+  }
+}
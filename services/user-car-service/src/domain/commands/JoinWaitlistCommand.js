@@ -0,0 +1,52 @@
+// src/domain/commands/JoinWaitlistCommand.js
+
+export class JoinWaitlistCommand {
+  /**
+   * เข้าคิวรอเมื่อช่วงเวลาที่ต้องการเต็ม (Timeline แสดง full)
+   * @param {object} data
+   * @param {string} data.userId
+   * @param {string} data.parkingSiteId
+   * @param {string} [data.buildingId]
+   * @param {string} [data.zoneId]
+   * @param {number} data.vehicleTypeCode
+   * @param {string} [data.carId]
+   * @param {string} data.startDateLocal
+   * @param {string} data.startTimeLocal
+   * @param {string} data.endDateLocal
+   * @param {string} data.endTimeLocal
+   * @param {string} data.timeZoneOffset
+   */
+  constructor(data) {
+    const {
+      userId, parkingSiteId, buildingId, zoneId, vehicleTypeCode, carId,
+      startDateLocal, startTimeLocal, endDateLocal, endTimeLocal, timeZoneOffset,
+    } = data;
+
+    if (!userId || !parkingSiteId || vehicleTypeCode === undefined || vehicleTypeCode === null) {
+      throw new Error("Missing required fields (userId, siteId, vehicleTypeCode).");
+    }
+    if (!startDateLocal || !startTimeLocal || !endDateLocal || !endTimeLocal || !timeZoneOffset) {
+      throw new Error("Missing required date/time components.");
+    }
+    const start = new Date(`${startDateLocal}T${startTimeLocal}${timeZoneOffset}`);
+    const end = new Date(`${endDateLocal}T${endTimeLocal}${timeZoneOffset}`);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      throw new Error("End time must be after start time.");
+    }
+
+    this.userId = userId;
+    this.parkingSiteId = parkingSiteId;
+    this.buildingId = buildingId || null;
+    this.zoneId = zoneId || null;
+    this.vehicleTypeCode = Number(vehicleTypeCode);
+    this.carId = carId || null;
+
+    this.startDateLocal = startDateLocal;
+    this.startTimeLocal = startTimeLocal;
+    this.endDateLocal = endDateLocal;
+    this.endTimeLocal = endTimeLocal;
+    this.timeZoneOffset = timeZoneOffset;
+    this.startISO = start.toISOString();
+    this.endISO = end.toISOString();
+  }
+}
@@ -0,0 +1,34 @@
+// src/domain/commands/RescheduleReservationCommand.js
+
+export class RescheduleReservationCommand {
+  /**
+   * เปลี่ยนเวลาเริ่ม/สิ้นสุด และ/หรือ Slot ของการจองที่ยังเป็น pending
+   * (ฟิลด์ที่ไม่ส่งมาจะใช้ค่าเดิมของการจอง)
+   * @param {string} reservationId
+   * @param {object} changes
+   * @param {string} [changes.slotId]
+   * @param {string} [changes.startDateLocal]
+   * @param {string} [changes.startTimeLocal]
+   * @param {string} [changes.endDateLocal]
+   * @param {string} [changes.endTimeLocal]
+   */
+  constructor(reservationId, changes = {}) {
+    const { slotId, startDateLocal, startTimeLocal, endDateLocal, endTimeLocal } = changes;
+
+    if (!reservationId) {
+      throw new Error("Reservation ID is required.");
+    }
+    if (!slotId && !startDateLocal && !startTimeLocal && !endDateLocal && !endTimeLocal) {
+      throw new Error(
+        "At least one of slotId, startDateLocal, startTimeLocal, endDateLocal, endTimeLocal is required."
+      );
+    }
+
+    this.reservationId = reservationId;
+    this.slotId = slotId || null;
+    this.startDateLocal = startDateLocal || null;
+    this.startTimeLocal = startTimeLocal || null;
+    this.endDateLocal = endDateLocal || null;
+    this.endTimeLocal = endTimeLocal || null;
+  }
+}
@@ -0,0 +1,21 @@
+// /services/user-car-service/src/domain/constants/billingPolicy.js
+
+export const BILLING_CURRENCY = "THB";
+
+// ค่า Default ถ้าคอลัมน์ Tariff ของ buildings เป็น null (price_per_hour เป็นคอลัมน์เดิมของอาคาร)
+export const DEFAULT_TARIFF = {
+  price_per_hour: 0,
+  billing_increment_minutes: 60,  // ปัดเศษเวลาขึ้นทีละกี่นาที
+  free_minutes: 0,                // จอดฟรีกี่นาทีแรก
+  daily_cap: null,                // ค่าจอดสูงสุดต่อ 24 ชม. (null = ไม่จำกัด)
+  overstay_surcharge_per_hour: 0, // บวกเพิ่มต่อชั่วโมงสำหรับเวลาที่จอดเกินการจอง
+};
+
+// ประเภทรายการใน Breakdown (ส่งกลับใน lineItems[].type)
+export const CHARGE_LINE_TYPE = {
+  PARKING: "PARKING",
+  FREE_MINUTES: "FREE_MINUTES",
+  DAILY_CAP: "DAILY_CAP",
+  OVERSTAY: "OVERSTAY",
+  PROMO_DISCOUNT: "PROMO_DISCOUNT",
+};
@@ -0,0 +1,19 @@
+// /services/user-car-service/src/domain/constants/bookingRules.js
+
+// รหัสกฎการจอง (ส่งกลับใน violations[].rule)
+export const BOOKING_RULE = {
+  MAX_ACTIVE_RESERVATIONS: "MAX_ACTIVE_RESERVATIONS",
+  MAX_DURATION: "MAX_DURATION",
+  MAX_ADVANCE: "MAX_ADVANCE",
+  MIN_LEAD_TIME: "MIN_LEAD_TIME",
+  ALLOWED_USER_TYPE: "ALLOWED_USER_TYPE",
+  USER_SUSPENDED: "USER_SUSPENDED",
+};
+
+// ค่า Default ถ้าทั้ง buildings และ parking_sites เป็น null (คอลัมน์เดียวกันทั้งสองตาราง)
+export const DEFAULT_BOOKING_LIMITS = {
+  max_active_reservations: 3,
+  max_booking_duration_minutes: 12 * 60,
+  max_advance_booking_days: 30,
+  min_lead_time_minutes: 0,
+};
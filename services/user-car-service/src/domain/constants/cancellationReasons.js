@@ -0,0 +1,22 @@
+// /services/user-car-service/src/domain/constants/cancellationReasons.js
+
+// รหัสเหตุผลการยกเลิกการจอง (เก็บลงใน ReservationCancelledEvent)
+export const CANCELLATION_REASON = {
+  CHANGE_OF_PLANS: "CHANGE_OF_PLANS",
+  BOOKED_BY_MISTAKE: "BOOKED_BY_MISTAKE",
+  VEHICLE_ISSUE: "VEHICLE_ISSUE",
+  FOUND_OTHER_PARKING: "FOUND_OTHER_PARKING",
+  ADMIN_ACTION: "ADMIN_ACTION",
+  SLOT_UNAVAILABLE: "SLOT_UNAVAILABLE",
+  OTHER: "OTHER",
+};
+
+// ใครเป็นผู้ยกเลิก
+export const CANCELLED_BY_ROLE = {
+  USER: "user",
+  ADMIN: "admin",
+  SYSTEM: "system",
+};
+
+// ค่า Default ถ้า parking_sites.cancellation_cutoff_minutes เป็น null
+export const DEFAULT_CANCELLATION_CUTOFF_MINUTES = 60;
@@ -0,0 +1,11 @@
+// /services/user-car-service/src/domain/constants/checkInPolicy.js
+
+// ค่า Default ถ้า parking_sites.early_check_in_minutes / late_check_in_minutes เป็น null
+export const DEFAULT_EARLY_CHECK_IN_MINUTES = 15; // เข้าก่อนเวลาเริ่มได้กี่นาที
+export const DEFAULT_LATE_CHECK_IN_MINUTES = 30;  // เข้าหลังเวลาเริ่มได้กี่นาที
+
+// รหัสเหตุผลที่ปฏิเสธการเช็คอิน (เก็บลงใน CheckInRejectedEvent)
+export const CHECK_IN_REJECTION_CODE = {
+  TOO_EARLY: "CHECK_IN_TOO_EARLY",
+  TOO_LATE: "CHECK_IN_TOO_LATE",
+};
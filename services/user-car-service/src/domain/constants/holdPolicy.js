@@ -0,0 +1,16 @@
+// /services/user-car-service/src/domain/constants/holdPolicy.js
+
+// สถานะของ Hold (slot_holds.status)
+export const HOLD_STATUS = {
+  ACTIVE: "active",
+  CONVERTED: "converted", // กลายเป็นการจองแล้ว
+  RELEASED: "released",   // ผู้ใช้ปล่อยเอง
+  EXPIRED: "expired",     // หมดเวลา
+};
+
+// ระยะเวลาที่ถือ Slot ไว้ก่อนยืนยันการจอง (นาที)
+export const DEFAULT_HOLD_MINUTES = 10;
+export const MAX_HOLD_MINUTES = 30;
+
+// สถานะใน View slot_occupancy ที่ถือว่า Slot ไม่ว่าง (การจองที่ยังใช้งาน + Hold ที่ยังไม่หมดเวลา)
+export const OCCUPYING_STATUSES = ["pending", "checked_in", "held"];
@@ -0,0 +1,7 @@
+// /services/user-car-service/src/domain/constants/noShowPolicy.js
+
+// ค่า Default ถ้า parking_sites.no_show_grace_minutes เป็น null (ต้องตรงกับ View pending_reservation_deadlines)
+export const DEFAULT_NO_SHOW_GRACE_MINUTES = 15;
+
+// ผู้สั่ง Expire (Scheduler ของระบบ)
+export const SYSTEM_ACTOR_ID = "system";
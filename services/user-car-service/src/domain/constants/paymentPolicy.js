@@ -0,0 +1,19 @@
+// /services/user-car-service/src/domain/constants/paymentPolicy.js
+
+// สถานะการชำระเงินของการจอง (ReservationAggregate.paymentStatus / reservations.payment_status)
+export const PAYMENT_STATUS = {
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  REFUNDED: "refunded",
+  FAILED: "failed",
+};
+
+// ขั้นตอนที่ล้มเหลว (บันทึกใน PaymentFailedEvent)
+export const PAYMENT_OPERATION = {
+  AUTHORIZE: "authorize",
+  CAPTURE: "capture",
+  REFUND: "refund",
+};
+
+// provider ใน PaymentCapturedEvent เมื่อเก็บเงินจาก Wallet ของผู้ใช้ (user-service) แทนบัตร
+export const WALLET_PAYMENT_PROVIDER = "wallet";
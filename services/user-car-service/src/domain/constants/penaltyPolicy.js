@@ -0,0 +1,13 @@
+// /services/user-car-service/src/domain/constants/penaltyPolicy.js
+
+// ประเภทค่าปรับ (PenaltyAssessedEvent.penaltyType) -> user-service นับเป็น Strike ของผู้ใช้
+export const PENALTY_TYPE = {
+  NO_SHOW: "no_show",
+  LATE_CANCELLATION: "late_cancellation",
+};
+
+// ค่า Default ถ้า parking_sites.no_show_fee / late_cancellation_fee เป็น null (0 = นับ Strike อย่างเดียว)
+export const DEFAULT_PENALTY_FEES = {
+  no_show_fee: 0,
+  late_cancellation_fee: 0,
+};
@@ -0,0 +1,12 @@
+// /services/user-car-service/src/domain/constants/pricingPolicy.js
+
+// วันที่ใช้ Pricing Schedule (pricing_schedules.day_type) ตามวันในเวลาท้องถิ่นของการจอง
+export const DAY_TYPE = {
+  WEEKDAY: "weekday",
+  WEEKEND: "weekend",
+  ALL: "all",
+};
+
+export const WEEKEND_DAYS = [0, 6]; // อาทิตย์, เสาร์ (Date.getUTCDay ของเวลาท้องถิ่น)
+
+export const isValidDayType = (dayType) => Object.values(DAY_TYPE).includes(dayType);
@@ -0,0 +1,11 @@
+// /services/user-car-service/src/domain/constants/promoPolicy.js
+
+// ประเภทส่วนลดของ Promo Code (promo_codes.discount_type)
+export const DISCOUNT_TYPE = {
+  PERCENTAGE: "percentage",     // discount_value = % ของค่าจอด (จำกัดด้วย max_discount_amount ได้)
+  FIXED_AMOUNT: "fixed_amount", // discount_value = จำนวนเงิน
+  FREE_HOURS: "free_hours",     // discount_value = จำนวนชั่วโมงที่ไม่คิดเงิน (ตามราคาต่อชั่วโมงของอาคาร)
+};
+
+export const isValidDiscountType = (discountType) =>
+  Object.values(DISCOUNT_TYPE).includes(discountType);
@@ -0,0 +1,13 @@
+// /services/user-car-service/src/domain/constants/recurrencePolicy.js
+
+// ความถี่ของการจองแบบเกิดซ้ำ (Recurring Reservation)
+export const RECURRENCE_FREQUENCY = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+// วันในสัปดาห์ (ตรงกับ Date.getUTCDay(): 0 = อาทิตย์)
+export const DAYS_OF_WEEK = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// จำกัดจำนวนครั้งต่อหนึ่ง Series (กันสร้าง Aggregate จำนวนมากใน Request เดียว)
+export const MAX_RECURRING_OCCURRENCES = 60;
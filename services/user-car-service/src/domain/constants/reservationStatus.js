@@ -0,0 +1,36 @@
+// /services/user-car-service/src/domain/constants/reservationStatus.js
+
+export const RESERVATION_STATUS = {
+  PENDING: "pending",
+  CHECKED_IN: "checked_in",
+  CHECKED_OUT: "checked_out",
+  CANCELLED: "cancelled",
+  NO_SHOW: "no_show",
+};
+
+// status_code ที่ใช้ใน Event และ Read Model
+export const RESERVATION_STATUS_CODE = {
+  pending: "1",
+  checked_in: "2",
+  checked_out: "3",
+  no_show: "4",
+  cancelled: "0",
+};
+
+// State Machine: สถานะปัจจุบัน -> สถานะถัดไปที่อนุญาต
+// (checked_out, cancelled, no_show เป็นสถานะสุดท้าย ไม่สามารถเปลี่ยนต่อได้)
+export const ALLOWED_STATUS_TRANSITIONS = {
+  pending: ["checked_in", "cancelled", "no_show"],
+  checked_in: ["checked_out"],
+  checked_out: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// สถานะที่ต้องเปลี่ยนผ่าน Command เฉพาะ (มีค่าจอด / Payment / นโยบายของ Site) ห้ามตั้งผ่าน updateStatus
+export const STATUS_SET_BY_DEDICATED_COMMAND = {
+  checked_in: "POST /check-ins",
+  checked_out: "POST /check-outs",
+  cancelled: "POST /reservations/:id/cancel",
+  no_show: "NoShowExpiryScheduler (ExpireReservationCommand)",
+};
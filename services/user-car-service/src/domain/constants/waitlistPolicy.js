@@ -0,0 +1,13 @@
+// /services/user-car-service/src/domain/constants/waitlistPolicy.js
+
+// สถานะของคิวรอ (waitlist_entries.status)
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  OFFERED: "offered",     // มีที่ว่าง รอผู้ใช้ตอบรับภายใน offer_expires_at
+  ACCEPTED: "accepted",   // สร้างการจองแล้ว
+  EXPIRED: "expired",     // ไม่ตอบรับภายในเวลาที่กำหนด
+  CANCELLED: "cancelled", // ผู้ใช้ออกจากคิวเอง
+};
+
+// เวลาที่ให้ผู้ใช้ตอบรับข้อเสนอ (นาที) - Slot ถูก Hold ไว้ให้ตลอดช่วงนี้
+export const DEFAULT_WAITLIST_OFFER_MINUTES = 15;
@@ -0,0 +1,15 @@
+// /services/user-car-service/src/domain/errors/BookingRuleViolationError.js
+import { DomainError } from "./DomainError.js";
+
+export class BookingRuleViolationError extends DomainError {
+  /**
+   * @param {{rule: string, message: string, limit: *, actual: *}[]} violations - ทุกกฎที่ไม่ผ่าน
+   */
+  constructor(violations) {
+    super(
+      `Reservation violates ${violations.length} booking rule(s).`,
+      "BOOKING_RULES_VIOLATED"
+    );
+    this.violations = violations;
+  }
+}
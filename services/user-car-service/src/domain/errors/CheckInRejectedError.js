@@ -0,0 +1,21 @@
+// /services/user-car-service/src/domain/errors/CheckInRejectedError.js
+import { DomainError } from "./DomainError.js";
+import { CHECK_IN_REJECTION_CODE } from "../constants/checkInPolicy.js";
+
+export class CheckInRejectedError extends DomainError {
+  /**
+   * @param {string} rejectionCode - หนึ่งในค่าของ CHECK_IN_REJECTION_CODE
+   * @param {Date} windowStart
+   * @param {Date} windowEnd
+   */
+  constructor(rejectionCode, windowStart, windowEnd) {
+    super(
+      rejectionCode === CHECK_IN_REJECTION_CODE.TOO_EARLY
+        ? `Too early to check in. Check-in opens at ${windowStart.toISOString()}.`
+        : `Too late to check in. Check-in closed at ${windowEnd.toISOString()}.`,
+      rejectionCode
+    );
+    this.windowStart = windowStart;
+    this.windowEnd = windowEnd;
+  }
+}
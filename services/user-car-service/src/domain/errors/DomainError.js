@@ -0,0 +1,17 @@
+// /services/user-car-service/src/domain/errors/DomainError.js
+
+/**
+ * Base class ของ Error ที่เกิดจากกฎทางธุรกิจใน Domain
+ * (errorHandler ใน index.js จะแปลงเป็น HTTP Status ตามชนิดของ Error)
+ */
+export class DomainError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - รหัส Error ที่ Client ใช้ตรวจสอบได้ (Machine-readable)
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
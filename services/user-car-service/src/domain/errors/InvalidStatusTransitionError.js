@@ -0,0 +1,19 @@
+// /services/user-car-service/src/domain/errors/InvalidStatusTransitionError.js
+import { DomainError } from "./DomainError.js";
+
+export class InvalidStatusTransitionError extends DomainError {
+  /**
+   * @param {string} fromStatus - สถานะปัจจุบันของการจอง
+   * @param {string} toStatus - สถานะที่ต้องการเปลี่ยนไป
+   * @param {string[]} allowedStatuses - สถานะที่อนุญาตจาก fromStatus
+   */
+  constructor(fromStatus, toStatus, allowedStatuses = []) {
+    super(
+      `Cannot change reservation status from "${fromStatus}" to "${toStatus}".`,
+      "INVALID_STATUS_TRANSITION"
+    );
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.allowedStatuses = allowedStatuses;
+  }
+}
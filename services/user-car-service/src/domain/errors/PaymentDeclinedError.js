@@ -0,0 +1,21 @@
+// /services/user-car-service/src/domain/errors/PaymentDeclinedError.js
+import { DomainError } from "./DomainError.js";
+
+/**
+ * Payment Provider ไม่อนุมัติวงเงินตอนจอง -> ไม่สร้างการจอง
+ */
+export class PaymentDeclinedError extends DomainError {
+  /**
+   * @param {number} amount - ยอดที่ขอ authorize
+   * @param {string} providerCode - รหัสจาก Provider
+   * @param {string} [providerMessage]
+   */
+  constructor(amount, providerCode, providerMessage) {
+    super(
+      `Payment authorization of ${amount} was declined${providerMessage ? `: ${providerMessage}` : "."}`,
+      "PAYMENT_DECLINED"
+    );
+    this.amount = amount;
+    this.providerCode = providerCode;
+  }
+}
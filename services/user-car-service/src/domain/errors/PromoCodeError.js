@@ -0,0 +1,16 @@
+// /services/user-car-service/src/domain/errors/PromoCodeError.js
+import { DomainError } from "./DomainError.js";
+
+export class PromoCodeError extends DomainError {
+  /**
+   * @param {string|null} promoCode
+   * @param {string} message
+   * @param {string} code - PROMO_CODE_NOT_FOUND | PROMO_CODE_INACTIVE | PROMO_CODE_NOT_YET_VALID |
+   *   PROMO_CODE_EXPIRED | PROMO_CODE_NOT_APPLICABLE | PROMO_CODE_USAGE_LIMIT_REACHED |
+   *   PROMO_CODE_USER_LIMIT_REACHED | PROMO_CODE_INVALID | PROMO_CODE_EXISTS
+   */
+  constructor(promoCode, message, code) {
+    super(message, code);
+    this.promoCode = promoCode;
+  }
+}
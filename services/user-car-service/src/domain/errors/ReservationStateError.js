@@ -0,0 +1,11 @@
+// /services/user-car-service/src/domain/errors/ReservationStateError.js
+import { DomainError } from "./DomainError.js";
+
+/**
+ * คำสั่งไม่สามารถทำได้กับสถานะปัจจุบันของการจอง (เช่น ขยายเวลาการจองที่ถูกยกเลิกไปแล้ว)
+ */
+export class ReservationStateError extends DomainError {
+  constructor(message, code = "INVALID_RESERVATION_STATE") {
+    super(message, code);
+  }
+}
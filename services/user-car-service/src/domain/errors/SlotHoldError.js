@@ -0,0 +1,15 @@
+// /services/user-car-service/src/domain/errors/SlotHoldError.js
+import { DomainError } from "./DomainError.js";
+
+export class SlotHoldError extends DomainError {
+  /**
+   * Hold ที่ส่งมากับการจองใช้ไม่ได้ (หมดเวลา / ไม่ใช่ของผู้จอง / คนละ Slot หรือช่วงเวลา)
+   * @param {string} holdId
+   * @param {string} message
+   * @param {string} code - HOLD_NOT_ACTIVE | HOLD_MISMATCH
+   */
+  constructor(holdId, message, code) {
+    super(message, code);
+    this.holdId = holdId;
+  }
+}
@@ -0,0 +1,17 @@
+// /services/user-car-service/src/domain/errors/SlotUnavailableError.js
+import { DomainError } from "./DomainError.js";
+
+export class SlotUnavailableError extends DomainError {
+  /**
+   * @param {string} slotId
+   * @param {string[]} conflictingReservationIds - การจองที่ทับช่วงเวลาที่ขอ
+   */
+  constructor(slotId, conflictingReservationIds = []) {
+    super(
+      "This slot is already booked for the selected time range.",
+      "SLOT_ALREADY_BOOKED"
+    );
+    this.slotId = slotId;
+    this.conflictingReservationIds = conflictingReservationIds;
+  }
+}
@@ -0,0 +1,17 @@
+// /services/user-car-service/src/domain/errors/UnknownReservationStatusError.js
+import { DomainError } from "./DomainError.js";
+
+/**
+ * สถานะที่ขอเปลี่ยนไม่ใช่สถานะที่ระบบรู้จัก (Input ผิด ไม่ใช่ State ชนกัน)
+ */
+export class UnknownReservationStatusError extends DomainError {
+  /**
+   * @param {string} status - สถานะที่ส่งมา
+   * @param {string[]} knownStatuses - สถานะทั้งหมดที่ระบบรู้จัก
+   */
+  constructor(status, knownStatuses = []) {
+    super(`Unknown reservation status "${status}".`, "UNKNOWN_RESERVATION_STATUS");
+    this.requestedStatus = status;
+    this.knownStatuses = knownStatuses;
+  }
+}
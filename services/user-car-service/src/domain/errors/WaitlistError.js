@@ -0,0 +1,14 @@
+// /services/user-car-service/src/domain/errors/WaitlistError.js
+import { DomainError } from "./DomainError.js";
+
+export class WaitlistError extends DomainError {
+  /**
+   * @param {string|null} entryId
+   * @param {string} message
+   * @param {string} code - CAPACITY_AVAILABLE | OFFER_NOT_ACTIVE | WAITLIST_ENTRY_MISMATCH
+   */
+  constructor(entryId, message, code) {
+    super(message, code);
+    this.entryId = entryId;
+  }
+}
@@ -0,0 +1,28 @@
+// src/domain/events/ChargeCalculatedEvent.js
+
+export class ChargeCalculatedEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} parkingSiteId
+   * @param {string|null} buildingId - อาคารที่ใช้ Tariff
+   * @param {object} charge - ผลจาก ChargeCalculator.calculate()
+   */
+  constructor(reservationId, userId, parkingSiteId, buildingId, charge) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.parkingSiteId = parkingSiteId;
+    this.buildingId = buildingId;
+
+    this.currency = charge.currency;
+    this.bookedMinutes = charge.bookedMinutes;
+    this.parkedMinutes = charge.parkedMinutes;
+    this.earlyMinutes = charge.earlyMinutes;
+    this.overstayMinutes = charge.overstayMinutes;
+    this.lineItems = charge.lineItems;
+    this.totalAmount = charge.totalAmount;
+    this.tariff = charge.tariff; // เก็บ Tariff ที่ใช้คิดไว้ (ราคาอาคารอาจเปลี่ยนภายหลัง)
+
+    this.calculatedAt = new Date();
+  }
+}
@@ -0,0 +1,30 @@
+// src/domain/events/CheckInRejectedEvent.js
+
+export class CheckInRejectedEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} licensePlate
+   * @param {string} rejectionCode - หนึ่งในค่าของ CHECK_IN_REJECTION_CODE
+   * @param {Date} attemptedAt - เวลาที่รถพยายามเข้า
+   * @param {Date} windowStart - เวลาเร็วที่สุดที่เช็คอินได้
+   * @param {Date} windowEnd - เวลาช้าที่สุดที่เช็คอินได้
+   * @param {Date} rejectedAt
+   */
+  constructor(
+    reservationId, userId, licensePlate,
+    rejectionCode,
+    attemptedAt, windowStart, windowEnd,
+    rejectedAt
+  ) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.licensePlate = licensePlate;
+
+    this.rejectionCode = rejectionCode;
+    this.attemptedAt = attemptedAt;
+    this.windowStart = windowStart;
+    this.windowEnd = windowEnd;
+    this.rejectedAt = rejectedAt;
+  }
+}
@@ -0,0 +1,40 @@
+// src/domain/events/CheckedOutEvent.js
+
+export class CheckedOutEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} slotId
+   * @param {string} parkingSiteId
+   * @param {Date} checkedInAt - เวลาเข้าจอดจริง
+   * @param {Date} checkedOutAt - เวลาออกจริง
+   * @param {Date} bookedStart - เวลาเริ่มตามการจอง
+   * @param {Date} bookedEnd - เวลาสิ้นสุดตามการจอง
+   * @param {object} durations - { parkedMinutes, bookedMinutes, overstayMinutes, unusedBookedMinutes }
+   */
+  constructor(
+    reservationId, userId, slotId, parkingSiteId,
+    checkedInAt, checkedOutAt,
+    bookedStart, bookedEnd,
+    durations
+  ) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.slotId = slotId;
+    this.parkingSiteId = parkingSiteId;
+
+    this.status = "checked_out";
+    this.statusCode = "3";
+
+    this.checkedInAt = checkedInAt;
+    this.checkedOutAt = checkedOutAt;
+    this.bookedStart = bookedStart;
+    this.bookedEnd = bookedEnd;
+
+    // ระยะเวลา (นาที) สำหรับ Billing / Reporting
+    this.parkedMinutes = durations.parkedMinutes;
+    this.bookedMinutes = durations.bookedMinutes;
+    this.overstayMinutes = durations.overstayMinutes;
+    this.unusedBookedMinutes = durations.unusedBookedMinutes;
+  }
+}
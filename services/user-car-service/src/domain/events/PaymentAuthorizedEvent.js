@@ -0,0 +1,22 @@
+// src/domain/events/PaymentAuthorizedEvent.js
+
+export class PaymentAuthorizedEvent {
+  /**
+   * กันวงเงินตอนจอง
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} provider - ชื่อ Payment Provider
+   * @param {string} paymentId - รหัสรายการของ Provider
+   * @param {number} amount
+   * @param {string} currency
+   */
+  constructor(reservationId, userId, provider, paymentId, amount, currency) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.provider = provider;
+    this.paymentId = paymentId;
+    this.amount = amount;
+    this.currency = currency;
+    this.authorizedAt = new Date();
+  }
+}
@@ -0,0 +1,32 @@
+// src/domain/events/PaymentFailedEvent.js
+
+export class PaymentFailedEvent {
+  /**
+   * Provider ปฏิเสธหรือเรียกไม่สำเร็จหลังการจองถูกสร้างแล้ว (capture/refund)
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} provider
+   * @param {string} operation - PAYMENT_OPERATION
+   * @param {string|null} paymentId
+   * @param {number} amount
+   * @param {string} currency
+   * @param {string} failureCode
+   * @param {string} failureMessage
+   */
+  constructor(
+    reservationId, userId, provider,
+    operation, paymentId, amount, currency,
+    failureCode, failureMessage
+  ) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.provider = provider;
+    this.operation = operation;
+    this.paymentId = paymentId;
+    this.amount = amount;
+    this.currency = currency;
+    this.failureCode = failureCode;
+    this.failureMessage = failureMessage;
+    this.paymentFailedAt = new Date();
+  }
+}
@@ -0,0 +1,24 @@
+// src/domain/events/PaymentRefundedEvent.js
+
+export class PaymentRefundedEvent {
+  /**
+   * คืนเงิน / ยกเลิกวงเงินที่กันไว้ (ยกเลิกการจอง, No-Show, ค่าจอดเป็น 0)
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} provider
+   * @param {string} paymentId
+   * @param {number} amount
+   * @param {string} currency
+   * @param {string} reason - เช่น "cancelled", "no_show", "no_charge"
+   */
+  constructor(reservationId, userId, provider, paymentId, amount, currency, reason) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.provider = provider;
+    this.paymentId = paymentId;
+    this.amount = amount;
+    this.currency = currency;
+    this.reason = reason;
+    this.refundedAt = new Date();
+  }
+}
@@ -0,0 +1,22 @@
+// src/domain/events/PenaltyAssessedEvent.js
+
+export class PenaltyAssessedEvent {
+  /**
+   * ค่าปรับจาก No-Show / Late Cancellation (user-service บันทึกเป็น Strike)
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} parkingSiteId
+   * @param {string} penaltyType - PENALTY_TYPE
+   * @param {number} amount - ค่าปรับ (0 = นับ Strike อย่างเดียว)
+   * @param {string} currency
+   */
+  constructor(reservationId, userId, parkingSiteId, penaltyType, amount, currency) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.parkingSiteId = parkingSiteId;
+    this.penaltyType = penaltyType;
+    this.amount = amount;
+    this.currency = currency;
+    this.assessedAt = new Date();
+  }
+}
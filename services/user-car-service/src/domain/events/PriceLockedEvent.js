@@ -0,0 +1,21 @@
+// src/domain/events/PriceLockedEvent.js
+
+export class PriceLockedEvent {
+  /**
+   * ล็อกราคาต่อชั่วโมงตอนจอง (อาคารที่ใช้ Dynamic Pricing) -> ใช้คิดค่าจอดตอนเช็คเอาท์
+   * Reschedule/Extend บันทึก Event ใหม่แทนราคาเดิม
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {object} pricing - { pricePerHour, basePricePerHour, vehiclePremiumPerHour, occupancyRate, occupancyMultiplier }
+   */
+  constructor(reservationId, userId, pricing) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.pricePerHour = pricing.pricePerHour;
+    this.basePricePerHour = pricing.basePricePerHour;
+    this.vehiclePremiumPerHour = pricing.vehiclePremiumPerHour;
+    this.occupancyRate = pricing.occupancyRate;
+    this.occupancyMultiplier = pricing.occupancyMultiplier;
+    this.priceLockedAt = new Date();
+  }
+}
@@ -0,0 +1,20 @@
+// src/domain/events/PromoCodeAppliedEvent.js
+
+export class PromoCodeAppliedEvent {
+  /**
+   * ใช้ Promo Code กับการจอง (ส่วนลดคิดตอนประมาณค่าจอดและตอนเช็คเอาท์)
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {object} discount - { promoCodeId, code, discountType, discountValue, maxDiscountAmount }
+   */
+  constructor(reservationId, userId, discount) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.promoCodeId = discount.promoCodeId;
+    this.code = discount.code;
+    this.discountType = discount.discountType;
+    this.discountValue = discount.discountValue;
+    this.maxDiscountAmount = discount.maxDiscountAmount ?? null;
+    this.promoAppliedAt = new Date();
+  }
+}
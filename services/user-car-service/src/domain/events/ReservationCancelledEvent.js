@@ -0,0 +1,40 @@
+// src/domain/events/ReservationCancelledEvent.js
+
+export class ReservationCancelledEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId - เจ้าของการจอง
+   * @param {string} cancelledBy - ผู้สั่งยกเลิก
+   * @param {string} cancelledByRole - "user" | "admin" | "system"
+   * @param {string} reasonCode
+   * @param {string|null} reasonNote
+   * @param {Date} cancelledAt
+   * @param {boolean} withinCutoffWindow - true ถ้ายกเลิกภายในช่วง cutoff ก่อนเวลาเริ่ม (Late Cancellation)
+   * @param {number} cutoffMinutes - ค่า cutoff ของ Site ณ เวลาที่ยกเลิก
+   * @param {number} minutesBeforeStart - เหลือกี่นาทีก่อนเวลาเริ่ม (ติดลบ = เลยเวลาเริ่มแล้ว)
+   */
+  constructor(
+    reservationId, userId,
+    cancelledBy, cancelledByRole,
+    reasonCode, reasonNote,
+    cancelledAt,
+    withinCutoffWindow, cutoffMinutes, minutesBeforeStart
+  ) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+
+    this.status = "cancelled";
+    this.statusCode = "0";
+
+    this.cancelledBy = cancelledBy;
+    this.cancelledByRole = cancelledByRole;
+    this.reasonCode = reasonCode;
+    this.reasonNote = reasonNote || null;
+    this.cancelledAt = cancelledAt;
+
+    // Cancellation Policy
+    this.withinCutoffWindow = withinCutoffWindow;
+    this.cutoffMinutes = cutoffMinutes;
+    this.minutesBeforeStart = minutesBeforeStart;
+  }
+}
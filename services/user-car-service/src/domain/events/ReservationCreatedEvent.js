@@ -13,7 +13,8 @@ export class ReservationCreatedEvent {
     reservedAtDateLocal, // 👈 New
     reservedAtTimeLocal, // 👈 New
     reservedAtTimeStamp, // 👈 New
-    vehicleTypeCode // 👈 New
+    vehicleTypeCode, // 👈 New
+    seriesId // 👈 Recurring series (null = single booking)
   ) {
     // --- Group 1: IDs (เอา ID ทั้งหมดขึ้นก่อน) ---
     this.reservationId = reservationId;
@@ -48,5 +49,6 @@ export class ReservationCreatedEvent {
     this.vehicleType = vehicleType || 'car'; 
     this.carId = carId || null;
     this.vehicleTypeCode = vehicleTypeCode || 1;
+    this.seriesId = seriesId || null;
   }
 }
\ No newline at end of file
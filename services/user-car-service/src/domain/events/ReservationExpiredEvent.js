@@ -0,0 +1,26 @@
+// src/domain/events/ReservationExpiredEvent.js
+
+export class ReservationExpiredEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {string} slotId
+   * @param {string} expiredBy - "system"
+   * @param {Date} expiredAt
+   * @param {number} graceMinutes - ค่า Grace Period ของ Site ณ เวลาที่ Expire
+   * @param {number} minutesOverdue - เลยเวลาเริ่มมาแล้วกี่นาที
+   */
+  constructor(reservationId, userId, slotId, expiredBy, expiredAt, graceMinutes, minutesOverdue) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.slotId = slotId;
+
+    this.status = "no_show";
+    this.statusCode = "4";
+
+    this.expiredBy = expiredBy;
+    this.expiredAt = expiredAt;
+    this.graceMinutes = graceMinutes;
+    this.minutesOverdue = minutesOverdue;
+  }
+}
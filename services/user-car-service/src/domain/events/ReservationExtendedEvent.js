@@ -0,0 +1,28 @@
+// src/domain/events/ReservationExtendedEvent.js
+
+export class ReservationExtendedEvent {
+  constructor(
+    reservationId, userId, slotId,
+    previousEndTimeStamp, previousEndDateLocal, previousEndTimeLocal,
+    endTimeStamp, endDateLocal, endTimeLocal,
+    timeZoneOffset,
+    extendedAt
+  ) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+    this.slotId = slotId;
+
+    // เวลาสิ้นสุดเดิม
+    this.previousEndTimeStamp = previousEndTimeStamp;
+    this.previousEndDateLocal = previousEndDateLocal;
+    this.previousEndTimeLocal = previousEndTimeLocal;
+
+    // เวลาสิ้นสุดใหม่
+    this.endTimeStamp = endTimeStamp;
+    this.endDateLocal = endDateLocal;
+    this.endTimeLocal = endTimeLocal;
+
+    this.timeZoneOffset = timeZoneOffset;
+    this.extendedAt = extendedAt;
+  }
+}
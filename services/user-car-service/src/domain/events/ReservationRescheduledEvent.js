@@ -0,0 +1,24 @@
+// src/domain/events/ReservationRescheduledEvent.js
+
+export class ReservationRescheduledEvent {
+  /**
+   * @param {string} reservationId
+   * @param {string} userId
+   * @param {object} previous - ค่าเดิม { slotId, parkingSiteId, floorId, เวลาเริ่ม/สิ้นสุด }
+   * @param {object} current - ค่าใหม่ (โครงสร้างเดียวกับ previous)
+   * @param {string[]} changedFields - ชื่อฟิลด์ที่เปลี่ยน
+   * @param {string} timeZoneOffset
+   * @param {Date} rescheduledAt
+   */
+  constructor(reservationId, userId, previous, current, changedFields, timeZoneOffset, rescheduledAt) {
+    this.reservationId = reservationId;
+    this.userId = userId;
+
+    this.previous = previous;
+    this.current = current;
+    this.changedFields = changedFields;
+
+    this.timeZoneOffset = timeZoneOffset;
+    this.rescheduledAt = rescheduledAt;
+  }
+}
@@ -14,13 +14,66 @@ import { UpdateParkingStatusCommand } from "./domain/commands/UpdateParkingStatu
 import { UpdateParkingStatusCommandHandler } from "./application/handlers/command-handlers/UpdateParkingStatusCommandHandler.js";
 import { CheckInByLicensePlateCommand } from "./domain/commands/CheckInByLicensePlateCommand.js";
 import { CheckInByLicensePlateCommandHandler } from "./application/handlers/command-handlers/CheckInByLicensePlateCommandHandler.js";
+import { CheckOutByLicensePlateCommand } from "./domain/commands/CheckOutByLicensePlateCommand.js";
+import { CheckOutByLicensePlateCommandHandler } from "./application/handlers/command-handlers/CheckOutByLicensePlateCommandHandler.js";
 import { CreateReservationCommand } from "./domain/commands/CreateReservationCommand.js";
 import { CreateReservationCommandHandler } from "./application/handlers/command-handlers/CreateReservationCommandHandler.js";
+import { CancelReservationCommand } from "./domain/commands/CancelReservationCommand.js";
+import { CancelReservationCommandHandler } from "./application/handlers/command-handlers/CancelReservationCommandHandler.js";
+import { ExtendReservationCommand } from "./domain/commands/ExtendReservationCommand.js";
+import { ExtendReservationCommandHandler } from "./application/handlers/command-handlers/ExtendReservationCommandHandler.js";
+import { RescheduleReservationCommand } from "./domain/commands/RescheduleReservationCommand.js";
+import { RescheduleReservationCommandHandler } from "./application/handlers/command-handlers/RescheduleReservationCommandHandler.js";
+import { CreateRecurringReservationCommand } from "./domain/commands/CreateRecurringReservationCommand.js";
+import { CreateRecurringReservationCommandHandler } from "./application/handlers/command-handlers/CreateRecurringReservationCommandHandler.js";
+import { CancelReservationSeriesCommand } from "./domain/commands/CancelReservationSeriesCommand.js";
+import { CancelReservationSeriesCommandHandler } from "./application/handlers/command-handlers/CancelReservationSeriesCommandHandler.js";
+import { JoinWaitlistCommand } from "./domain/commands/JoinWaitlistCommand.js";
+import { AcceptWaitlistOfferCommand } from "./domain/commands/AcceptWaitlistOfferCommand.js";
+import { AcceptWaitlistOfferCommandHandler } from "./application/handlers/command-handlers/AcceptWaitlistOfferCommandHandler.js";
+import { ExpireReservationCommandHandler } from "./application/handlers/command-handlers/ExpireReservationCommandHandler.js";
+import { SlotConflictChecker } from "./application/services/SlotConflictChecker.js";
+import { SlotLookupService } from "./application/services/SlotLookupService.js";
+import { SlotAssignmentService } from "./application/services/SlotAssignmentService.js";
+import { SlotHoldService } from "./application/services/SlotHoldService.js";
+import { WaitlistService } from "./application/services/WaitlistService.js";
+import { BookingRulesEngine } from "./application/services/BookingRulesEngine.js";
+import { ChargeCalculator } from "./application/services/ChargeCalculator.js";
+import { PaymentService } from "./application/services/PaymentService.js";
+import { PenaltyService } from "./application/services/PenaltyService.js";
+import { PromoCodeService } from "./application/services/PromoCodeService.js";
+import { PricingService } from "./application/services/PricingService.js";
+import { SlotDecommissionService } from "./application/services/SlotDecommissionService.js";
+
+// --- Imports: Domain Errors & Constants ---
+import { DomainError } from "./domain/errors/DomainError.js";
+import { InvalidStatusTransitionError } from "./domain/errors/InvalidStatusTransitionError.js";
+import { UnknownReservationStatusError } from "./domain/errors/UnknownReservationStatusError.js";
+import { ReservationStateError } from "./domain/errors/ReservationStateError.js";
+import { SlotUnavailableError } from "./domain/errors/SlotUnavailableError.js";
+import { CheckInRejectedError } from "./domain/errors/CheckInRejectedError.js";
+import { SlotHoldError } from "./domain/errors/SlotHoldError.js";
+import { WaitlistError } from "./domain/errors/WaitlistError.js";
+import { BookingRuleViolationError } from "./domain/errors/BookingRuleViolationError.js";
+import { PaymentDeclinedError } from "./domain/errors/PaymentDeclinedError.js";
+import { PromoCodeError } from "./domain/errors/PromoCodeError.js";
+import { RESERVATION_STATUS_CODE } from "./domain/constants/reservationStatus.js";
+import {
+  DEFAULT_HOLD_MINUTES,
+  MAX_HOLD_MINUTES,
+  OCCUPYING_STATUSES,
+} from "./domain/constants/holdPolicy.js";
 
 // --- Imports: Infrastructure & Projections ---
 import { SupabaseEventStore } from "./../../../packages/common/src/infrastructure/persistence/SupabaseEventStore.js";
 import { RabbitMQAdapter } from "./../../../packages/common/src/infrastructure/messaging/RabbitMQAdapter.js";
+import { createIdempotencyMiddleware } from "./../../../packages/common/src/middlewares/idempotency.js";
 import { EventConsumer } from "./infrastructure/projections/EventConsumer.js";
+import { NoShowExpiryScheduler } from "./infrastructure/schedulers/NoShowExpiryScheduler.js";
+import { HoldExpiryScheduler } from "./infrastructure/schedulers/HoldExpiryScheduler.js";
+import { WaitlistOfferScheduler } from "./infrastructure/schedulers/WaitlistOfferScheduler.js";
+import { FakePaymentProvider } from "./infrastructure/payments/FakePaymentProvider.js";
+import { UserWalletClient } from "./infrastructure/payments/UserWalletClient.js";
 
 // =================================================================
 //  Error Handling Classes & Utilities
@@ -35,7 +88,26 @@ class AppError extends Error {
   }
 }
 
+// Domain Error -> HTTP Status Code
+const DOMAIN_ERROR_STATUS_CODES = [
+  [UnknownReservationStatusError, 400],
+  [InvalidStatusTransitionError, 409],
+  [ReservationStateError, 409],
+  [SlotUnavailableError, 409],
+  [CheckInRejectedError, 422],
+  [BookingRuleViolationError, 422],
+  [SlotHoldError, 409],
+  [WaitlistError, 409],
+  [PaymentDeclinedError, 402],
+  [PromoCodeError, 422],
+];
+
 const errorHandler = (err, req, res, next) => {
+  if (err instanceof DomainError) {
+    const match = DOMAIN_ERROR_STATUS_CODES.find(([ErrorClass]) => err instanceof ErrorClass);
+    err.statusCode = err.statusCode || (match ? match[1] : 400);
+    err.status = "fail";
+  }
   err.statusCode = err.statusCode || 500;
   err.status = err.status || "error";
 
@@ -44,6 +116,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(err.statusCode).json({
     status: err.status,
     error: err.message,
+    ...(err instanceof DomainError && { code: err.code }),
+    ...(err.violations && { violations: err.violations }),
   });
 };
 
@@ -100,6 +174,31 @@ const supabase = createClient(
 
 const eventStore = new SupabaseEventStore(supabase);
 const messageBroker = new RabbitMQAdapter();
+const slotConflictChecker = new SlotConflictChecker(supabase);
+const slotLookupService = new SlotLookupService(supabase);
+const slotAssignmentService = new SlotAssignmentService(supabase);
+const slotHoldService = new SlotHoldService(supabase);
+const bookingRulesEngine = new BookingRulesEngine(supabase);
+const chargeCalculator = new ChargeCalculator(supabase);
+// Payment Port -> ใช้ Fake Adapter จนกว่าจะมี Provider จริง
+const paymentProvider = new FakePaymentProvider({
+  declineAbove: Number(process.env.FAKE_PAYMENT_DECLINE_ABOVE) || undefined,
+});
+// Wallet ใน user-service -> ตัดค่าจอด / ค่าปรับจาก Wallet ก่อนบัตร (ไม่ตั้ง USER_SERVICE_URL = ใช้บัตรอย่างเดียว)
+const userWalletClient = process.env.USER_SERVICE_URL
+  ? new UserWalletClient(process.env.USER_SERVICE_URL)
+  : null;
+const paymentService = new PaymentService(paymentProvider, chargeCalculator, userWalletClient);
+const penaltyService = new PenaltyService(supabase, paymentService);
+const promoCodeService = new PromoCodeService(supabase);
+const pricingService = new PricingService(supabase, chargeCalculator);
+const waitlistService = new WaitlistService(
+  supabase,
+  slotAssignmentService,
+  slotHoldService,
+  { offerMinutes: Number(process.env.WAITLIST_OFFER_MINUTES) || undefined }
+);
+const idempotency = createIdempotencyMiddleware(supabase, { scope: "user-car-service" });
 
 const updateParkingStatusHandler = new UpdateParkingStatusCommandHandler(
   eventStore,
@@ -111,10 +210,115 @@ const checkInByLicensePlateHandler = new CheckInByLicensePlateCommandHandler(
   messageBroker,
   supabase
 );
+const checkOutByLicensePlateHandler = new CheckOutByLicensePlateCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  chargeCalculator,
+  paymentService
+);
 const createReservationHandler = new CreateReservationCommandHandler(
   eventStore,
-  messageBroker
+  messageBroker,
+  bookingRulesEngine,
+  paymentService,
+  promoCodeService
+);
+const cancelReservationHandler = new CancelReservationCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  penaltyService
+);
+const createRecurringReservationHandler = new CreateRecurringReservationCommandHandler(
+  createReservationHandler,
+  slotConflictChecker
+);
+const acceptWaitlistOfferHandler = new AcceptWaitlistOfferCommandHandler(
+  waitlistService,
+  slotLookupService,
+  createReservationHandler
+);
+const cancelReservationSeriesHandler = new CancelReservationSeriesCommandHandler(
+  supabase,
+  cancelReservationHandler
 );
+const extendReservationHandler = new ExtendReservationCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  slotConflictChecker,
+  bookingRulesEngine,
+  pricingService
+);
+const rescheduleReservationHandler = new RescheduleReservationCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  slotConflictChecker,
+  slotLookupService,
+  bookingRulesEngine,
+  pricingService
+);
+// Slot ถูกปลด (slot-service) -> ย้าย/ยกเลิกการจอง pending ของ Slot นั้น
+const slotDecommissionService = new SlotDecommissionService(
+  supabase,
+  slotAssignmentService,
+  rescheduleReservationHandler,
+  cancelReservationHandler
+);
+const expireReservationHandler = new ExpireReservationCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  penaltyService
+);
+const noShowExpiryScheduler = new NoShowExpiryScheduler(
+  supabase,
+  expireReservationHandler,
+  { intervalMs: Number(process.env.NO_SHOW_SCHEDULER_INTERVAL_MS) || undefined }
+);
+const holdExpiryScheduler = new HoldExpiryScheduler(slotHoldService, {
+  intervalMs: Number(process.env.HOLD_EXPIRY_SCHEDULER_INTERVAL_MS) || undefined,
+});
+const waitlistOfferScheduler = new WaitlistOfferScheduler(waitlistService, {
+  intervalMs: Number(process.env.WAITLIST_OFFER_SCHEDULER_INTERVAL_MS) || undefined,
+});
+
+// --- Vehicle Helper (ใช้ร่วมกันระหว่าง POST /reservations และ /reservations/recurring) ---
+async function resolveVehicle(carId, requestedVehicleType) {
+  let vehicleType = requestedVehicleType || "car";
+  let vehicleTypeCode = 1;
+  const finalCarId = carId || null;
+
+  if (finalCarId) {
+    // Lookup car
+    const { data: carData } = await supabase
+      .from("cars")
+      .select("vehicle_type, vehicle_type_code")
+      .eq("id", finalCarId)
+      .single();
+
+    if (carData) {
+      vehicleTypeCode = carData.vehicle_type_code ?? 1;
+      vehicleType =
+        carData.vehicle_type || VEHICLE_TYPE_REVERSE[vehicleTypeCode] || "car";
+    }
+  } else {
+    // Fallback: Try to parse string
+    if (typeof vehicleType === "string") {
+      vehicleTypeCode =
+        VEHICLE_TYPE[vehicleType.toUpperCase()] !== undefined
+          ? VEHICLE_TYPE[vehicleType.toUpperCase()]
+          : 1;
+    } else if (typeof vehicleType === "number") {
+      vehicleTypeCode = vehicleType;
+      vehicleType = VEHICLE_TYPE_REVERSE[vehicleTypeCode] || "car";
+    }
+  }
+
+  return { vehicleType, vehicleTypeCode, carId: finalCarId };
+}
 
 // =================================================================
 //  API Endpoints
@@ -194,7 +398,8 @@ app.post("/availability/timeline", async (req, res, next) => {
       .from("slots")
       .select("id", { count: "exact", head: true })
       .eq("parking_site_id", siteId)
-      .neq("status", "maintenance");
+      .neq("status", "maintenance")
+      .is("decommissioned_at", null);
 
     if (buildingFloorIds.length > 0) {
       capacityQuery = capacityQuery.in("floor_id", buildingFloorIds);
@@ -230,11 +435,12 @@ app.post("/availability/timeline", async (req, res, next) => {
     const endOfDay = `${searchDate}T23:59:59`;
 
     let reservationQuery = supabase
-      .from("reservations")
+      .from("slot_occupancy") // reservations + Hold ที่ยังไม่หมดเวลา
       .select("start_time, end_time, slot_id")
       .eq("parking_site_id", siteId)
       .neq("status", "cancelled")
       .neq("status", "checked_out")
+      .neq("status", "no_show")
       .lt("start_time", endOfDay)
       .gt("end_time", startOfDay);
 
@@ -398,7 +604,8 @@ app.post("/availability/summary", async (req, res, next) => {
       .select("id, zone_id, status, zones(name)") // Added 'id'
       .eq("parking_site_id", siteId)
       .eq("vehicle_type_code", vehicleTypeCode)
-      .neq("status", "maintenance"); // Count valid slots (available + occupied)
+      .neq("status", "maintenance") // Count valid slots (available + occupied)
+      .is("decommissioned_at", null);
 
     // Filter by Building (via floors)
     if (buildingFloorIds.length > 0) {
@@ -451,10 +658,10 @@ app.post("/availability/summary", async (req, res, next) => {
     const endOfDay = `${searchDate}T23:59:59`;
 
     let resQuery = supabase
-      .from("reservations")
+      .from("slot_occupancy")
       .select("slot_id, vehicle_type_code, status")
       .eq("parking_site_id", siteId)
-      .in("status", ["pending", "checked_in"])
+      .in("status", OCCUPYING_STATUSES)
       .lt("start_time", endOfDay)
       .gt("end_time", startOfDay);
 
@@ -586,12 +793,12 @@ app.get("/reservations/availability/zones", async (req, res, next) => {
     const dayStart = new Date(`${date}T00:00:00.000Z`);
     const dayEnd = new Date(`${date}T23:59:59.999Z`);
     let query = supabase
-      .from("reservations")
+      .from("slot_occupancy")
       .select("start_time, end_time, slot_id")
       .eq("parking_site_id", parkingSiteId)
       .lt("start_time", dayEnd.toISOString())
       .gt("end_time", dayStart.toISOString())
-      .in("status", ["pending", "checked_in"]);
+      .in("status", OCCUPYING_STATUSES);
 
     if (floorId) {
       let fIds = [];
@@ -757,12 +964,12 @@ app.get("/reservations/availability", async (req, res, next) => {
 
     const dayEnd = new Date(`${date}T23:59:59.999Z`);
     let query = supabase
-      .from("reservations")
+      .from("slot_occupancy")
       .select("start_time, end_time")
       .eq("parking_site_id", parkingSiteId)
       .lt("start_time", dayEnd.toISOString())
       .gt("end_time", dayStart.toISOString())
-      .in("status", ["pending", "checked_in"]);
+      .in("status", OCCUPYING_STATUSES);
 
     if (floorId) {
       let fIds = [];
@@ -832,15 +1039,8 @@ app.get("/reservations/:id", async (req, res, next) => {
       tz
     );
 
-    // 4. Mapping Status Code (ถ้าใน DB ไม่ได้เก็บ status_code ไว้ ก็แปลงตรงนี้ได้เลย)
-    const STATUS_CODE_MAP = {
-      pending: "1",
-      checked_in: "2",
-      checked_out: "3",
-      cancelled: "0",
-    };
-    // ใช้ค่าจาก DB หรือแปลงจาก text
-    const statusCode = data.status_code || STATUS_CODE_MAP[data.status] || "99";
+    // 4. Mapping Status Code (ใช้ค่าจาก DB หรือแปลงจาก text)
+    const statusCode = data.status_code || RESERVATION_STATUS_CODE[data.status] || "99";
 
     // 5. สร้าง JSON Response ตามรูปแบบใหม่
     const response = {
@@ -875,11 +1075,67 @@ app.get("/reservations/:id", async (req, res, next) => {
     next(error);
   }
 });
+/**
+ * GET /reservations/:id/charges
+ * ค่าจอดแบบแยกรายการ (คำนวณตอนเช็คเอาท์)
+ */
+app.get("/reservations/:id/charges", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: charge, error } = await supabase
+      .from("reservation_charges")
+      .select("*")
+      .eq("reservation_id", id)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!charge) {
+      const { data: reservation } = await supabase
+        .from("reservations")
+        .select("id, status")
+        .eq("id", id)
+        .maybeSingle();
+      if (!reservation) return next(new AppError("Reservation not found", 404));
+      return next(
+        new AppError(
+          `Charges not calculated yet (reservation status "${reservation.status}"). Charges are calculated at check-out.`,
+          404
+        )
+      );
+    }
+
+    res.status(200).json({
+      reservationId: charge.reservation_id,
+      userId: charge.user_id,
+      parkingSiteId: charge.parking_site_id,
+      buildingId: charge.building_id,
+      currency: charge.currency,
+      bookedMinutes: charge.booked_minutes,
+      parkedMinutes: charge.parked_minutes,
+      earlyMinutes: charge.early_minutes,
+      overstayMinutes: charge.overstay_minutes,
+      lineItems: charge.line_items,
+      totalAmount: Number(charge.total_amount),
+      tariff: charge.tariff,
+      calculatedAt: charge.calculated_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /reservations (with Auto-Assign)
-app.post("/reservations", async (req, res, next) => {
+app.post("/reservations", idempotency, async (req, res, next) => {
   const {
     userId,
-    slotId, // 👈 Now required
+    slotId, // 👈 Optional: ถ้าไม่ส่งมา จะ Auto-Assign จาก parkingSiteId + ตัวกรอง
+    holdId, // 👈 Optional: Hold จาก POST /holds (แปลงเป็นการจองนี้)
+    parkingSiteId: requestedSiteId,
+    buildingId,
+    floorId: requestedFloorId,
+    zoneId,
+    assignmentStrategy,
     startTimeStamp,
     startDateLocal,
     startTimeLocal,
@@ -889,14 +1145,29 @@ app.post("/reservations", async (req, res, next) => {
     timeZoneOffset,
     vehicle_type,
     carId,
+    promoCode, // 👈 Optional: ส่วนลดจาก Promo Code
   } = req.body;
 
   logger.info(
-    `[API] POST /reservations for user: ${userId} at slot: ${slotId}`
+    `[API] POST /reservations for user: ${userId} at slot: ${slotId || `(auto-assign in ${requestedSiteId})`}`
   );
 
-  if (!userId || !slotId) {
-    return next(new AppError("Missing required fields (userId, slotId)", 400));
+  if (!userId || (!slotId && !requestedSiteId && !holdId)) {
+    return next(
+      new AppError("Missing required fields (userId, slotId, holdId or parkingSiteId)", 400)
+    );
+  }
+  if (
+    !slotId &&
+    assignmentStrategy &&
+    !slotAssignmentService.getStrategyNames().includes(assignmentStrategy)
+  ) {
+    return next(
+      new AppError(
+        `Unknown assignmentStrategy "${assignmentStrategy}". Allowed: ${slotAssignmentService.getStrategyNames().join(", ")}`,
+        400
+      )
+    );
   }
   if (
     !startDateLocal ||
@@ -909,56 +1180,8 @@ app.post("/reservations", async (req, res, next) => {
   }
 
   // 1. Resolve Vehicle Info
-  let vehicleType = vehicle_type || "car";
-  let vehicleTypeCode = 1;
-  let finalCarId = carId || null;
-
-  if (finalCarId) {
-    // Lookup car
-    const { data: carData } = await supabase
-      .from("cars")
-      .select("vehicle_type, vehicle_type_code")
-      .eq("id", finalCarId)
-      .single();
-
-    if (carData) {
-      vehicleTypeCode = carData.vehicle_type_code ?? 1;
-      vehicleType =
-        carData.vehicle_type || VEHICLE_TYPE_REVERSE[vehicleTypeCode] || "car";
-    }
-  } else {
-    // Fallback: Try to parse string
-    if (typeof vehicleType === "string") {
-      vehicleTypeCode =
-        VEHICLE_TYPE[vehicleType.toUpperCase()] !== undefined
-          ? VEHICLE_TYPE[vehicleType.toUpperCase()]
-          : 1;
-    } else if (typeof vehicleType === "number") {
-      vehicleTypeCode = vehicleType;
-      vehicleType = VEHICLE_TYPE_REVERSE[vehicleTypeCode] || "car";
-    }
-  }
-
-  // 2. Lookup Slot Details (Parking Site & Floor)
-  let parkingSiteId, floorId, slotName;
-  try {
-    const { data: slotData, error: slotError } = await supabase
-      .from("slots")
-      .select("parking_site_id, floor_id, name")
-      .eq("id", slotId)
-      .single();
-
-    if (slotError || !slotData) {
-      logger.error(`Slot lookup failed for ${slotId}:`, slotError);
-      return next(new AppError(`Slot ${slotId} not found`, 404));
-    }
-
-    parkingSiteId = slotData.parking_site_id;
-    floorId = slotData.floor_id;
-    slotName = slotData.name;
-  } catch (err) {
-    return next(new AppError("System cannot retrieve slot details.", 500));
-  }
+  const { vehicleType, vehicleTypeCode, carId: finalCarId } =
+    await resolveVehicle(carId, vehicle_type);
 
   const startDate = parseCompositeToISO(
     startDateLocal,
@@ -974,34 +1197,97 @@ app.post("/reservations", async (req, res, next) => {
   if (startDate >= endDate)
     return next(new AppError("End time must be after start time", 400));
 
-  try {
-    // 3. Check for overlapping reservations for this specific slot
-    const startISO = startDate.toISOString();
-    const endISO = endDate.toISOString();
+  const startISO = startDate.toISOString();
+  const endISO = endDate.toISOString();
 
-    const { data: conflictReservations, error: conflictError } = await supabase
-      .from("reservations")
-      .select("id")
-      .eq("slot_id", slotId) // Check distinct slot
-      .in("status", ["pending", "checked_in"])
-      .lt("start_time", endISO)
-      .gt("end_time", startISO);
+  // 2. Hold ต้องเป็นของผู้จองและครอบคลุมช่วงเวลานี้ (ไม่ส่ง slotId ก็ได้ ใช้ Slot ของ Hold)
+  let requestedSlotId = slotId;
+  if (holdId) {
+    try {
+      const hold = await slotHoldService.getUsableHold(holdId, {
+        userId,
+        slotId,
+        startISO,
+        endISO,
+      });
+      requestedSlotId = hold.slot_id;
+    } catch (error) {
+      return next(error);
+    }
+  }
 
-    if (conflictError) throw conflictError;
+  // 3. Lookup Slot Details (Parking Site & Floor) หรือ Auto-Assign Slot ที่ว่าง
+  let assignedSlotId = requestedSlotId;
+  let parkingSiteId, floorId, slotName, appliedStrategy;
+  try {
+    const slotData = requestedSlotId
+      ? await slotLookupService.findSlot(requestedSlotId)
+      : await slotAssignmentService.assignSlot({
+          parkingSiteId: requestedSiteId,
+          buildingId,
+          floorId: requestedFloorId,
+          zoneId,
+          vehicleTypeCode,
+          startISO,
+          endISO,
+          strategy: assignmentStrategy,
+        });
 
-    if (conflictReservations && conflictReservations.length > 0) {
+    if (!slotData) {
       return next(
-        new AppError(
-          "This slot is already booked for the selected time range.",
-          409
-        )
+        requestedSlotId
+          ? new AppError(`Slot ${requestedSlotId} not found`, 404)
+          : new AppError("No available slot matches the requested site, filters and time range.", 409)
       );
     }
 
-    // 4. Create Reservation
+    assignedSlotId = slotData.slotId;
+    parkingSiteId = slotData.parkingSiteId;
+    floorId = slotData.floorId;
+    slotName = slotData.name;
+    appliedStrategy = slotData.strategy;
+  } catch (err) {
+    logger.error(`[API] Slot lookup/assignment failed:`, err);
+    return next(new AppError("System cannot retrieve slot details.", 500));
+  }
+
+  try {
+    // 4. Promo Code (ไม่ตรงเงื่อนไข / สิทธิ์หมด -> 422)
+    const promo = promoCode
+      ? await promoCodeService.validate({
+          code: promoCode,
+          userId,
+          parkingSiteId,
+          floorId,
+          vehicleTypeCode,
+        })
+      : null;
+
+    // 5. Dynamic Pricing (ราคาตามช่วงเวลา/ประเภทรถ/ความหนาแน่น -> ล็อกไว้กับการจอง)
+    const pricing = await pricingService.resolvePricing({
+      floorId,
+      vehicleTypeCode,
+      startISO,
+      endISO,
+      timeZoneOffset,
+    });
+
+    // 6. Check for overlapping reservations (and other users' holds) for this specific slot
+    const conflictReservations = await slotConflictChecker.findConflicts({
+      slotId: assignedSlotId,
+      startISO,
+      endISO,
+      excludeHoldId: holdId,
+    });
+
+    if (conflictReservations.length > 0) {
+      return next(new SlotUnavailableError(assignedSlotId, conflictReservations));
+    }
+
+    // 7. Create Reservation
     const command = new CreateReservationCommand({
       userId,
-      slotId: slotId,
+      slotId: assignedSlotId,
       startTimeStamp,
       startDateLocal,
       startTimeLocal,
@@ -1014,13 +1300,18 @@ app.post("/reservations", async (req, res, next) => {
       vehicleType,
       carId: finalCarId,
       vehicleTypeCode,
+      holdId,
+      promo,
+      pricing,
     });
 
     const result = await createReservationHandler.handle(command);
 
     res.status(201).json({
       ...result,
+      assignedSlotId,
       assignedSlotName: slotName,
+      ...(appliedStrategy && { assignmentStrategy: appliedStrategy }),
     });
   } catch (error) {
     logger.error(`[Error] POST /reservations:`, error);
@@ -1028,8 +1319,185 @@ app.post("/reservations", async (req, res, next) => {
   }
 });
 
+// POST /holds (กัน Slot ไว้ชั่วคราวระหว่างเลือกจาก Slot Picker)
+app.post("/holds", idempotency, async (req, res, next) => {
+  const {
+    userId,
+    slotId,
+    startDateLocal,
+    startTimeLocal,
+    endDateLocal,
+    endTimeLocal,
+    timeZoneOffset,
+    holdMinutes,
+  } = req.body;
+
+  if (!userId || !slotId) {
+    return next(new AppError("Missing required fields (userId, slotId)", 400));
+  }
+  if (
+    !startDateLocal ||
+    !startTimeLocal ||
+    !endDateLocal ||
+    !endTimeLocal ||
+    !timeZoneOffset
+  ) {
+    return next(new AppError("Missing required date/time fields", 400));
+  }
+  const minutes =
+    holdMinutes === undefined ? DEFAULT_HOLD_MINUTES : Number(holdMinutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HOLD_MINUTES) {
+    return next(
+      new AppError(`holdMinutes must be an integer between 1 and ${MAX_HOLD_MINUTES}`, 400)
+    );
+  }
+
+  const startDate = parseCompositeToISO(startDateLocal, startTimeLocal, timeZoneOffset);
+  const endDate = parseCompositeToISO(endDateLocal, endTimeLocal, timeZoneOffset);
+  if (startDate >= endDate)
+    return next(new AppError("End time must be after start time", 400));
+
+  try {
+    const slot = await slotLookupService.findSlot(slotId);
+    if (!slot) return next(new AppError(`Slot ${slotId} not found`, 404));
+
+    const startISO = startDate.toISOString();
+    const endISO = endDate.toISOString();
+
+    // 1. เช็ค Read Model ก่อน (การจองที่ยังไม่ถูก Guard ใน slot_bookings ก็ต้องไม่ทับ)
+    const conflicts = await slotConflictChecker.findConflicts({ slotId, startISO, endISO });
+    if (conflicts.length > 0) {
+      return next(new SlotUnavailableError(slotId, conflicts));
+    }
+
+    // 2. สร้าง Hold (RPC กันซ้อนกับ Booking/Hold อื่นที่มาพร้อมกัน)
+    const hold = await slotHoldService.createHold({
+      userId,
+      slot,
+      startISO,
+      endISO,
+      holdMinutes: minutes,
+    });
+
+    res.status(201).json({ message: "Slot held successfully.", ...hold });
+  } catch (error) {
+    logger.error(`[Error] POST /holds:`, error);
+    next(error);
+  }
+});
+
+// DELETE /holds/:id (ปล่อย Hold ก่อนหมดเวลา)
+app.delete("/holds/:id", async (req, res, next) => {
+  const userId = req.body?.userId || req.headers["x-user-id"];
+  if (!userId) return next(new AppError("Missing required field (userId)", 400));
+
+  try {
+    const released = await slotHoldService.releaseHold(req.params.id, userId);
+    if (!released) {
+      return next(new AppError(`Active hold ${req.params.id} not found`, 404));
+    }
+    res.status(200).json({ message: "Hold released.", holdId: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /waitlist (เข้าคิวรอเมื่อ Timeline แสดง full)
+app.post("/waitlist", idempotency, async (req, res, next) => {
+  const {
+    userId,
+    siteId,
+    buildingId,
+    zoneId,
+    vehicleTypeCode,
+    carId,
+    startDateLocal,
+    startTimeLocal,
+    endDateLocal,
+    endTimeLocal,
+    timeZoneOffset,
+  } = req.body;
+
+  let command;
+  try {
+    command = new JoinWaitlistCommand({
+      userId,
+      parkingSiteId: siteId,
+      buildingId,
+      zoneId,
+      vehicleTypeCode,
+      carId,
+      startDateLocal,
+      startTimeLocal,
+      endDateLocal,
+      endTimeLocal,
+      timeZoneOffset,
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const entry = await waitlistService.join(command);
+    res.status(201).json({ message: "Joined the waitlist.", entry });
+  } catch (error) {
+    logger.error(`[Error] POST /waitlist:`, error);
+    next(error);
+  }
+});
+
+// GET /waitlist?userId= (คิวที่ยังรอ/มีข้อเสนอ)
+app.get("/waitlist", async (req, res, next) => {
+  const userId = req.query.userId || req.headers["x-user-id"];
+  if (!userId) return next(new AppError("userId is required", 400));
+
+  try {
+    const entries = await waitlistService.listForUser(userId);
+    res.status(200).json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /waitlist/:id/accept (ตอบรับข้อเสนอ -> สร้างการจองอัตโนมัติ)
+app.post("/waitlist/:id/accept", idempotency, async (req, res, next) => {
+  const userId = req.body.userId || req.headers["x-user-id"];
+
+  let command;
+  try {
+    command = new AcceptWaitlistOfferCommand(req.params.id, userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const result = await acceptWaitlistOfferHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
+// DELETE /waitlist/:id (ออกจากคิว)
+app.delete("/waitlist/:id", async (req, res, next) => {
+  const userId = req.body?.userId || req.headers["x-user-id"];
+  if (!userId) return next(new AppError("Missing required field (userId)", 400));
+
+  try {
+    const left = await waitlistService.leave(req.params.id, userId);
+    if (!left) {
+      return next(new AppError(`Waitlist entry ${req.params.id} not found`, 404));
+    }
+    res.status(200).json({ message: "Left the waitlist.", entryId: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /cars
-app.post("/cars", async (req, res, next) => {
+app.post("/cars", idempotency, async (req, res, next) => {
   try {
     const { userId, licensePlate, type, brand, model } = req.body;
 
@@ -1076,8 +1544,8 @@ app.post("/cars", async (req, res, next) => {
   }
 });
 
-// POST /reservations/:id/status
-app.post("/reservations/:id/status", async (req, res, next) => {
+// POST /reservations/:id/status (สถานะที่มี Command เฉพาะ -> 409 STATUS_REQUIRES_DEDICATED_COMMAND)
+app.post("/reservations/:id/status", idempotency, async (req, res, next) => {
   const { status } = req.body;
   try {
     const command = new UpdateParkingStatusCommand(req.params.id, status);
@@ -1088,10 +1556,219 @@ app.post("/reservations/:id/status", async (req, res, next) => {
   }
 });
 
+// POST /reservations/recurring (หนึ่ง Reservation ต่อหนึ่งครั้ง, ใช้ seriesId เดียวกัน)
+app.post("/reservations/recurring", idempotency, async (req, res, next) => {
+  const {
+    userId,
+    slotId,
+    startDateLocal,
+    startTimeLocal,
+    endDateLocal,
+    endTimeLocal,
+    timeZoneOffset,
+    vehicle_type,
+    carId,
+    recurrence,
+  } = req.body;
+
+  logger.info(`[API] POST /reservations/recurring for user: ${userId} at slot: ${slotId}`);
+
+  if (!userId || !slotId || !recurrence) {
+    return next(
+      new AppError("Missing required fields (userId, slotId, recurrence)", 400)
+    );
+  }
+  if (
+    !startDateLocal ||
+    !startTimeLocal ||
+    !endDateLocal ||
+    !endTimeLocal ||
+    !timeZoneOffset
+  ) {
+    return next(new AppError("Missing required date/time fields", 400));
+  }
+  if (
+    parseCompositeToISO(startDateLocal, startTimeLocal, timeZoneOffset) >=
+    parseCompositeToISO(endDateLocal, endTimeLocal, timeZoneOffset)
+  ) {
+    return next(new AppError("End time must be after start time", 400));
+  }
+
+  try {
+    // 1. Resolve Vehicle Info & Slot Details
+    const { vehicleType, vehicleTypeCode, carId: finalCarId } =
+      await resolveVehicle(carId, vehicle_type);
+
+    const slotData = await slotLookupService.findSlot(slotId);
+    if (!slotData) return next(new AppError(`Slot ${slotId} not found`, 404));
+
+    let command;
+    try {
+      command = new CreateRecurringReservationCommand(
+        {
+          userId,
+          slotId,
+          parkingSiteId: slotData.parkingSiteId,
+          floorId: slotData.floorId,
+          startDateLocal,
+          startTimeLocal,
+          endDateLocal,
+          endTimeLocal,
+          timeZoneOffset,
+          vehicleType,
+          carId: finalCarId,
+          vehicleTypeCode,
+        },
+        recurrence
+      );
+    } catch (error) {
+      return next(new AppError(error.message, 400));
+    }
+
+    // 2. Create Occurrences (ครั้งที่ชนจะถูกรายงานใน conflicts, ล้มด้วยเหตุอื่นใน failed)
+    const result = await createRecurringReservationHandler.handle(command);
+    const statusCode =
+      result.created.length > 0 ? 201 : result.failed.length > 0 ? 422 : 409;
+    res.status(statusCode).json({
+      ...result,
+      assignedSlotName: slotData.name,
+    });
+  } catch (error) {
+    logger.error(`[Error] POST /reservations/recurring:`, error);
+    next(error);
+  }
+});
+
+// POST /reservations/series/:seriesId/cancel (ยกเลิกทั้ง Series)
+app.post("/reservations/series/:seriesId/cancel", idempotency, async (req, res, next) => {
+  const { reasonCode, note, cancelledByRole } = req.body;
+  const cancelledBy = req.body.cancelledBy || req.headers["x-user-id"];
+
+  if (!cancelledBy || !reasonCode) {
+    return next(
+      new AppError("Missing required fields (cancelledBy, reasonCode)", 400)
+    );
+  }
+
+  let command;
+  try {
+    command = new CancelReservationSeriesCommand(
+      req.params.seriesId,
+      cancelledBy,
+      reasonCode,
+      note,
+      cancelledByRole
+    );
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const result = await cancelReservationSeriesHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
+// POST /reservations/:id/cancel
+app.post("/reservations/:id/cancel", idempotency, async (req, res, next) => {
+  const { reasonCode, note, cancelledByRole } = req.body;
+  // ผู้ยกเลิก: รับจาก body หรือจาก Header ที่ Gateway ส่งมา
+  const cancelledBy = req.body.cancelledBy || req.headers["x-user-id"];
+
+  if (!cancelledBy || !reasonCode) {
+    return next(
+      new AppError("Missing required fields (cancelledBy, reasonCode)", 400)
+    );
+  }
+
+  let command;
+  try {
+    command = new CancelReservationCommand(
+      req.params.id,
+      cancelledBy,
+      reasonCode,
+      note,
+      cancelledByRole
+    );
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const result = await cancelReservationHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
+// POST /reservations/:id/extend
+app.post("/reservations/:id/extend", idempotency, async (req, res, next) => {
+  const { endDateLocal, endTimeLocal } = req.body;
+
+  if (!endDateLocal || !endTimeLocal) {
+    return next(
+      new AppError("Missing required fields (endDateLocal, endTimeLocal)", 400)
+    );
+  }
+
+  try {
+    const command = new ExtendReservationCommand(
+      req.params.id,
+      endDateLocal,
+      endTimeLocal
+    );
+    const result = await extendReservationHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
+// PATCH /reservations/:id (Reschedule / Move to another slot)
+app.patch("/reservations/:id", idempotency, async (req, res, next) => {
+  const { slotId, startDateLocal, startTimeLocal, endDateLocal, endTimeLocal } =
+    req.body;
+
+  let command;
+  try {
+    command = new RescheduleReservationCommand(req.params.id, {
+      slotId,
+      startDateLocal,
+      startTimeLocal,
+      endDateLocal,
+      endTimeLocal,
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const result = await rescheduleReservationHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
 // POST /check-ins
-app.post("/check-ins", async (req, res, next) => {
+app.post("/check-ins", idempotency, async (req, res, next) => {
   try {
-    const command = new CheckInByLicensePlateCommand(req.body.license_plate);
+    const { license_plate, parkingSiteId, gateId } = req.body;
+    const command = new CheckInByLicensePlateCommand(license_plate, undefined, {
+      parkingSiteId,
+      gateId,
+    });
     const result = await checkInByLicensePlateHandler.handle(command);
     res.status(200).json(result);
   } catch (error) {
@@ -1101,6 +1778,145 @@ app.post("/check-ins", async (req, res, next) => {
   }
 });
 
+// POST /check-outs
+// เวลาออกใช้นาฬิกาของ Server เสมอ (เหมือน /check-ins) ไม่รับจาก Client กันการเลี่ยงค่าจอดเกินเวลา
+app.post("/check-outs", idempotency, async (req, res, next) => {
+  let command;
+  try {
+    command = new CheckOutByLicensePlateCommand(req.body.license_plate);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  try {
+    const result = await checkOutByLicensePlateHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.message.includes("not found"))
+      return next(new AppError(error.message, 404));
+    next(error);
+  }
+});
+
+// POST /pricing/quote (ราคาของการจองก่อนกดจอง: ช่วงเวลา + ประเภทรถ + ความหนาแน่น + Promo Code)
+app.post("/pricing/quote", async (req, res, next) => {
+  const {
+    userId,
+    slotId,
+    floorId: requestedFloorId,
+    parkingSiteId: requestedSiteId,
+    startDateLocal,
+    startTimeLocal,
+    endDateLocal,
+    endTimeLocal,
+    timeZoneOffset,
+    vehicle_type,
+    carId,
+    promoCode,
+  } = req.body;
+
+  if (!slotId && !requestedFloorId) {
+    return next(new AppError("Missing required fields (slotId or floorId)", 400));
+  }
+  if (!startDateLocal || !startTimeLocal || !endDateLocal || !endTimeLocal || !timeZoneOffset) {
+    return next(new AppError("Missing required date/time fields", 400));
+  }
+  if (promoCode && !userId) {
+    return next(new AppError("userId is required to quote with a promoCode", 400));
+  }
+
+  const startDate = parseCompositeToISO(startDateLocal, startTimeLocal, timeZoneOffset);
+  const endDate = parseCompositeToISO(endDateLocal, endTimeLocal, timeZoneOffset);
+  if (startDate >= endDate) {
+    return next(new AppError("End time must be after start time", 400));
+  }
+
+  try {
+    let floorId = requestedFloorId;
+    let parkingSiteId = requestedSiteId;
+    let { vehicleTypeCode } = await resolveVehicle(carId, vehicle_type);
+    if (slotId) {
+      const slotData = await slotLookupService.findSlot(slotId);
+      if (!slotData) return next(new AppError(`Slot ${slotId} not found`, 404));
+      floorId = slotData.floorId;
+      parkingSiteId = slotData.parkingSiteId;
+      // ไม่ได้ระบุรถ -> ใช้ประเภทรถของ Slot
+      if (!carId && vehicle_type === undefined) vehicleTypeCode = slotData.vehicleTypeCode;
+    }
+
+    const discount = promoCode
+      ? await promoCodeService.validate({
+          code: promoCode,
+          userId,
+          parkingSiteId,
+          floorId,
+          vehicleTypeCode,
+        })
+      : null;
+
+    const quote = await pricingService.quote({
+      floorId,
+      vehicleTypeCode,
+      startISO: startDate.toISOString(),
+      endISO: endDate.toISOString(),
+      timeZoneOffset,
+      discount,
+    });
+
+    res.status(200).json({
+      floorId,
+      parkingSiteId: parkingSiteId || null,
+      vehicleTypeCode,
+      startTime: startDate.toISOString(),
+      endTime: endDate.toISOString(),
+      promoCode: discount?.code || null,
+      ...quote,
+    });
+  } catch (error) {
+    logger.error(`[Error] POST /pricing/quote:`, error);
+    next(error);
+  }
+});
+
+// --- Promo Codes (Admin) ---
+
+// POST /promo-codes (สร้าง Promo Code: percentage / fixed_amount / free_hours)
+app.post("/promo-codes", idempotency, async (req, res, next) => {
+  try {
+    const promo = await promoCodeService.createPromoCode({
+      ...req.body,
+      createdBy: req.body.createdBy || req.headers["x-user-id"],
+    });
+    res.status(201).json(promo);
+  } catch (error) {
+    if (error.code === "PROMO_CODE_EXISTS") error.statusCode = 409;
+    next(error);
+  }
+});
+
+// GET /promo-codes?active=true
+app.get("/promo-codes", async (req, res, next) => {
+  try {
+    const promos = await promoCodeService.listPromoCodes({
+      activeOnly: req.query.active === "true",
+    });
+    res.status(200).json(promos);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /promo-codes/:code (ช่วงเวลา / จำนวนสิทธิ์ / active)
+app.patch("/promo-codes/:code", idempotency, async (req, res, next) => {
+  try {
+    const promo = await promoCodeService.updatePromoCode(req.params.code, req.body);
+    res.status(200).json(promo);
+  } catch (error) {
+    if (error.code === "PROMO_CODE_NOT_FOUND") error.statusCode = 404;
+    next(error);
+  }
+});
+
 // POST /availability/by-floor
 app.post("/availability/by-floor", async (req, res, next) => {
   try {
@@ -1134,7 +1950,8 @@ app.post("/availability/by-floor", async (req, res, next) => {
       )
       .eq("parking_site_id", siteId)
       .eq("vehicle_type_code", vehicleTypeCode)
-      .neq("status", "maintenance");
+      .neq("status", "maintenance")
+      .is("decommissioned_at", null);
 
     // Filter by Building
     if (buildingFloorIds.length > 0) {
@@ -1205,10 +2022,10 @@ app.post("/availability/by-floor", async (req, res, next) => {
     const endOfDay = `${searchDate}T23:59:59`;
 
     let resQuery = supabase
-      .from("reservations")
+      .from("slot_occupancy")
       .select("slot_id")
       .eq("parking_site_id", siteId)
-      .in("status", ["pending", "checked_in"])
+      .in("status", OCCUPYING_STATUSES)
       .lt("start_time", endOfDay)
       .gt("end_time", startOfDay);
 
@@ -1319,10 +2136,29 @@ const startServer = async () => {
     await messageBroker.connect();
     console.log("✅ Message Broker connected successfully.");
 
-    const consumer = new EventConsumer(supabase, messageBroker);
+    const consumer = new EventConsumer(
+      supabase,
+      messageBroker,
+      waitlistService,
+      promoCodeService,
+      slotDecommissionService
+    );
     await consumer.start();
     console.log("🎧 Event Consumer is running and listening for events.");
 
+    if (process.env.NO_SHOW_SCHEDULER_ENABLED !== "false") {
+      noShowExpiryScheduler.start();
+      console.log("⏱️ No-Show Expiry Scheduler is running.");
+    }
+    if (process.env.HOLD_EXPIRY_SCHEDULER_ENABLED !== "false") {
+      holdExpiryScheduler.start();
+      console.log("⏱️ Slot Hold Expiry Scheduler is running.");
+    }
+    if (process.env.WAITLIST_OFFER_SCHEDULER_ENABLED !== "false") {
+      waitlistOfferScheduler.start();
+      console.log("⏱️ Waitlist Offer Scheduler is running.");
+    }
+
     app
       .listen(PORT, () => {
         console.log(
@@ -0,0 +1,73 @@
+// /services/user-car-service/src/infrastructure/payments/FakePaymentProvider.js
+import { randomUUID } from "crypto";
+import { IPaymentProvider } from "../../application/services/IPaymentProvider.js";
+
+/**
+ * Payment Provider จำลองสำหรับ Development / Test (เก็บสถานะใน Memory หายเมื่อ Restart)
+ * - authorize ยอดที่เกิน declineAbove จะถูกปฏิเสธ (ใช้ทดสอบ Flow บัตรไม่ผ่าน)
+ * - capture ได้ไม่เกินยอดที่ authorize ไว้ (เหมือน Provider จริง)
+ */
+export class FakePaymentProvider extends IPaymentProvider {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.declineAbove] - Default: ไม่ปฏิเสธ
+   */
+  constructor({ declineAbove = Infinity } = {}) {
+    super();
+    this.declineAbove = declineAbove;
+    this.payments = new Map(); // paymentId -> { status, authorizedAmount, capturedAmount, refundedAmount }
+  }
+
+  get name() {
+    return "fake";
+  }
+
+  async authorize({ reference, amount }) {
+    if (amount > this.declineAbove) {
+      return this._failure(null, amount, "CARD_DECLINED", `Fake provider declines amounts above ${this.declineAbove}.`);
+    }
+    const paymentId = `fake_pay_${randomUUID()}`;
+    this.payments.set(paymentId, {
+      reference,
+      status: "authorized",
+      authorizedAmount: amount,
+      capturedAmount: 0,
+      refundedAmount: 0,
+    });
+    return { succeeded: true, paymentId, amount };
+  }
+
+  async capture(paymentId, amount) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) return this._failure(paymentId, amount, "PAYMENT_NOT_FOUND", "Unknown payment.");
+    if (payment.status !== "authorized") {
+      return this._failure(paymentId, amount, "INVALID_PAYMENT_STATE", `Payment is ${payment.status}.`);
+    }
+    if (amount > payment.authorizedAmount) {
+      return this._failure(
+        paymentId,
+        amount,
+        "AMOUNT_EXCEEDS_AUTHORIZATION",
+        `Cannot capture ${amount}, only ${payment.authorizedAmount} was authorized.`
+      );
+    }
+    payment.status = "captured";
+    payment.capturedAmount = amount;
+    return { succeeded: true, paymentId, amount };
+  }
+
+  async refund(paymentId, amount) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) return this._failure(paymentId, amount, "PAYMENT_NOT_FOUND", "Unknown payment.");
+    if (payment.status === "refunded" || payment.status === "voided") {
+      return this._failure(paymentId, amount, "INVALID_PAYMENT_STATE", `Payment is ${payment.status}.`);
+    }
+    payment.status = payment.status === "authorized" ? "voided" : "refunded";
+    payment.refundedAmount = amount;
+    return { succeeded: true, paymentId, amount };
+  }
+
+  _failure(paymentId, amount, failureCode, failureMessage) {
+    return { succeeded: false, paymentId, amount, failureCode, failureMessage };
+  }
+}
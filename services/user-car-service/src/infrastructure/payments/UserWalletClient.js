@@ -0,0 +1,74 @@
+// /services/user-car-service/src/infrastructure/payments/UserWalletClient.js
+import axios from "axios";
+
+/**
+ * เรียก Wallet ของผู้ใช้ใน user-service (POST /users/:id/wallet/debits)
+ * ตัดเงินเต็มจำนวนเท่านั้น: 4xx (ยอดไม่พอ / ข้อมูลไม่ถูกต้อง / ไม่พบผู้ใช้) = ไม่ถูกตัดแน่นอน เก็บจากบัตรแทนได้
+ * Timeout / 5xx / ต่อไม่ได้ = ไม่รู้ว่าตัดไปแล้วหรือยัง -> ลองใหม่ด้วย reference เดิม (user-service ไม่ตัดซ้ำ)
+ */
+export class UserWalletClient {
+  /**
+   * @param {string} baseUrl - USER_SERVICE_URL
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Default: 5 วินาที
+   * @param {number} [options.retries] - จำนวนครั้งที่ลองใหม่เมื่อไม่รู้ผล, Default: 2
+   * @param {number} [options.retryDelayMs] - Default: 500ms (คูณตามรอบ)
+   */
+  constructor(baseUrl, { timeoutMs = 5000, retries = 2, retryDelayMs = 500 } = {}) {
+    if (!baseUrl) {
+      throw new Error("UserWalletClient requires the user-service base URL.");
+    }
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  /**
+   * @param {{userId: string, amount: number, reference: string}} debit - reference เดิม = ไม่ตัดซ้ำ
+   * @returns {Promise<{succeeded: boolean, transactionId?: string, amount?: number,
+   *   failureCode?: string, failureMessage?: string, outcomeUnknown?: boolean}>}
+   *   outcomeUnknown = ลองครบแล้วยังไม่รู้ผล (อาจถูกตัดไปแล้ว ห้ามเก็บจากบัตรซ้ำ)
+   */
+  async debit({ userId, amount, reference }) {
+    let failure;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * attempt));
+      }
+      try {
+        const response = await axios.post(
+          `${this.baseUrl}/users/${userId}/wallet/debits`,
+          { amount, reference },
+          { timeout: this.timeoutMs }
+        );
+        return {
+          succeeded: true,
+          transactionId: response.data.transactionId,
+          amount: response.data.amount,
+        };
+      } catch (error) {
+        const status = error.response?.status;
+        if (status >= 400 && status < 500) {
+          return {
+            succeeded: false,
+            failureCode: error.response.data?.code || `HTTP_${status}`,
+            failureMessage: error.response.data?.error || error.message,
+            outcomeUnknown: false,
+          };
+        }
+        console.error(
+          `[UserWalletClient] Debit attempt ${attempt + 1} failed for reference ${reference}:`,
+          error.message
+        );
+        failure = {
+          succeeded: false,
+          failureCode: error.response?.data?.code || "WALLET_UNAVAILABLE",
+          failureMessage: error.message,
+          outcomeUnknown: true,
+        };
+      }
+    }
+    return failure;
+  }
+}
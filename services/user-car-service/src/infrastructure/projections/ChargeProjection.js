@@ -0,0 +1,48 @@
+// /services/user-car-service/src/infrastructure/projections/ChargeProjection.js
+
+/**
+ * Read Model ของค่าจอด (reservation_charges) ใช้ตอบ GET /reservations/:id/charges
+ */
+export class ChargeProjection {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+    this.tableName = "reservation_charges";
+  }
+
+  async handleChargeCalculated(event) {
+    const {
+      reservationId, userId, parkingSiteId, buildingId, currency,
+      bookedMinutes, parkedMinutes, earlyMinutes, overstayMinutes,
+      lineItems, totalAmount, tariff, calculatedAt,
+    } = event;
+
+    console.log(
+      `[ChargeProjection] Projecting ChargeCalculatedEvent for reservation: ${reservationId} (${totalAmount} ${currency})`
+    );
+
+    // upsert: Event ซ้ำ (redelivery) ไม่ทำให้เกิดแถวซ้ำ
+    const { error } = await this.supabase.from(this.tableName).upsert(
+      {
+        reservation_id: reservationId,
+        user_id: userId,
+        parking_site_id: parkingSiteId,
+        building_id: buildingId,
+        currency,
+        booked_minutes: bookedMinutes,
+        parked_minutes: parkedMinutes,
+        early_minutes: earlyMinutes,
+        overstay_minutes: overstayMinutes,
+        line_items: lineItems,
+        total_amount: totalAmount,
+        tariff,
+        calculated_at: calculatedAt,
+      },
+      { onConflict: "reservation_id" }
+    );
+
+    if (error) {
+      console.error(`[ChargeProjection] Error saving charge for ${reservationId}:`, error);
+      throw error;
+    }
+  }
+}
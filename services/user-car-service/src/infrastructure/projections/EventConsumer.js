@@ -4,13 +4,28 @@ import { ReservationProjection } from "./ReservationProjection.js";
 import { UserProjection } from "./UserProjection.js";
 import { ReservationHistoryProjection } from "./ReservationHistoryProjection.js";
 import { HistoryProjection } from './HistoryProjection.js';
+import { ChargeProjection } from "./ChargeProjection.js";
+import {
+  PAYMENT_OPERATION,
+  PAYMENT_STATUS,
+  WALLET_PAYMENT_PROVIDER,
+} from "../../domain/constants/paymentPolicy.js";
 
 export class EventConsumer {
   /**
    * @param {object} supabaseClient - Instance ของ Supabase client
    * @param {object} messageBroker - Instance ของ RabbitMQAdapter
+   * @param {object} [waitlistService] - เสนอที่ว่างให้คิวรอเมื่อการจองถูกยกเลิก/หมดอายุ
+   * @param {object} [promoCodeService]
+   * @param {object} [slotDecommissionService] - ย้าย/ยกเลิกการจองของ Slot ที่ถูกปลด
    */
-  constructor(supabaseClient, messageBroker) {
+  constructor(
+    supabaseClient,
+    messageBroker,
+    waitlistService = null,
+    promoCodeService = null,
+    slotDecommissionService = null
+  ) {
     this.supabase = supabaseClient;
     this.messageBroker = messageBroker; // รับ messageBroker เข้ามาเพื่อใช้งาน
     this.serviceName = messageBroker.serviceName || "UserCarService"; // ใช้ serviceName จาก messageBroker
@@ -20,6 +35,10 @@ export class EventConsumer {
       this.supabase
     );
     this.historyProjection = new HistoryProjection(this.supabase);
+    this.chargeProjection = new ChargeProjection(this.supabase);
+    this.waitlistService = waitlistService;
+    this.promoCodeService = promoCodeService; // การจองถูกยกเลิก -> คืนสิทธิ์ Promo Code
+    this.slotDecommissionService = slotDecommissionService;
     // ผูก `this` ให้กับเมธอด handleEvent เพื่อให้เรียกใช้ใน context ที่ถูกต้อง
     this.handleEvent = this.handleEvent.bind(this);
   }
@@ -102,6 +121,10 @@ export class EventConsumer {
         await this.reservationProjection.handleParkingStatusUpdated(event_data);
         // await this.reservationHistoryProjection.handleReservationEvent(eventMessage);
         await this.historyProjection.handleParkingStatusUpdated(event_data);
+        if (event_data.newStatus === "cancelled") {
+          await this._offerToWaitlist(event_data.reservationId);
+          await this._releasePromoCode(event_data.reservationId);
+        }
         break;
 
       case "ReservationCreatedEvent":
@@ -110,10 +133,129 @@ export class EventConsumer {
         await this.historyProjection.handleReservationCreated(event_data);
         break;
 
+      case "ReservationCancelledEvent":
+        await this.reservationProjection.handleReservationCancelled(event_data);
+        await this.historyProjection.handleReservationCancelled(event_data);
+        await this._offerToWaitlist(event_data.reservationId);
+        await this._releasePromoCode(event_data.reservationId);
+        break;
+
+      case "CheckInRejectedEvent":
+        await this.historyProjection.handleCheckInRejected(event_data);
+        break;
+
+      case "CheckedOutEvent":
+        await this.reservationProjection.handleCheckedOut(event_data);
+        await this.historyProjection.handleCheckedOut(event_data);
+        break;
+
+      case "ChargeCalculatedEvent":
+        await this.chargeProjection.handleChargeCalculated(event_data);
+        await this.historyProjection.handleChargeCalculated(event_data);
+        break;
+
+      case "PenaltyAssessedEvent":
+        await this.reservationProjection.handlePenaltyAssessed(event_data);
+        await this.historyProjection.handlePenaltyAssessed(event_data);
+        break;
+
+      case "PromoCodeAppliedEvent":
+        await this.reservationProjection.handlePromoCodeApplied(event_data);
+        await this.historyProjection.handlePromoCodeApplied(event_data);
+        break;
+
+      // จาก slot-service
+      case "SlotDecommissionedEvent":
+        if (this.slotDecommissionService) {
+          await this.slotDecommissionService.handleSlotDecommissioned(event_data);
+        }
+        break;
+
+      case "PriceLockedEvent":
+        await this.reservationProjection.handlePriceLocked(event_data);
+        await this.historyProjection.handlePriceLocked(event_data);
+        break;
+
+      case "PaymentAuthorizedEvent":
+        await this.reservationProjection.handlePaymentEvent(event_data, PAYMENT_STATUS.AUTHORIZED);
+        await this.historyProjection.handlePaymentEvent(
+          event_data,
+          `💳 กันวงเงินค่าจอด ${event_data.amount} ${event_data.currency}`
+        );
+        break;
+
+      case "PaymentCapturedEvent":
+        await this.reservationProjection.handlePaymentEvent(event_data, PAYMENT_STATUS.CAPTURED);
+        await this.historyProjection.handlePaymentEvent(
+          event_data,
+          event_data.provider === WALLET_PAYMENT_PROVIDER
+            ? `👛 ชำระจาก Wallet แล้ว ${event_data.amount} ${event_data.currency}`
+            : `💳 ชำระค่าจอดแล้ว ${event_data.amount} ${event_data.currency}`
+        );
+        break;
+
+      case "PaymentRefundedEvent":
+        await this.reservationProjection.handlePaymentEvent(event_data, PAYMENT_STATUS.REFUNDED);
+        await this.historyProjection.handlePaymentEvent(
+          event_data,
+          `💳 คืนวงเงิน/คืนเงิน ${event_data.amount} ${event_data.currency} (${event_data.reason})`
+        );
+        break;
+
+      case "PaymentFailedEvent":
+        // Refund ไม่สำเร็จ -> สถานะเดิมยังคงอยู่ (เหมือนใน Aggregate) บันทึกแค่ประวัติ
+        if (event_data.operation !== PAYMENT_OPERATION.REFUND) {
+          await this.reservationProjection.handlePaymentEvent(event_data, PAYMENT_STATUS.FAILED);
+        }
+        await this.historyProjection.handlePaymentEvent(
+          event_data,
+          `⚠️ ชำระเงินไม่สำเร็จ (${event_data.operation}): ${event_data.failureCode}`
+        );
+        break;
+
+      case "ReservationExpiredEvent":
+        await this.reservationProjection.handleReservationExpired(event_data);
+        await this.historyProjection.handleReservationExpired(event_data);
+        await this._offerToWaitlist(event_data.reservationId);
+        break;
+
+      case "ReservationExtendedEvent":
+        await this.reservationProjection.handleReservationExtended(event_data);
+        await this.historyProjection.handleReservationExtended(event_data);
+        break;
+
+      case "ReservationRescheduledEvent":
+        await this.reservationProjection.handleReservationRescheduled(event_data);
+        await this.historyProjection.handleReservationRescheduled(event_data);
+        break;
+
       default:
         console.warn(
           `[EventConsumer] No handler for event type: ${event_type}`
         );
     }
   }
+
+  /**
+   * หลัง Projection อัปเดตสถานะแล้ว -> ที่ว่างที่คืนมาเสนอให้คิวรอ (Error ไม่ทำให้ Event ถูก nack)
+   */
+  async _offerToWaitlist(reservationId) {
+    if (!this.waitlistService || !reservationId) return;
+    try {
+      await this.waitlistService.offerFreedReservation(reservationId);
+    } catch (error) {
+      console.error(
+        `[EventConsumer][${this.serviceName}] Waitlist offer failed for ${reservationId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * การจองถูกยกเลิก (ReservationCancelledEvent / PATCH status -> cancelled) -> คืนสิทธิ์ Promo Code
+   */
+  async _releasePromoCode(reservationId) {
+    if (!this.promoCodeService || !reservationId) return;
+    await this.promoCodeService.releaseRedemption(reservationId);
+  }
 }
@@ -51,6 +51,188 @@ export class HistoryProjection {
     }
   }
 
+  /**
+   * บันทึกประวัติเมื่อมีการยกเลิกการจอง (พร้อมเหตุผลและ Cancellation Policy)
+   */
+  async handleReservationCancelled(eventData) {
+    try {
+      const { reservationId, reasonCode, reasonNote, cancelledByRole, withinCutoffWindow, cutoffMinutes } = eventData;
+
+      let description = `❌ การจองถูกยกเลิกโดย ${cancelledByRole || 'user'} (เหตุผล: ${reasonCode})`;
+      if (reasonNote) description += ` - ${reasonNote}`;
+      if (withinCutoffWindow) description += ` ⚠️ ยกเลิกภายใน ${cutoffMinutes} นาทีก่อนเวลาเริ่ม`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'Cancelled' (${reasonCode}) for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging cancellation:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อรถพยายามเข้าจอดนอกช่วงเวลาที่อนุญาต (ให้ Operator ตรวจสอบได้)
+   */
+  async handleCheckInRejected(eventData) {
+    try {
+      const { reservationId, licensePlate, rejectionCode, windowStart, windowEnd } = eventData;
+
+      const description = `🚫 ปฏิเสธการเช็คอิน (${rejectionCode}) ทะเบียน ${licensePlate}: เช็คอินได้ระหว่าง ${new Date(windowStart).toISOString()} - ${new Date(windowEnd).toISOString()}`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'CheckInRejected' (${rejectionCode}) for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging check-in rejection:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อรถออกจากที่จอด พร้อมระยะเวลาจอดจริง
+   */
+  async handleCheckedOut(eventData) {
+    try {
+      const { reservationId, parkedMinutes, bookedMinutes, overstayMinutes } = eventData;
+
+      let description = `👋 รถออกจากที่จอดแล้ว (Checked-out): จอดจริง ${parkedMinutes} นาที จากที่จองไว้ ${bookedMinutes} นาที`;
+      if (overstayMinutes > 0) description += ` ⚠️ เกินเวลา ${overstayMinutes} นาที`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'CheckedOut' for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging check-out:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อคิดค่าจอดหลังเช็คเอาท์
+   */
+  async handleChargeCalculated(eventData) {
+    try {
+      const { reservationId, totalAmount, currency } = eventData;
+      const description = `💰 คิดค่าจอดแล้ว: ${totalAmount} ${currency}`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'ChargeCalculated' for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging charge:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อถูกปรับ (No-Show / Late Cancellation)
+   */
+  async handlePenaltyAssessed(eventData) {
+    try {
+      const { reservationId, penaltyType, amount, currency } = eventData;
+      const label = penaltyType === "no_show" ? "ไม่มาตามนัด (No-Show)" : "ยกเลิกกระชั้นชิด (Late Cancellation)";
+      const description = `🚫 ค่าปรับ${label}: ${amount} ${currency}`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'PenaltyAssessed' (${penaltyType}) for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging penalty:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติการใช้ Promo Code (ยอดส่วนลดจริงอยู่ใน ChargeCalculated)
+   */
+  async handlePromoCodeApplied(eventData) {
+    try {
+      const { reservationId, code, discountType, discountValue } = eventData;
+      const description = `🏷️ ใช้ Promo Code ${code} (${discountType} ${discountValue})`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'PromoCodeApplied' (${code}) for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging promo code:`, error);
+    }
+  }
+
+  /**
+   * บันทึกราคาต่อชั่วโมงที่ล็อกไว้ตอนจอง (Dynamic Pricing)
+   */
+  async handlePriceLocked(eventData) {
+    try {
+      const { reservationId, pricePerHour, occupancyMultiplier } = eventData;
+      const description =
+        `💹 ล็อกราคาค่าจอด ${pricePerHour}/ชม.` +
+        (occupancyMultiplier && occupancyMultiplier !== 1 ? ` (ความหนาแน่น x${occupancyMultiplier})` : "");
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'PriceLocked' (${pricePerHour}) for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging locked price:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติการชำระเงิน (กันวงเงิน / ตัดเงิน / คืนเงิน / ไม่สำเร็จ)
+   */
+  async handlePaymentEvent(eventData, description) {
+    try {
+      await this._insertHistory(eventData.reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged payment event for ${eventData.reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging payment event:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อการจองถูกปิดเป็น no_show (ไม่มาเช็คอิน)
+   */
+  async handleReservationExpired(eventData) {
+    try {
+      const { reservationId, graceMinutes, minutesOverdue } = eventData;
+
+      const description = `⌛ ไม่มาเช็คอิน (No-Show): เลยเวลาเริ่ม ${minutesOverdue} นาที (Grace Period ${graceMinutes} นาที)`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'Expired' for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging expiry:`, error);
+    }
+  }
+
+  /**
+   * บันทึกประวัติเมื่อมีการขยายเวลาการจอง
+   */
+  async handleReservationExtended(eventData) {
+    try {
+      const { reservationId, previousEndDateLocal, previousEndTimeLocal, endDateLocal, endTimeLocal } = eventData;
+
+      const description = `⏰ ขยายเวลาการจอง: จาก ${previousEndDateLocal} ${previousEndTimeLocal} เป็น ${endDateLocal} ${endTimeLocal}`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'Extended' for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging extension:`, error);
+    }
+  }
+
+  async handleReservationRescheduled(eventData) {
+    try {
+      const { reservationId, previous, current, changedFields } = eventData;
+
+      const changes = [];
+      if (changedFields.includes("slotId")) {
+        changes.push(`ช่องจอด ${previous.slotId} → ${current.slotId}`);
+      }
+      if (changedFields.some((f) => f.startsWith("start"))) {
+        changes.push(`เริ่ม ${previous.startDateLocal} ${previous.startTimeLocal} → ${current.startDateLocal} ${current.startTimeLocal}`);
+      }
+      if (changedFields.some((f) => f.startsWith("end"))) {
+        changes.push(`สิ้นสุด ${previous.endDateLocal} ${previous.endTimeLocal} → ${current.endDateLocal} ${current.endTimeLocal}`);
+      }
+
+      const description = `🔁 เปลี่ยนแปลงการจอง: ${changes.join(", ")}`;
+
+      await this._insertHistory(reservationId, description, eventData);
+      console.log(`[HistoryProjection] Logged 'Rescheduled' for ${reservationId}`);
+    } catch (error) {
+      console.error(`[HistoryProjection] Error logging reschedule:`, error);
+    }
+  }
+
   // Helper function เพื่อลด code ซ้ำซ้อน
   async _insertHistory(reservationId, description, details) {
     const { error } = await this.supabase.from(this.tableName).insert({
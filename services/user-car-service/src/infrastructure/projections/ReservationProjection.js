@@ -1,4 +1,5 @@
 // /services/user-car-service/src/projections/ReservationProjection.js
+import { PAYMENT_STATUS } from "../../domain/constants/paymentPolicy.js";
 
 export class ReservationProjection {
   constructor(supabaseClient) {
@@ -54,7 +55,8 @@ export class ReservationProjection {
           updated_at: new Date(),
           vehicle_type: event.vehicleType || 'car', 
           car_id: event.carId || null,
-          vehicle_type_code: event.vehicleTypeCode !== undefined ? event.vehicleTypeCode : 1 // 👈 Include vehicle_type_code
+          vehicle_type_code: event.vehicleTypeCode !== undefined ? event.vehicleTypeCode : 1, // 👈 Include vehicle_type_code
+          series_id: event.seriesId || null
         });
 
       if (error) throw error;
@@ -80,6 +82,7 @@ export class ReservationProjection {
         status: newStatus,
         status_code: event.statusCode,
         updated_at: updatedAt || new Date(),
+        ...(newStatus === "checked_in" && { checked_in_at: updatedAt || new Date() }),
       })
       .eq("id", reservationId)
       .select();
@@ -91,4 +94,219 @@ export class ReservationProjection {
       console.log(`[ReservationProjection] Successfully updated status for reservation: ${reservationId}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * จัดการ Event เมื่อมีการยกเลิกการจองผ่าน /reservations/:id/cancel
+   */
+  async handleReservationCancelled(event) {
+    const { reservationId, status, statusCode, cancelledAt } = event;
+
+    console.log(
+      `[ReservationProjection] Projecting ReservationCancelledEvent for reservation: ${reservationId} (${event.reasonCode})`
+    );
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        status: status || "cancelled",
+        status_code: statusCode || "0",
+        updated_at: cancelledAt || new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error cancelling reservation:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Successfully cancelled reservation: ${reservationId}`);
+  }
+
+  /**
+   * จัดการ Event เมื่อรถออกจากที่จอด (พร้อมระยะเวลาจอดจริงสำหรับ Billing / Reporting)
+   */
+  async handleCheckedOut(event) {
+    const { reservationId, status, statusCode, checkedInAt, checkedOutAt, parkedMinutes, overstayMinutes } = event;
+
+    console.log(
+      `[ReservationProjection] Projecting CheckedOutEvent for reservation: ${reservationId} (${parkedMinutes} min)`
+    );
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        status: status || "checked_out",
+        status_code: statusCode || "3",
+        checked_in_at: checkedInAt,
+        checked_out_at: checkedOutAt,
+        parked_minutes: parkedMinutes,
+        overstay_minutes: overstayMinutes,
+        updated_at: checkedOutAt || new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error checking out reservation:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Successfully checked out reservation: ${reservationId}`);
+  }
+
+  /**
+   * จัดการ Event เมื่อการจองถูก Expire เป็น no_show โดย Scheduler
+   */
+  async handleReservationExpired(event) {
+    const { reservationId, status, statusCode, expiredAt } = event;
+
+    console.log(
+      `[ReservationProjection] Projecting ReservationExpiredEvent for reservation: ${reservationId}`
+    );
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        status: status || "no_show",
+        status_code: statusCode || "4",
+        updated_at: expiredAt || new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error expiring reservation:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Successfully expired reservation: ${reservationId}`);
+  }
+
+  /**
+   * จัดการ Event เมื่อมีการขยายเวลาสิ้นสุดของการจอง
+   */
+  async handleReservationExtended(event) {
+    const { reservationId, endDateLocal, endTimeLocal, timeZoneOffset, extendedAt } = event;
+
+    console.log(
+      `[ReservationProjection] Projecting ReservationExtendedEvent for reservation: ${reservationId} -> ${endDateLocal} ${endTimeLocal}`
+    );
+
+    const endTimeUTC = new Date(`${endDateLocal}T${endTimeLocal}${timeZoneOffset}`).toISOString();
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        end_time: endTimeUTC,
+        updated_at: extendedAt || new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error extending reservation:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Successfully extended reservation: ${reservationId}`);
+  }
+
+  async handleReservationRescheduled(event) {
+    const { reservationId, current, timeZoneOffset, rescheduledAt } = event;
+
+    console.log(
+      `[ReservationProjection] Projecting ReservationRescheduledEvent for reservation: ${reservationId} -> slot ${current.slotId}, ${current.startDateLocal} ${current.startTimeLocal} - ${current.endDateLocal} ${current.endTimeLocal}`
+    );
+
+    const startTimeUTC = new Date(`${current.startDateLocal}T${current.startTimeLocal}${timeZoneOffset}`).toISOString();
+    const endTimeUTC = new Date(`${current.endDateLocal}T${current.endTimeLocal}${timeZoneOffset}`).toISOString();
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        slot_id: current.slotId,
+        parking_site_id: current.parkingSiteId,
+        floor_id: current.floorId,
+        start_time: startTimeUTC,
+        end_time: endTimeUTC,
+        updated_at: rescheduledAt || new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error rescheduling reservation:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Successfully rescheduled reservation: ${reservationId}`);
+  }
+
+  /**
+   * จัดการ Event ค่าปรับ (No-Show / Late Cancellation)
+   */
+  async handlePenaltyAssessed(event) {
+    const { reservationId, penaltyType, amount } = event;
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        penalty_type: penaltyType,
+        penalty_amount: amount,
+        updated_at: new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error recording penalty:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Penalty ${penaltyType} (${amount}) recorded for ${reservationId}`);
+  }
+
+  async handlePromoCodeApplied(event) {
+    const { reservationId, code } = event;
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({ promo_code: code, updated_at: new Date() })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error recording promo code:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Promo code ${code} recorded for ${reservationId}`);
+  }
+
+  async handlePriceLocked(event) {
+    const { reservationId, pricePerHour } = event;
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({ locked_price_per_hour: pricePerHour, updated_at: new Date() })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error recording locked price:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Price ${pricePerHour}/h locked for ${reservationId}`);
+  }
+
+  /**
+   * จัดการ Payment Events (Authorized / Captured / Refunded / Failed) -> สถานะการชำระเงินของการจอง
+   * @param {object} event
+   * @param {string} paymentStatus - PAYMENT_STATUS ที่ได้จากประเภท Event
+   */
+  async handlePaymentEvent(event, paymentStatus) {
+    const { reservationId, paymentId, amount } = event;
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        payment_status: paymentStatus,
+        ...(paymentId && { payment_id: paymentId }),
+        ...(paymentStatus !== PAYMENT_STATUS.FAILED && { payment_amount: amount }),
+        updated_at: new Date(),
+      })
+      .eq("id", reservationId);
+
+    if (error) {
+      console.error(`[ReservationProjection] Error updating payment status:`, error);
+      throw error;
+    }
+    console.log(`[ReservationProjection] Payment of ${reservationId} -> ${paymentStatus}`);
+  }
+}
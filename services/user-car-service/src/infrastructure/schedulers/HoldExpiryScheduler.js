@@ -0,0 +1,51 @@
+// /services/user-car-service/src/infrastructure/schedulers/HoldExpiryScheduler.js
+
+/**
+ * Background Job: ปิดสถานะ Hold ที่หมดเวลาแล้ว (active -> expired)
+ * (ความพร้อมใช้งานไม่ต้องรอ Job นี้: slot_occupancy และ RPC ไม่นับ Hold ที่เลย expires_at อยู่แล้ว)
+ */
+export class HoldExpiryScheduler {
+  /**
+   * @param {SlotHoldService} slotHoldService
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - รอบการทำงาน (Default: 60 วินาที)
+   */
+  constructor(slotHoldService, options = {}) {
+    if (!slotHoldService) {
+      throw new Error("HoldExpiryScheduler requires a slot hold service.");
+    }
+    this.slotHoldService = slotHoldService;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`[HoldScheduler] Started (interval ${this.intervalMs / 1000}s).`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("[HoldScheduler] Stopped.");
+  }
+
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const expired = await this.slotHoldService.expireStaleHolds();
+      if (expired > 0) {
+        console.log(`[HoldScheduler] Expired ${expired} slot hold(s).`);
+      }
+    } catch (error) {
+      console.error("[HoldScheduler] Run failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
@@ -0,0 +1,131 @@
+// /services/user-car-service/src/infrastructure/schedulers/NoShowExpiryScheduler.js
+
+import { ExpireReservationCommand } from "../../domain/commands/ExpireReservationCommand.js";
+import { DomainError } from "../../domain/errors/DomainError.js";
+
+// การจองที่ Expire ไม่สำเร็จ -> รอ 1, 2, 4, ... รอบก่อนลองใหม่ (สูงสุด 60 รอบ)
+const MAX_BACKOFF_RUNS = 60;
+
+/**
+ * Background Job: ค้นหาการจอง pending ที่เลยเวลาเริ่ม + Grace Period ของ Site แล้ว
+ * (View pending_reservation_deadlines คำนวณ no_show_deadline ให้ กรองใน Query ได้เลย)
+ * และส่ง ExpireReservationCommand (system) ให้กลายเป็น no_show
+ */
+export class NoShowExpiryScheduler {
+  /**
+   * @param {object} supabaseClient - ใช้อ่าน Read Model (reservations + parking_sites)
+   * @param {ExpireReservationCommandHandler} expireReservationHandler
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - รอบการทำงาน (Default: 60 วินาที)
+   * @param {number} [options.batchSize] - จำนวนการจองสูงสุดต่อรอบ
+   */
+  constructor(supabaseClient, expireReservationHandler, options = {}) {
+    if (!supabaseClient || !expireReservationHandler) {
+      throw new Error(
+        "NoShowExpiryScheduler requires a supabase client and an expire reservation handler."
+      );
+    }
+    this.supabase = supabaseClient;
+    this.expireReservationHandler = expireReservationHandler;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.batchSize = options.batchSize || 100;
+    this.timer = null;
+    this.isRunning = false; // กันไม่ให้รอบใหม่ซ้อนกับรอบเดิมที่ยังไม่เสร็จ
+    this.failures = new Map(); // reservationId -> { count, retryAt } (ไม่ให้การจองที่ล้มเหลวซ้ำๆ กินทั้ง Batch)
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(
+      `[NoShowScheduler] Started (interval ${this.intervalMs / 1000}s).`
+    );
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("[NoShowScheduler] Stopped.");
+  }
+
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const now = new Date();
+      const overdue = await this._findOverdueReservations(now);
+      if (overdue.length === 0) return;
+
+      console.log(
+        `[NoShowScheduler] Found ${overdue.length} overdue pending reservation(s).`
+      );
+
+      for (const reservationId of overdue) {
+        try {
+          await this.expireReservationHandler.handle(
+            new ExpireReservationCommand(reservationId)
+          );
+          this.failures.delete(reservationId);
+          console.log(`[NoShowScheduler] Reservation ${reservationId} -> no_show`);
+        } catch (error) {
+          this._recordFailure(reservationId, now);
+          // Read Model อาจตามไม่ทัน (เช่นเพิ่งเช็คอิน) -> ปกติรอบหน้าจะไม่เจออีก
+          if (error instanceof DomainError) {
+            console.warn(
+              `[NoShowScheduler] Skipped ${reservationId}: ${error.message}`
+            );
+          } else {
+            console.error(
+              `[NoShowScheduler] Failed to expire ${reservationId}:`,
+              error.message
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error("[NoShowScheduler] Run failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * คืนค่า ID ของการจอง pending ที่ no_show_deadline (start_time + no_show_grace_minutes) <= now
+   * ไม่รวมการจองที่ยังอยู่ในช่วง Backoff (ดึงเผื่อจำนวนนั้นไว้ Batch จึงไม่ถูกกินหมด)
+   */
+  async _findOverdueReservations(now) {
+    const limit = this.batchSize + this.failures.size;
+    const { data, error } = await this.supabase
+      .from("pending_reservation_deadlines")
+      .select("id")
+      .lte("no_show_deadline", now.toISOString())
+      .order("no_show_deadline", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const ids = (data || []).map((r) => r.id);
+    // ได้ครบทุกแถวแล้ว -> การจองที่ไม่อยู่ในผลลัพธ์ไม่ pending แล้ว ล้างประวัติทิ้ง
+    if (ids.length < limit) {
+      const current = new Set(ids);
+      for (const id of this.failures.keys()) {
+        if (!current.has(id)) this.failures.delete(id);
+      }
+    }
+
+    return ids
+      .filter((id) => !(this.failures.get(id)?.retryAt > now.getTime()))
+      .slice(0, this.batchSize);
+  }
+
+  _recordFailure(reservationId, now) {
+    const count = (this.failures.get(reservationId)?.count || 0) + 1;
+    const waitRuns = Math.min(2 ** (count - 1), MAX_BACKOFF_RUNS);
+    this.failures.set(reservationId, {
+      count,
+      retryAt: now.getTime() + waitRuns * this.intervalMs,
+    });
+  }
+}
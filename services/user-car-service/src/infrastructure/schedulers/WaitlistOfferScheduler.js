@@ -0,0 +1,50 @@
+// /services/user-car-service/src/infrastructure/schedulers/WaitlistOfferScheduler.js
+
+/**
+ * Background Job: ข้อเสนอจากคิวรอที่ไม่ได้ตอบรับภายในเวลา -> expired และเสนอต่อให้คิวถัดไป
+ */
+export class WaitlistOfferScheduler {
+  /**
+   * @param {WaitlistService} waitlistService
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - รอบการทำงาน (Default: 60 วินาที)
+   */
+  constructor(waitlistService, options = {}) {
+    if (!waitlistService) {
+      throw new Error("WaitlistOfferScheduler requires a waitlist service.");
+    }
+    this.waitlistService = waitlistService;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`[WaitlistScheduler] Started (interval ${this.intervalMs / 1000}s).`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("[WaitlistScheduler] Stopped.");
+  }
+
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const expired = await this.waitlistService.expireOffers();
+      if (expired > 0) {
+        console.log(`[WaitlistScheduler] Expired ${expired} waitlist offer(s).`);
+      }
+    } catch (error) {
+      console.error("[WaitlistScheduler] Run failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// /services/user-service/src/application/handlers/command-handlers/ChangeUserTypeCommandHandler.js
+import { UserAggregate } from "../../../domain/aggregates/UserAggregate.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class ChangeUserTypeCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient) {
+    if (!eventStore || !messageBroker || !supabaseClient) {
+      throw new Error(
+        "ChangeUserTypeCommandHandler requires an event store, message broker, and supabase client."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+  }
+
+  async handle(command) {
+    const aggregateId = command.userId;
+    const user = new UserAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) ---
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      user.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      user.rehydrateFromEvents(history);
+      expectedVersion = user.version;
+    } else if (!snapshotRecord) {
+      throw new Error(`User with ID ${aggregateId} not found.`);
+    }
+
+    // --- 2. Execute Command ---
+    const previousUserType = user.userType;
+    user.changeUserType(command);
+
+    // --- 3. Save & Publish ---
+    const newEvents = user.getUncommittedEvents();
+    if (newEvents.length > 0) {
+      try {
+        await this.eventStore.saveEvents(
+          aggregateId,
+          "User",
+          newEvents,
+          expectedVersion
+        );
+        for (const event of newEvents) {
+          await this.messageBroker.publishEvent(event);
+        }
+        user.clearUncommittedEvents();
+      } catch (error) {
+        if (
+          error.code === "CONCURRENCY_ERROR" ||
+          error.message.includes("Concurrency Error")
+        ) {
+          throw new Error(
+            "Concurrency Error: User modified by others, please try again."
+          );
+        }
+        throw error;
+      }
+    }
+
+    return { id: aggregateId, userType: user.userType, previousUserType };
+  }
+}
@@ -0,0 +1,94 @@
+// /services/user-service/src/application/handlers/command-handlers/ExpireWalletCreditsCommandHandler.js
+import { WalletAggregate } from "../../../domain/aggregates/WalletAggregate.js";
+import { SupabaseSnapshotStore } from "../../../infrastructure/persistence/SupabaseSnapshotStore.js";
+
+export class ExpireWalletCreditsCommandHandler {
+  constructor(eventStore, messageBroker, supabaseClient) {
+    if (!eventStore || !messageBroker || !supabaseClient) {
+      throw new Error(
+        "ExpireWalletCreditsCommandHandler requires an event store, message broker, and supabase client."
+      );
+    }
+    this.eventStore = eventStore;
+    this.messageBroker = messageBroker;
+    this.snapshotStore = new SupabaseSnapshotStore(supabaseClient);
+    this.snapshotFrequency = 10; // Wallet มี Event สะสมเยอะกว่า User
+  }
+
+  async handle(command) {
+    const aggregateId = WalletAggregate.idForUser(command.userId);
+    const wallet = new WalletAggregate(aggregateId);
+    let expectedVersion = 0;
+
+    // --- 1. Load Aggregate State (Snapshot + Events) --- ยังไม่มี Event = Wallet ว่าง
+    const snapshotRecord = await this.snapshotStore.loadSnapshot(aggregateId);
+    if (snapshotRecord) {
+      wallet.rehydrateFromSnapshot(snapshotRecord);
+      expectedVersion = snapshotRecord.version;
+    }
+
+    const history = await this.eventStore.getEventsAfterVersion(
+      aggregateId,
+      expectedVersion
+    );
+    if (history.length > 0) {
+      wallet.rehydrateFromEvents(history);
+      expectedVersion = wallet.version;
+    }
+
+    // --- 2. Execute Command (ไม่มีเครดิตหมดอายุ = ไม่มี Event ใหม่) ---
+    wallet.expireCredits(new Date());
+
+    // --- 3. Save, Snapshot & Publish ---
+    const newEvents = wallet.getUncommittedEvents();
+    if (newEvents.length > 0) {
+      try {
+        await this.eventStore.saveEvents(
+          aggregateId,
+          "Wallet",
+          newEvents,
+          expectedVersion
+        );
+
+        const newVersion = expectedVersion + newEvents.length;
+        // Snapshot ทุกครั้งที่ข้ามรอบ snapshotFrequency (บาง Command มีหลาย Event)
+        if (
+          Math.floor(newVersion / this.snapshotFrequency) >
+          Math.floor(expectedVersion / this.snapshotFrequency)
+        ) {
+          try {
+            await this.snapshotStore.saveSnapshot(aggregateId, wallet.getState(), newVersion);
+          } catch (snapshotError) {
+            console.error(
+              `[CommandHandler][WalletExpire] FAILED TO SAVE SNAPSHOT for ${aggregateId} at version ${newVersion}:`,
+              snapshotError
+            );
+          }
+        }
+
+        for (const event of newEvents) {
+          await this.messageBroker.publishEvent(event);
+        }
+        wallet.clearUncommittedEvents();
+      } catch (error) {
+        if (
+          error.code === "CONCURRENCY_ERROR" ||
+          error.message.includes("Concurrency Error")
+        ) {
+          throw new Error(
+            "Concurrency Error: Wallet modified by others, please try again."
+          );
+        }
+        throw error;
+      }
+    }
+
+    const [expiredEvent] = newEvents;
+    return {
+      walletId: aggregateId,
+      userId: command.userId,
+      expiredAmount: expiredEvent?.data.amount ?? 0,
+      balance: wallet.getBalance(),
+    };
+  }
+}
@@ -1,5 +1,13 @@
 // /services/user-service/src/domain/aggregates/UserAggregate.js
 import { UserCreatedEvent } from "../events/UserCreatedEvent.js";
+import { UserTypeChangedEvent } from "../events/UserTypeChangedEvent.js";
+import { UserStrikeRecordedEvent } from "../events/UserStrikeRecordedEvent.js";
+import { UserSuspendedEvent } from "../events/UserSuspendedEvent.js";
+import { UserStrikesResetEvent } from "../events/UserStrikesResetEvent.js";
+import { isValidUserType, USER_TYPE } from "../constants/userTypes.js";
+import { DEFAULT_STRIKE_POLICY } from "../constants/strikePolicy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class UserAggregate {
   constructor(id) {
@@ -7,6 +15,9 @@ export class UserAggregate {
     this.name = null;
     this.email = null;
     this.status = null;
+    this.userType = null; // ใช้ตรวจ buildings.allowed_user_types ตอนจอง
+    this.strikes = []; // [{ reservationId, penaltyType, occurredAt }] ตั้งแต่ Reset ล่าสุด
+    this.suspendedUntil = null;
     this.version = 0; // Start version at 0 for a new aggregate
     this.uncommittedEvents = [];
   }
@@ -14,34 +25,129 @@ export class UserAggregate {
   // Method called by the command handler to initiate user creation
   createUser(command) {
     // Basic validation
-    if (!command.name || !command.email) {
-      throw new Error("Name and email are required to create a user.");
+    if (!command.name || !command.email || !command.userType) {
+      throw new Error("Name, email and userType are required to create a user.");
     }
 
     // You could add checks here, e.g., if the user already exists (status !== null)
     if (this.status !== null) {
       throw new Error("User already created.");
     }
+    assertUserType(command.userType);
 
     const event = new UserCreatedEvent({
       id: this.id,
       name: command.name,
       email: command.email,
+      userType: command.userType,
     });
     this._apply(event); // Apply the event internally
     this.uncommittedEvents.push(event); // Add to list of changes to be saved
   }
 
+  changeUserType(command) {
+    if (this.status === null) {
+      throw new Error("User does not exist yet.");
+    }
+    assertUserType(command.userType);
+    if (command.userType === this.userType) return; // ไม่มีอะไรเปลี่ยน
+
+    const event = new UserTypeChangedEvent({
+      id: this.id,
+      userType: command.userType,
+      previousUserType: this.userType,
+      changedAt: new Date().toISOString(),
+    });
+    this._apply(event);
+    this.uncommittedEvents.push(event);
+  }
+
+  /**
+   * บันทึก Strike จากค่าปรับ No-Show / Late Cancellation
+   * ครบ suspensionThreshold ภายใน windowDays -> ระงับการจอง suspensionDays วัน
+   * (Reservation เดิมซ้ำ = ไม่ทำอะไร เพราะ Event อาจถูกส่งซ้ำ)
+   */
+  recordStrike(command, policy = DEFAULT_STRIKE_POLICY) {
+    if (this.status === null) {
+      throw new Error("User does not exist yet.");
+    }
+    if (this.strikes.some((s) => s.reservationId === command.reservationId)) return;
+
+    const occurredAt = new Date(command.occurredAt);
+    const activeStrikeCount = this.getActiveStrikeCount(occurredAt, policy) + 1;
+    const strikeEvent = new UserStrikeRecordedEvent({
+      id: this.id,
+      reservationId: command.reservationId,
+      penaltyType: command.penaltyType,
+      occurredAt: occurredAt.toISOString(),
+      activeStrikeCount,
+    });
+    this._apply(strikeEvent);
+    this.uncommittedEvents.push(strikeEvent);
+
+    if (activeStrikeCount >= policy.suspensionThreshold && !this.isSuspended(occurredAt)) {
+      const suspendedEvent = new UserSuspendedEvent({
+        id: this.id,
+        suspendedAt: occurredAt.toISOString(),
+        suspendedUntil: new Date(occurredAt.getTime() + policy.suspensionDays * DAY_MS).toISOString(),
+        activeStrikeCount,
+      });
+      this._apply(suspendedEvent);
+      this.uncommittedEvents.push(suspendedEvent);
+    }
+  }
+
+  /**
+   * Admin ล้าง Strike ทั้งหมดและยกเลิกการระงับการจอง
+   */
+  resetStrikes(command) {
+    if (this.status === null) {
+      throw new Error("User does not exist yet.");
+    }
+    const event = new UserStrikesResetEvent({
+      id: this.id,
+      resetBy: command.resetBy,
+      note: command.note,
+      resetAt: new Date().toISOString(),
+    });
+    this._apply(event);
+    this.uncommittedEvents.push(event);
+  }
+
+  getActiveStrikeCount(at = new Date(), policy = DEFAULT_STRIKE_POLICY) {
+    const since = at.getTime() - policy.windowDays * DAY_MS;
+    return this.strikes.filter((s) => new Date(s.occurredAt).getTime() > since).length;
+  }
+
+  isSuspended(at = new Date()) {
+    return Boolean(this.suspendedUntil) && new Date(this.suspendedUntil) > at;
+  }
+
   // Internal method to apply state changes based on events
   _apply(event) {
-    if (event instanceof UserCreatedEvent) {
+    // Event จาก Store เป็น plain object { eventType, data } -> แยกประเภทด้วย eventType
+    const data = event.data || {};
+    if (event instanceof UserCreatedEvent || event.eventType === "UserCreated") {
       // No need to set this.id, it's set in the constructor
-      this.name = event.name;
-      this.email = event.email;
+      this.name = data.name;
+      this.email = data.email;
+      this.userType = data.userType ?? null;
       this.status = "active";
+    } else if (event instanceof UserTypeChangedEvent || event.eventType === "UserTypeChanged") {
+      this.userType = data.userType;
+    } else if (event instanceof UserStrikeRecordedEvent || event.eventType === "UserStrikeRecorded") {
+      this.strikes.push({
+        reservationId: data.reservationId,
+        penaltyType: data.penaltyType,
+        occurredAt: data.occurredAt,
+      });
+    } else if (event instanceof UserSuspendedEvent || event.eventType === "UserSuspended") {
+      this.suspendedUntil = data.suspendedUntil;
+    } else if (event instanceof UserStrikesResetEvent || event.eventType === "UserStrikesReset") {
+      this.strikes = [];
+      this.suspendedUntil = null;
     }
     // Add other event types here (e.g., UserUpdatedEvent, UserDeactivatedEvent)
-    // else if (event instanceof UserUpdatedEvent) { ... }
 
     // Increment version only when applying a *new* uncommitted event
     // Version increment during rehydration is handled separately
@@ -59,6 +165,9 @@ export class UserAggregate {
       name: this.name,
       email: this.email,
       status: this.status,
+      userType: this.userType,
+      strikes: this.strikes,
+      suspendedUntil: this.suspendedUntil,
       // Note: We don't save 'version' *within* the snapshot data itself,
       // as the snapshot record already has its own version field.
     };
@@ -75,6 +184,9 @@ export class UserAggregate {
     this.name = snapshotData.name;
     this.email = snapshotData.email;
     this.status = snapshotData.status;
+    this.userType = snapshotData.userType ?? null;
+    this.strikes = snapshotData.strikes || [];
+    this.suspendedUntil = snapshotData.suspendedUntil || null;
     this.version = snapshotRecord.version; // Set version from the snapshot record
   }
 
@@ -105,3 +217,11 @@ export class UserAggregate {
     this.uncommittedEvents = [];
   }
 }
+
+function assertUserType(userType) {
+  if (!isValidUserType(userType)) {
+    throw new Error(
+      `Invalid userType "${userType}". Allowed: ${Object.values(USER_TYPE).join(", ")}.`
+    );
+  }
+}
@@ -0,0 +1,278 @@
+// /services/user-service/src/domain/aggregates/WalletAggregate.js
+import { randomUUID } from "crypto";
+import { v5 as uuidv5 } from "uuid";
+import { WalletToppedUpEvent } from "../events/WalletToppedUpEvent.js";
+import { WalletDebitedEvent } from "../events/WalletDebitedEvent.js";
+import { WalletRefundedEvent } from "../events/WalletRefundedEvent.js";
+import { WalletCreditsExpiredEvent } from "../events/WalletCreditsExpiredEvent.js";
+import { WalletError } from "../errors/WalletError.js";
+import { WALLET_ID_NAMESPACE } from "../constants/walletPolicy.js";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * กระเป๋าเครดิตค่าจอดของผู้ใช้ (1 Wallet ต่อผู้ใช้)
+ * เครดิตเก็บเป็นก้อน (lot) แยกตามวันหมดอายุ: ตัดเงินจากก้อนที่ใกล้หมดอายุก่อน
+ */
+export class WalletAggregate {
+  constructor(id) {
+    this.id = id;
+    this.userId = null;
+    this.lots = []; // [{ lotId, amount, remaining, expiresAt, source }]
+    this.debits = {}; // reference -> { transactionId, amount, allocations, refunded }
+    this.version = 0;
+    this.uncommittedEvents = [];
+  }
+
+  static idForUser(userId) {
+    return uuidv5(userId, WALLET_ID_NAMESPACE);
+  }
+
+  /**
+   * เติมเครดิต (เช่น เครดิตค่าจอดสำหรับบุคลากร)
+   * @param {object} command - TopUpWalletCommand
+   */
+  topUp(command) {
+    const amount = assertAmount(command.amount);
+    if (command.expiresAt && new Date(command.expiresAt) <= new Date()) {
+      throw new WalletError("expiresAt must be in the future.", "INVALID_EXPIRY");
+    }
+
+    this._record(
+      new WalletToppedUpEvent({
+        walletId: this.id,
+        userId: command.userId,
+        transactionId: randomUUID(),
+        lotId: randomUUID(),
+        amount,
+        expiresAt: command.expiresAt ? new Date(command.expiresAt).toISOString() : null,
+        source: command.source,
+        note: command.note,
+        occurredAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * ตัดเงินเต็มจำนวน (ยอดไม่พอ = ไม่ตัดเลย) ใช้ reference เดิมซ้ำ = คืนรายการเดิม (Idempotent)
+   * @param {object} command - DebitWalletCommand
+   * @returns {{transactionId: string, amount: number}}
+   */
+  debit(command) {
+    const existing = this.debits[command.reference];
+    if (existing) return existing;
+
+    const amount = assertAmount(command.amount);
+    const now = new Date();
+    const balance = this.getBalance(now);
+    if (balance < amount) {
+      throw new WalletError(
+        `Insufficient wallet balance (${balance} < ${amount}).`,
+        "INSUFFICIENT_FUNDS"
+      );
+    }
+
+    // ก้อนที่ใกล้หมดอายุก่อน, ก้อนที่ไม่มีวันหมดอายุไว้ท้ายสุด
+    const usableLots = this._usableLots(now).sort(
+      (a, b) =>
+        (a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity) -
+        (b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity)
+    );
+    const allocations = [];
+    let left = amount;
+    for (const lot of usableLots) {
+      if (left <= 0) break;
+      const take = roundMoney(Math.min(lot.remaining, left));
+      allocations.push({ lotId: lot.lotId, amount: take });
+      left = roundMoney(left - take);
+    }
+
+    this._record(
+      new WalletDebitedEvent({
+        walletId: this.id,
+        userId: this.userId,
+        transactionId: randomUUID(),
+        amount,
+        reference: command.reference,
+        allocations,
+        occurredAt: now.toISOString(),
+      })
+    );
+    return this.debits[command.reference];
+  }
+
+  /**
+   * คืนเงินจากรายการตัดเงิน (ไม่ระบุ amount = คืนส่วนที่เหลือทั้งหมด)
+   * เครดิตที่คืนหมดอายุตามก้อนเดิมที่หมดอายุช้าสุด
+   * @param {object} command - RefundWalletCommand
+   */
+  refund(command) {
+    const debit = this.debits[command.reference];
+    if (!debit) {
+      throw new WalletError(
+        `No wallet debit found for reference "${command.reference}".`,
+        "DEBIT_NOT_FOUND"
+      );
+    }
+    const refundable = roundMoney(debit.amount - debit.refunded);
+    const amount = command.amount == null ? refundable : assertAmount(command.amount);
+    if (amount <= 0 || amount > refundable) {
+      throw new WalletError(
+        `Refund of ${amount} exceeds the refundable amount ${refundable}.`,
+        "REFUND_EXCEEDS_DEBIT"
+      );
+    }
+
+    const originalExpiries = debit.allocations.map(
+      (allocation) => this.lots.find((lot) => lot.lotId === allocation.lotId)?.expiresAt ?? null
+    );
+    const expiresAt = originalExpiries.includes(null)
+      ? null
+      : originalExpiries.sort().at(-1) || null;
+
+    this._record(
+      new WalletRefundedEvent({
+        walletId: this.id,
+        userId: this.userId,
+        transactionId: randomUUID(),
+        lotId: randomUUID(),
+        amount,
+        reference: command.reference,
+        expiresAt,
+        occurredAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * ตัดเครดิตที่หมดอายุแล้วออก (ไม่มีก้อนที่หมดอายุ = ไม่ทำอะไร)
+   */
+  expireCredits(at = new Date()) {
+    const expiredLots = this.lots
+      .filter((lot) => lot.remaining > 0 && lot.expiresAt && new Date(lot.expiresAt) <= at)
+      .map((lot) => ({ lotId: lot.lotId, amount: lot.remaining }));
+    if (expiredLots.length === 0) return;
+
+    this._record(
+      new WalletCreditsExpiredEvent({
+        walletId: this.id,
+        userId: this.userId,
+        transactionId: randomUUID(),
+        amount: roundMoney(expiredLots.reduce((sum, lot) => sum + lot.amount, 0)),
+        lots: expiredLots,
+        occurredAt: at.toISOString(),
+      })
+    );
+  }
+
+  getBalance(at = new Date()) {
+    return roundMoney(this._usableLots(at).reduce((sum, lot) => sum + lot.remaining, 0));
+  }
+
+  _usableLots(at) {
+    return this.lots.filter(
+      (lot) => lot.remaining > 0 && (!lot.expiresAt || new Date(lot.expiresAt) > at)
+    );
+  }
+
+  _record(event) {
+    this._apply(event);
+    this.uncommittedEvents.push(event);
+  }
+
+  // Event จาก Store เป็น plain object { eventType, data } -> แยกประเภทด้วย eventType
+  _apply(event) {
+    const data = event.data || {};
+    const findLot = (lotId) => this.lots.find((lot) => lot.lotId === lotId);
+
+    switch (event.eventType) {
+      case "WalletToppedUp":
+        this.userId = this.userId || data.userId;
+        this.lots.push({
+          lotId: data.lotId,
+          amount: data.amount,
+          remaining: data.amount,
+          expiresAt: data.expiresAt,
+          source: data.source,
+        });
+        break;
+
+      case "WalletDebited":
+        data.allocations.forEach((allocation) => {
+          const lot = findLot(allocation.lotId);
+          if (lot) lot.remaining = roundMoney(lot.remaining - allocation.amount);
+        });
+        this.debits[data.reference] = {
+          transactionId: data.transactionId,
+          amount: data.amount,
+          allocations: data.allocations,
+          refunded: 0,
+        };
+        break;
+
+      case "WalletRefunded":
+        this.lots.push({
+          lotId: data.lotId,
+          amount: data.amount,
+          remaining: data.amount,
+          expiresAt: data.expiresAt,
+          source: "refund",
+        });
+        if (this.debits[data.reference]) {
+          this.debits[data.reference].refunded = roundMoney(
+            this.debits[data.reference].refunded + data.amount
+          );
+        }
+        break;
+
+      case "WalletCreditsExpired":
+        data.lots.forEach((expired) => {
+          const lot = findLot(expired.lotId);
+          if (lot) lot.remaining = roundMoney(lot.remaining - expired.amount);
+        });
+        break;
+    }
+  }
+
+  // --- Methods for Snapshotting ---
+
+  getState() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      lots: this.lots,
+      debits: this.debits,
+    };
+  }
+
+  rehydrateFromSnapshot(snapshotRecord) {
+    const snapshotData = snapshotRecord.snapshot_data;
+    this.userId = snapshotData.userId;
+    this.lots = snapshotData.lots || [];
+    this.debits = snapshotData.debits || {};
+    this.version = snapshotRecord.version;
+  }
+
+  rehydrateFromEvents(events) {
+    events.forEach((eventData) => {
+      this._apply(eventData);
+      this.version++;
+    });
+  }
+
+  getUncommittedEvents() {
+    return this.uncommittedEvents;
+  }
+
+  clearUncommittedEvents() {
+    this.uncommittedEvents = [];
+  }
+}
+
+function assertAmount(amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new WalletError("amount must be a positive number.", "INVALID_AMOUNT");
+  }
+  return roundMoney(value);
+}
@@ -0,0 +1,10 @@
+// /services/user-service/src/domain/commands/ChangeUserTypeCommand.js
+export class ChangeUserTypeCommand {
+  constructor(userId, userType) {
+    if (!userId || !userType) {
+      throw new Error("userId and userType are required.");
+    }
+    this.userId = userId;
+    this.userType = userType;
+  }
+}
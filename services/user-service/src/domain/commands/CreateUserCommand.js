@@ -1,7 +1,8 @@
 // /services/user-service/src/domain/commands/CreateUserCommand.js
 export class CreateUserCommand {
-  constructor(name, email) {
+  constructor(name, email, userType) {
     this.name = name;
     this.email = email;
+    this.userType = userType; // ดู USER_TYPE (บังคับตอนสร้าง, เปลี่ยนภายหลังผ่าน ChangeUserTypeCommand)
   }
 }
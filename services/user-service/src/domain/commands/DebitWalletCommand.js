@@ -0,0 +1,14 @@
+// /services/user-service/src/domain/commands/DebitWalletCommand.js
+export class DebitWalletCommand {
+  /**
+   * @param {string} reference - รายการที่ตัดเงิน (เช่น reservationId) ใช้กันตัดเงินซ้ำ
+   */
+  constructor(userId, amount, reference) {
+    if (!userId || amount == null || !reference) {
+      throw new Error("userId, amount and reference are required.");
+    }
+    this.userId = userId;
+    this.amount = amount;
+    this.reference = reference;
+  }
+}
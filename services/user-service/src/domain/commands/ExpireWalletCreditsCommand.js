@@ -0,0 +1,9 @@
+// /services/user-service/src/domain/commands/ExpireWalletCreditsCommand.js
+export class ExpireWalletCreditsCommand {
+  constructor(userId) {
+    if (!userId) {
+      throw new Error("userId is required.");
+    }
+    this.userId = userId;
+  }
+}
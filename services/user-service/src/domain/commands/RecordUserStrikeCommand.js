@@ -0,0 +1,15 @@
+// /services/user-service/src/domain/commands/RecordUserStrikeCommand.js
+export class RecordUserStrikeCommand {
+  /**
+   * มาจาก PenaltyAssessedEvent ของ user-car-service (No-Show / Late Cancellation)
+   */
+  constructor(userId, reservationId, penaltyType, occurredAt) {
+    if (!userId || !reservationId || !penaltyType) {
+      throw new Error("userId, reservationId and penaltyType are required.");
+    }
+    this.userId = userId;
+    this.reservationId = reservationId;
+    this.penaltyType = penaltyType;
+    this.occurredAt = occurredAt || new Date().toISOString();
+  }
+}
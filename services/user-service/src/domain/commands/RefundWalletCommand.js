@@ -0,0 +1,15 @@
+// /services/user-service/src/domain/commands/RefundWalletCommand.js
+export class RefundWalletCommand {
+  /**
+   * @param {string} reference - reference ของรายการตัดเงินที่จะคืน
+   * @param {number|null} amount - null = คืนส่วนที่ยังไม่ได้คืนทั้งหมด
+   */
+  constructor(userId, reference, amount = null) {
+    if (!userId || !reference) {
+      throw new Error("userId and reference are required.");
+    }
+    this.userId = userId;
+    this.reference = reference;
+    this.amount = amount;
+  }
+}
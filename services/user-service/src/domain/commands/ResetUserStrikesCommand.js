@@ -0,0 +1,11 @@
+// /services/user-service/src/domain/commands/ResetUserStrikesCommand.js
+export class ResetUserStrikesCommand {
+  constructor(userId, resetBy, note = null) {
+    if (!userId || !resetBy) {
+      throw new Error("userId and resetBy are required.");
+    }
+    this.userId = userId;
+    this.resetBy = resetBy; // Admin ที่สั่ง Reset
+    this.note = note;
+  }
+}
@@ -0,0 +1,17 @@
+// /services/user-service/src/domain/commands/TopUpWalletCommand.js
+export class TopUpWalletCommand {
+  /**
+   * @param {string|null} expiresAt - ISO date, null = เครดิตไม่หมดอายุ
+   * @param {string} source - ที่มาของเครดิต เช่น "staff_allowance", "purchase", "admin"
+   */
+  constructor(userId, amount, expiresAt = null, source = "admin", note = null) {
+    if (!userId || amount == null) {
+      throw new Error("userId and amount are required.");
+    }
+    this.userId = userId;
+    this.amount = amount;
+    this.expiresAt = expiresAt;
+    this.source = source || "admin";
+    this.note = note;
+  }
+}
@@ -0,0 +1,8 @@
+// /services/user-service/src/domain/constants/strikePolicy.js
+
+// ค่า Default ของนโยบาย Strike (override ได้ด้วย Env ใน index.js)
+export const DEFAULT_STRIKE_POLICY = {
+  suspensionThreshold: 3, // ครบกี่ Strike ภายในช่วงเวลา -> ระงับการจอง
+  windowDays: 30,         // นับ Strike ย้อนหลังกี่วัน (Rolling)
+  suspensionDays: 7,      // ระงับการจองกี่วัน
+};
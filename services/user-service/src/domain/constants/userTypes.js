@@ -0,0 +1,11 @@
+// /services/user-service/src/domain/constants/userTypes.js
+
+// ประเภทผู้ใช้ (ค่าเดียวกับที่เก็บใน buildings.allowed_user_types)
+export const USER_TYPE = {
+  STUDENT: "นศ.",
+  STAFF: "บุคลากร",
+  VISITOR: "บุคคลภายนอก",
+};
+
+export const isValidUserType = (userType) =>
+  Object.values(USER_TYPE).includes(userType);
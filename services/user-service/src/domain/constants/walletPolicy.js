@@ -0,0 +1,14 @@
+// /services/user-service/src/domain/constants/walletPolicy.js
+
+export const WALLET_CURRENCY = "THB";
+
+// Namespace ของ uuid v5: Wallet ID = uuidv5(userId, WALLET_ID_NAMESPACE) -> 1 Wallet ต่อผู้ใช้, หาได้โดยไม่ต้อง Query
+export const WALLET_ID_NAMESPACE = "cdfc13cf-e7e9-4fe4-bcc4-87f6a0a297d3";
+
+// ประเภทรายการใน Statement (wallet_transactions.type)
+export const WALLET_TRANSACTION_TYPE = {
+  TOP_UP: "top_up",
+  DEBIT: "debit",
+  REFUND: "refund",
+  EXPIRY: "expiry",
+};
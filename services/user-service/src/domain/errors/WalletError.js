@@ -0,0 +1,13 @@
+// /services/user-service/src/domain/errors/WalletError.js
+
+/**
+ * คำสั่งของ Wallet ทำไม่ได้ (ยอดไม่พอ, ไม่พบรายการที่จะคืนเงิน ฯลฯ)
+ * code: INSUFFICIENT_FUNDS | INVALID_AMOUNT | INVALID_EXPIRY | DEBIT_NOT_FOUND | REFUND_EXCEEDS_DEBIT
+ */
+export class WalletError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
@@ -1,7 +1,7 @@
 // /services/user-service/src/domain/events/UserCreatedEvent.js
 export class UserCreatedEvent {
-  constructor({ id, name, email }) {
+  constructor({ id, name, email, userType = null }) {
     this.eventType = "UserCreated";
-    this.data = { id, name, email };
+    this.data = { id, name, email, userType };
   }
 }
@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/UserStrikeRecordedEvent.js
+export class UserStrikeRecordedEvent {
+  constructor({ id, reservationId, penaltyType, occurredAt, activeStrikeCount }) {
+    this.eventType = "UserStrikeRecorded";
+    this.data = { id, reservationId, penaltyType, occurredAt, activeStrikeCount };
+  }
+}
@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/UserStrikesResetEvent.js
+export class UserStrikesResetEvent {
+  constructor({ id, resetBy, note, resetAt }) {
+    this.eventType = "UserStrikesReset";
+    this.data = { id, resetBy, note, resetAt };
+  }
+}
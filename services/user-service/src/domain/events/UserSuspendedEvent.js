@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/UserSuspendedEvent.js
+export class UserSuspendedEvent {
+  constructor({ id, suspendedAt, suspendedUntil, activeStrikeCount }) {
+    this.eventType = "UserSuspended";
+    this.data = { id, suspendedAt, suspendedUntil, activeStrikeCount };
+  }
+}
@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/UserTypeChangedEvent.js
+export class UserTypeChangedEvent {
+  constructor({ id, userType, previousUserType, changedAt }) {
+    this.eventType = "UserTypeChanged";
+    this.data = { id, userType, previousUserType, changedAt };
+  }
+}
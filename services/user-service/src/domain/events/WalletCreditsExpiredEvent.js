@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/WalletCreditsExpiredEvent.js
+export class WalletCreditsExpiredEvent {
+  constructor({ walletId, userId, transactionId, amount, lots, occurredAt }) {
+    this.eventType = "WalletCreditsExpired";
+    this.data = { walletId, userId, transactionId, amount, lots, occurredAt };
+  }
+}
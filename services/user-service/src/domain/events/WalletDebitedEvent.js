@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/WalletDebitedEvent.js
+export class WalletDebitedEvent {
+  constructor({ walletId, userId, transactionId, amount, reference, allocations, occurredAt }) {
+    this.eventType = "WalletDebited";
+    this.data = { walletId, userId, transactionId, amount, reference, allocations, occurredAt };
+  }
+}
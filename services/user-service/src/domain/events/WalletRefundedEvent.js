@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/WalletRefundedEvent.js
+export class WalletRefundedEvent {
+  constructor({ walletId, userId, transactionId, lotId, amount, reference, expiresAt, occurredAt }) {
+    this.eventType = "WalletRefunded";
+    this.data = { walletId, userId, transactionId, lotId, amount, reference, expiresAt, occurredAt };
+  }
+}
@@ -0,0 +1,7 @@
+// /services/user-service/src/domain/events/WalletToppedUpEvent.js
+export class WalletToppedUpEvent {
+  constructor({ walletId, userId, transactionId, lotId, amount, expiresAt, source, note, occurredAt }) {
+    this.eventType = "WalletToppedUp";
+    this.data = { walletId, userId, transactionId, lotId, amount, expiresAt, source, note, occurredAt };
+  }
+}
@@ -5,7 +5,23 @@ import express from "express";
 import { createClient } from "@supabase/supabase-js";
 import { CreateUserCommand } from "./domain/commands/CreateUserCommand.js";
 import { CreateUserCommandHandler } from "./application/handlers/command-handlers/CreateUserCommandHandler.js";
-import { SupabaseEventStore, RabbitMQAdapter } from "@parking-reservation/common";
+import { ChangeUserTypeCommand } from "./domain/commands/ChangeUserTypeCommand.js";
+import { ChangeUserTypeCommandHandler } from "./application/handlers/command-handlers/ChangeUserTypeCommandHandler.js";
+import { ResetUserStrikesCommand } from "./domain/commands/ResetUserStrikesCommand.js";
+import { ResetUserStrikesCommandHandler } from "./application/handlers/command-handlers/ResetUserStrikesCommandHandler.js";
+import { RecordUserStrikeCommandHandler } from "./application/handlers/command-handlers/RecordUserStrikeCommandHandler.js";
+import { TopUpWalletCommand } from "./domain/commands/TopUpWalletCommand.js";
+import { TopUpWalletCommandHandler } from "./application/handlers/command-handlers/TopUpWalletCommandHandler.js";
+import { DebitWalletCommand } from "./domain/commands/DebitWalletCommand.js";
+import { DebitWalletCommandHandler } from "./application/handlers/command-handlers/DebitWalletCommandHandler.js";
+import { RefundWalletCommand } from "./domain/commands/RefundWalletCommand.js";
+import { RefundWalletCommandHandler } from "./application/handlers/command-handlers/RefundWalletCommandHandler.js";
+import { ExpireWalletCreditsCommandHandler } from "./application/handlers/command-handlers/ExpireWalletCreditsCommandHandler.js";
+import { WalletAggregate } from "./domain/aggregates/WalletAggregate.js";
+import { WalletError } from "./domain/errors/WalletError.js";
+import { WALLET_CURRENCY } from "./domain/constants/walletPolicy.js";
+import { WalletExpiryScheduler } from "./infrastructure/schedulers/WalletExpiryScheduler.js";
+import { SupabaseEventStore, RabbitMQAdapter, createIdempotencyMiddleware } from "@parking-reservation/common";
 // Correct the import path for EventConsumer
 import { EventConsumer } from "./infrastructure/projections/EventConsumer.js";
 
@@ -23,6 +39,38 @@ const createUserHandler = new CreateUserCommandHandler(
   eventStore,
   messageBroker
 );
+const changeUserTypeHandler = new ChangeUserTypeCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const resetUserStrikesHandler = new ResetUserStrikesCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const recordUserStrikeHandler = new RecordUserStrikeCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase,
+  {
+    suspensionThreshold: Number(process.env.STRIKE_SUSPENSION_THRESHOLD),
+    windowDays: Number(process.env.STRIKE_WINDOW_DAYS),
+    suspensionDays: Number(process.env.STRIKE_SUSPENSION_DAYS),
+  }
+);
+const topUpWalletHandler = new TopUpWalletCommandHandler(eventStore, messageBroker, supabase);
+const debitWalletHandler = new DebitWalletCommandHandler(eventStore, messageBroker, supabase);
+const refundWalletHandler = new RefundWalletCommandHandler(eventStore, messageBroker, supabase);
+const expireWalletCreditsHandler = new ExpireWalletCreditsCommandHandler(
+  eventStore,
+  messageBroker,
+  supabase
+);
+const walletExpiryScheduler = new WalletExpiryScheduler(supabase, expireWalletCreditsHandler, {
+  intervalMs: Number(process.env.WALLET_EXPIRY_SCHEDULER_INTERVAL_MS) || undefined,
+});
+const idempotency = createIdempotencyMiddleware(supabase, { scope: "user-service" });
 
 // --- API Endpoints ---
 
@@ -30,14 +78,14 @@ const createUserHandler = new CreateUserCommandHandler(
 app.get("/health", (req, res) => res.status(200).send("User Service is OK"));
 
 // Command Endpoint: Create User
-app.post("/users", async (req, res) => {
+app.post("/users", idempotency, async (req, res) => {
   console.log("[User Service] Received POST /users request");
   try {
-    const { name, email } = req.body;
-    if (!name || !email) {
-      return res.status(400).json({ error: "Name and email are required." });
+    const { name, email, userType } = req.body;
+    if (!name || !email || !userType) {
+      return res.status(400).json({ error: "Name, email and userType are required." });
     }
-    const command = new CreateUserCommand(name, email);
+    const command = new CreateUserCommand(name, email, userType);
     const result = await createUserHandler.handle(command);
     res.status(201).json(result);
   } catch (error) {
@@ -46,6 +94,137 @@ app.post("/users", async (req, res) => {
   }
 });
 
+// Command Endpoint: Change User Type (ใช้ตรวจสิทธิ์อาคารตอนจอง)
+app.patch("/users/:id/user-type", idempotency, async (req, res) => {
+  try {
+    const command = new ChangeUserTypeCommand(req.params.id, req.body.userType);
+    const result = await changeUserTypeHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`[User Service] Error in PATCH /users/${req.params.id}/user-type:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("Concurrency Error")
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Command Endpoint (Admin): ล้าง Strike และยกเลิกการระงับการจอง
+app.post("/users/:id/strikes/reset", idempotency, async (req, res) => {
+  try {
+    const { resetBy, note } = req.body;
+    const command = new ResetUserStrikesCommand(req.params.id, resetBy, note);
+    const result = await resetUserStrikesHandler.handle(command);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`[User Service] Error in POST /users/${req.params.id}/strikes/reset:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("Concurrency Error")
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// --- Wallet (เครดิตค่าจอดแบบเติมเงินล่วงหน้า) ---
+
+// WalletError: ยอดไม่พอ = 409, ข้อมูลไม่ถูกต้อง = 400, ไม่พบรายการ = 404
+const sendWalletError = (res, route, error) => {
+  console.error(`[User Service] Error in ${route}:`, error);
+  if (error instanceof WalletError) {
+    const status =
+      error.code === "INSUFFICIENT_FUNDS" ? 409 : error.code === "DEBIT_NOT_FOUND" ? 404 : 400;
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  const status = error.message.includes("not found")
+    ? 404
+    : error.message.includes("Concurrency Error")
+      ? 409
+      : 400;
+  res.status(status).json({ error: error.message });
+};
+
+// Command Endpoint: เติมเครดิต
+app.post("/users/:id/wallet/top-ups", idempotency, async (req, res) => {
+  try {
+    const { amount, expiresAt, source, note } = req.body;
+    const command = new TopUpWalletCommand(req.params.id, amount, expiresAt, source, note);
+    const result = await topUpWalletHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    sendWalletError(res, `POST /users/${req.params.id}/wallet/top-ups`, error);
+  }
+});
+
+// Command Endpoint: ตัดเงิน (reference เดิมซ้ำ = คืนรายการเดิม) - ใช้โดย user-car-service ตอนเก็บค่าจอด
+app.post("/users/:id/wallet/debits", idempotency, async (req, res) => {
+  try {
+    const { amount, reference } = req.body;
+    const command = new DebitWalletCommand(req.params.id, amount, reference);
+    const result = await debitWalletHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    sendWalletError(res, `POST /users/${req.params.id}/wallet/debits`, error);
+  }
+});
+
+// Command Endpoint: คืนเงินเข้ากระเป๋าจากรายการตัดเงิน
+app.post("/users/:id/wallet/refunds", idempotency, async (req, res) => {
+  try {
+    const { reference, amount } = req.body;
+    const command = new RefundWalletCommand(req.params.id, reference, amount);
+    const result = await refundWalletHandler.handle(command);
+    res.status(201).json(result);
+  } catch (error) {
+    sendWalletError(res, `POST /users/${req.params.id}/wallet/refunds`, error);
+  }
+});
+
+// Query Endpoint: ยอดคงเหลือ + เครดิตที่ใช้ได้ + Statement (?limit=, Default 50)
+app.get("/users/:id/wallet", async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const now = new Date().toISOString();
+
+    const [lotsResult, transactionsResult] = await Promise.all([
+      supabase
+        .from("wallet_credit_lots")
+        .select("lot_id, amount, remaining, expires_at, source, created_at")
+        .eq("user_id", userId)
+        .gt("remaining", 0)
+        .or(`expires_at.is.null,expires_at.gt.${now}`)
+        .order("expires_at", { ascending: true, nullsFirst: false }),
+      supabase
+        .from("wallet_transactions")
+        .select("transaction_id, type, amount, currency, reference, note, occurred_at")
+        .eq("user_id", userId)
+        .order("occurred_at", { ascending: false })
+        .limit(limit),
+    ]);
+    if (lotsResult.error) throw lotsResult.error;
+    if (transactionsResult.error) throw transactionsResult.error;
+
+    const lots = lotsResult.data || [];
+    const balance = lots.reduce((sum, lot) => sum + Number(lot.remaining), 0);
+    res.status(200).json({
+      walletId: WalletAggregate.idForUser(userId),
+      userId,
+      currency: WALLET_CURRENCY,
+      balance: Math.round(balance * 100) / 100,
+      nextExpiry: lots.find((lot) => lot.expires_at)?.expires_at ?? null,
+      lots,
+      statement: transactionsResult.data || [],
+    });
+  } catch (error) {
+    console.error(`[User Service] Error in GET /users/${req.params.id}/wallet:`, error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Query Endpoint: Get User by ID
 app.get("/users/:id", async (req, res) => {
   try {
@@ -89,10 +268,15 @@ const startServer = async () => {
 
     // 2. Start Event Consumer (needs messageBroker)
     // Pass both supabase and messageBroker to the consumer
-    const consumer = new EventConsumer(supabase, messageBroker);
+    const consumer = new EventConsumer(supabase, messageBroker, recordUserStrikeHandler);
     await consumer.start(); // Assuming EventConsumer has an async start method
     console.log("🎧 Event Consumer is running and listening for events.");
 
+    if (process.env.WALLET_EXPIRY_SCHEDULER_ENABLED !== "false") {
+      walletExpiryScheduler.start();
+      console.log("⏱️ Wallet Credit Expiry Scheduler is running.");
+    }
+
     // 3. Start Express server after dependencies are ready
     app.listen(PORT, () => {
       console.log(`\n🚀 User Service is running on http://localhost:${PORT}`);
@@ -1,12 +1,24 @@
 // /services/user-service/src/projections/EventConsumer.js
 import amqp from "amqplib";
 import { UserProjection } from "./UserProjection.js";
+import { WalletProjection } from "./WalletProjection.js";
+import { RecordUserStrikeCommand } from "../../domain/commands/RecordUserStrikeCommand.js";
+
+// Queue ถาวรของ user-service: Event ที่ส่งมาระหว่าง Service ดับจะรออยู่ในคิว ไม่หายไป
+const QUEUE_NAME = "user-service.events";
+// Strike ชนกับคำสั่งอื่นบน User เดียวกัน -> โหลดใหม่แล้วลองอีกครั้ง (Handler idempotent ต่อ reservationId)
+const STRIKE_MAX_ATTEMPTS = 3;
+const STRIKE_RETRY_DELAY_MS = 200;
+
+const isConcurrencyError = (error) =>
+  error?.code === "CONCURRENCY_ERROR" ||
+  String(error?.message).includes("Concurrency Error");
 
 export class EventConsumer {
   /**
    * แก้ไข constructor ให้รับ messageBroker เข้ามา
    */
-  constructor(supabaseClient, messageBroker) {
+  constructor(supabaseClient, messageBroker, recordStrikeHandler = null) {
     if (!supabaseClient || !messageBroker) {
       throw new Error(
         "EventConsumer requires supabaseClient and messageBroker."
@@ -15,9 +27,11 @@ export class EventConsumer {
     this.supabase = supabaseClient;
     this.messageBroker = messageBroker; // 👈 ใช้ instance ที่ส่งเข้ามา
     this.exchangeName = "events_exchange"; // 👈 ชื่อ Exchange ให้ตรงกับ Publisher
+    this.recordStrikeHandler = recordStrikeHandler; // ค่าปรับจาก user-car-service -> Strike
 
     // สร้าง instance ของ Projections ที่จะใช้
     this.userProjection = new UserProjection(this.supabase);
+    this.walletProjection = new WalletProjection(this.supabase);
     // this.reservationProjection = new ReservationProjection(this.supabase); // ถ้ามี
 
     this.handleEvent = this.handleEvent.bind(this);
@@ -36,10 +50,9 @@ export class EventConsumer {
       durable: true,
     });
 
-    // 2. สร้าง Queue ของตัวเองแบบชั่วคราว (ไม่ต้องตั้งชื่อ)
-    // exclusive: true หมายถึง Queue นี้จะถูกลบเมื่อ Consumer ปิดการเชื่อมต่อ
-    const q = await channel.assertQueue("", { exclusive: true });
-    console.log(`[EventConsumer][UserSvc] Created exclusive queue: ${q.queue}`);
+    // 2. สร้าง Queue แบบมีชื่อและ durable (ไม่ใช้ exclusive เพราะจะถูกลบเมื่อปิดการเชื่อมต่อ)
+    const q = await channel.assertQueue(QUEUE_NAME, { durable: true });
+    console.log(`[EventConsumer][UserSvc] Asserted durable queue: ${q.queue}`);
 
     // 3. นำ Queue ของตัวเองไปผูกกับ Exchange เพื่อรอรับข้อความ
     // routingKey เป็น '' เพราะเป็น fanout
@@ -69,8 +82,8 @@ export class EventConsumer {
               "[EventConsumer][UserSvc] Error processing message:",
               error
             );
-            // แจ้ง Broker ว่าประมวลผลไม่สำเร็จ (อาจจะให้ส่งใหม่ หรือทิ้งไป ขึ้นอยู่กับ parameter ที่ 3)
-            channel.nack(msg, false, false);
+            // ครั้งแรกส่งกลับเข้าคิวให้ลองใหม่ ถ้าเป็นข้อความที่ส่งซ้ำแล้วยังพังจึงทิ้ง
+            channel.nack(msg, false, !msg.fields.redelivered);
           }
         }
       },
@@ -87,6 +100,36 @@ export class EventConsumer {
       case "UserCreatedEvent":
         await this.userProjection.handleUserCreated(event_data);
         break;
+      case "UserTypeChangedEvent":
+        await this.userProjection.handleUserTypeChanged(event_data);
+        break;
+      case "UserStrikeRecordedEvent":
+        await this.userProjection.handleUserStrikeRecorded(event_data);
+        break;
+      case "UserSuspendedEvent":
+        await this.userProjection.handleUserSuspended(event_data);
+        break;
+      case "UserStrikesResetEvent":
+        await this.userProjection.handleUserStrikesReset(event_data);
+        break;
+      case "WalletToppedUpEvent":
+        await this.walletProjection.handleWalletToppedUp(event_data);
+        break;
+      case "WalletDebitedEvent":
+        await this.walletProjection.handleWalletDebited(event_data);
+        break;
+      case "WalletRefundedEvent":
+        await this.walletProjection.handleWalletRefunded(event_data);
+        break;
+      case "WalletCreditsExpiredEvent":
+        await this.walletProjection.handleWalletCreditsExpired(event_data);
+        break;
+      // Event จาก user-car-service: No-Show / Late Cancellation -> Strike ของผู้ใช้
+      case "PenaltyAssessedEvent":
+        if (this.recordStrikeHandler) {
+          await this._recordStrike(event_data);
+        }
+        break;
       // เพิ่ม case สำหรับ Event อื่นๆ ที่ user-service ต้องสนใจ
       // case 'ReservationCreatedEvent':
       //   await this.reservationProjection.handleReservationCreated(event_data);
@@ -97,4 +140,27 @@ export class EventConsumer {
         );
     }
   }
+
+  /**
+   * บันทึก Strike จาก PenaltyAssessedEvent และลองใหม่เมื่อชน Concurrency
+   */
+  async _recordStrike(eventData) {
+    const command = new RecordUserStrikeCommand(
+      eventData.userId,
+      eventData.reservationId,
+      eventData.penaltyType,
+      eventData.assessedAt
+    );
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.recordStrikeHandler.handle(command);
+      } catch (error) {
+        if (!isConcurrencyError(error) || attempt >= STRIKE_MAX_ATTEMPTS) throw error;
+        console.warn(
+          `[EventConsumer][UserSvc] Strike for reservation ${eventData.reservationId} hit a concurrency conflict (attempt ${attempt}), retrying...`
+        );
+        await new Promise((resolve) => setTimeout(resolve, STRIKE_RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
 }
@@ -11,7 +11,7 @@ export class UserProjection {
 
   async handleUserCreated(eventData) {
     // --- 🔽 แก้ไขตรงนี้: ดึงข้อมูลจาก eventData.data 🔽 ---
-    const { id, name, email } = eventData.data || {}; // ใช้ || {} ป้องกัน error ถ้า .data ไม่มีอยู่
+    const { id, name, email, userType } = eventData.data || {}; // ใช้ || {} ป้องกัน error ถ้า .data ไม่มีอยู่
     const status = "active";
 
     // Validation ยังคงเหมือนเดิม
@@ -32,6 +32,7 @@ export class UserProjection {
       id: id,
       name: name,
       email: email,
+      user_type: userType ?? null,
       status: status,
       version: 1,
       updated_at: new Date(),
@@ -43,4 +44,58 @@ export class UserProjection {
       console.log(`[UserProjection] Successfully projected user ${id}`);
     }
   }
+
+  async handleUserTypeChanged(eventData) {
+    const { id, userType } = eventData.data || {};
+    if (!id || !userType) {
+      console.error(
+        "[UserProjection] Error: Missing id or userType inside eventData.data:",
+        eventData
+      );
+      return;
+    }
+
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({ user_type: userType, updated_at: new Date() })
+      .eq("id", id);
+
+    if (error) {
+      console.error(`[UserProjection] Error updating user type of ${id}:`, error);
+    } else {
+      console.log(`[UserProjection] User ${id} user_type -> ${userType}`);
+    }
+  }
+
+  async handleUserStrikeRecorded(eventData) {
+    const { id, activeStrikeCount } = eventData.data || {};
+    await this._update(id, { strike_count: activeStrikeCount }, "strike count");
+  }
+
+  async handleUserSuspended(eventData) {
+    const { id, suspendedUntil } = eventData.data || {};
+    await this._update(id, { suspended_until: suspendedUntil }, "suspension");
+  }
+
+  async handleUserStrikesReset(eventData) {
+    const { id } = eventData.data || {};
+    await this._update(id, { strike_count: 0, suspended_until: null }, "strike reset");
+  }
+
+  async _update(id, values, label) {
+    if (!id) {
+      console.error(`[UserProjection] Error: Missing id for ${label} update.`);
+      return;
+    }
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .update({ ...values, updated_at: new Date() })
+      .eq("id", id);
+
+    if (error) {
+      console.error(`[UserProjection] Error updating ${label} of ${id}:`, error);
+    } else {
+      console.log(`[UserProjection] User ${id} ${label} projected`);
+    }
+  }
 }
@@ -0,0 +1,125 @@
+// /services/user-service/src/infrastructure/projections/WalletProjection.js
+import { WALLET_CURRENCY, WALLET_TRANSACTION_TYPE } from "../../domain/constants/walletPolicy.js";
+
+/**
+ * Read Model ของ Wallet
+ * - wallet_credit_lots: ก้อนเครดิตคงเหลือ (ยอดคงเหลือ = ผลรวม remaining ของก้อนที่ยังไม่หมดอายุ)
+ * - wallet_transactions: Statement (amount ติดลบ = เงินออก)
+ * transaction_id เป็น PK -> Event ซ้ำจะถูกข้าม
+ */
+export class WalletProjection {
+  constructor(supabaseClient) {
+    if (!supabaseClient) {
+      throw new Error("Supabase client is required for WalletProjection.");
+    }
+    this.supabase = supabaseClient;
+  }
+
+  async handleWalletToppedUp(eventData) {
+    const data = eventData.data || {};
+    const inserted = await this._insertTransaction(data, WALLET_TRANSACTION_TYPE.TOP_UP, data.amount, {
+      reference: null,
+      note: data.note ?? null,
+    });
+    if (!inserted) return;
+    await this._insertLot(data, data.source);
+  }
+
+  async handleWalletDebited(eventData) {
+    const data = eventData.data || {};
+    const inserted = await this._insertTransaction(data, WALLET_TRANSACTION_TYPE.DEBIT, -data.amount, {
+      reference: data.reference,
+    });
+    if (!inserted) return;
+    for (const allocation of data.allocations || []) {
+      await this._deductLot(allocation.lotId, allocation.amount);
+    }
+  }
+
+  async handleWalletRefunded(eventData) {
+    const data = eventData.data || {};
+    const inserted = await this._insertTransaction(data, WALLET_TRANSACTION_TYPE.REFUND, data.amount, {
+      reference: data.reference,
+    });
+    if (!inserted) return;
+    await this._insertLot(data, "refund");
+  }
+
+  async handleWalletCreditsExpired(eventData) {
+    const data = eventData.data || {};
+    const inserted = await this._insertTransaction(data, WALLET_TRANSACTION_TYPE.EXPIRY, -data.amount, {
+      reference: null,
+    });
+    if (!inserted) return;
+    for (const lot of data.lots || []) {
+      await this._deductLot(lot.lotId, lot.amount);
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} false = บันทึกไปแล้ว (Event ซ้ำ) หรือ Error
+   */
+  async _insertTransaction(data, type, amount, extra) {
+    if (!data.transactionId || !data.walletId) {
+      console.error(`[WalletProjection] Error: Missing transactionId or walletId for ${type}:`, data);
+      return false;
+    }
+    const { error } = await this.supabase.from("wallet_transactions").insert({
+      transaction_id: data.transactionId,
+      wallet_id: data.walletId,
+      user_id: data.userId,
+      type,
+      amount,
+      currency: WALLET_CURRENCY,
+      occurred_at: data.occurredAt,
+      ...extra,
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        console.log(`[WalletProjection] Transaction ${data.transactionId} already projected, skipping.`);
+      } else {
+        console.error(`[WalletProjection] Error inserting transaction ${data.transactionId}:`, error);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  async _insertLot(data, source) {
+    const { error } = await this.supabase.from("wallet_credit_lots").insert({
+      lot_id: data.lotId,
+      wallet_id: data.walletId,
+      user_id: data.userId,
+      amount: data.amount,
+      remaining: data.amount,
+      expires_at: data.expiresAt,
+      source,
+      created_at: data.occurredAt,
+    });
+    if (error) {
+      console.error(`[WalletProjection] Error inserting credit lot ${data.lotId}:`, error);
+    }
+  }
+
+  async _deductLot(lotId, amount) {
+    const { data: lot, error: fetchError } = await this.supabase
+      .from("wallet_credit_lots")
+      .select("remaining")
+      .eq("lot_id", lotId)
+      .single();
+    if (fetchError || !lot) {
+      console.error(`[WalletProjection] Credit lot ${lotId} not found:`, fetchError);
+      return;
+    }
+
+    const remaining = Math.round((Number(lot.remaining) - amount) * 100) / 100;
+    const { error } = await this.supabase
+      .from("wallet_credit_lots")
+      .update({ remaining: Math.max(remaining, 0) })
+      .eq("lot_id", lotId);
+    if (error) {
+      console.error(`[WalletProjection] Error updating credit lot ${lotId}:`, error);
+    }
+  }
+}
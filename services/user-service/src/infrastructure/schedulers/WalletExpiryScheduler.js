@@ -0,0 +1,71 @@
+// /services/user-service/src/infrastructure/schedulers/WalletExpiryScheduler.js
+import { ExpireWalletCreditsCommand } from "../../domain/commands/ExpireWalletCreditsCommand.js";
+
+/**
+ * Background Job: หา Wallet ที่มีเครดิตหมดอายุแล้วแต่ยังมียอดคงเหลือ (wallet_credit_lots)
+ * แล้วส่ง ExpireWalletCreditsCommand ทีละผู้ใช้
+ * (ยอดที่ตัดเงินได้ไม่ต้องรอ Job นี้: Aggregate ไม่นับก้อนที่เลย expiresAt อยู่แล้ว)
+ */
+export class WalletExpiryScheduler {
+  /**
+   * @param {object} supabaseClient
+   * @param {ExpireWalletCreditsCommandHandler} expireWalletCreditsHandler
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - รอบการทำงาน (Default: 1 ชั่วโมง)
+   */
+  constructor(supabaseClient, expireWalletCreditsHandler, options = {}) {
+    if (!supabaseClient || !expireWalletCreditsHandler) {
+      throw new Error(
+        "WalletExpiryScheduler requires a supabase client and an expire wallet credits handler."
+      );
+    }
+    this.supabase = supabaseClient;
+    this.expireHandler = expireWalletCreditsHandler;
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`[WalletExpiryScheduler] Started (interval ${this.intervalMs / 1000}s).`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("[WalletExpiryScheduler] Stopped.");
+  }
+
+  async runOnce() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const { data: lots, error } = await this.supabase
+        .from("wallet_credit_lots")
+        .select("user_id")
+        .gt("remaining", 0)
+        .lte("expires_at", new Date().toISOString());
+      if (error) throw error;
+
+      const userIds = [...new Set((lots || []).map((lot) => lot.user_id))];
+      for (const userId of userIds) {
+        try {
+          const result = await this.expireHandler.handle(new ExpireWalletCreditsCommand(userId));
+          if (result.expiredAmount > 0) {
+            console.log(`[WalletExpiryScheduler] Expired ${result.expiredAmount} credit(s) of user ${userId}.`);
+          }
+        } catch (error) {
+          console.error(`[WalletExpiryScheduler] Failed to expire credits of user ${userId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error("[WalletExpiryScheduler] Run failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}